@@ -16,6 +16,7 @@ const path = require('path');
 const fs = require('fs');
 const chokidar = require('chokidar');
 const { TemplateLoader } = require('./lib/TemplateLoader');
+const { ConfigLoader } = require('./lib/ConfigLoader');
 
 const packageJson = require('./package.json');
 
@@ -53,6 +54,119 @@ function validateTemplateDir(templateDir) {
   return absolutePath;
 }
 
+/**
+ * Load the project configuration (.generatorrc.json) from the working directory or its parents
+ * @param {ConfigLoader} [configLoader] - The loader to use
+ * @returns {object} The configuration, with defaults for missing values
+ */
+function loadConfig(configLoader = new ConfigLoader()) {
+  try {
+    return configLoader.load();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Load the project configuration with the loader that resolves its paths
+ * @returns {{configLoader: ConfigLoader, config: object}} The project
+ */
+function loadProject() {
+  const configLoader = new ConfigLoader();
+  return { configLoader, config: loadConfig(configLoader) };
+}
+
+/**
+ * Create a template loader with the project configuration
+ * @param {string} templateDir - Path to templates directory
+ * @param {object} [options] - Command options
+ * @param {boolean} [options.scaffold] - Use template paths as export paths under the output directory
+ * @param {string} [options.output] - Output directory, overriding the configured one
+ * @param {boolean} [options.allowOutsideOutput] - Allow export paths outside the output directory
+ * @param {string} [options.collisions] - 'error' or 'warn' when outputs share a file
+ * @param {{configLoader: ConfigLoader, config: object}} [project] - The loaded configuration
+ * @returns {TemplateLoader} The loader
+ */
+function createLoader(templateDir, options = {}, project = loadProject()) {
+  const { configLoader, config } = project;
+  const assets =
+    config.assets && config.assets.outputPath
+      ? { ...config.assets, outputPath: configLoader.resolvePath(config.assets.outputPath) }
+      : config.assets;
+  // Export paths stay relative to the working directory unless an output directory is given
+  const outputDirectory =
+    options.output ||
+    (options.scaffold || configLoader.isConfigured('outputDirectory')
+      ? configLoader.resolvePath(config.outputDirectory)
+      : null);
+  const outputRoot = outputDirectory ? path.resolve(outputDirectory) : null;
+  const scaffold = options.scaffold ? { outputPath: outputRoot } : undefined;
+  // The default manifest lives in the output directory, so it needs one unless set explicitly
+  const manifest =
+    typeof config.manifest === 'string'
+      ? configLoader.resolvePath(config.manifest)
+      : config.manifest && (outputRoot !== null || configLoader.isConfigured('manifest'));
+
+  try {
+    return new TemplateLoader(templateDir, undefined, undefined, {
+      compileOptions: config.compileOptions,
+      assets,
+      scaffold,
+      postProcessors: config.postProcessors,
+      postGenerate: config.postGenerate,
+      outputRoot,
+      allowOutsideOutputRoot: options.allowOutsideOutput || config.allowOutsideOutputRoot,
+      collisions: options.collisions || config.collisions,
+      manifest,
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Get the missing property mode from the --strict and --warn-missing options
+ * @param {object} options - Command options
+ * @returns {string} 'error', 'warn' or 'ignore'
+ */
+function missingPropertiesMode(options) {
+  if (options.strict) {
+    return 'error';
+  }
+  return options.warnMissing ? 'warn' : 'ignore';
+}
+
+/**
+ * Print the outcome of pruning orphaned files
+ * @param {{deleted: string[], modified: string[], missing: string[]}} pruned - The outcome
+ * @param {boolean} dryRun - Whether the files were only listed
+ */
+function printPruned(pruned, dryRun) {
+  console.log(
+    `\n🧹 ${dryRun ? 'Would delete' : 'Deleted'} ${pruned.deleted.length} orphaned file(s)`
+  );
+  pruned.deleted.forEach((filePath) => console.log(`   🗑️  ${filePath}`));
+  pruned.modified.forEach((filePath) => console.log(`   ✋ ${filePath} (edited, kept)`));
+  pruned.outside.forEach((filePath) =>
+    console.log(`   ✋ ${filePath} (outside the manifest directory, kept)`)
+  );
+}
+
+/**
+ * Print the warnings and errors the loader collected, such as output collisions and missing
+ * properties. Template failures a preview already showed inline are left out.
+ * @param {Array<object>} errors - The loader errors
+ */
+function printWarnings(errors) {
+  const warnings = errors.filter((err) => err.phase !== 'preview');
+  if (warnings.length > 0) {
+    console.log('\n⚠️  Warnings/Errors:');
+    warnings.forEach((err) => console.log(`   - ${err.message || err}`));
+  }
+}
+
 program
   .name('generator-hbs')
   .description('Handlebars-based code generation CLI')
@@ -65,9 +179,17 @@ program
   .description('Generate files from templates')
   .requiredOption('-t, --templates <path>', 'Path to templates directory')
   .requiredOption('-m, --model <path>', 'Path to model JSON file')
-  .option('-o, --output <path>', 'Output directory (overrides template settings)')
+  .option('-o, --output <path>', 'Output directory export paths are resolved against')
+  .option('--allow-outside-output', 'Allow export paths outside the output directory')
+  .option('--collisions <mode>', 'When outputs share a file: error (skip them) or warn')
   .option('--dry-run', 'Preview output without writing files')
+  .option('--prune', 'Delete previously generated files that are no longer generated')
+  .option('--incremental', 'Only write files whose content changed')
   .option('--continue-on-error', 'Continue processing if a template fails')
+  .option('--source-map', 'Write a .map.json file mapping output lines to template lines')
+  .option('--strict', 'Fail a template that looks up an undefined model property')
+  .option('--warn-missing', 'Warn about each lookup of an undefined model property')
+  .option('--scaffold', 'Export each template to its relative path under the output directory')
   .option('-v, --verbose', 'Show detailed output')
   .action(async (options) => {
     const templateDir = validateTemplateDir(options.templates);
@@ -82,7 +204,14 @@ program
       console.log('');
     }
 
-    const loader = new TemplateLoader(templateDir);
+    const project = loadProject();
+    const loader = createLoader(templateDir, options, project);
+    if (options.prune && !loader.manifestPath) {
+      console.error(
+        'Error: --prune needs a manifest; set an output directory with -o, or "manifest" in the config'
+      );
+      process.exit(1);
+    }
     loader.load();
 
     if (options.verbose) {
@@ -91,7 +220,9 @@ program
     }
 
     if (options.dryRun) {
-      const previews = loader.preview(model);
+      const previews = loader.preview(model, {
+        missingProperties: missingPropertiesMode(options),
+      });
       console.log('Preview (dry-run mode):\n');
       let totalFiles = 0;
       for (const templatePreview of previews) {
@@ -102,7 +233,7 @@ program
         }
         for (const file of templatePreview.files) {
           totalFiles++;
-          console.log(`   📄 ${file.filePath}`);
+          console.log(`   📄 ${file.filePath} (${file.writeMode})`);
           if (options.verbose && file.content) {
             console.log('   ---');
             const lines = file.content.substring(0, 500).split('\n');
@@ -115,12 +246,30 @@ program
         }
         console.log('');
       }
-      console.log(`Total: ${totalFiles} file(s) would be generated`);
+      const assets = loader.findAssets(model);
+      if (assets.length > 0) {
+        console.log(`📁 Assets:`);
+        assets.forEach((asset) => console.log(`   📄 ${asset.filePath} (copy)`));
+        console.log('');
+      }
+      console.log(`Total: ${totalFiles + assets.length} file(s) would be generated`);
+      printWarnings(loader.errors);
+
+      if (options.prune) {
+        printPruned(
+          loader.clean(model, { missingProperties: missingPropertiesMode(options), dryRun: true }),
+          true
+        );
+      }
     } else {
       try {
         await loader.generateAsync(model, {
           write: true,
           continueOnError: options.continueOnError,
+          sourceMap: options.sourceMap,
+          missingProperties: missingPropertiesMode(options),
+          prune: options.prune,
+          incremental: options.incremental || project.config.incremental,
         });
 
         // Count total files generated across all templates
@@ -129,11 +278,46 @@ program
           totalFiles += template.result ? template.result.length : 0;
         }
 
-        console.log(`✅ Generated ${totalFiles} file(s)`);
+        const assets = loader.stats.assetFiles;
+        console.log(
+          `✅ Generated ${totalFiles} file(s)${assets > 0 ? ` and ${assets} asset(s)` : ''}`
+        );
+
+        const writes = loader.stats.writeCounts;
+        console.log(
+          `   ${writes.created} created, ${writes.updated} updated, ${writes.unchanged} unchanged, ${writes.appended} appended, ${writes.skipped} skipped`
+        );
+
+        const commands = loader.stats.commands;
+        if (commands.length > 0) {
+          console.log(
+            `   Ran ${commands.length} command(s), ${loader.stats.failedCommands.length} failed`
+          );
+        }
 
-        if (loader.errors.length > 0) {
-          console.log('\n⚠️  Warnings/Errors:');
-          loader.errors.forEach((err) => console.log(`   - ${err.message || err}`));
+        if (loader.pruned) {
+          printPruned(loader.pruned, false);
+        }
+
+        printWarnings(loader.errors);
+
+        if (
+          options.strict &&
+          loader.errors.some((err) => err.error && err.error.code === 'MISSING_PROPERTY')
+        ) {
+          process.exit(1);
+        }
+
+        if (
+          loader.errors.some(
+            (err) =>
+              err.phase === 'postGenerate' ||
+              (err.error && err.error.code === 'FILE_OUTSIDE_OUTPUT_ROOT') ||
+              (err.error && err.error.code === 'OUTPUT_COLLISION') ||
+              (err.phase === 'manifest' && err.error)
+          )
+        ) {
+          process.exit(1);
         }
       } catch (error) {
         console.error(`❌ Generation failed: ${error.message}`);
@@ -142,6 +326,39 @@ program
     }
   });
 
+// Clean command
+program
+  .command('clean')
+  .description('Delete previously generated files that the templates no longer generate')
+  .requiredOption('-t, --templates <path>', 'Path to templates directory')
+  .requiredOption('-m, --model <path>', 'Path to model JSON file')
+  .option('-o, --output <path>', 'Output directory export paths are resolved against')
+  .option('--allow-outside-output', 'Allow export paths outside the output directory')
+  .option('--dry-run', 'List the files that would be deleted')
+  .option('--scaffold', 'Export each template to its relative path under the output directory')
+  .action((options) => {
+    const templateDir = validateTemplateDir(options.templates);
+    const model = loadModel(options.model);
+    const loader = createLoader(templateDir, options);
+    loader.load();
+
+    try {
+      printPruned(loader.clean(model, { dryRun: options.dryRun }), options.dryRun);
+
+      const failures = loader.errors.filter((err) => err.phase === 'clean' || err.error);
+      if (failures.length > 0) {
+        console.log('\n⚠️  Warnings/Errors:');
+        failures.forEach((err) => console.log(`   - ${err.message}`));
+      }
+      if (loader.errors.some((err) => err.phase === 'manifest' && err.error)) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(`❌ Clean failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // Validate command
 program
   .command('validate')
@@ -152,23 +369,28 @@ program
   .action((options) => {
     const templateDir = validateTemplateDir(options.templates);
 
-    const loader = new TemplateLoader(templateDir);
+    const loader = createLoader(templateDir);
     loader.load();
 
     console.log(`Validating ${loader.templates.length} template(s)...\n`);
 
     let allValid = true;
     for (const template of loader.templates) {
-      const isValid = template.validate();
+      const validation = template.validate();
+      const isValid = validation.valid;
       const status = isValid ? '✅' : '❌';
       console.log(`${status} ${template.name}`);
 
       if (!isValid && options.verbose) {
-        template.errors.forEach((err) => {
+        validation.errors.forEach((err) => {
           console.log(`   - ${err.message || err}`);
         });
       }
 
+      validation.warnings.forEach((warning) => {
+        console.log(`   ⚠️  ${warning.message}`);
+      });
+
       if (!isValid) {
         allValid = false;
       }
@@ -190,15 +412,24 @@ program
   .requiredOption('-t, --templates <path>', 'Path to templates directory')
   .requiredOption('-m, --model <path>', 'Path to model JSON file')
   .option('--json', 'Output preview as JSON')
+  .option('--source-map', 'Include the template line of each output line in the JSON preview')
+  .option('--strict', 'Fail a template that looks up an undefined model property')
+  .option('--warn-missing', 'Warn about each lookup of an undefined model property')
+  .option('--scaffold', 'Export each template to its relative path under the output directory')
+  .option('-o, --output <path>', 'Output directory export paths are resolved against')
+  .option('--allow-outside-output', 'Allow export paths outside the output directory')
   .option('-v, --verbose', 'Show full content (not truncated)')
   .action((options) => {
     const templateDir = validateTemplateDir(options.templates);
     const model = loadModel(options.model);
 
-    const loader = new TemplateLoader(templateDir);
+    const loader = createLoader(templateDir, options);
     loader.load();
 
-    const previews = loader.preview(model);
+    const previews = loader.preview(model, {
+      sourceMap: options.sourceMap,
+      missingProperties: missingPropertiesMode(options),
+    });
 
     if (options.json) {
       console.log(JSON.stringify(previews, null, 2));
@@ -212,7 +443,7 @@ program
         }
         console.log('─'.repeat(60));
         for (const file of templatePreview.files) {
-          console.log(`\n📄 ${file.filePath}`);
+          console.log(`\n📄 ${file.filePath} (${file.writeMode})`);
           if (options.verbose) {
             console.log(file.content);
           } else if (file.content) {
@@ -224,6 +455,8 @@ program
         }
         console.log('');
       }
+
+      printWarnings(loader.errors);
     }
   });
 
@@ -237,7 +470,7 @@ program
   .action((options) => {
     const templateDir = validateTemplateDir(options.templates);
 
-    const loader = new TemplateLoader(templateDir);
+    const loader = createLoader(templateDir);
     loader.load();
 
     if (options.json) {
@@ -271,6 +504,38 @@ program
     }
   });
 
+// Settings command
+program
+  .command('settings')
+  .description('Print the resolved settings of templates and the files they come from')
+  .requiredOption('-t, --templates <path>', 'Path to templates directory')
+  .option('-n, --name <template>', 'Only print the template with this name')
+  .action((options) => {
+    const templateDir = validateTemplateDir(options.templates);
+
+    const loader = createLoader(templateDir);
+    loader.load();
+
+    if (loader.errors.length > 0) {
+      for (const error of loader.errors) {
+        console.error(`❌ ${error.message}`);
+      }
+    }
+
+    const templates = loader.templates.filter((t) => !options.name || t.name === options.name);
+    if (options.name && templates.length === 0) {
+      console.error(`❌ Template not found: ${options.name}`);
+      process.exit(1);
+    }
+
+    const resolved = templates.map((t) => ({
+      template: t.name,
+      sources: t.settingsSources,
+      settings: t.resolvedSettings,
+    }));
+    console.log(JSON.stringify(resolved, null, 2));
+  });
+
 // Watch command
 program
   .command('watch')
@@ -278,6 +543,7 @@ program
   .requiredOption('-t, --templates <path>', 'Path to templates directory')
   .requiredOption('-m, --model <path>', 'Path to model JSON file')
   .option('--continue-on-error', 'Continue processing if a template fails')
+  .option('--incremental', 'Only write files whose content changed')
   .option('-v, --verbose', 'Show detailed output')
   .action(async (options) => {
     const templateDir = validateTemplateDir(options.templates);
@@ -302,12 +568,14 @@ program
         const modelContent = fs.readFileSync(modelPath, 'utf8');
         const model = JSON.parse(modelContent);
 
-        const loader = new TemplateLoader(templateDir);
+        const project = loadProject();
+        const loader = createLoader(templateDir, {}, project);
         loader.load();
 
         await loader.generateAsync(model, {
           write: true,
           continueOnError: options.continueOnError,
+          incremental: options.incremental || project.config.incremental,
         });
 
         // Count total files generated
@@ -14,6 +14,8 @@ declare namespace GeneratorHandlebars {
 
   interface SkippedItem {
     item: any;
+    /** File name of a split section skipped by its directives */
+    section?: string;
     reason: string;
   }
 
@@ -22,11 +24,53 @@ declare namespace GeneratorHandlebars {
     reason?: string;
   }
 
+  interface ValidationIssue {
+    /** What the issue is about: "load", "template", "settings", "script" or "syntax" */
+    type: string;
+    message: string;
+  }
+
+  interface ValidationResult {
+    valid: boolean;
+    errors: ValidationIssue[];
+    /** Likely mistakes that do not make the template invalid */
+    warnings: ValidationIssue[];
+  }
+
   /**
    * Represents a Handlebars template with settings and generation capabilities.
    */
+  /**
+   * Handlebars compile options that can be set per template or project-wide.
+   */
+  interface CompileOptions {
+    noEscape?: boolean;
+    strict?: boolean;
+    assumeObjects?: boolean;
+    preventIndent?: boolean;
+    knownHelpersOnly?: boolean;
+    ignoreStandalone?: boolean;
+  }
+
+  interface TemplateOptions {
+    /** Default compile options, overridden by the CompileOptions setting */
+    compileOptions?: CompileOptions;
+    /** Default settings, overridden by front matter and the settings file, which becomes optional */
+    defaultSettings?: TemplateSettingsJson;
+    /** Directory where the cascade of _defaults.settings.json files starts; defaults to the template's directory */
+    settingsRoot?: string;
+  }
+
   class Template {
-    constructor(path: string, name?: string);
+    constructor(
+      path: string,
+      name?: string,
+      handlebars?: typeof Handlebars,
+      options?: TemplateOptions
+    );
+
+    /** Handlebars environment the template compiles against */
+    readonly handlebars: typeof Handlebars;
 
     /** Template name (without extension) */
     readonly name: string;
@@ -49,18 +93,39 @@ declare namespace GeneratorHandlebars {
     /** Template settings */
     readonly settings: TemplateSettings;
 
+    /** Settings declared in the template's front matter, or null */
+    readonly frontMatter: TemplateSettingsJson | null;
+
+    /** Settings merged from directory defaults, shared settings, front matter and the settings file */
+    readonly resolvedSettings: TemplateSettingsJson | null;
+
+    /** Files the resolved settings were merged from, lowest first */
+    readonly settingsSources: string[];
+
+    /** Compile options the template was compiled with */
+    readonly compileOptions: CompileOptions;
+
     /**
      * Validates the template.
-     * @returns True if valid, false otherwise
+     * @returns Whether it is valid, its errors, and warnings that do not make it invalid
      */
-    validate(): boolean;
+    validate(): ValidationResult;
 
     /**
      * Generates output from the template using the provided model.
      * @param model - The data model
+     * @param options - Generation options
+     * @returns Skip info if template was skipped, void otherwise
+     */
+    generate(model: any, options?: TemplateGenerateOptions): GenerateResult | void;
+
+    /**
+     * Generates output asynchronously, awaiting script hooks that return promises.
+     * @param model - The data model
+     * @param options - Generation options
      * @returns Skip info if template was skipped, void otherwise
      */
-    generate(model: any): GenerateResult | void;
+    generateAsync(model: any, options?: TemplateGenerateOptions): Promise<GenerateResult | void>;
 
     /**
      * Gets the generated results.
@@ -69,15 +134,15 @@ declare namespace GeneratorHandlebars {
 
     /**
      * Writes generated results to files.
-     * @param results - Results to write
+     * @param options - Write options
      */
-    write(results?: TemplateResult[]): void;
+    write(options?: WriteOptions): void;
 
     /**
      * Writes generated results to files asynchronously.
-     * @param results - Results to write
+     * @param options - Write options
      */
-    writeAsync(results?: TemplateResult[]): Promise<void>;
+    writeAsync(options?: WriteOptions): Promise<void>;
 
     /**
      * Returns preview of generated output without writing.
@@ -96,13 +161,174 @@ declare namespace GeneratorHandlebars {
     write?: boolean;
     /** Continue processing other templates on error */
     continueOnError?: boolean;
+    /** Write a `.map.json` sidecar mapping each output line to its template line */
+    sourceMap?: boolean;
+    /** How lookups of undefined model paths are handled (default: "ignore") */
+    missingProperties?: MissingPropertyMode;
+    /** Delete the files of the previous manifest that are no longer generated */
+    prune?: boolean;
+    /** Only write files whose content changed; the others are reported as "unchanged" */
+    incremental?: boolean;
+  }
+
+  interface WriteOptions {
+    /** Leave files that already have the content to write untouched */
+    incremental?: boolean;
+    /** Entries of the loader's manifest by absolute path, whose checksums detect edits */
+    manifest?: Map<string, object>;
+  }
+
+  interface CleanOptions {
+    /** Only list the files that would be deleted */
+    dryRun?: boolean;
+    /** Continue processing other templates on error */
+    continueOnError?: boolean;
+    /** How lookups of undefined model paths are handled (default: "ignore") */
+    missingProperties?: MissingPropertyMode;
+  }
+
+  /** Outcome of pruning the orphaned files of a manifest */
+  interface PruneResult {
+    /** Files deleted, or that would be deleted in a dry run */
+    deleted: string[];
+    /** Files edited since they were generated, kept and dropped from the manifest */
+    modified: string[];
+    /** Files already gone */
+    missing: string[];
+    /** Files outside the manifest's directory, which are never deleted */
+    outside: string[];
+  }
+
+  interface PreviewOptions {
+    /** Continue processing other templates on error */
+    continueOnError?: boolean;
+    /** Include the template line of each output line in the previews */
+    sourceMap?: boolean;
+    /** How lookups of undefined model paths are handled (default: "ignore") */
+    missingProperties?: MissingPropertyMode;
+  }
+
+  interface TemplateLoaderOptions {
+    /** Handlebars environment to share across the loader's templates */
+    handlebars?: typeof Handlebars;
+    /** Default compile options for all templates */
+    compileOptions?: CompileOptions;
+    /** Copy the non-template files of the template directories when generating */
+    assets?: StaticAssetOptions;
+    /**
+     * Scaffold mode: each template's relative path, without the extension, is its
+     * ExportPath under outputPath, and settings files are optional
+     */
+    scaffold?: ScaffoldOptions;
+    /** Post-processor steps for the outputs whose paths match each glob pattern */
+    postProcessors?: PostProcessorPatterns;
+    /** Commands run on the written files of every template after generating */
+    postGenerate?: PostGenerateCommand[];
+    /** Directory every export path is resolved against; paths leaving it are refused */
+    outputRoot?: string;
+    /** Allow export paths outside the output root, and asset paths outside their outputPath */
+    allowOutsideOutputRoot?: boolean;
+    /** Outputs written to the same file fail ("error", default) or are reported ("warn") */
+    collisions?: CollisionMode;
+    /**
+     * Record the written files and copied assets in a manifest: true for
+     * `.generator-manifest.json` in the output root, or the manifest path (default: false)
+     */
+    manifest?: boolean | string;
+  }
+
+  type CollisionMode = 'error' | 'warn';
+
+  interface ScaffoldOptions {
+    /** Directory the scaffold is generated in */
+    outputPath: string;
+  }
+
+  /** A post-processor name, or a name with the processor's options */
+  type PostProcessorStep = string | { name: string; [option: string]: any };
+
+  /** Post-processor steps by output path glob pattern, such as "*.cs" */
+  interface PostProcessorPatterns {
+    [pattern: string]: PostProcessorStep[];
+  }
+
+  /** Cleans up content before it is written */
+  type PostProcessorFunction = (
+    content: string,
+    options: { [option: string]: any },
+    context: { filePath: string; template?: string }
+  ) => string;
+
+  /** A command run on written files, or a command with the files it is given */
+  type PostGenerateCommand =
+    | string
+    | {
+        /** The command; the files are appended or replace a {files} argument */
+        command: string;
+        /** Glob patterns of the files given to the command (default: ["**"]) */
+        include?: string[];
+        /** Glob patterns of the files not given to the command */
+        exclude?: string[];
+        /** The most files passed to one run of the command */
+        batchSize?: number;
+        /** Milliseconds before the command is stopped (default: 300000) */
+        timeout?: number;
+      };
+
+  interface StaticAssetOptions {
+    /** Directory the assets are copied to */
+    outputPath: string;
+    /** Glob patterns of the assets to copy, relative to the template directory (default: ["**"]) */
+    include?: string[];
+    /** Glob patterns of files not to copy */
+    exclude?: string[];
+    /** Render asset paths as Handlebars templates with the model (default: false) */
+    tokenize?: boolean;
+    /** Allow rendered asset paths outside outputPath (default: the loader's allowOutsideOutputRoot) */
+    allowOutside?: boolean;
+  }
+
+  /** A static asset and where it is copied to */
+  interface StaticAsset {
+    /** Path of the asset in the template directory */
+    source: string;
+    /** Path relative to the template directory */
+    relativePath: string;
+    /** Output path */
+    filePath: string;
   }
 
   /**
    * Loads and manages templates from a directory.
    */
   class TemplateLoader {
-    constructor(path: string);
+    constructor(
+      path: string | string[],
+      extension?: string,
+      recurse?: boolean,
+      options?: TemplateLoaderOptions
+    );
+
+    /** Handlebars environment owned by this loader */
+    readonly handlebars: typeof Handlebars;
+
+    /** Plugin manager bound to this loader's environment */
+    readonly pluginManager: PluginManager;
+
+    /**
+     * Registers a helper in this loader's environment only.
+     */
+    registerHelper(name: string, fn: Handlebars.HelperDelegate): TemplateLoader;
+
+    /**
+     * Registers a partial in this loader's environment only.
+     */
+    registerPartial(name: string, template: string): TemplateLoader;
+
+    /**
+     * Registers a plugin scoped to this loader's environment.
+     */
+    registerPlugin(plugin: Plugin): TemplateLoader;
 
     /** Loaded templates */
     readonly templates: Template[];
@@ -110,6 +336,9 @@ declare namespace GeneratorHandlebars {
     /** Loaded partial names */
     readonly partials: string[];
 
+    /** Loaded layout names (for {{#extend}}) */
+    readonly layouts: string[];
+
     /** Errors accumulated during processing */
     errors: string[];
 
@@ -149,15 +378,50 @@ declare namespace GeneratorHandlebars {
 
     /**
      * Validates all loaded templates.
-     * @returns True if all templates are valid
+     * @returns Whether all templates are valid, and the result of each
      */
-    validateAll(): boolean;
+    validateAll(): { valid: boolean; results: Array<ValidationResult & { template: string }> };
 
     /**
      * Returns preview of all templates without writing.
      * @param model - The data model
+     * @param options - Preview options
      */
-    preview(model: any): PreviewResult[];
+    preview(model: any, options?: PreviewOptions): PreviewResult[];
+
+    /**
+     * Deletes the files of the previous manifest that the templates no longer generate.
+     * @param model - The data model
+     * @param options - Clean options
+     */
+    clean(model: any, options?: CleanOptions): PruneResult;
+
+    /**
+     * Finds the static assets generate() copies; none without assets options.
+     * @param model - The model rendering tokenized asset paths
+     */
+    findAssets(model?: any): StaticAsset[];
+
+    /** Scaffold mode options, or null outside scaffold mode */
+    readonly scaffold: ScaffoldOptions | null;
+
+    /** Post-processor steps by output path glob pattern */
+    readonly postProcessors: PostProcessorPatterns;
+
+    /** Commands run on the written files of every template */
+    readonly postGenerate: PostGenerateCommand[];
+
+    /** Directory export paths are resolved against, or null for the working directory */
+    readonly outputRoot: string | null;
+
+    /** What happens when outputs are written to the same file */
+    readonly collisions: CollisionMode;
+
+    /** Path of the manifest of the written files, or null if none is kept */
+    readonly manifestPath: string | null;
+
+    /** Outcome of the last prune, or null if the last run did not prune */
+    readonly pruned: PruneResult | null;
 
     /**
      * Static method to load and generate.
@@ -173,16 +437,105 @@ declare namespace GeneratorHandlebars {
   // TemplateResult
   // ============================================================================
 
+  /** How an existing output file is treated when a result is written */
+  type WriteMode =
+    | 'overwrite'
+    | 'append'
+    | 'skipIfExists'
+    | 'overwriteIfUnchanged'
+    | 'failIfExists';
+
+  /** Line endings of output files */
+  type LineEndings = 'lf' | 'crlf' | 'preserve';
+
+  /** What happens when a file was edited since it was last generated */
+  type ManualEditPolicy = 'overwrite' | 'skip' | 'report' | 'backup';
+
+  /** What a write did to the output file */
+  type WriteStatus = 'created' | 'updated' | 'appended' | 'unchanged' | 'skipped';
+
+  /**
+   * How lookups of undefined model paths are handled: rendered as empty output, thrown as a
+   * TemplateGenerateError with code "MISSING_PROPERTY", or added to the errors as warnings
+   */
+  type MissingPropertyMode = 'ignore' | 'error' | 'warn';
+
+  interface TemplateGenerateOptions {
+    /** Record the template line of each output line */
+    sourceMap?: boolean;
+    /** How lookups of undefined model paths are handled (default: "ignore") */
+    missingProperties?: MissingPropertyMode;
+  }
+
+  /**
+   * Where one output line came from.
+   */
+  interface SourceMapLine {
+    /** Output line, starting at 1 */
+    line: number;
+    /** Template path, or the name of the partial that emitted the line */
+    source: string | null;
+    /** Line in the source, starting at 1 */
+    sourceLine: number | null;
+    /** Partials being rendered, outermost first */
+    partials: string[];
+  }
+
+  interface ResultSourceMap {
+    /** Path of the template that generated the file */
+    template: string;
+    lines: SourceMapLine[];
+  }
+
   interface PreviewResult {
     filePath: string;
     content: string;
+    appendToExisting: boolean;
+    writeMode: WriteMode;
+    /** Present when the encoding is not UTF-8 without a byte order mark */
+    encoding?: string;
+    bom?: boolean;
+    /** Present when generated with source mapping */
+    sourceMap?: ResultSourceMap;
+  }
+
+  interface TemplateResultOptions {
+    /** Write strategy; defaults to "append" when appendToExisting is set, otherwise "overwrite" */
+    writeMode?: WriteMode;
+    /** Write protected regions that no longer exist to a `.orphaned` side file */
+    dumpOrphanedRegions?: boolean;
+    /** Source lines written to a `.map.json` sidecar next to the file */
+    sourceMap?: ResultSourceMap | null;
+    /** Defaults to "skip" for overwriteIfUnchanged, otherwise "overwrite" */
+    onManualEdit?: ManualEditPolicy;
+    /** Header line with a `{checksum}` placeholder stamped on top of written files */
+    checksumHeader?: string | null;
+    /** Line endings applied to the content (default: "preserve") */
+    lineEndings?: LineEndings;
+    /** Encoding of the written file, e.g. "utf8" (default), "utf16le" or "latin1" */
+    encoding?: string;
+    /** Start new files with a byte order mark */
+    bom?: boolean;
+  }
+
+  /**
+   * A protected region whose id is missing from the regenerated output.
+   */
+  interface OrphanedRegion {
+    id: string;
+    content: string;
   }
 
   /**
    * Represents a generated template result.
    */
   class TemplateResult {
-    constructor(fileName: string, filePath: string, content: string, append: boolean);
+    constructor(
+      filePath: string,
+      content: string,
+      appendToExisting: boolean,
+      options?: TemplateResultOptions
+    );
 
     /** Output file name */
     readonly fileName: string;
@@ -196,15 +549,92 @@ declare namespace GeneratorHandlebars {
     /** Whether to append to existing file */
     readonly append: boolean;
 
+    /** Write strategy */
+    readonly writeMode: WriteMode;
+
+    /** What the last write did, or null before writing */
+    readonly status: WriteStatus | null;
+
+    /** Why the last write was skipped: "exists", "modified", "untracked" or the block reason */
+    readonly skipReason: string | null;
+
+    /** The name of the item the output was rendered for */
+    readonly item: string | null;
+
+    /** Why the result is not written, such as "collision", or null */
+    readonly blockReason: string | null;
+
+    /** Keeps the result from being written; writes skip it with the reason */
+    block(reason: string): void;
+
+    /** Whether orphaned regions are written to a side file */
+    readonly dumpOrphanedRegions: boolean;
+
+    /** Protected regions dropped by the last write */
+    readonly orphanedRegions: OrphanedRegion[];
+
+    /** Path of the side file that received orphaned regions, if any */
+    readonly orphanedRegionsPath: string | null;
+
+    /** Template line of each output line, when generated with source mapping */
+    readonly sourceMap: ResultSourceMap | null;
+
+    /** Path of the `.map.json` sidecar written by the last write, if any */
+    readonly sourceMapPath: string | null;
+
+    /** What happens when the file was edited since it was last generated */
+    readonly onManualEdit: ManualEditPolicy;
+
+    /** Header line stamped on top of written files, if any */
+    readonly checksumHeader: string | null;
+
+    /** Line endings applied to the content */
+    readonly lineEndings: LineEndings;
+
+    /** Canonical name of the encoding files are written in */
+    readonly encoding: string;
+
+    /** Whether new files start with a byte order mark */
+    readonly bom: boolean;
+
+    /** Whether the last write found the file edited since it was last generated */
+    readonly manuallyEdited: boolean;
+
+    /** Checksum of the content the last write wrote, ignoring protected regions, or null */
+    readonly checksum: string | null;
+
+    /** SHA-256 of the bytes the last write wrote or found up to date, before PostGenerate */
+    readonly rendered: string | null;
+
+    /** Whether the last write found an existing file that had no recorded checksum */
+    readonly untracked: boolean;
+
+    /** Path the edited or untracked file was copied to by the last write, if any */
+    readonly backupPath: string | null;
+
+    /**
+     * Gets the path edited files are backed up to.
+     * @param filePath - The output file path
+     */
+    static getBackupPath(filePath: string): string;
+
+    /**
+     * Gets the path of the source map sidecar of an output file.
+     * @param filePath - The output file path
+     */
+    static getSourceMapPath(filePath: string): string;
+
     /**
      * Writes the result to file.
+     * @param options - Write options
      */
-    write(): void;
+    write(options?: WriteOptions): void;
 
     /**
      * Writes the result to file asynchronously.
+     * @param options - Write options
      */
-    writeAsync(): Promise<void>;
+    writeAsync(options?: WriteOptions): Promise<void>;
 
     /**
      * Returns preview object.
@@ -219,13 +649,41 @@ declare namespace GeneratorHandlebars {
   interface TemplateSettingsJson {
     Target?: string;
     TargetItem?: string;
+    /** Child collection of each item to render one output per child for */
+    SubTarget?: string;
+    /** Variable name for the current child */
+    SubTargetItem?: string;
     TargetProperty?: string;
     ModelProperty?: string;
     TargetItemNameProperty?: string;
     ExportPath?: string;
+    /** Directory prepended to a relative ExportPath */
+    ExportPathPrefix?: string;
+    /** Shared settings to inherit from, by name or relative path */
+    Extends?: string | string[];
     PrepareExportPathUsingTemplate?: boolean;
     PrepareExportPathUsingReplace?: boolean;
     AppendToExisting?: boolean;
+    /** How existing output files are treated */
+    WriteMode?: WriteMode;
+    /** Save protected regions that no longer exist to a `.orphaned` side file */
+    DumpOrphanedRegions?: boolean;
+    /** What happens when an output file was edited since it was last generated */
+    OnManualEdit?: ManualEditPolicy;
+    /** Header line with a `{checksum}` placeholder stamped on top of output files */
+    ChecksumHeader?: string;
+    /** Line endings of output files */
+    LineEndings?: LineEndings;
+    /** Encoding of output files */
+    Encoding?: string;
+    /** Start new output files with a byte order mark */
+    Bom?: boolean;
+    /** Handlebars compile options, merged over the project defaults */
+    CompileOptions?: CompileOptions;
+    /** Post-processors run on the outputs, replacing the loader's steps; [] disables them */
+    PostProcessors?: PostProcessorStep[];
+    /** Commands run on the files the template wrote, besides the loader's commands */
+    PostGenerate?: PostGenerateCommand[];
     SplitOn?: string;
     FileNamePattern?: string;
     RemoveFileName?: boolean;
@@ -247,18 +705,25 @@ declare namespace GeneratorHandlebars {
 
     static DefaultTarget: string;
     static DefaultTargetItem: string;
+    static DefaultSubTargetItem: string;
     static DefaultTargetProperty: string;
     static DefaultModelProperty: string;
     static DefaultTargetItemNameProperty: string;
     static DefaultPrepareExportPathUsingTemplate: boolean;
     static DefaultPrepareExportPathUsingReplace: boolean;
 
-    /** Model property to iterate */
+    /** Model property path to iterate, e.g. "Modules[*].Entities[*]" */
     readonly target: string;
 
     /** Variable name for current item */
     readonly targetItem: string;
 
+    /** Child collection to fan out over, relative to each item */
+    readonly subTarget: string | null;
+
+    /** Variable name for current child */
+    readonly subTargetItem: string;
+
     /** Property name for target in item model */
     readonly targetProperty: string;
 
@@ -268,9 +733,12 @@ declare namespace GeneratorHandlebars {
     /** Property name for item name */
     readonly targetItemNameProperty: string;
 
-    /** Output path template */
+    /** Output path template, under exportPathPrefix unless absolute */
     readonly exportPath: string | null;
 
+    /** Directory prepended to a relative export path */
+    readonly exportPathPrefix: string | null;
+
     /** Use template for export path */
     readonly prepareExportPathUsingTemplate: boolean;
 
@@ -280,6 +748,45 @@ declare namespace GeneratorHandlebars {
     /** Append to existing files */
     readonly appendToExisting: boolean;
 
+    /** How existing output files are treated */
+    readonly writeMode: WriteMode;
+
+    /** Save orphaned protected regions to a side file */
+    readonly dumpOrphanedRegions: boolean;
+
+    /** What happens when an output file was edited since it was last generated */
+    readonly onManualEdit: ManualEditPolicy;
+
+    /** The OnManualEdit policy as set, or null when it defaults from the write mode */
+    readonly onManualEditSetting: ManualEditPolicy | null;
+
+    /** Header line stamped on top of output files */
+    readonly checksumHeader: string | null;
+
+    /** Line endings of output files */
+    readonly lineEndings: LineEndings;
+
+    /** Encoding of output files */
+    readonly encoding: string;
+
+    /** Whether new output files start with a byte order mark */
+    readonly bom: boolean;
+
+    /** Handlebars compile options from the settings */
+    readonly compileOptions: CompileOptions | null;
+
+    /** Post-processor steps run on the outputs */
+    readonly postProcessors: PostProcessorStep[] | null;
+
+    /** Commands run on the files the template wrote */
+    readonly postGenerate: PostGenerateCommand[] | null;
+
+    /** Names of the template settings */
+    static Names: string[];
+
+    /** Names of the supported compile options */
+    static CompileOptionNames: string[];
+
     /** Split marker */
     readonly splitOn: string | null;
 
@@ -445,39 +952,80 @@ declare namespace GeneratorHandlebars {
     /**
      * Registers a custom helper.
      */
-    function registerHelper(name: string, fn: Handlebars.HelperDelegate): void;
+    function registerHelper(
+      name: string,
+      fn: Handlebars.HelperDelegate,
+      handlebars?: typeof Handlebars
+    ): void;
 
     /**
      * Registers a partial template.
      */
-    function registerPartial(name: string, template: string): void;
+    function registerPartial(name: string, template: string, handlebars?: typeof Handlebars): void;
 
     /**
      * Registers a partial from a file.
      */
-    function registerPartialFromFile(name: string, filePath: string): void;
+    function registerPartialFromFile(
+      name: string,
+      filePath: string,
+      handlebars?: typeof Handlebars
+    ): void;
 
     /**
      * Loads all partials from a directory.
      * @returns Array of registered partial names
      */
-    function loadPartialsFromDirectory(directory: string): string[];
+    function loadPartialsFromDirectory(directory: string, handlebars?: typeof Handlebars): string[];
+
+    /**
+     * Registers a layout for use with {{#extend "name"}}.
+     */
+    function registerLayout(name: string, template: string, handlebars?: typeof Handlebars): void;
+
+    /**
+     * Loads all layouts (.hbs.layout / .layout.hbs) from a directory.
+     * @returns Array of registered layout names
+     */
+    function loadLayoutsFromDirectory(directory: string, handlebars?: typeof Handlebars): string[];
+
+    /**
+     * Checks whether a file name denotes a partial or layout rather than a template.
+     */
+    function isPartialOrLayoutFile(fileName: string): boolean;
 
     /**
      * Unregisters a partial.
      */
-    function unregisterPartial(name: string): void;
+    function unregisterPartial(name: string, handlebars?: typeof Handlebars): void;
 
     /**
      * Gets all registered partials.
      */
-    function getPartials(): { [name: string]: Handlebars.Template };
+    function getPartials(handlebars?: typeof Handlebars): { [name: string]: Handlebars.Template };
 
     /**
-     * Gets the Handlebars instance.
+     * Gets the shared Handlebars environment.
      */
     function getHandlebars(): typeof Handlebars;
 
+    /**
+     * Creates an isolated Handlebars environment with the built-in helpers installed, and
+     * the helpers and partials registered on the shared environment so far.
+     */
+    function createEnvironment(): typeof Handlebars;
+
+    /**
+     * Copies the helpers and partials of the shared environment that an environment does
+     * not have yet.
+     */
+    function inheritSharedRegistrations(handlebars: typeof Handlebars): typeof Handlebars;
+
+    /**
+     * Installs the built-in helpers into an existing environment.
+     */
+    function registerBuiltInHelpers(handlebars: typeof Handlebars): typeof Handlebars;
+
     /** Reference to Helpers module */
     const Helpers: typeof GeneratorHandlebars.Helpers;
   }
@@ -519,12 +1067,20 @@ declare namespace GeneratorHandlebars {
 
     /** Transform result before writing */
     transformResult?: (result: any) => any;
+
+    /** Output post-processors */
+    postProcessors?: { [name: string]: PostProcessorFunction };
   }
 
   /**
    * Manages plugins for the generator.
    */
   class PluginManager {
+    constructor(handlebars?: typeof Handlebars);
+
+    /** Handlebars environment plugins are registered into */
+    readonly handlebars: typeof Handlebars;
+
     /** Registered plugin names */
     readonly plugins: string[];
 
@@ -583,6 +1139,17 @@ declare namespace GeneratorHandlebars {
      * Creates a partial plugin.
      */
     static createPartialPlugin(name: string, partials: { [name: string]: string }): Plugin;
+
+    /**
+     * Creates a post-processor plugin.
+     */
+    static createPostProcessorPlugin(
+      name: string,
+      postProcessors: { [name: string]: PostProcessorFunction }
+    ): Plugin;
+
+    /** Output post-processors registered by plugins */
+    readonly postProcessors: { [name: string]: PostProcessorFunction };
   }
 
   /** Singleton plugin manager instance */
@@ -598,8 +1165,12 @@ declare namespace GeneratorHandlebars {
   interface GeneratorConfig {
     /** Template directory path */
     templateDirectory?: string;
-    /** Output directory path */
+    /** Output directory export paths are resolved against, relative to the config file */
     outputDirectory?: string;
+    /** Allow export paths outside the output directory */
+    allowOutsideOutputRoot?: boolean;
+    /** What happens when outputs are written to the same file */
+    collisions?: CollisionMode;
     /** Model file path */
     modelPath?: string | null;
     /** Template file extension */
@@ -624,6 +1195,21 @@ declare namespace GeneratorHandlebars {
     plugins?: string[];
     /** Environment variables */
     environment?: { [name: string]: string };
+    /** Default Handlebars compile options for all templates */
+    compileOptions?: CompileOptions;
+    /** Static assets to copy, with outputPath relative to the config file */
+    assets?: StaticAssetOptions | null;
+    /** Post-processor steps by output path glob pattern */
+    postProcessors?: PostProcessorPatterns | null;
+    /** Commands run on the written files after generating */
+    postGenerate?: PostGenerateCommand[] | null;
+    /**
+     * Manifest of the generated files: true for the output directory (the default when one is
+     * set, otherwise the working directory), a path, or false
+     */
+    manifest?: boolean | string;
+    /** Only write files whose content changed */
+    incremental?: boolean;
   }
 
   /**
@@ -668,6 +1254,12 @@ declare namespace GeneratorHandlebars {
      */
     load(configPath?: string | null): GeneratorConfig;
 
+    /**
+     * Checks whether the loaded config file sets an option.
+     * @param key - The option name
+     */
+    isConfigured(key: keyof GeneratorConfig): boolean;
+
     /**
      * Applies CLI options as overrides.
      */
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { FileHelper } = require('./FileHelper');
+const { ProtectedRegions } = require('./ProtectedRegions');
+
+/**
+ * Remembers a checksum of the content last generated for each file, so a later run
+ * can tell whether a developer has edited the file since.
+ *
+ * Checksums are kept in a `.generator-checksums.json` file in each output directory,
+ * keyed by file name, or stamped into a header line at the top of the file itself. A loader
+ * keeping a manifest records them there instead (see Manifest). Protected region bodies are
+ * ignored when computing checksums.
+ */
+class ChecksumStore {
+  static FileName = '.generator-checksums.json';
+  static HeaderPlaceholder = '{checksum}';
+
+  /**
+   * Computes the checksum of generated content.
+   * @param {string} content - The file content.
+   * @returns {string} A hex encoded SHA-256 hash.
+   */
+  static compute(content) {
+    return crypto.createHash('sha256').update(ProtectedRegions.strip(content)).digest('hex');
+  }
+
+  /**
+   * Gets the path of the store that holds the checksum of a file.
+   * @param {string} filePath - The generated file path.
+   * @returns {string}
+   */
+  static getStorePath(filePath) {
+    return path.join(path.dirname(filePath), ChecksumStore.FileName);
+  }
+
+  /**
+   * Checks whether content matches the checksum recorded for a file.
+   * @param {string} filePath - The generated file path.
+   * @param {string} content - The current file content.
+   * @returns {boolean|null} Whether the content is unchanged, or null if no checksum was
+   *   recorded for the file.
+   */
+  static isUnchanged(filePath, content) {
+    const storePath = ChecksumStore.getStorePath(filePath);
+    const checksums = ChecksumStore._parse(
+      FileHelper.existsSync(storePath) ? fs.readFileSync(storePath, 'utf8') : null
+    );
+    return ChecksumStore.matches(checksums[path.basename(filePath)], content);
+  }
+
+  /**
+   * Checks whether content matches the checksum recorded for a file asynchronously.
+   * @param {string} filePath - The generated file path.
+   * @param {string} content - The current file content.
+   * @returns {Promise<boolean|null>} As for isUnchanged().
+   */
+  static async isUnchangedAsync(filePath, content) {
+    const storePath = ChecksumStore.getStorePath(filePath);
+    const checksums = ChecksumStore._parse(
+      (await FileHelper.exists(storePath)) ? await fsPromises.readFile(storePath, 'utf8') : null
+    );
+    return ChecksumStore.matches(checksums[path.basename(filePath)], content);
+  }
+
+  /**
+   * Checks content against a recorded checksum.
+   * @param {string|undefined|null} checksum - The recorded checksum, if any.
+   * @param {string} content - The current file content.
+   * @returns {boolean|null} Whether the content matches, or null without a checksum.
+   */
+  static matches(checksum, content) {
+    return checksum ? checksum === ChecksumStore.compute(content) : null;
+  }
+
+  /**
+   * Records the checksum of the content written to a file.
+   * @param {string} filePath - The generated file path.
+   * @param {string} content - The written content.
+   */
+  static record(filePath, content) {
+    const storePath = ChecksumStore.getStorePath(filePath);
+    const checksums = ChecksumStore._parse(
+      FileHelper.existsSync(storePath) ? fs.readFileSync(storePath, 'utf8') : null
+    );
+    checksums[path.basename(filePath)] = ChecksumStore.compute(content);
+    fs.writeFileSync(storePath, JSON.stringify(checksums, null, 2));
+  }
+
+  /**
+   * Records the checksum of the content written to a file asynchronously.
+   * @param {string} filePath - The generated file path.
+   * @param {string} content - The written content.
+   * @returns {Promise<void>}
+   */
+  static async recordAsync(filePath, content) {
+    const storePath = ChecksumStore.getStorePath(filePath);
+    const checksums = ChecksumStore._parse(
+      (await FileHelper.exists(storePath)) ? await fsPromises.readFile(storePath, 'utf8') : null
+    );
+    checksums[path.basename(filePath)] = ChecksumStore.compute(content);
+    await fsPromises.writeFile(storePath, JSON.stringify(checksums, null, 2));
+  }
+
+  /**
+   * Prepends a header line holding the checksum of content.
+   * @param {string} content - The generated content.
+   * @param {string} format - The header line, with a `{checksum}` placeholder.
+   * @returns {string} The stamped content.
+   */
+  static stampHeader(content, format) {
+    const header = format.replace(ChecksumStore.HeaderPlaceholder, ChecksumStore.compute(content));
+    return `${header}\n${content}`;
+  }
+
+  /**
+   * Reads the checksum header that stampHeader() put on the first line of content.
+   * @param {string} content - The file content.
+   * @param {string} format - The header line, with a `{checksum}` placeholder.
+   * @returns {{checksum: string, body: string}|null} The recorded checksum and the content
+   *   below the header, or null if the first line is not a checksum header.
+   */
+  static readHeader(content, format) {
+    const newline = content.indexOf('\n');
+    const firstLine = (newline < 0 ? content : content.substring(0, newline)).replace(/\r$/, '');
+    const [prefix, suffix] = format.split(ChecksumStore.HeaderPlaceholder);
+
+    if (
+      firstLine.length < prefix.length + suffix.length ||
+      !firstLine.startsWith(prefix) ||
+      !firstLine.endsWith(suffix)
+    ) {
+      return null;
+    }
+
+    return {
+      checksum: firstLine.substring(prefix.length, firstLine.length - suffix.length),
+      body: newline < 0 ? '' : content.substring(newline + 1),
+    };
+  }
+
+  /**
+   * Checks content against its checksum header.
+   * @param {string} content - The file content.
+   * @param {string} format - The header line, with a `{checksum}` placeholder.
+   * @returns {boolean|null} Whether the body matches the header, or null if the content
+   *   has no checksum header.
+   */
+  static checkHeader(content, format) {
+    const header = ChecksumStore.readHeader(content, format);
+    return header ? header.checksum === ChecksumStore.compute(header.body) : null;
+  }
+
+  /**
+   * Parses store content, treating missing or corrupt stores as empty.
+   * @param {string|null} json - The store content.
+   * @returns {object}
+   * @private
+   */
+  static _parse(json) {
+    if (!json) {
+      return {};
+    }
+    try {
+      return JSON.parse(json);
+    } catch {
+      return {};
+    }
+  }
+}
+
+module.exports = { ChecksumStore };
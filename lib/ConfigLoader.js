@@ -7,6 +7,7 @@ const path = require('path');
 const DEFAULT_CONFIG = {
   templateDirectory: './templates',
   outputDirectory: './output',
+  allowOutsideOutputRoot: false,
   modelPath: null,
   extension: '.hbs',
   recurse: true,
@@ -19,6 +20,13 @@ const DEFAULT_CONFIG = {
   partials: {},
   plugins: [],
   environment: {},
+  compileOptions: {},
+  assets: null,
+  postProcessors: null,
+  postGenerate: null,
+  collisions: 'error',
+  manifest: true,
+  incremental: false,
 };
 
 /**
@@ -44,6 +52,7 @@ class ConfigLoader {
     this._basePath = basePath;
     this._config = { ...DEFAULT_CONFIG };
     this._configPath = null;
+    this._fileConfig = {};
     this._isLoaded = false;
   }
 
@@ -79,6 +88,15 @@ class ConfigLoader {
     return this._isLoaded;
   }
 
+  /**
+   * Checks whether the loaded config file sets an option, rather than it keeping its default.
+   * @param {string} key - The option name, such as 'outputDirectory'.
+   * @returns {boolean}
+   */
+  isConfigured(key) {
+    return Object.prototype.hasOwnProperty.call(this._fileConfig, key);
+  }
+
   /**
    * Finds a configuration file in the base path or parent directories.
    * @param {boolean} [searchParents=true] - Whether to search parent directories.
@@ -118,6 +136,7 @@ class ConfigLoader {
     this._configPath = configPath || this.findConfigFile();
 
     if (!this._configPath) {
+      this._fileConfig = {};
       this._isLoaded = false;
       return this._config;
     }
@@ -139,6 +158,7 @@ class ConfigLoader {
 
       // Merge with defaults
       this._config = this._mergeConfig(DEFAULT_CONFIG, fileConfig);
+      this._fileConfig = fileConfig;
       this._isLoaded = true;
     } catch (error) {
       throw new Error(`Failed to load config from "${this._configPath}": ${error.message}`);
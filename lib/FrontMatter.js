@@ -0,0 +1,117 @@
+/**
+ * FrontMatter module - reads template settings embedded at the top of a `.hbs` file.
+ *
+ * The block is delimited by `---` lines and holds YAML (which includes plain JSON).
+ * Use `---json` as the opening line to parse the block strictly as JSON:
+ *
+ *   ---
+ *   Target: Entities
+ *   ExportPath: ./Generated/{{item.Name}}.cs
+ *   ---
+ *   public class {{item.Name}} {}
+ *
+ * Templates whose output itself starts with a `---` block, such as Markdown pages with a
+ * YAML header or YAML documents, keep it: a `---` block is only front matter when it is a
+ * map of template settings. A `---json` block is always front matter.
+ *
+ * @module FrontMatter
+ */
+
+const YAML = require('yaml');
+const { SettingsError } = require('./GeneratorError');
+const { TemplateSettings } = require('./TemplateSettings');
+
+const SETTING_NAMES = new Set([...TemplateSettings.Names, 'Extends']);
+
+/**
+ * Matches a front-matter block at the very start of the content.
+ * Groups: 1 = format ("json" or empty), 2 = block body.
+ */
+const FRONT_MATTER_PATTERN = /^\uFEFF?---(json)?[ \t]*\r?\n([\s\S]*?)^---[ \t]*(?:\r?\n|$)/m;
+
+class FrontMatter {
+  /**
+   * Splits template content into its front-matter data and the template body.
+   * @param {string} content - The raw template file content.
+   * @param {string} [fileName] - The template file name, for error messages.
+   * @returns {{data: object|null, body: string, lineCount: number}} The parsed settings
+   *   (null when there is no front matter), the remaining template body and the number
+   *   of lines the front matter occupied.
+   * @throws {SettingsError} If a `---json` block cannot be parsed or is not an object.
+   */
+  static parse(content, fileName) {
+    const match = FRONT_MATTER_PATTERN.exec(content);
+    const none = { data: null, body: content, lineCount: 0 };
+
+    if (!match || match.index !== 0) {
+      return none;
+    }
+
+    const [block, format, source] = match;
+    const data =
+      format === 'json' ? FrontMatter._parseJson(source, fileName) : FrontMatter._parseYaml(source);
+
+    if (!data) {
+      return none;
+    }
+
+    return {
+      data,
+      body: content.substring(block.length),
+      lineCount: block.split('\n').length - 1,
+    };
+  }
+
+  /**
+   * Parses a `---json` block.
+   * @param {string} source - The block body.
+   * @param {string} [fileName] - The template file name, for error messages.
+   * @returns {object} The settings.
+   * @throws {SettingsError} If the block cannot be parsed or is not an object.
+   * @private
+   */
+  static _parseJson(source, fileName) {
+    let data;
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new SettingsError(`Invalid front matter: ${error.message}`, {
+        file: fileName,
+        code: 'SETTINGS_INVALID_FRONT_MATTER',
+        cause: error,
+      });
+    }
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new SettingsError('Invalid front matter: expected a map of template settings', {
+        file: fileName,
+        code: 'SETTINGS_INVALID_FRONT_MATTER',
+      });
+    }
+    return data;
+  }
+
+  /**
+   * Parses a `---` block, which is only front matter when it is a map of known setting
+   * names; otherwise it belongs to the template output.
+   * @param {string} source - The block body.
+   * @returns {object|null} The settings, or null if the block is not front matter.
+   * @private
+   */
+  static _parseYaml(source) {
+    let data;
+    try {
+      data = YAML.parse(source);
+    } catch {
+      return null;
+    }
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return null;
+    }
+    const keys = Object.keys(data);
+    return keys.length > 0 && keys.every((key) => SETTING_NAMES.has(key)) ? data : null;
+  }
+}
+
+module.exports = { FrontMatter };
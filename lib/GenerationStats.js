@@ -18,6 +18,9 @@ class GenerationStats {
     this._failedTemplates = 0;
     this._totalFiles = 0;
     this._totalBytes = 0;
+    this._fileStats = [];
+    this._assetFiles = 0;
+    this._commands = [];
     this._errors = [];
   }
 
@@ -49,10 +52,85 @@ class GenerationStats {
       bytes: 0,
       success: false,
       error: null,
+      outputs: [],
     });
     this._totalTemplates++;
   }
 
+  /**
+   * Records how a generated file was written.
+   * @param {string} templateName - The template name.
+   * @param {object} file - The file outcome.
+   * @param {string} file.filePath - The output file path.
+   * @param {string} file.writeMode - The write mode used.
+   * @param {string|null} file.status - "created", "updated", "appended", "unchanged" or
+   *   "skipped".
+   * @param {string|null} [file.skipReason] - Why the file was skipped.
+   */
+  recordFile(templateName, file) {
+    const entry = {
+      template: templateName,
+      filePath: file.filePath,
+      writeMode: file.writeMode,
+      status: file.status,
+      skipReason: file.skipReason || null,
+    };
+
+    this._fileStats.push(entry);
+
+    const stats = this._templateStats.get(templateName);
+    if (stats) {
+      stats.outputs.push(entry);
+    }
+  }
+
+  /**
+   * Records how a static asset was copied. Assets count as generated files, without a
+   * template.
+   * @param {object} asset - The copy outcome.
+   * @param {string} asset.source - The asset path in the template directory.
+   * @param {string} asset.filePath - The output file path.
+   * @param {string} asset.status - "created", "updated", "unchanged" or "skipped".
+   * @param {string|null} [asset.skipReason] - Why the asset was skipped.
+   * @param {number} asset.bytes - The asset size.
+   */
+  recordAsset(asset) {
+    this._fileStats.push({
+      template: null,
+      source: asset.source,
+      filePath: asset.filePath,
+      writeMode: 'copy',
+      status: asset.status,
+      skipReason: asset.skipReason || null,
+    });
+    this._assetFiles++;
+    this._totalFiles++;
+    this._totalBytes += asset.bytes;
+  }
+
+  /**
+   * Records a PostGenerate command run.
+   * @param {object} result - The run outcome.
+   * @param {string} result.command - The command.
+   * @param {string[]} result.files - The files it was given.
+   * @param {number|null} result.exitCode - The exit code, or null if it did not exit.
+   * @param {string} result.stdout - The standard output.
+   * @param {string} result.stderr - The standard error.
+   * @param {number} result.duration - How long it ran, in milliseconds.
+   * @param {string|null} [result.error] - Why it could not run or was terminated.
+   */
+  recordCommand(result) {
+    this._commands.push({
+      command: result.command,
+      files: result.files,
+      exitCode: result.exitCode,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      duration: result.duration,
+      error: result.error || null,
+    });
+  }
+
   /**
    * Records a template generation completion.
    * @param {string} templateName - The template name.
@@ -135,6 +213,14 @@ class GenerationStats {
     return this._totalFiles;
   }
 
+  /**
+   * Gets the number of static assets copied or found unchanged.
+   * @returns {number}
+   */
+  get assetFiles() {
+    return this._assetFiles;
+  }
+
   /**
    * Gets the total bytes generated.
    * @returns {number}
@@ -151,6 +237,44 @@ class GenerationStats {
     return Array.from(this._templateStats.values());
   }
 
+  /**
+   * Gets the recorded outcome of every written file.
+   * @returns {Array<{template: string, filePath: string, writeMode: string, status: string|null, skipReason: string|null}>}
+   */
+  get fileStats() {
+    return this._fileStats;
+  }
+
+  /**
+   * Gets the PostGenerate command runs.
+   * @returns {Array<{command: string, files: string[], exitCode: number|null, stdout: string, stderr: string, duration: number, error: string|null}>}
+   */
+  get commands() {
+    return this._commands;
+  }
+
+  /**
+   * Gets the PostGenerate command runs that failed to run or exited with an error.
+   * @returns {Array}
+   */
+  get failedCommands() {
+    return this._commands.filter((command) => command.error || command.exitCode !== 0);
+  }
+
+  /**
+   * Counts recorded files by write status.
+   * @returns {{created: number, updated: number, unchanged: number, appended: number, skipped: number}}
+   */
+  get writeCounts() {
+    const counts = { created: 0, updated: 0, unchanged: 0, appended: 0, skipped: 0 };
+    for (const file of this._fileStats) {
+      if (file.status in counts) {
+        counts[file.status]++;
+      }
+    }
+    return counts;
+  }
+
   /**
    * Gets all errors.
    * @returns {Array}
@@ -198,8 +322,17 @@ class GenerationStats {
         failed: this._failedTemplates,
       },
       files: this._totalFiles,
+      assets: this._assetFiles,
       bytes: this._totalBytes,
       bytesFormatted: GenerationStats.formatBytes(this._totalBytes),
+      writes: this.writeCounts,
+      commands: this._commands.map((command) => ({
+        command: command.command,
+        files: command.files.length,
+        exitCode: command.exitCode,
+        duration: command.duration,
+        error: command.error,
+      })),
       errors: this._errors,
     };
   }
@@ -218,8 +351,22 @@ class GenerationStats {
     lines.push(`Duration:   ${GenerationStats.formatDuration(this.duration || 0)}`);
     lines.push(`Templates:  ${this._successfulTemplates}/${this._totalTemplates} successful`);
     lines.push(`Files:      ${this._totalFiles}`);
+    if (this._assetFiles > 0) {
+      lines.push(`Assets:     ${this._assetFiles}`);
+    }
     lines.push(`Size:       ${GenerationStats.formatBytes(this._totalBytes)}`);
 
+    if (this._fileStats.length > 0) {
+      const counts = this.writeCounts;
+      lines.push(
+        `Written:    ${counts.created} created, ${counts.updated} updated, ${counts.appended} appended, ${counts.skipped} skipped, ${counts.unchanged} unchanged`
+      );
+    }
+
+    if (this._commands.length > 0) {
+      lines.push(`Commands:   ${this._commands.length} run, ${this.failedCommands.length} failed`);
+    }
+
     if (this._failedTemplates > 0) {
       lines.push(`Errors:     ${this._failedTemplates}`);
     }
@@ -237,6 +384,11 @@ class GenerationStats {
           `    Duration: ${duration}, Files: ${stats.files}, Size: ${GenerationStats.formatBytes(stats.bytes)}`
         );
 
+        for (const output of stats.outputs) {
+          const reason = output.skipReason ? `, ${output.skipReason}` : '';
+          lines.push(`    ${output.status}: ${output.filePath} (${output.writeMode}${reason})`);
+        }
+
         if (stats.error) {
           lines.push(`    Error: ${stats.error}`);
         }
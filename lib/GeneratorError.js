@@ -122,6 +122,34 @@ class TemplateGenerateError extends GeneratorError {
     super(message, { ...context, code: context.code || 'TEMPLATE_GENERATE_ERROR' });
     this.name = 'TemplateGenerateError';
   }
+
+  /**
+   * Creates error for a lookup of an undefined model path.
+   * @param {Object} miss - The missing property
+   * @param {string} miss.template - Template name
+   * @param {string} miss.file - Template path, or partial name
+   * @param {number} miss.line - Template line
+   * @param {number} miss.column - Template column
+   * @param {string} miss.path - The model path looked up
+   * @param {string|null} [miss.item] - Name of the item being rendered
+   * @returns {TemplateGenerateError}
+   */
+  static missingProperty(miss) {
+    const item = miss.item ? ` while rendering item "${miss.item}"` : '';
+    const error = new TemplateGenerateError(
+      `"${miss.path}" is not defined in template "${miss.template}" at ${miss.file}:${miss.line}:${miss.column}${item}`,
+      {
+        template: miss.template,
+        file: miss.file,
+        line: miss.line,
+        code: 'MISSING_PROPERTY',
+      }
+    );
+    error.column = miss.column;
+    error.path = miss.path;
+    error.item = miss.item || null;
+    return error;
+  }
 }
 
 /**
@@ -197,6 +225,18 @@ class FileError extends GeneratorError {
       cause,
     });
   }
+
+  /**
+   * Creates error for a file that must not exist yet.
+   * @param {string} filePath - File path
+   * @returns {FileError}
+   */
+  static alreadyExists(filePath) {
+    return new FileError(`File already exists: ${filePath}`, {
+      file: filePath,
+      code: 'FILE_ALREADY_EXISTS',
+    });
+  }
 }
 
 /**
@@ -0,0 +1,68 @@
+/**
+ * Glob module - matches relative paths against glob patterns.
+ *
+ * Supported syntax:
+ * - `*` matches any characters except `/`.
+ * - `**` matches any characters, `/` included; `**\/` also matches no directory at all.
+ * - `?` matches one character except `/`.
+ * - `{a,b}` matches either alternative.
+ *
+ * A pattern without a `/` matches file names in any directory, so `*.png` matches
+ * `images/logo.png`. Paths are compared with `/` separators.
+ *
+ * @module Glob
+ */
+
+const SPECIAL_CHARACTERS = '\\^$.|+()[]{}';
+
+class Glob {
+  /**
+   * Converts a glob pattern to a regular expression matching whole paths.
+   * @param {string} pattern - The glob pattern.
+   * @returns {RegExp}
+   */
+  static toRegExp(pattern) {
+    const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+    let source = normalized.includes('/') ? '' : '(?:.*/)?';
+    let alternatives = 0;
+
+    for (let index = 0; index < normalized.length; index++) {
+      const char = normalized[index];
+
+      if (char === '*' && normalized[index + 1] === '*') {
+        const directories = normalized[index + 2] === '/';
+        source += directories ? '(?:.*/)?' : '.*';
+        index += directories ? 2 : 1;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '{') {
+        source += '(?:';
+        alternatives++;
+      } else if (char === '}' && alternatives > 0) {
+        source += ')';
+        alternatives--;
+      } else if (char === ',' && alternatives > 0) {
+        source += '|';
+      } else {
+        source += SPECIAL_CHARACTERS.includes(char) ? `\\${char}` : char;
+      }
+    }
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Checks whether a path matches any of the patterns.
+   * @param {string} relativePath - The path, relative to the directory the patterns apply to.
+   * @param {string[]} patterns - The glob patterns.
+   * @returns {boolean}
+   */
+  static matches(relativePath, patterns) {
+    const normalized = relativePath.replace(/\\/g, '/');
+    return patterns.some((pattern) => Glob.toRegExp(pattern).test(normalized));
+  }
+}
+
+module.exports = { Glob };
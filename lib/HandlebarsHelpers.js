@@ -1,8 +1,9 @@
 /**
  * HandlebarsHelpers module - registers custom Handlebars helpers and partials.
  *
- * This module registers all custom helpers from Helpers.js with Handlebars.
- * Import this module once at application startup to enable all helpers in templates.
+ * This module installs all custom helpers from Helpers.js into isolated Handlebars
+ * environments created with `Handlebars.create()`. The global `handlebars` module is
+ * never modified; module-level registrations go to a shared default environment.
  *
  * @module HandlebarsHelpers
  */
@@ -11,70 +12,159 @@ const fs = require('fs');
 const path = require('path');
 const Helpers = require('./Helpers');
 const Handlebars = require('handlebars');
+const { registerLayoutHelpers } = require('./LayoutHelpers');
 
-// Conditional helpers
-Handlebars.registerHelper('ifEquals', Helpers.ifEquals);
-Handlebars.registerHelper('ifNotEquals', Helpers.ifNotEquals);
-Handlebars.registerHelper('compare', Helpers.compare);
-
-// String transformation helpers
-Handlebars.registerHelper('camelCase', Helpers.camelCase);
-Handlebars.registerHelper('upperCase', Helpers.upperCase);
-Handlebars.registerHelper('lowerCase', Helpers.lowerCase);
-Handlebars.registerHelper('replace', Helpers.replace);
-Handlebars.registerHelper('concat', Helpers.concat);
-Handlebars.registerHelper('pluralize', Helpers.pluralize);
-Handlebars.registerHelper('singularize', Helpers.singularize);
-Handlebars.registerHelper('kebabCase', Helpers.kebabCase);
-Handlebars.registerHelper('snakeCase', Helpers.snakeCase);
-Handlebars.registerHelper('pascalCase', Helpers.pascalCase);
-Handlebars.registerHelper('capitalize', Helpers.capitalize);
-Handlebars.registerHelper('truncate', Helpers.truncate);
-Handlebars.registerHelper('pad', Helpers.pad);
-Handlebars.registerHelper('trim', Helpers.trim);
-Handlebars.registerHelper('repeat', Helpers.repeat);
-Handlebars.registerHelper('startsWith', Helpers.startsWith);
-Handlebars.registerHelper('endsWith', Helpers.endsWith);
-
-// Type helpers
-Handlebars.registerHelper('getType', Helpers.getType);
-Handlebars.registerHelper('isSystemType', Helpers.isSystemType);
-Handlebars.registerHelper('hasSystemType', Helpers.hasSystemType);
-Handlebars.registerHelper('getSqlType', Helpers.getSqlType);
-Handlebars.registerHelper('getSystemType', Helpers.getSystemType);
-Handlebars.registerHelper('isNumber', Helpers.isNumber);
-Handlebars.registerHelper('isEmpty', Helpers.isEmpty);
-
-// Collection helpers
-Handlebars.registerHelper('findIn', Helpers.findIn);
-Handlebars.registerHelper('existsIn', Helpers.existsIn);
-Handlebars.registerHelper('any', Helpers.any);
-Handlebars.registerHelper('first', Helpers.first);
-Handlebars.registerHelper('last', Helpers.last);
-Handlebars.registerHelper('orderBy', Helpers.orderBy);
-Handlebars.registerHelper('where', Helpers.where);
-Handlebars.registerHelper('contains', Helpers.contains);
-Handlebars.registerHelper('join', Helpers.join);
-Handlebars.registerHelper('split', Helpers.split);
-Handlebars.registerHelper('unique', Helpers.unique);
-Handlebars.registerHelper('groupBy', Helpers.groupBy);
-Handlebars.registerHelper('count', Helpers.count);
-Handlebars.registerHelper('length', Helpers.length);
-Handlebars.registerHelper('slice', Helpers.slice);
-Handlebars.registerHelper('reverse', Helpers.reverse);
-
-// Date helpers
-Handlebars.registerHelper('formatDate', Helpers.formatDate);
-Handlebars.registerHelper('now', Helpers.now);
-
-// Utility helpers
-Handlebars.registerHelper('write', (value) => value);
-Handlebars.registerHelper('default', Helpers.defaultValue);
-Handlebars.registerHelper('coalesce', Helpers.coalesce);
-Handlebars.registerHelper('math', Helpers.math);
-Handlebars.registerHelper('toJson', Helpers.toJson);
-Handlebars.registerHelper('env', Helpers.env);
-Handlebars.registerHelper('debug', Helpers.debug);
+const PARTIAL_EXTENSIONS = ['.hbs.partial', '.partial.hbs'];
+const LAYOUT_EXTENSIONS = ['.hbs.layout', '.layout.hbs'];
+
+/**
+ * Built-in helpers installed into every Handlebars environment, keyed by helper name.
+ */
+const builtInHelpers = {
+  // Conditional helpers
+  ifEquals: Helpers.ifEquals,
+  ifNotEquals: Helpers.ifNotEquals,
+  compare: Helpers.compare,
+
+  // String transformation helpers
+  camelCase: Helpers.camelCase,
+  upperCase: Helpers.upperCase,
+  lowerCase: Helpers.lowerCase,
+  replace: Helpers.replace,
+  concat: Helpers.concat,
+  pluralize: Helpers.pluralize,
+  singularize: Helpers.singularize,
+  kebabCase: Helpers.kebabCase,
+  snakeCase: Helpers.snakeCase,
+  pascalCase: Helpers.pascalCase,
+  capitalize: Helpers.capitalize,
+  truncate: Helpers.truncate,
+  pad: Helpers.pad,
+  trim: Helpers.trim,
+  repeat: Helpers.repeat,
+  startsWith: Helpers.startsWith,
+  endsWith: Helpers.endsWith,
+
+  // Type helpers
+  getType: Helpers.getType,
+  isSystemType: Helpers.isSystemType,
+  hasSystemType: Helpers.hasSystemType,
+  getSqlType: Helpers.getSqlType,
+  getSystemType: Helpers.getSystemType,
+  isNumber: Helpers.isNumber,
+  isEmpty: Helpers.isEmpty,
+
+  // Collection helpers
+  findIn: Helpers.findIn,
+  existsIn: Helpers.existsIn,
+  any: Helpers.any,
+  first: Helpers.first,
+  last: Helpers.last,
+  orderBy: Helpers.orderBy,
+  where: Helpers.where,
+  contains: Helpers.contains,
+  join: Helpers.join,
+  split: Helpers.split,
+  unique: Helpers.unique,
+  groupBy: Helpers.groupBy,
+  count: Helpers.count,
+  length: Helpers.length,
+  slice: Helpers.slice,
+  reverse: Helpers.reverse,
+
+  // Date helpers
+  formatDate: Helpers.formatDate,
+  now: Helpers.now,
+
+  // Utility helpers
+  write: (value) => value,
+  default: Helpers.defaultValue,
+  coalesce: Helpers.coalesce,
+  math: Helpers.math,
+  toJson: Helpers.toJson,
+  env: Helpers.env,
+  debug: Helpers.debug,
+};
+
+/**
+ * Installs the built-in helpers, including the layout helpers, into a Handlebars environment.
+ * @param {Handlebars} handlebars - The Handlebars environment.
+ * @returns {Handlebars} The same environment, for chaining.
+ */
+function registerBuiltInHelpers(handlebars) {
+  handlebars.registerHelper(builtInHelpers);
+  return registerLayoutHelpers(handlebars);
+}
+
+/**
+ * Registers every file in a directory whose name ends with one of the given
+ * extensions as a partial named after the file (without extension).
+ * @param {string} directory - Path to the directory.
+ * @param {string[]} extensions - File name suffixes to match.
+ * @param {Handlebars} handlebars - Target environment.
+ * @returns {string[]} Array of registered partial names.
+ * @private
+ */
+function registerFilesAsPartials(directory, extensions, handlebars) {
+  const registered = [];
+
+  if (!fs.existsSync(directory)) {
+    return registered;
+  }
+
+  const files = fs.readdirSync(directory);
+  for (const file of files) {
+    const extension = extensions.find((ext) => file.endsWith(ext));
+    if (extension) {
+      const filePath = path.join(directory, file);
+      const name = file.slice(0, -extension.length);
+      const content = fs.readFileSync(filePath, 'utf8');
+      handlebars.registerPartial(name, content);
+      registered.push(name);
+    }
+  }
+
+  return registered;
+}
+
+// Shared environment used by the module-level registration functions below
+const defaultEnvironment = registerBuiltInHelpers(Handlebars.create());
+
+/**
+ * Copies the helpers and partials registered on the shared environment, through the
+ * module-level functions or the shared plugin manager, into an environment that does not
+ * have a helper or partial of the same name yet.
+ * @param {Handlebars} handlebars - Target environment.
+ * @returns {Handlebars} The environment.
+ */
+function inheritSharedRegistrations(handlebars) {
+  if (handlebars === defaultEnvironment) {
+    return handlebars;
+  }
+
+  for (const [name, fn] of Object.entries(defaultEnvironment.helpers)) {
+    if (!Object.prototype.hasOwnProperty.call(handlebars.helpers, name)) {
+      handlebars.registerHelper(name, fn);
+    }
+  }
+  for (const [name, partial] of Object.entries(defaultEnvironment.partials)) {
+    if (!Object.prototype.hasOwnProperty.call(handlebars.partials, name)) {
+      handlebars.registerPartial(name, partial);
+    }
+  }
+  return handlebars;
+}
+
+/**
+ * Creates an isolated Handlebars environment with the built-in helpers installed, and the
+ * helpers and partials registered on the shared environment so far. Helpers and partials
+ * registered on the returned environment do not leak into other environments or the global
+ * `handlebars` module.
+ * @returns {Handlebars} The new environment.
+ */
+function createEnvironment() {
+  return inheritSharedRegistrations(registerBuiltInHelpers(Handlebars.create()));
+}
 
 /**
  * The HandlebarsHelpers object provides access to helper and partial registration.
@@ -84,28 +174,31 @@ const HandlebarsHelpers = {
    * Registers a custom helper with Handlebars.
    * @param {string} name - The helper name.
    * @param {Function} fn - The helper function.
+   * @param {Handlebars} [handlebars] - Target environment. Defaults to the shared environment.
    */
-  registerHelper(name, fn) {
-    Handlebars.registerHelper(name, fn);
+  registerHelper(name, fn, handlebars = defaultEnvironment) {
+    handlebars.registerHelper(name, fn);
   },
 
   /**
    * Registers a partial template with Handlebars.
    * @param {string} name - The partial name (used as {{> name}}).
    * @param {string} template - The partial template content.
+   * @param {Handlebars} [handlebars] - Target environment. Defaults to the shared environment.
    */
-  registerPartial(name, template) {
-    Handlebars.registerPartial(name, template);
+  registerPartial(name, template, handlebars = defaultEnvironment) {
+    handlebars.registerPartial(name, template);
   },
 
   /**
    * Registers a partial from a file.
    * @param {string} name - The partial name (used as {{> name}}).
    * @param {string} filePath - Path to the partial file.
+   * @param {Handlebars} [handlebars] - Target environment. Defaults to the shared environment.
    */
-  registerPartialFromFile(name, filePath) {
+  registerPartialFromFile(name, filePath, handlebars = defaultEnvironment) {
     const content = fs.readFileSync(filePath, 'utf8');
-    Handlebars.registerPartial(name, content);
+    handlebars.registerPartial(name, content);
   },
 
   /**
@@ -113,53 +206,74 @@ const HandlebarsHelpers = {
    * Partials should have .hbs.partial extension.
    * The partial name is derived from the filename (without extension).
    * @param {string} directory - Path to the partials directory.
+   * @param {Handlebars} [handlebars] - Target environment. Defaults to the shared environment.
    * @returns {string[]} Array of registered partial names.
    */
-  loadPartialsFromDirectory(directory) {
-    const registered = [];
+  loadPartialsFromDirectory(directory, handlebars = defaultEnvironment) {
+    return registerFilesAsPartials(directory, PARTIAL_EXTENSIONS, handlebars);
+  },
 
-    if (!fs.existsSync(directory)) {
-      return registered;
-    }
+  /**
+   * Registers a layout for use with {{#extend "name"}}.
+   * Layouts are stored as partials, so a layout can itself extend another layout.
+   * @param {string} name - The layout name.
+   * @param {string} template - The layout template content.
+   * @param {Handlebars} [handlebars] - Target environment. Defaults to the shared environment.
+   */
+  registerLayout(name, template, handlebars = defaultEnvironment) {
+    handlebars.registerPartial(name, template);
+  },
 
-    const files = fs.readdirSync(directory);
-    for (const file of files) {
-      if (file.endsWith('.hbs.partial') || file.endsWith('.partial.hbs')) {
-        const filePath = path.join(directory, file);
-        const name = file.replace('.hbs.partial', '').replace('.partial.hbs', '');
-        const content = fs.readFileSync(filePath, 'utf8');
-        Handlebars.registerPartial(name, content);
-        registered.push(name);
-      }
-    }
+  /**
+   * Loads and registers all layouts from a directory.
+   * Layouts should have .hbs.layout or .layout.hbs extension.
+   * @param {string} directory - Path to the layouts directory.
+   * @param {Handlebars} [handlebars] - Target environment. Defaults to the shared environment.
+   * @returns {string[]} Array of registered layout names.
+   */
+  loadLayoutsFromDirectory(directory, handlebars = defaultEnvironment) {
+    return registerFilesAsPartials(directory, LAYOUT_EXTENSIONS, handlebars);
+  },
 
-    return registered;
+  /**
+   * Checks whether a file name denotes a partial or layout rather than a template.
+   * @param {string} fileName - The file name.
+   * @returns {boolean}
+   */
+  isPartialOrLayoutFile(fileName) {
+    return [...PARTIAL_EXTENSIONS, ...LAYOUT_EXTENSIONS].some((ext) => fileName.endsWith(ext));
   },
 
   /**
    * Unregisters a partial.
    * @param {string} name - The partial name to unregister.
+   * @param {Handlebars} [handlebars] - Target environment. Defaults to the shared environment.
    */
-  unregisterPartial(name) {
-    Handlebars.unregisterPartial(name);
+  unregisterPartial(name, handlebars = defaultEnvironment) {
+    handlebars.unregisterPartial(name);
   },
 
   /**
    * Gets all registered partials.
+   * @param {Handlebars} [handlebars] - Source environment. Defaults to the shared environment.
    * @returns {object} Object containing all registered partials.
    */
-  getPartials() {
-    return Handlebars.partials;
+  getPartials(handlebars = defaultEnvironment) {
+    return handlebars.partials;
   },
 
   /**
-   * Gets the Handlebars instance with registered helpers.
+   * Gets the shared Handlebars environment with registered helpers.
    * @returns {Handlebars} The Handlebars instance.
    */
   getHandlebars() {
-    return Handlebars;
+    return defaultEnvironment;
   },
 
+  createEnvironment,
+  inheritSharedRegistrations,
+  registerBuiltInHelpers,
+
   /**
    * Reference to the Helpers module.
    */
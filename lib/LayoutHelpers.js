@@ -0,0 +1,249 @@
+/**
+ * LayoutHelpers module - template inheritance with layouts and overridable blocks.
+ *
+ * Provides the `extend`, `block` and `content` helpers:
+ *
+ *   {{!-- base.hbs.layout --}}
+ *   {{#block "header"}}// default header{{/block}}
+ *   {{#block "body"}}{{/block}}
+ *
+ *   {{!-- entity.hbs --}}
+ *   {{#extend "base"}}
+ *     {{#content "body"}}class {{item.Name}} {}{{/content}}
+ *     {{#content "header" mode="append"}}// entity{{/content}}
+ *   {{/extend}}
+ *
+ * Layouts are registered as partials, so a layout may itself extend another layout.
+ *
+ * @module LayoutHelpers
+ */
+
+const { TemplateGenerateError } = require('./GeneratorError');
+
+const CONTENT_MODES = ['append', 'prepend', 'replace'];
+
+/**
+ * Gets the pending override stack stored on a render context.
+ * @param {object} context - The render context.
+ * @returns {Array<{fn: Function, data: object}>}
+ * @private
+ */
+function getStack(context) {
+  if (!context.$$layoutStack) {
+    Object.defineProperty(context, '$$layoutStack', { value: [], writable: true });
+  }
+  return context.$$layoutStack;
+}
+
+/**
+ * Gets the registered content actions for a block name.
+ * @param {object} context - The render context.
+ * @param {string} name - The block name.
+ * @returns {Array<{fn: Function, data: object, mode: string}>}
+ * @private
+ */
+function getActions(context, name) {
+  if (!context.$$layoutActions) {
+    Object.defineProperty(context, '$$layoutActions', { value: {}, writable: true });
+  }
+  if (!context.$$layoutActions[name]) {
+    context.$$layoutActions[name] = [];
+  }
+  return context.$$layoutActions[name];
+}
+
+/**
+ * Shares the layout state of an outer context with a derived context, so that
+ * overrides collected by a template survive into the layouts it extends.
+ * @param {object} target - The derived context.
+ * @param {object} source - The outer context.
+ * @private
+ */
+function inheritLayoutState(target, source) {
+  if (!source) {
+    return;
+  }
+  for (const key of ['$$layoutStack', '$$layoutActions']) {
+    if (source[key]) {
+      Object.defineProperty(target, key, { value: source[key], writable: true });
+    }
+  }
+}
+
+/**
+ * Creates the render context of a layout from the current context and the overrides
+ * merged over it. A primitive context, such as a string inside `{{#each}}`, is wrapped
+ * rather than spread, so `{{this}}` still renders the value.
+ * @param {*} self - The current context.
+ * @param {object|null} customContext - The context passed to `extend`.
+ * @param {object} hash - The hash arguments of `extend`.
+ * @returns {object} The layout context.
+ * @private
+ */
+function createLayoutContext(self, customContext, hash) {
+  // Helpers of this non-strict module see primitives boxed
+  const value =
+    self instanceof String || self instanceof Number || self instanceof Boolean
+      ? self.valueOf()
+      : self;
+
+  if (value !== null && typeof value === 'object') {
+    return Object.assign({}, value, customContext, hash);
+  }
+  return Object.assign(Object(value), customContext, hash);
+}
+
+/**
+ * Runs every pending override so their `content` actions are registered.
+ * Overrides are stacked from the outermost layout down to the extending template,
+ * so the most specific template's actions are applied last.
+ * @param {object} context - The render context.
+ * @private
+ */
+function applyStack(context) {
+  const stack = getStack(context);
+  while (stack.length > 0) {
+    const { fn, data } = stack.shift();
+    fn(context, { data });
+  }
+}
+
+/**
+ * Wraps a layout helper so that a bare mustache such as `{{content}}` still resolves
+ * to the context property of the same name, as it did before the helper existed.
+ * @param {string} name - The helper name.
+ * @param {Function} helper - The helper implementation.
+ * @returns {Function} The wrapped helper.
+ * @private
+ */
+function withPropertyFallback(name, helper) {
+  return function (...args) {
+    if (args.length === 1 && args[0] && args[0].hash !== undefined) {
+      return this === null || this === undefined ? undefined : this[name];
+    }
+    return helper.apply(this, args);
+  };
+}
+
+/**
+ * Creates the layout helpers bound to a Handlebars environment.
+ * @param {Handlebars} handlebars - The environment whose partials hold the layouts.
+ * @returns {{extend: Function, block: Function, content: Function}}
+ */
+function createLayoutHelpers(handlebars) {
+  /**
+   * Renders a layout, applying the enclosed `content` overrides to its blocks.
+   * @param {string} name - The layout name.
+   * @param {object} [customContext] - Optional context merged over the current one.
+   * @param {object} options - Handlebars options.
+   * @returns {string} The rendered layout.
+   */
+  const extend = function (name, customContext, options) {
+    if (options === undefined) {
+      options = customContext;
+      customContext = null;
+    }
+
+    let layout = handlebars.partials[name];
+    if (layout === undefined || layout === null) {
+      throw new TemplateGenerateError(
+        `Layout "${name}" not found. Add a "${name}.hbs.layout" file to the template directory or register it as a partial.`,
+        { code: 'LAYOUT_NOT_FOUND' }
+      );
+    }
+
+    if (typeof layout !== 'function') {
+      layout = handlebars.compile(layout);
+      handlebars.partials[name] = layout;
+    }
+
+    const context = createLayoutContext(this, customContext, options.hash);
+    inheritLayoutState(context, this);
+    const data = handlebars.createFrame(options.data);
+
+    getStack(context).unshift({ fn: options.fn, data });
+
+    return layout(context, { data });
+  };
+
+  /**
+   * Declares an overridable block in a layout, rendering its default content
+   * combined with any `content` overrides.
+   * @param {string} name - The block name.
+   * @param {object} options - Handlebars options.
+   * @returns {string} The rendered block.
+   */
+  const block = function (name, options) {
+    const context = this || {};
+    const data = handlebars.createFrame(options.data);
+    const fallback = options.fn ? options.fn(context, { data }) : '';
+
+    applyStack(context);
+
+    return getActions(context, name).reduce((value, action) => {
+      const rendered = action.fn(context, { data: action.data });
+      switch (action.mode) {
+        case 'append':
+          return value + rendered;
+        case 'prepend':
+          return rendered + value;
+        default:
+          return rendered;
+      }
+    }, fallback);
+  };
+
+  /**
+   * Overrides a layout block. Used inline (`{{#if (content "name")}}`), it reports
+   * whether an override exists for the block.
+   * @param {string} name - The block name.
+   * @param {object} options - Handlebars options.
+   * @returns {string|boolean} Empty string, or whether the block has overrides.
+   */
+  const content = function (name, options) {
+    const context = this || {};
+
+    if (!options.fn) {
+      applyStack(context);
+      return getActions(context, name).length > 0;
+    }
+
+    const mode = options.hash.mode || 'replace';
+    if (!CONTENT_MODES.includes(mode)) {
+      throw new TemplateGenerateError(
+        `Invalid content mode "${mode}" for block "${name}". Valid modes: ${CONTENT_MODES.join(', ')}`,
+        { code: 'LAYOUT_INVALID_MODE' }
+      );
+    }
+
+    getActions(context, name).push({
+      fn: options.fn,
+      data: handlebars.createFrame(options.data),
+      mode,
+    });
+
+    return '';
+  };
+
+  return {
+    extend: withPropertyFallback('extend', extend),
+    block: withPropertyFallback('block', block),
+    content: withPropertyFallback('content', content),
+  };
+}
+
+/**
+ * Registers the layout helpers in a Handlebars environment.
+ * @param {Handlebars} handlebars - The Handlebars environment.
+ * @returns {Handlebars} The same environment, for chaining.
+ */
+function registerLayoutHelpers(handlebars) {
+  handlebars.registerHelper(createLayoutHelpers(handlebars));
+  return handlebars;
+}
+
+module.exports = {
+  CONTENT_MODES,
+  createLayoutHelpers,
+  registerLayoutHelpers,
+};
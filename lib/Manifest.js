@@ -0,0 +1,280 @@
+/**
+ * Manifest module - records the files a generation run produced, so files the model no
+ * longer produces can be cleaned up.
+ *
+ * The manifest, `.generator-manifest.json` in the output directory by default, lists each
+ * generated file with its template, item and a SHA-256 hash of its content on disk:
+ *
+ *   { "version": 1, "files": [{ "path": "src/Order.cs", "template": "entity", "item": "Order", "hash": "..." }] }
+ *
+ * Written files also get the `checksum` of the content generated, which ChecksumStore
+ * computes, so the loader detects manual edits from the manifest rather than a
+ * `.generator-checksums.json` next to each file, and the `rendered` hash of the bytes written
+ * before PostGenerate commands ran, so incremental runs recognize files a formatter rewrote.
+ *
+ * Paths are relative to the manifest's directory. Copied static assets are listed with a
+ * null template. A file belongs to the generator once a run creates or replaces it, and
+ * stays in the manifest while a template still plans it, even when it is skipped. Appending
+ * to a file the generator does not own, such as a hand-written `.gitignore`, does not make it
+ * the generator's. Files of templates that did not generate in a run, such as failed,
+ * disabled or unloadable ones, are kept.
+ *
+ * Pruning deletes the files of the previous manifest that the templates no longer plan,
+ * including the files of templates that were removed or renamed, then the directories left
+ * empty. Files whose content no longer matches their hash were edited, so they are kept and
+ * dropped from the manifest, as are files already gone, files last written by appending,
+ * which may hold content the generator did not write, and files outside the manifest's
+ * directory. Files the generator did not write are never touched.
+ *
+ * @module Manifest
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { FileHelper } = require('./FileHelper');
+const { FileError } = require('./GeneratorError');
+const { OutputRoot } = require('./OutputRoot');
+
+const OWNING_STATUSES = ['created', 'updated'];
+
+class Manifest {
+  static FileName = '.generator-manifest.json';
+  static Version = 1;
+
+  /**
+   * Gets the manifest path in a directory.
+   * @param {string} directory - The output directory.
+   * @returns {string}
+   */
+  static defaultPath(directory) {
+    return path.join(path.resolve(directory), Manifest.FileName);
+  }
+
+  /**
+   * Reads the entries of a manifest.
+   * @param {string} manifestPath - The manifest file.
+   * @returns {Array<{filePath: string, template: string, item: string|null, hash: string, checksum: string|null, rendered: string|null, appended: boolean}>}
+   *   The entries with absolute paths, or none if there is no manifest yet.
+   * @throws {FileError} If the manifest is not valid JSON.
+   */
+  static read(manifestPath) {
+    if (!FileHelper.existsSync(manifestPath)) {
+      return [];
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new FileError(`Invalid manifest ${manifestPath}: ${error.message}`, {
+        file: manifestPath,
+        code: 'MANIFEST_INVALID',
+        cause: error,
+      });
+    }
+
+    const directory = path.dirname(manifestPath);
+    return (Array.isArray(data.files) ? data.files : []).map((file) => ({
+      filePath: path.resolve(directory, file.path),
+      template: file.template,
+      item: file.item || null,
+      hash: file.hash,
+      checksum: file.checksum || null,
+      rendered: file.rendered || null,
+      appended: file.appended === true,
+    }));
+  }
+
+  /**
+   * Writes a manifest.
+   * @param {string} manifestPath - The manifest file.
+   * @param {Array<{filePath: string, template: string, item: string|null, hash: string, checksum?: string|null, rendered?: string|null, appended?: boolean}>} entries
+   *   - The entries.
+   */
+  static write(manifestPath, entries) {
+    const directory = path.dirname(manifestPath);
+    const files = entries
+      .map((entry) => ({
+        path: path.relative(directory, entry.filePath).split(path.sep).join('/'),
+        template: entry.template,
+        item: entry.item,
+        hash: entry.hash,
+        ...(entry.checksum && { checksum: entry.checksum }),
+        ...(entry.rendered && { rendered: entry.rendered }),
+        ...(entry.appended && { appended: true }),
+      }))
+      .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+    FileHelper.ensureDirectoryExists(directory);
+    fs.writeFileSync(
+      manifestPath,
+      `${JSON.stringify({ version: Manifest.Version, files }, null, 2)}\n`
+    );
+  }
+
+  /**
+   * Computes the hash of a file's content.
+   * @param {string} filePath - The file.
+   * @returns {string|null} A hex encoded SHA-256 hash, or null if the file does not exist.
+   */
+  static hash(filePath) {
+    if (!FileHelper.existsSync(filePath)) {
+      return null;
+    }
+    return Manifest.hashContent(fs.readFileSync(filePath));
+  }
+
+  /**
+   * Computes the hash of content.
+   * @param {Buffer|string} data - The content.
+   * @returns {string} A hex encoded SHA-256 hash.
+   */
+  static hashContent(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * Lists the files of a run: the files created or replaced, and the files of the previous
+   * manifest the templates still plan.
+   * @param {Array<{template: string|null, results: object[]}>} outputs - The results of each
+   *   generated template, and the copied assets with a null template.
+   * @param {object[]} previous - The entries of the previous manifest.
+   * @returns {object[]} The entries.
+   */
+  static collect(outputs, previous) {
+    const owned = new Map(previous.map((entry) => [entry.filePath, entry]));
+    const entries = new Map();
+
+    for (const { template, results } of outputs) {
+      for (const result of results) {
+        const filePath = path.resolve(result.filePath);
+        const ownership = Manifest._ownership(result, filePath, owned.get(filePath));
+
+        if (ownership && ownership.hash) {
+          entries.set(filePath, { filePath, template, item: result.item || null, ...ownership });
+        }
+      }
+    }
+
+    return [...entries.values()];
+  }
+
+  /**
+   * Splits the previous entries missing from a run into the entries of templates that did
+   * not generate, such as failed or skipped ones, which are kept, and the orphans: the
+   * entries of the templates that generated and of templates that no longer exist.
+   * @param {object[]} previous - The entries of the previous manifest.
+   * @param {object[]} current - The entries of the run.
+   * @param {Array<string|null>} kept - The names of the templates whose files are kept, and
+   *   null when assets were not copied.
+   * @returns {{orphans: object[], kept: object[]}}
+   */
+  static diff(previous, current, kept) {
+    const planned = new Set(current.map((entry) => entry.filePath));
+    const missing = previous.filter((entry) => !planned.has(entry.filePath));
+
+    return {
+      orphans: missing.filter((entry) => !kept.includes(entry.template)),
+      kept: missing.filter((entry) => kept.includes(entry.template)),
+    };
+  }
+
+  /**
+   * Deletes orphaned files under the root that are unchanged since they were generated, and
+   * the directories left empty. Files last written by appending are left alone, and files
+   * outside the root, which only a stale or edited manifest lists, are never deleted.
+   * @param {object[]} orphans - The orphaned entries.
+   * @param {string} root - The directory files may be deleted from, usually the manifest's.
+   * @param {object} [options] - Prune options.
+   * @param {boolean} [options.dryRun=false] - Only list the files that would be deleted.
+   * @returns {{deleted: string[], modified: string[], missing: string[], outside: string[]}}
+   *   The deleted (or deletable) files, the edited files that were kept, the files already
+   *   gone and the files outside the root that were refused.
+   */
+  static prune(orphans, root, options = {}) {
+    const outcome = { deleted: [], modified: [], missing: [], outside: [] };
+    const directory = path.resolve(root);
+
+    for (const entry of orphans.filter((orphan) => !orphan.appended)) {
+      if (!OutputRoot.contains(directory, entry.filePath)) {
+        outcome.outside.push(entry.filePath);
+        continue;
+      }
+
+      const content = Manifest.hash(entry.filePath);
+      if (content === null) {
+        outcome.missing.push(entry.filePath);
+      } else if (content !== entry.hash) {
+        outcome.modified.push(entry.filePath);
+      } else {
+        if (!options.dryRun) {
+          fs.unlinkSync(entry.filePath);
+          Manifest._removeEmptyDirectories(path.dirname(entry.filePath), directory);
+        }
+        outcome.deleted.push(entry.filePath);
+      }
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Decides whether a run owns a planned file. Created and replaced files are owned; a file
+   * the previous manifest owns stays owned when it is appended to, already up to date or
+   * skipped.
+   * @param {TemplateResult|object} result - The result of the file, or the outcome of an
+   *   asset copy.
+   * @param {string} filePath - The absolute file path.
+   * @param {object|undefined} previous - The entry of the previous manifest, if any.
+   * @returns {{hash: string|null, checksum: string|null, rendered: string|null, appended: boolean}|null}
+   *   The hash, the checksum and rendered hash of the generated content and whether the last
+   *   write appended, or null if the file is not owned.
+   * @private
+   */
+  static _ownership(result, filePath, previous) {
+    if (OWNING_STATUSES.includes(result.status)) {
+      return {
+        hash: Manifest.hash(filePath),
+        checksum: result.checksum || null,
+        rendered: result.rendered || null,
+        appended: result.writeMode === 'append',
+      };
+    }
+
+    if (!previous || !FileHelper.existsSync(filePath)) {
+      return null;
+    }
+
+    const { checksum, rendered, appended } = previous;
+    if (result.status === 'appended') {
+      return { hash: Manifest.hash(filePath), checksum, rendered, appended: true };
+    }
+    if (result.status === 'unchanged') {
+      return {
+        hash: Manifest.hash(filePath),
+        checksum,
+        rendered: result.rendered || rendered,
+        appended,
+      };
+    }
+    return { hash: previous.hash, checksum, rendered, appended };
+  }
+
+  /**
+   * Removes a directory and its parents while they are empty, up to the root.
+   * @param {string} directory - The directory of a deleted file.
+   * @param {string} root - The directory that is kept.
+   * @private
+   */
+  static _removeEmptyDirectories(directory, root) {
+    let current = directory;
+
+    while (current.startsWith(`${root}${path.sep}`) && fs.readdirSync(current).length === 0) {
+      fs.rmdirSync(current);
+      current = path.dirname(current);
+    }
+  }
+}
+
+module.exports = { Manifest };
@@ -0,0 +1,281 @@
+/**
+ * MissingProperties module - reports model paths a template looks up that are undefined.
+ *
+ * A typo like `{{item.Nmae}}` renders nothing. To catch it, the template is rendered
+ * through a copy of its Handlebars AST in which every path lookup goes through a check
+ * helper. The helper passes the value through unchanged, and reports undefined values
+ * with the path and where the template looks it up:
+ *
+ *   { path: 'item.Nmae', source: '/templates/entity.hbs', line: 4, column: 9 }
+ *
+ * `source` is the template path, or the partial name for lookups in a partial.
+ *
+ * The parameters of `if`, `unless`, `default`, `coalesce` and `isEmpty` are not checked,
+ * since handling optional properties is what those helpers are for.
+ *
+ * @module MissingProperties
+ */
+
+const Handlebars = require('handlebars');
+const { registerLayoutHelpers } = require('./LayoutHelpers');
+
+/**
+ * How lookups of undefined model paths are handled.
+ * - ignore: render them as empty output (the default).
+ * - error: throw a TemplateGenerateError for the first one.
+ * - warn: render them as empty output and report each one as a warning.
+ */
+const MISSING_PROPERTY_MODES = ['ignore', 'error', 'warn'];
+
+const CHECK_HELPER = '_checkProperty';
+
+/**
+ * Helpers for optional values, whose parameters are not checked for missing properties.
+ */
+const OPTIONAL_VALUE_HELPERS = ['if', 'unless', 'default', 'coalesce', 'isEmpty'];
+
+class MissingProperties {
+  /**
+   * Creates an environment rendering checked copies of the partials of an environment,
+   * with the same helpers and decorators.
+   * @param {Handlebars} handlebars - The environment to copy.
+   * @param {Function} onMissing - Called with {path, source, line, column} for every
+   *   lookup of an undefined path.
+   * @returns {Handlebars}
+   */
+  static createEnvironment(handlebars, onMissing) {
+    const environment = Handlebars.create();
+
+    Object.assign(environment.helpers, handlebars.helpers);
+    Object.assign(environment.decorators, handlebars.decorators);
+    registerLayoutHelpers(environment);
+
+    environment.registerHelper(CHECK_HELPER, (value, path, source, line, column) => {
+      if (value === undefined) {
+        onMissing({ path, source, line, column });
+      }
+      return value;
+    });
+
+    for (const [name, partial] of Object.entries(handlebars.partials)) {
+      environment.partials[name] =
+        typeof partial === 'string'
+          ? environment.compile(
+              MissingProperties.instrument(environment.parse(partial), name, environment)
+            )
+          : partial;
+    }
+
+    return environment;
+  }
+
+  /**
+   * Compiles a checked version of a template.
+   * @param {Handlebars} environment - An environment from createEnvironment().
+   * @param {string} source - The template source.
+   * @param {string} sourceId - The template path reported as the source of lookups.
+   * @param {object} [options] - Compile options.
+   * @param {number} [options.lineOffset=0] - Lines preceding the source in its file,
+   *   such as front matter.
+   * @param {object} [options.compileOptions] - Handlebars compile options.
+   * @returns {Function} The compiled template.
+   */
+  static compile(environment, source, sourceId, options = {}) {
+    const compileOptions = { ...options.compileOptions };
+    if (compileOptions.knownHelpersOnly) {
+      compileOptions.knownHelpers = { ...compileOptions.knownHelpers, [CHECK_HELPER]: true };
+    }
+
+    return environment.compile(
+      MissingProperties.instrument(
+        environment.parse(source),
+        sourceId,
+        environment,
+        options.lineOffset
+      ),
+      compileOptions
+    );
+  }
+
+  /**
+   * Routes the path lookups of a parsed template through the check helper.
+   * @param {object} program - The Handlebars AST.
+   * @param {string} sourceId - The source reported for the program's lookups.
+   * @param {Handlebars} environment - The environment, to tell helper calls from lookups.
+   * @param {number} [lineOffset=0] - Lines preceding the program in its file.
+   * @returns {object} The instrumented AST.
+   */
+  static instrument(program, sourceId, environment, lineOffset = 0) {
+    new MissingProperties(sourceId, environment, lineOffset)._instrumentProgram(program);
+    return program;
+  }
+
+  /**
+   * @param {string} sourceId - The source reported for lookups.
+   * @param {Handlebars} environment - The environment.
+   * @param {number} lineOffset - Lines preceding the source in its file.
+   * @private
+   */
+  constructor(sourceId, environment, lineOffset) {
+    this._sourceId = sourceId;
+    this._environment = environment;
+    this._lineOffset = lineOffset;
+  }
+
+  /**
+   * Instruments the statements of a program and its nested blocks.
+   * @param {object} program - A Handlebars Program node.
+   * @private
+   */
+  _instrumentProgram(program) {
+    if (!program || !program.body) {
+      return;
+    }
+
+    program.body = program.body.map((statement) => this._instrumentStatement(statement));
+  }
+
+  /**
+   * Instruments one statement.
+   * @param {object} statement - A Handlebars statement node.
+   * @returns {object} The instrumented statement.
+   * @private
+   */
+  _instrumentStatement(statement) {
+    switch (statement.type) {
+      case 'MustacheStatement':
+        // A plain {{path}} becomes {{_checkProperty path ...}}
+        if (!statement.params.length && !statement.hash && !this._isHelper(statement.path)) {
+          return {
+            ...statement,
+            path: this._checkPath(statement.path),
+            params: this._checkParams(statement.path),
+          };
+        }
+        return this._instrumentCall(statement);
+
+      case 'BlockStatement':
+        this._instrumentProgram(statement.program);
+        this._instrumentProgram(statement.inverse);
+        return this._instrumentCall(statement);
+
+      case 'PartialBlockStatement':
+      case 'DecoratorBlock':
+        this._instrumentProgram(statement.program);
+        return statement;
+
+      default:
+        return statement;
+    }
+  }
+
+  /**
+   * Checks the parameters and hash values of a helper call.
+   * @param {object} node - A MustacheStatement, BlockStatement or SubExpression node.
+   * @returns {object} The instrumented node.
+   * @private
+   */
+  _instrumentCall(node) {
+    if (OPTIONAL_VALUE_HELPERS.includes(node.path.original)) {
+      return node;
+    }
+
+    const result = { ...node, params: node.params.map((param) => this._checkValue(param)) };
+
+    if (node.hash) {
+      result.hash = {
+        ...node.hash,
+        pairs: node.hash.pairs.map((pair) => ({ ...pair, value: this._checkValue(pair.value) })),
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Wraps a path parameter in a check, and checks the parameters of a subexpression.
+   * @param {object} node - A parameter node.
+   * @returns {object} The instrumented node.
+   * @private
+   */
+  _checkValue(node) {
+    if (node.type === 'SubExpression') {
+      return this._instrumentCall(node);
+    }
+
+    if (node.type !== 'PathExpression') {
+      return node;
+    }
+
+    return {
+      type: 'SubExpression',
+      path: this._checkPath(node),
+      params: this._checkParams(node),
+      loc: node.loc,
+    };
+  }
+
+  /**
+   * Creates the path calling the check helper.
+   * @param {object} node - The checked PathExpression node.
+   * @returns {object}
+   * @private
+   */
+  _checkPath(node) {
+    return {
+      type: 'PathExpression',
+      data: false,
+      depth: 0,
+      parts: [CHECK_HELPER],
+      original: CHECK_HELPER,
+      loc: node.loc,
+    };
+  }
+
+  /**
+   * Creates the check helper parameters: the value, its path, source, line and column.
+   * @param {object} node - The checked PathExpression node.
+   * @returns {object[]}
+   * @private
+   */
+  _checkParams(node) {
+    const { line, column } = node.loc.start;
+
+    return [
+      node,
+      MissingProperties._literal('StringLiteral', node.original),
+      MissingProperties._literal('StringLiteral', this._sourceId),
+      MissingProperties._literal('NumberLiteral', line + this._lineOffset),
+      MissingProperties._literal('NumberLiteral', column + 1),
+    ];
+  }
+
+  /**
+   * Checks whether a mustache path calls a registered helper rather than looking up a value.
+   * @param {object} path - The PathExpression node.
+   * @returns {boolean}
+   * @private
+   */
+  _isHelper(path) {
+    return (
+      path.type !== 'PathExpression' ||
+      (!path.data &&
+        path.depth === 0 &&
+        path.parts.length === 1 &&
+        Object.prototype.hasOwnProperty.call(this._environment.helpers, path.parts[0]))
+    );
+  }
+
+  /**
+   * Creates a literal node.
+   * @param {string} type - StringLiteral or NumberLiteral.
+   * @param {string|number} value - The value.
+   * @returns {object}
+   * @private
+   */
+  static _literal(type, value) {
+    return { type, value, original: value };
+  }
+}
+
+module.exports = { MissingProperties, MISSING_PROPERTY_MODES };
@@ -0,0 +1,94 @@
+/**
+ * OutputCollisions module - finds outputs of a generation run written to the same file.
+ *
+ * Two templates, or two items of one template with the same name, can export to the same
+ * path, and whichever is written last silently wins. Paths are compared case-insensitively,
+ * as `Order.cs` and `order.cs` are the same file on macOS and Windows checkouts. Outputs
+ * that all use the append write mode add to one file on purpose and do not collide. Static
+ * assets copied in the same run are outputs too.
+ *
+ * The loader's `collisions` option selects what happens to collisions:
+ * - `error` (default) - the colliding outputs are not written and each collision is an error,
+ *   or generation stops before writing anything when not continuing on errors.
+ * - `warn` - each collision is reported, and the outputs are written as before.
+ *
+ * @module OutputCollisions
+ */
+
+const path = require('path');
+
+const COLLISION_MODES = ['error', 'warn'];
+
+class OutputCollisions {
+  /**
+   * Finds the outputs written to the same file.
+   * @param {Array<{template: string, results: TemplateResult[]}>} outputs - The results of
+   *   each generated template.
+   * @param {Array<{source: string, relativePath: string, filePath: string}>} [assets] - The
+   *   static assets copied in the same run.
+   * @returns {Array<{filePath: string, caseOnly: boolean, outputs: Array<{template: string|null, item: string|null, filePath: string, result?: TemplateResult, source?: string, asset?: object}>}>}
+   *   One collision per file, with the template outputs in generation order, then the assets.
+   *   `caseOnly` is true when the paths only collide case-insensitively.
+   */
+  static find(outputs, assets = []) {
+    const files = new Map();
+    const add = (entry) => {
+      const key = entry.filePath.toLowerCase();
+      files.set(key, [...(files.get(key) || []), entry]);
+    };
+
+    for (const { template, results } of outputs) {
+      for (const result of results) {
+        add({ template, item: result.item, filePath: path.resolve(result.filePath), result });
+      }
+    }
+
+    for (const asset of assets) {
+      const filePath = path.resolve(asset.filePath);
+      add({ template: null, item: null, source: asset.source, filePath, asset });
+    }
+
+    const collisions = [];
+    for (const entries of files.values()) {
+      if (
+        entries.length < 2 ||
+        entries.every((entry) => entry.result && entry.result.writeMode === 'append')
+      ) {
+        continue;
+      }
+
+      collisions.push({
+        filePath: entries[0].filePath,
+        caseOnly: entries.some((entry) => entry.filePath !== entries[0].filePath),
+        outputs: entries,
+      });
+    }
+    return collisions;
+  }
+
+  /**
+   * Describes a collision.
+   * @param {object} collision - A collision found by find().
+   * @returns {string} Such as `Output collision: "/out/Order.cs" is written by entity (Order),
+   *   dto (Order)`, or `... by entity (Order), asset Order.cs` for a static asset.
+   */
+  static describe(collision) {
+    const writers = collision.outputs
+      .map((output) => {
+        if (output.asset) {
+          return `asset ${output.asset.relativePath}`;
+        }
+        return output.item ? `${output.template} (${output.item})` : output.template;
+      })
+      .join(', ');
+
+    if (!collision.caseOnly) {
+      return `Output collision: "${collision.filePath}" is written by ${writers}`;
+    }
+
+    const paths = [...new Set(collision.outputs.map((output) => `"${output.filePath}"`))];
+    return `Output collision: ${paths.join(' and ')} differ only in case, so they are the same file on case-insensitive file systems; written by ${writers}`;
+  }
+}
+
+module.exports = { OutputCollisions, COLLISION_MODES };
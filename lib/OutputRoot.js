@@ -0,0 +1,64 @@
+/**
+ * OutputRoot module - resolves export paths against the output directory.
+ *
+ * When a loader has an `outputRoot`, every export path, after the prepareExportPath hook,
+ * is resolved against it: relative paths are written under the root, and paths leaving it,
+ * through `..` segments or an absolute path elsewhere, are refused with a FileError unless
+ * `allowOutsideOutputRoot` is set. Without an output root, paths are relative to the
+ * working directory as before.
+ *
+ * @module OutputRoot
+ */
+
+const path = require('path');
+const { FileError } = require('./GeneratorError');
+
+class OutputRoot {
+  /**
+   * Resolves an export path against the output root.
+   * @param {string} filePath - The export path.
+   * @param {string|null} outputRoot - The output directory, or null to keep the path.
+   * @param {object} [options] - Resolution options.
+   * @param {boolean} [options.allowOutside=false] - Allow paths outside the output root.
+   * @param {string} [options.template] - The template, named in errors.
+   * @returns {string} The absolute path under the output root, or the path unchanged
+   *   without one.
+   * @throws {FileError} If the path leaves the output root and that is not allowed.
+   */
+  static resolve(filePath, outputRoot, options = {}) {
+    if (!outputRoot) {
+      return filePath;
+    }
+
+    const root = path.resolve(outputRoot);
+    const resolved = path.resolve(root, filePath);
+
+    if (!options.allowOutside && !OutputRoot.contains(root, resolved)) {
+      throw new FileError(`Export path "${filePath}" is outside the output directory "${root}"`, {
+        template: options.template,
+        file: resolved,
+        code: 'FILE_OUTSIDE_OUTPUT_ROOT',
+      });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Checks whether a path is inside a directory.
+   * @param {string} directory - The absolute directory.
+   * @param {string} filePath - The absolute path.
+   * @returns {boolean}
+   */
+  static contains(directory, filePath) {
+    const relativePath = path.relative(directory, filePath);
+    return (
+      relativePath !== '' &&
+      relativePath !== '..' &&
+      !relativePath.startsWith(`..${path.sep}`) &&
+      !path.isAbsolute(relativePath)
+    );
+  }
+}
+
+module.exports = { OutputRoot };
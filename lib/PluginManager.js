@@ -20,13 +20,21 @@ const HandlebarsHelpers = require('./HandlebarsHelpers');
  * @property {Function} [onAfterWrite] - Hook called after writing files
  * @property {Function} [transformModel] - Transform model before template processing
  * @property {Function} [transformResult] - Transform result before writing
+ * @property {Object.<string, Function>} [postProcessors] - Output post-processors
+ *   (name → function(content, options, context)); see PostProcessors
  */
 
 /**
  * Manages plugins for the generator system.
  */
 class PluginManager {
-  constructor() {
+  /**
+   * Creates a new PluginManager.
+   * @param {Handlebars} [handlebars] - Environment that plugin helpers and partials are
+   *   registered into. Defaults to the shared HandlebarsHelpers environment.
+   */
+  constructor(handlebars) {
+    this._handlebars = handlebars || HandlebarsHelpers.getHandlebars();
     this._plugins = new Map();
     this._hooks = {
       onBeforeGenerate: [],
@@ -36,6 +44,7 @@ class PluginManager {
       transformModel: [],
       transformResult: [],
     };
+    this._postProcessors = {};
   }
 
   /**
@@ -46,6 +55,22 @@ class PluginManager {
     return Array.from(this._plugins.keys());
   }
 
+  /**
+   * Gets the Handlebars environment plugins are registered into.
+   * @returns {Handlebars}
+   */
+  get handlebars() {
+    return this._handlebars;
+  }
+
+  /**
+   * Gets the output post-processors registered by plugins.
+   * @returns {Object.<string, Function>}
+   */
+  get postProcessors() {
+    return this._postProcessors;
+  }
+
   /**
    * Gets the count of registered plugins.
    * @returns {number}
@@ -72,7 +97,7 @@ class PluginManager {
     if (plugin.helpers) {
       for (const [name, fn] of Object.entries(plugin.helpers)) {
         if (typeof fn === 'function') {
-          HandlebarsHelpers.registerHelper(name, fn);
+          HandlebarsHelpers.registerHelper(name, fn, this._handlebars);
         }
       }
     }
@@ -81,7 +106,16 @@ class PluginManager {
     if (plugin.partials) {
       for (const [name, template] of Object.entries(plugin.partials)) {
         if (typeof template === 'string') {
-          HandlebarsHelpers.registerPartial(name, template);
+          HandlebarsHelpers.registerPartial(name, template, this._handlebars);
+        }
+      }
+    }
+
+    // Register post-processors
+    if (plugin.postProcessors) {
+      for (const [name, fn] of Object.entries(plugin.postProcessors)) {
+        if (typeof fn === 'function') {
+          this._postProcessors[name] = fn;
         }
       }
     }
@@ -115,6 +149,13 @@ class PluginManager {
       this._hooks[hookName] = this._hooks[hookName].filter((h) => h.pluginName !== name);
     }
 
+    // Remove post-processors
+    for (const [processorName, fn] of Object.entries(plugin.postProcessors || {})) {
+      if (this._postProcessors[processorName] === fn) {
+        delete this._postProcessors[processorName];
+      }
+    }
+
     // Note: We cannot easily unregister helpers from Handlebars
     // as there's no official API for it
 
@@ -187,6 +228,7 @@ class PluginManager {
     for (const hookName of Object.keys(this._hooks)) {
       this._hooks[hookName] = [];
     }
+    this._postProcessors = {};
     this._plugins.clear();
   }
 
@@ -216,6 +258,19 @@ class PluginManager {
       partials,
     };
   }
+
+  /**
+   * Creates a plugin from output post-processors.
+   * @param {string} name - Plugin name.
+   * @param {Object.<string, Function>} postProcessors - Post-processor functions.
+   * @returns {Plugin} The created plugin.
+   */
+  static createPostProcessorPlugin(name, postProcessors) {
+    return {
+      name,
+      postProcessors,
+    };
+  }
 }
 
 // Export a singleton instance
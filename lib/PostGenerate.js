@@ -0,0 +1,296 @@
+/**
+ * PostGenerate module - runs local commands, such as formatters, on the generated files.
+ *
+ * Commands come from the `postGenerate` of `.generatorrc.json`, which applies to every
+ * template, and from the PostGenerate setting of a template. A command is a string or an
+ * object filtering the files it is given:
+ *
+ *   "npx prettier --write"
+ *   { "command": "dotnet format whitespace --include {files}", "include": ["*.cs"] }
+ *
+ * Each command runs once with every written file (created, updated or appended) that
+ * matches its `include` patterns (default all) and none of its `exclude` patterns, relative
+ * to the working directory. Templates naming the same command share one run. The files are
+ * appended to the arguments, or replace a `{files}` argument, and split into runs of
+ * `batchSize` files when set.
+ *
+ * Commands are split into arguments on whitespace, honouring double and single quotes, and
+ * run without a shell. On Windows, batch files such as the `npx.cmd` wrapper can only run
+ * through cmd.exe, so their command line is escaped for it.
+ *
+ * @module PostGenerate
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { Glob } = require('./Glob');
+const { SettingsError } = require('./GeneratorError');
+
+class PostGenerate {
+  static FilesPlaceholder = '{files}';
+  static DefaultTimeout = 300000;
+  static WrittenStatuses = ['created', 'updated', 'appended'];
+
+  // Characters cmd.exe interprets unless escaped with a caret
+  static _cmdMetaCharacters = /([()\][%!^"`<>&|;, *?])/g;
+
+  /**
+   * Normalizes commands to objects.
+   * @param {Array<string|object>|null} commands - The PostGenerate commands.
+   * @returns {Array<{command: string, include: string[], exclude: string[], batchSize: number|null, timeout: number}>}
+   * @throws {SettingsError} If commands is not an array or a command has no command string.
+   */
+  static normalize(commands) {
+    if (!commands) {
+      return [];
+    }
+    if (!Array.isArray(commands)) {
+      throw new SettingsError('PostGenerate must be an array of commands', {
+        code: 'SETTINGS_INVALID_VALUE',
+      });
+    }
+
+    return commands.map((entry) => {
+      const options = typeof entry === 'string' ? { command: entry } : entry || {};
+
+      if (typeof options.command !== 'string' || !options.command.trim()) {
+        throw new SettingsError(
+          `Invalid PostGenerate command ${JSON.stringify(entry)}: expected a command string`,
+          { code: 'SETTINGS_INVALID_VALUE' }
+        );
+      }
+
+      return {
+        command: options.command.trim(),
+        include: options.include || ['**'],
+        exclude: options.exclude || [],
+        batchSize: options.batchSize || null,
+        timeout: options.timeout || PostGenerate.DefaultTimeout,
+      };
+    });
+  }
+
+  /**
+   * Groups written files by the commands they are given to.
+   * @param {Array<{files: string[], commands: Array<string|object>}>} entries - The files
+   *   each set of commands applies to, such as those of one template.
+   * @returns {Array<{command: string, args: string[], files: string[], timeout: number}>}
+   *   One run per command, or per batch of files.
+   * @throws {SettingsError} If a command is invalid.
+   */
+  static plan(entries) {
+    const groups = new Map();
+
+    for (const entry of entries) {
+      for (const command of PostGenerate.normalize(entry.commands)) {
+        const files = entry.files.filter((file) => {
+          const relativePath = path.relative(process.cwd(), path.resolve(file));
+          return (
+            Glob.matches(relativePath, command.include) &&
+            !Glob.matches(relativePath, command.exclude)
+          );
+        });
+
+        const group = groups.get(command.command) || { ...command, files: [] };
+        group.files.push(...files.filter((file) => !group.files.includes(file)));
+        groups.set(command.command, group);
+      }
+    }
+
+    const runs = [];
+    for (const group of groups.values()) {
+      const size = group.batchSize || group.files.length;
+      for (let start = 0; start < group.files.length; start += size) {
+        const files = group.files.slice(start, start + size);
+        runs.push({
+          command: group.command,
+          args: PostGenerate._arguments(group.command, files),
+          files,
+          timeout: group.timeout,
+        });
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Runs a command planned by plan().
+   * @param {{command: string, args: string[], files: string[], timeout: number}} run - The run.
+   * @returns {{command: string, files: string[], exitCode: number|null, stdout: string, stderr: string, duration: number, error: string|null}}
+   */
+  static run(run) {
+    const started = Date.now();
+    const { file, args, shell } = PostGenerate._command(run.args);
+    const child = spawnSync(file, args, {
+      encoding: 'utf8',
+      shell,
+      timeout: run.timeout,
+      windowsHide: true,
+    });
+
+    return PostGenerate._outcome(run, started, {
+      exitCode: child.status,
+      stdout: child.stdout || '',
+      stderr: child.stderr || '',
+      error: child.error ? child.error.message : null,
+    });
+  }
+
+  /**
+   * Runs a command planned by plan() asynchronously.
+   * @param {{command: string, args: string[], files: string[], timeout: number}} run - The run.
+   * @returns {Promise<{command: string, files: string[], exitCode: number|null, stdout: string, stderr: string, duration: number, error: string|null}>}
+   */
+  static runAsync(run) {
+    const started = Date.now();
+    const { file, args, shell } = PostGenerate._command(run.args);
+
+    return new Promise((resolve) => {
+      const output = { stdout: '', stderr: '', error: null };
+      const child = spawn(file, args, {
+        shell,
+        windowsHide: true,
+      });
+      // The timeout option of spawn leaves its timer running when the command cannot start
+      const timer = setTimeout(() => child.kill(), run.timeout);
+
+      child.stdout.on('data', (data) => (output.stdout += data));
+      child.stderr.on('data', (data) => (output.stderr += data));
+      child.on('error', (error) => (output.error = error.message));
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        if (signal && !output.error) {
+          output.error = `Terminated by ${signal}`;
+        }
+        resolve(PostGenerate._outcome(run, started, { ...output, exitCode }));
+      });
+    });
+  }
+
+  /**
+   * Describes why a run failed.
+   * @param {{command: string, exitCode: number|null, stderr: string, error: string|null}} result
+   *   - The run outcome.
+   * @returns {string|null} The failure, or null if the command succeeded.
+   */
+  static failure(result) {
+    if (result.error) {
+      return `Command "${result.command}" failed: ${result.error}`;
+    }
+    if (result.exitCode !== 0) {
+      const details = result.stderr.trim().split('\n')[0];
+      return `Command "${result.command}" exited with code ${result.exitCode}${details ? `: ${details}` : ''}`;
+    }
+    return null;
+  }
+
+  /**
+   * Splits a command into arguments and inserts the files.
+   * @param {string} command - The command.
+   * @param {string[]} files - The files.
+   * @returns {string[]}
+   * @private
+   */
+  static _arguments(command, files) {
+    const args = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(command)) !== null) {
+      args.push([match[1], match[2], match[3]].find((value) => value !== undefined));
+    }
+
+    const placeholder = args.indexOf(PostGenerate.FilesPlaceholder);
+    if (placeholder < 0) {
+      return [...args, ...files];
+    }
+    return [...args.slice(0, placeholder), ...files, ...args.slice(placeholder + 1)];
+  }
+
+  /**
+   * Prepares a command for spawn. A Windows batch file runs through cmd.exe, with its path
+   * and arguments escaped so that file names containing `&`, `|` or `^` stay literal; any
+   * other command runs without a shell.
+   * @param {string[]} args - The command and its arguments.
+   * @returns {{file: string, args: string[], shell: boolean}}
+   * @private
+   */
+  static _command(args) {
+    const [file, ...rest] = args;
+    const batchFile = process.platform === 'win32' ? PostGenerate._findWindowsCommand(file) : null;
+    if (!batchFile || !/\.(cmd|bat)$/i.test(batchFile)) {
+      return { file, args: rest, shell: false };
+    }
+
+    // npm's .cmd shims pass their arguments on with %*, so cmd.exe parses them twice
+    const shim = /node_modules[\\/]\.bin[\\/][^\\/]+\.cmd$/i.test(batchFile);
+    return {
+      file: path.win32.normalize(batchFile).replace(PostGenerate._cmdMetaCharacters, '^$1'),
+      args: rest.map((arg) => PostGenerate._escapeCmdArgument(arg, shim)),
+      shell: true,
+    };
+  }
+
+  /**
+   * Finds the file Windows runs for a command, trying the PATHEXT extensions in the working
+   * directory and then each PATH directory.
+   * @param {string} command - The command.
+   * @returns {string|null} The file, or null if there is none.
+   * @private
+   */
+  static _findWindowsCommand(command) {
+    const extensions = path.win32.extname(command)
+      ? ['']
+      : (process.env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean);
+    const directories = /[\\/]/.test(command)
+      ? ['']
+      : ['', ...(process.env.PATH || '').split(';').filter(Boolean)];
+
+    for (const directory of directories) {
+      for (const extension of extensions) {
+        const candidate = path.win32.join(directory, command + extension);
+        if (fs.existsSync(candidate)) {
+          return candidate;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Quotes an argument for the Windows command line and escapes it for cmd.exe.
+   * @param {string} arg - The argument.
+   * @param {boolean} twice - Whether cmd.exe parses the argument twice.
+   * @returns {string}
+   * @private
+   */
+  static _escapeCmdArgument(arg, twice) {
+    // Backslashes are literal unless they precede a quote, which they must then escape
+    const quoted = `"${arg.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+    const escaped = quoted.replace(PostGenerate._cmdMetaCharacters, '^$1');
+    return twice ? escaped.replace(PostGenerate._cmdMetaCharacters, '^$1') : escaped;
+  }
+
+  /**
+   * Creates the outcome of a run.
+   * @param {object} run - The run.
+   * @param {number} started - When the run started.
+   * @param {object} output - The exit code, output and error of the command.
+   * @returns {object}
+   * @private
+   */
+  static _outcome(run, started, output) {
+    return {
+      command: run.command,
+      files: run.files,
+      exitCode: output.exitCode,
+      stdout: output.stdout,
+      stderr: output.stderr,
+      duration: Date.now() - started,
+      error: output.error,
+    };
+  }
+}
+
+module.exports = { PostGenerate };
@@ -0,0 +1,232 @@
+/**
+ * PostProcessors module - cleans up generated output before it is written.
+ *
+ * A pipeline is a list of processor steps, each a processor name or an object with a
+ * `name` and the processor's options:
+ *
+ *   ["trimTrailingWhitespace", { "name": "collapseBlankLines", "max": 1 }, "finalNewline"]
+ *
+ * A template's PostProcessors setting selects its pipeline. Templates without one use the
+ * steps of every pattern of the loader's `postProcessors` option matching the output path,
+ * such as `{ "*.cs": ["sortImports"], "**": ["trimTrailingWhitespace"] }`.
+ *
+ * Built-in processors:
+ * - `trimTrailingWhitespace` - removes whitespace at the end of lines.
+ * - `collapseBlankLines` - collapses runs of blank lines to `max` (default 1).
+ * - `normalizeIndentation` - re-indents leading whitespace with `indent` "spaces" (default)
+ *   or "tabs", a tab being `size` (default 4) spaces.
+ * - `finalNewline` - ends the content with exactly one line ending.
+ * - `sortImports` - sorts and dedupes each block of consecutive single-line `using` and
+ *   `import` statements.
+ *
+ * A processor is a function `(content, options, context) => string`, where context holds
+ * the `filePath` and `template`. Plugins add processors with a `postProcessors` property.
+ *
+ * @module PostProcessors
+ */
+
+const { Glob } = require('./Glob');
+const { SettingsError } = require('./GeneratorError');
+
+// Single-line C# usings, JavaScript/TypeScript/Java imports and Python imports
+const IMPORT_LINES = [
+  /^\s*using\s+[\w.]+\s*;\s*$/,
+  /^\s*using\s+static\s+[\w.]+\s*;\s*$/,
+  /^\s*using\s+\w+\s*=\s*[\w.<>, ]+;\s*$/,
+  /^\s*import\s+[\w.*]+\s*;?\s*$/,
+  /^\s*import\s+[\w*${}, ]*['"][^'"]+['"]\s*;?\s*$/,
+  /^\s*from\s+[\w.]+\s+import\s+[\w.*, ]+$/,
+];
+
+class PostProcessors {
+  /**
+   * The built-in processors.
+   */
+  static BuiltIns = {
+    trimTrailingWhitespace: (content) =>
+      PostProcessors._mapLines(content, (lines) =>
+        lines.map((line) => line.replace(/[ \t]+$/, ''))
+      ),
+
+    collapseBlankLines: (content, options) => {
+      const max = options.max === undefined ? 1 : options.max;
+      return PostProcessors._mapLines(content, (lines) => {
+        let blanks = 0;
+        return lines.filter((line) => {
+          blanks = line.trim() ? 0 : blanks + 1;
+          return blanks <= max;
+        });
+      });
+    },
+
+    normalizeIndentation: (content, options) => {
+      const size = options.size || 4;
+      const tabs = options.indent === 'tabs';
+      return PostProcessors._mapLines(content, (lines) =>
+        lines.map((line) => {
+          const [indentation] = /^[ \t]*/.exec(line);
+          const columns = [...indentation].reduce(
+            (width, char) => (char === '\t' ? width - (width % size) + size : width + 1),
+            0
+          );
+          const normalized = tabs
+            ? '\t'.repeat(Math.floor(columns / size)) + ' '.repeat(columns % size)
+            : ' '.repeat(columns);
+          return normalized + line.slice(indentation.length);
+        })
+      );
+    },
+
+    finalNewline: (content) => {
+      if (!content) {
+        return content;
+      }
+      return content.replace(/[\r\n]+$/, '') + PostProcessors._lineEnding(content);
+    },
+
+    sortImports: (content) =>
+      PostProcessors._mapLines(content, (lines) => {
+        const sorted = [];
+        let block = [];
+        const flush = () => {
+          sorted.push(...[...new Set(block)].sort(PostProcessors._compareImports));
+          block = [];
+        };
+
+        for (const line of lines) {
+          if (IMPORT_LINES.some((pattern) => pattern.test(line))) {
+            block.push(line);
+          } else {
+            flush();
+            sorted.push(line);
+          }
+        }
+        flush();
+        return sorted;
+      }),
+  };
+
+  /**
+   * @param {object} [options] - Pipeline options.
+   * @param {Object.<string, Array<string|object>>} [options.patterns] - Steps for outputs
+   *   whose paths match each glob pattern.
+   * @param {Object.<string, Function>} [options.processors] - Processors besides the
+   *   built-ins, such as those of plugins.
+   */
+  constructor(options = {}) {
+    this._patterns = options.patterns || {};
+    this._processors = { ...PostProcessors.BuiltIns, ...options.processors };
+  }
+
+  get patterns() {
+    return this._patterns;
+  }
+
+  /**
+   * Gets the names of the available processors.
+   * @returns {string[]}
+   */
+  get names() {
+    return Object.keys(this._processors);
+  }
+
+  /**
+   * Resolves the steps run on an output.
+   * @param {string} filePath - The output file path.
+   * @param {Array<string|object>|null} templateSteps - The template's PostProcessors
+   *   setting, which replaces the pattern steps when set.
+   * @returns {Array<{name: string, options: object}>}
+   * @throws {SettingsError} If a step is not a name or an object with a name.
+   */
+  resolve(filePath, templateSteps) {
+    const steps = templateSteps
+      ? templateSteps
+      : Object.entries(this._patterns)
+          .filter(([pattern]) => Glob.matches(filePath, [pattern]))
+          .flatMap(([, patternSteps]) => patternSteps);
+
+    const resolved = [];
+    for (const step of steps) {
+      const { name, ...options } = typeof step === 'string' ? { name: step } : step || {};
+      if (typeof name !== 'string') {
+        throw new SettingsError(
+          `Invalid post-processor ${JSON.stringify(step)}: expected a name or an object with a name`,
+          { code: 'SETTINGS_INVALID_VALUE' }
+        );
+      }
+      if (!resolved.some((r) => r.name === name)) {
+        resolved.push({ name, options });
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Runs the pipeline of an output.
+   * @param {string} content - The output content.
+   * @param {object} context - The processor context.
+   * @param {string} context.filePath - The output file path.
+   * @param {string} [context.template] - The template name.
+   * @param {Array<string|object>|null} [templateSteps] - The template's PostProcessors setting.
+   * @returns {string} The processed content.
+   * @throws {SettingsError} If a processor is unknown or returns no string.
+   */
+  process(content, context, templateSteps = null) {
+    let result = content;
+
+    for (const { name, options } of this.resolve(context.filePath, templateSteps)) {
+      const processor = this._processors[name];
+      if (typeof processor !== 'function') {
+        throw new SettingsError(
+          `Unknown post-processor "${name}". Available: ${this.names.join(', ')}`,
+          { template: context.template, code: 'SETTINGS_INVALID_VALUE' }
+        );
+      }
+
+      result = processor(result, options, context);
+      if (typeof result !== 'string') {
+        throw new SettingsError(`Post-processor "${name}" did not return a string`, {
+          template: context.template,
+          file: context.filePath,
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Orders import lines by their statement, so `using System;` precedes `using System.Linq;`.
+   * @param {string} a - An import line.
+   * @param {string} b - Another import line.
+   * @returns {number}
+   * @private
+   */
+  static _compareImports(a, b) {
+    const key = (line) => line.trim().replace(/;$/, '');
+    return key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0;
+  }
+
+  /**
+   * Maps the lines of content, keeping its line endings.
+   * @param {string} content - The content.
+   * @param {function(string[]): string[]} map - Maps the lines.
+   * @returns {string}
+   * @private
+   */
+  static _mapLines(content, map) {
+    return map(content.split(/\r?\n/)).join(PostProcessors._lineEnding(content));
+  }
+
+  /**
+   * Gets the line ending of content.
+   * @param {string} content - The content.
+   * @returns {string} "\r\n" if the content has any, otherwise "\n".
+   * @private
+   */
+  static _lineEnding(content) {
+    return content.includes('\r\n') ? '\r\n' : '\n';
+  }
+}
+
+module.exports = { PostProcessors };
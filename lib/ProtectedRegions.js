@@ -0,0 +1,119 @@
+/**
+ * ProtectedRegions module - preserves hand-written code across regeneration.
+ *
+ * A protected region is delimited by marker lines in the generated output, using
+ * whatever comment syntax suits the target language:
+ *
+ *   // <user-code id="methods">
+ *   ...hand-written code...
+ *   // </user-code>
+ *
+ * When a file is regenerated, the content of each region in the existing file is
+ * copied into the region with the same id in the new output.
+ *
+ * @module ProtectedRegions
+ */
+
+/**
+ * Matches a complete region: start marker line, body and end marker line.
+ * Groups: 1 = start line (with newline), 2 = id, 3 = body, 4 = end line.
+ */
+const REGION_PATTERN =
+  /^([^\r\n]*<user-code id=["']([^"']+)["']>[^\r\n]*\r?\n)([\s\S]*?)(^[^\r\n]*<\/user-code>[^\r\n]*$)/gm;
+
+class ProtectedRegions {
+  /**
+   * Extracts the body of every protected region in the content.
+   * @param {string} content - The file content.
+   * @returns {Map<string, string>} Region bodies keyed by id.
+   */
+  static extract(content) {
+    const regions = new Map();
+
+    if (!content) {
+      return regions;
+    }
+
+    for (const match of content.matchAll(REGION_PATTERN)) {
+      if (!regions.has(match[2])) {
+        regions.set(match[2], match[3]);
+      }
+    }
+
+    return regions;
+  }
+
+  /**
+   * Checks whether the content declares any protected regions.
+   * @param {string} content - The content to check.
+   * @returns {boolean}
+   */
+  static hasRegions(content) {
+    return ProtectedRegions.extract(content).size > 0;
+  }
+
+  /**
+   * Re-injects preserved region bodies into newly generated content.
+   * @param {string} generated - The newly generated content.
+   * @param {string} existing - The current content of the target file.
+   * @returns {{content: string, orphaned: Array<{id: string, content: string}>}}
+   *   The merged content and the preserved regions whose id no longer exists.
+   */
+  static merge(generated, existing) {
+    const preserved = ProtectedRegions.extract(existing);
+
+    if (preserved.size === 0) {
+      return { content: generated, orphaned: [] };
+    }
+
+    const used = new Set();
+    const content = generated.replace(REGION_PATTERN, (match, start, id, _body, end) => {
+      if (!preserved.has(id)) {
+        return match;
+      }
+      used.add(id);
+      return start + preserved.get(id) + end;
+    });
+
+    const orphaned = [];
+    for (const [id, body] of preserved) {
+      if (!used.has(id)) {
+        orphaned.push({ id, content: body });
+      }
+    }
+
+    return { content, orphaned };
+  }
+
+  /**
+   * Removes the body of every protected region, keeping the marker lines, so that
+   * content can be compared while ignoring hand-written code.
+   * @param {string} content - The content to strip.
+   * @returns {string}
+   */
+  static strip(content) {
+    return content.replace(REGION_PATTERN, (_match, start, _id, _body, end) => start + end);
+  }
+
+  /**
+   * Formats orphaned regions for the side file written next to the target.
+   * @param {Array<{id: string, content: string}>} orphaned - The orphaned regions.
+   * @returns {string}
+   */
+  static formatOrphaned(orphaned) {
+    return orphaned
+      .map((region) => `<user-code id="${region.id}">\n${region.content}</user-code>\n`)
+      .join('\n');
+  }
+
+  /**
+   * Gets the path of the side file that receives orphaned regions.
+   * @param {string} filePath - The target file path.
+   * @returns {string}
+   */
+  static getOrphanedFilePath(filePath) {
+    return `${filePath}.orphaned`;
+  }
+}
+
+module.exports = { ProtectedRegions };
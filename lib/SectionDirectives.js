@@ -0,0 +1,137 @@
+/**
+ * SectionDirectives module - parses the directives of split section markers.
+ *
+ * A section marker matched by FileNamePattern can carry directives after the file name,
+ * overriding the template's settings for the file the section produces:
+ *
+ *   //[Foo.cs mode=skipIfExists if="Model.HasApi" encoding=latin1]
+ *
+ * - `mode` - the WriteMode of the file.
+ * - `if` - a condition the section is only written when met.
+ * - `unless` - a condition the section is skipped when met.
+ * - `encoding` - the Encoding of the file.
+ *
+ * Values containing spaces are quoted with `"` or `'`. Conditions use the GenerateIf
+ * syntax (`path operator value` or `env:NAME`), and a bare path such as `Model.HasApi`,
+ * optionally negated with `!`, checks that the value is truthy.
+ *
+ * The directives are read from the `Directives` group of FileNamePattern when it has one,
+ * otherwise from the `FileName` group after the file name, as with the pattern
+ * `//\[(?<FileName>[^\]]+)\]`.
+ *
+ * @module SectionDirectives
+ */
+
+const { TemplateSettings } = require('./TemplateSettings');
+const { TextEncoding, ENCODINGS } = require('./TextEncoding');
+const { WRITE_MODES } = require('./TemplateResult');
+const { SettingsError } = require('./GeneratorError');
+
+const DIRECTIVE_PATTERN = /([A-Za-z]+)=(?:"([^"]*)"|'([^']*)'|(\S+))/g;
+
+class SectionDirectives {
+  /**
+   * Directive names and the settings they override.
+   */
+  static Names = {
+    mode: 'writeMode',
+    if: 'generateIf',
+    unless: 'skipIf',
+    encoding: 'encoding',
+  };
+
+  /**
+   * Splits a captured file name into the file name and the directives following it, at
+   * the first whitespace followed by `name=`.
+   * @param {string} captured - The FileName group of the section marker.
+   * @returns {{fileName: string, directives: string}}
+   */
+  static splitFileName(captured) {
+    const match = /^([\s\S]*?)\s+([A-Za-z]+=[\s\S]*)$/.exec(captured.trim());
+    return match
+      ? { fileName: match[1], directives: match[2] }
+      : { fileName: captured, directives: '' };
+  }
+
+  /**
+   * Parses section directives.
+   * @param {string} text - The directives, such as `mode=skipIfExists if="Model.HasApi"`.
+   * @param {string} [templateName] - The template, named in errors.
+   * @returns {{writeMode?: string, generateIf?: string, skipIf?: string, encoding?: string}}
+   * @throws {SettingsError} If a directive is unknown, malformed or has an invalid value.
+   */
+  static parse(text, templateName = null) {
+    const directives = {};
+    const invalid = (message) =>
+      new SettingsError(`Invalid section directive in "${text.trim()}": ${message}`, {
+        template: templateName,
+        code: 'SETTINGS_INVALID_VALUE',
+      });
+
+    const leftover = text.replace(DIRECTIVE_PATTERN, (match, name, double, single, bare) => {
+      if (!Object.prototype.hasOwnProperty.call(SectionDirectives.Names, name)) {
+        throw invalid(
+          `unknown directive "${name}". Valid directives: ${Object.keys(SectionDirectives.Names).join(', ')}`
+        );
+      }
+      directives[SectionDirectives.Names[name]] = [double, single, bare].find(
+        (value) => value !== undefined
+      );
+      return '';
+    });
+
+    if (leftover.trim()) {
+      throw invalid(`expected name=value, got "${leftover.trim()}"`);
+    }
+    if (directives.writeMode && !WRITE_MODES.includes(directives.writeMode)) {
+      throw invalid(`mode "${directives.writeMode}". Valid modes: ${WRITE_MODES.join(', ')}`);
+    }
+    if (directives.encoding && !TextEncoding.resolveEncoding(directives.encoding)) {
+      throw invalid(`encoding "${directives.encoding}". Valid encodings: ${ENCODINGS.join(', ')}`);
+    }
+
+    return directives;
+  }
+
+  /**
+   * Checks whether a section with directives is written.
+   * @param {object} directives - The parsed directives.
+   * @param {object} context - The context containing Model and the item.
+   * @returns {string|null} Why the section is skipped, or null to write it.
+   */
+  static skipReason(directives, context) {
+    if (directives.generateIf && !SectionDirectives.evaluate(directives.generateIf, context)) {
+      return `Section if condition not met: ${directives.generateIf}`;
+    }
+    if (directives.skipIf && SectionDirectives.evaluate(directives.skipIf, context)) {
+      return `Section unless condition met: ${directives.skipIf}`;
+    }
+    return null;
+  }
+
+  /**
+   * Evaluates a section condition.
+   * @param {string} condition - `env:NAME`, a path, `!path`, or `path operator value`.
+   * @param {object} context - The context containing Model and the item.
+   * @returns {boolean}
+   */
+  static evaluate(condition, context) {
+    const expression = condition.trim();
+
+    if (expression.startsWith('env:')) {
+      const value = process.env[expression.slice(4)];
+      return Boolean(value) && value !== 'false' && value !== '0';
+    }
+
+    if (/^!?\S+$/.test(expression)) {
+      const negated = expression.startsWith('!');
+      const value = TemplateSettings.getValueByPath(context, expression.replace(/^!/, ''));
+      const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      return negated ? !truthy : truthy;
+    }
+
+    return TemplateSettings.evaluateCondition(expression, context);
+  }
+}
+
+module.exports = { SectionDirectives };
@@ -0,0 +1,201 @@
+/**
+ * SettingsCascade module - merges directory defaults and shared settings into template
+ * settings.
+ *
+ * A template's settings are merged from layers, each overriding the ones before it:
+ *
+ * 1. `_defaults.settings.json` of each directory from the template root down to the
+ *    template's directory.
+ * 2. The template's front matter.
+ * 3. The template's settings file.
+ *
+ * Any layer may name shared settings files it inherits from with `Extends`, a name or an
+ * array of names. A name like `entity` is the file `entity.settings.json`, looked up in the
+ * declaring file's directory and then its parents up to the template root. A name with a
+ * `/` or ending in `.json` is a path relative to the declaring file. Extended settings go
+ * just below the layer extending them.
+ *
+ * Keys are merged shallowly: a later layer replaces a key, objects included.
+ *
+ * @module SettingsCascade
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SettingsError } = require('./GeneratorError');
+
+class SettingsCascade {
+  static DefaultsFileName = '_defaults.settings.json';
+  static SharedFileSuffix = '.settings.json';
+
+  /**
+   * Reads the `_defaults.settings.json` files from the root down to a directory.
+   * @param {string} rootDirectory - The template root, where the cascade starts.
+   * @param {string} directory - The template's directory.
+   * @returns {Array<{file: string, settings: object}>} The layers in merge order, with
+   *   the shared settings they extend.
+   * @throws {SettingsError} If a settings file is invalid, or extends missing settings or itself.
+   */
+  static directoryDefaults(rootDirectory, directory) {
+    const root = path.resolve(rootDirectory);
+    const layers = [];
+
+    for (const current of SettingsCascade._directories(root, directory)) {
+      const file = path.join(current, SettingsCascade.DefaultsFileName);
+      if (fs.existsSync(file)) {
+        layers.push(...SettingsCascade.expand(SettingsCascade._read(file), file, root));
+      }
+    }
+
+    return layers;
+  }
+
+  /**
+   * Expands settings into the shared settings they extend, followed by themselves.
+   * @param {object} settings - The settings.
+   * @param {string|null} file - The file declaring the settings.
+   * @param {string} rootDirectory - The template root, the last place shared settings
+   *   are looked up.
+   * @param {string[]} [chain=[]] - The resolved files extending these settings, to detect
+   *   cycles.
+   * @returns {Array<{file: string|null, settings: object}>} The layers in merge order,
+   *   without their Extends keys.
+   * @throws {SettingsError} If a shared settings file is missing, invalid or extends itself.
+   */
+  static expand(settings, file, rootDirectory, chain = []) {
+    const root = path.resolve(rootDirectory);
+    const { Extends: extendsNames, ...own } = settings;
+    const layers = [];
+    const extendingFiles = file ? [...chain, path.resolve(file)] : chain;
+
+    for (const name of [].concat(extendsNames || [])) {
+      const directory = file ? path.dirname(path.resolve(file)) : root;
+      const sharedFile = SettingsCascade._findShared(name, directory, root);
+
+      if (!sharedFile) {
+        throw new SettingsError(
+          `Shared settings "${name}" extended by ${file || 'settings'} not found`,
+          { file, code: 'SETTINGS_NOT_FOUND' }
+        );
+      }
+      if (extendingFiles.includes(sharedFile)) {
+        throw new SettingsError(`Shared settings ${sharedFile} extend themselves`, {
+          file: sharedFile,
+          code: 'SETTINGS_INVALID_VALUE',
+        });
+      }
+
+      layers.push(
+        ...SettingsCascade.expand(
+          SettingsCascade._read(sharedFile),
+          sharedFile,
+          root,
+          extendingFiles
+        )
+      );
+    }
+
+    layers.push({ file, settings: own });
+    return layers;
+  }
+
+  /**
+   * Merges settings layers.
+   * @param {Array<{settings: object}>} layers - The layers, lowest first.
+   * @returns {object}
+   */
+  static merge(layers) {
+    return Object.assign({}, ...layers.map((layer) => layer.settings));
+  }
+
+  /**
+   * Checks whether a file holds directory defaults or shared settings rather than being
+   * a template or an asset.
+   * @param {string} fileName - The file name.
+   * @returns {boolean}
+   */
+  static isSettingsFile(fileName) {
+    return fileName.endsWith(SettingsCascade.SharedFileSuffix);
+  }
+
+  /**
+   * Lists the directories from the root down to a directory. A directory outside the
+   * root is listed alone.
+   * @param {string} rootDirectory - The resolved root.
+   * @param {string} directory - The directory.
+   * @returns {string[]}
+   * @private
+   */
+  static _directories(rootDirectory, directory) {
+    const target = path.resolve(directory);
+    const relative = path.relative(rootDirectory, target);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return [target];
+    }
+
+    const directories = [rootDirectory];
+    let current = rootDirectory;
+    for (const segment of relative.split(path.sep).filter(Boolean)) {
+      current = path.join(current, segment);
+      directories.push(current);
+    }
+    return directories;
+  }
+
+  /**
+   * Finds the file of shared settings.
+   * @param {string} name - The name or relative path in Extends.
+   * @param {string} directory - The directory of the declaring file.
+   * @param {string} rootDirectory - The resolved root.
+   * @returns {string|null} The file, or null if it does not exist.
+   * @private
+   */
+  static _findShared(name, directory, rootDirectory) {
+    if (name.includes('/') || name.endsWith('.json')) {
+      const file = path.resolve(directory, name);
+      return fs.existsSync(file) ? file : null;
+    }
+
+    const fileName = `${name}${SettingsCascade.SharedFileSuffix}`;
+    const directories = SettingsCascade._directories(rootDirectory, directory).reverse();
+
+    for (const candidate of directories.map((d) => path.join(d, fileName))) {
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reads a settings file.
+   * @param {string} file - The file.
+   * @returns {object}
+   * @throws {SettingsError} If the file is not a JSON object.
+   * @private
+   */
+  static _read(file) {
+    let settings;
+    try {
+      settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new SettingsError(`Invalid settings file ${file}: ${error.message}`, {
+        file,
+        code: 'SETTINGS_INVALID_FILE',
+        cause: error,
+      });
+    }
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new SettingsError(`Invalid settings file ${file}: expected an object`, {
+        file,
+        code: 'SETTINGS_INVALID_FILE',
+      });
+    }
+    return settings;
+  }
+}
+
+module.exports = { SettingsCascade };
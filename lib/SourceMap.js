@@ -0,0 +1,258 @@
+/**
+ * SourceMap module - maps generated output lines back to the template lines that
+ * emitted them.
+ *
+ * Source mapping renders a template a second time through an instrumented copy of its
+ * Handlebars AST. The instrumented template emits invisible markers recording the
+ * source and line of every piece of content, and entering and leaving partials (layouts
+ * included). Decoding the markers yields one entry per output line:
+ *
+ *   { line: 12, source: '/templates/entity.hbs', sourceLine: 4, partials: ['file'] }
+ *
+ * `source` is the template path, or the partial name for lines a partial emitted.
+ * `partials` is the chain of partials being rendered, outermost first.
+ *
+ * @module SourceMap
+ */
+
+const Handlebars = require('handlebars');
+const { registerLayoutHelpers } = require('./LayoutHelpers');
+
+const MARKER_START = '\uE000';
+const MARKER_END = '\uE001';
+const MARKER_PATTERN = /\uE000([^\uE001]*)\uE001/g;
+
+class SourceMap {
+  /**
+   * Creates an environment rendering instrumented copies of the partials of an
+   * environment, with the same helpers and decorators.
+   * @param {Handlebars} handlebars - The environment to copy.
+   * @returns {Handlebars}
+   */
+  static createEnvironment(handlebars) {
+    const environment = Handlebars.create();
+
+    Object.assign(environment.helpers, handlebars.helpers);
+    Object.assign(environment.decorators, handlebars.decorators);
+    registerLayoutHelpers(environment);
+
+    for (const [name, partial] of Object.entries(handlebars.partials)) {
+      const template =
+        typeof partial === 'string'
+          ? environment.compile(SourceMap.instrument(environment.parse(partial), name))
+          : partial;
+      environment.partials[name] = SourceMap._wrapPartial(name, template);
+    }
+
+    return environment;
+  }
+
+  /**
+   * Compiles an instrumented version of a template.
+   * @param {Handlebars} environment - An environment from createEnvironment().
+   * @param {string} source - The template source.
+   * @param {string} sourceId - The template path recorded as the source of its lines.
+   * @param {object} [options] - Compile options.
+   * @param {number} [options.lineOffset=0] - Lines preceding the source in its file,
+   *   such as front matter.
+   * @param {object} [options.compileOptions] - Handlebars compile options.
+   * @returns {Function} The compiled template, rendering marked content.
+   */
+  static compile(environment, source, sourceId, options = {}) {
+    return environment.compile(
+      SourceMap.instrument(environment.parse(source), sourceId, options.lineOffset),
+      options.compileOptions
+    );
+  }
+
+  /**
+   * Adds source markers to a parsed template.
+   * @param {object} program - The Handlebars AST.
+   * @param {string} sourceId - The source recorded for the program's lines.
+   * @param {number} [lineOffset=0] - Lines preceding the program in its file.
+   * @returns {object} The instrumented AST.
+   */
+  static instrument(program, sourceId, lineOffset = 0) {
+    SourceMap._instrumentProgram(program, sourceId, lineOffset);
+    return program;
+  }
+
+  /**
+   * Decodes marked output into the plain content and its source lines.
+   * @param {string} marked - Output of an instrumented template.
+   * @returns {{content: string, lines: Array<{line: number, source: string|null, sourceLine: number|null, partials: string[]}>}}
+   */
+  static extract(marked) {
+    const lines = [];
+    const partials = [];
+    let current = { source: null, sourceLine: null };
+    let lineStart = null;
+    let content = '';
+    let position = 0;
+
+    const endLine = () => {
+      const origin = lineStart || current;
+      lines.push({
+        line: lines.length + 1,
+        source: origin.source,
+        sourceLine: origin.sourceLine,
+        partials: origin.partials || [...partials],
+      });
+      lineStart = null;
+    };
+
+    const appendText = (text) => {
+      const parts = text.split('\n');
+      for (let index = 0; index < parts.length; index++) {
+        if (index > 0) {
+          endLine();
+        }
+        // A line comes from where its first non-blank text was emitted
+        if (parts[index].trim().length > 0 && !lineStart) {
+          lineStart = { ...current, partials: [...partials] };
+        }
+      }
+      content += text;
+    };
+
+    for (const match of marked.matchAll(MARKER_PATTERN)) {
+      appendText(marked.substring(position, match.index));
+      position = match.index + match[0].length;
+
+      const marker = match[1];
+      if (marker[0] === 'P') {
+        partials.push(marker.substring(1));
+      } else if (marker[0] === 'E') {
+        partials.pop();
+      } else {
+        const separator = marker.lastIndexOf(':');
+        current = {
+          source: marker.substring(1, separator),
+          sourceLine: Number(marker.substring(separator + 1)),
+        };
+      }
+    }
+
+    appendText(marked.substring(position));
+    endLine();
+
+    return { content, lines };
+  }
+
+  /**
+   * Takes the source lines of a part of the output, renumbered from line 1.
+   * @param {Array} lines - The source lines of the whole output.
+   * @param {number} start - The zero-based index of the first line.
+   * @param {number} count - The number of lines.
+   * @returns {Array}
+   */
+  static slice(lines, start, count) {
+    return lines.slice(start, start + count).map((entry, index) => ({ ...entry, line: index + 1 }));
+  }
+
+  /**
+   * Wraps a partial to record entering and leaving it. The leaving marker goes before
+   * a trailing newline, so that Handlebars does not indent it for standalone partials.
+   * @param {string} name - The partial name.
+   * @param {Function} template - The compiled partial.
+   * @returns {Function}
+   * @private
+   */
+  static _wrapPartial(name, template) {
+    return (context, options) => {
+      const output = template(context, options);
+      const end = output.endsWith('\n') ? output.length - 1 : output.length;
+
+      return (
+        `${MARKER_START}P${name}${MARKER_END}${output.substring(0, end)}` +
+        `${MARKER_START}E${MARKER_END}${output.substring(end)}`
+      );
+    };
+  }
+
+  /**
+   * Adds markers to the statements of a program and its nested blocks.
+   * @param {object} program - A Handlebars Program node.
+   * @param {string} sourceId - The source recorded for the program's lines.
+   * @param {number} lineOffset - Lines preceding the program in its file.
+   * @private
+   */
+  static _instrumentProgram(program, sourceId, lineOffset) {
+    if (!program || !program.body) {
+      return;
+    }
+
+    const body = [];
+
+    for (const statement of program.body) {
+      if (!statement.loc) {
+        body.push(statement);
+        continue;
+      }
+
+      if (statement.type === 'ContentStatement') {
+        body.push(SourceMap._markContent(statement, sourceId, lineOffset));
+        continue;
+      }
+
+      body.push(SourceMap._lineMarker(sourceId, statement.loc.start.line + lineOffset), statement);
+      SourceMap._instrumentProgram(statement.program, sourceId, lineOffset);
+      SourceMap._instrumentProgram(statement.inverse, sourceId, lineOffset);
+    }
+
+    program.body = body;
+  }
+
+  /**
+   * Marks the start of every line of a content statement.
+   * @param {object} statement - A ContentStatement node.
+   * @param {string} sourceId - The source recorded for the lines.
+   * @param {number} lineOffset - Lines preceding the statement's program in its file.
+   * @returns {object} The marked statement.
+   * @private
+   */
+  static _markContent(statement, sourceId, lineOffset) {
+    // Standalone tags and ~ strip whitespace, and newlines, from the start of the value
+    const stripped = statement.original.substring(
+      0,
+      Math.max(statement.original.indexOf(statement.value), 0)
+    );
+    const line = statement.loc.start.line + lineOffset + stripped.split('\n').length - 1;
+    const lines = statement.value.split('\n');
+    const value = lines
+      // No marker after a trailing newline, where it would take a partial's indentation
+      .map((text, index) =>
+        index > 0 && index === lines.length - 1 && text === ''
+          ? text
+          : SourceMap._marker(sourceId, line + index) + text
+      )
+      .join('\n');
+
+    return { ...statement, value, original: value };
+  }
+
+  /**
+   * Creates a content statement holding a line marker.
+   * @param {string} sourceId - The source.
+   * @param {number} line - The source line.
+   * @returns {object}
+   * @private
+   */
+  static _lineMarker(sourceId, line) {
+    const value = SourceMap._marker(sourceId, line);
+    return { type: 'ContentStatement', value, original: value };
+  }
+
+  /**
+   * Formats a line marker.
+   * @param {string} sourceId - The source.
+   * @param {number} line - The source line.
+   * @returns {string}
+   * @private
+   */
+  static _marker(sourceId, line) {
+    return `${MARKER_START}L${sourceId}:${line}${MARKER_END}`;
+  }
+}
+
+module.exports = { SourceMap };
@@ -0,0 +1,215 @@
+/**
+ * StaticAssets module - copies the non-template files of template directories to an
+ * output directory.
+ *
+ * Images, binary fixtures and config files that belong to a scaffold sit next to its
+ * templates. Every file that is not a template, partial, layout or template sidecar
+ * (settings, script) is an asset, copied byte for byte to the same relative path under
+ * the output directory:
+ *
+ *   templates/assets/logo.png  ->  output/assets/logo.png
+ *
+ * With `tokenize`, asset paths are Handlebars templates rendered with the model through
+ * Template.prepareExportPath, so `templates/{{Name}}/README.md` can become
+ * `output/Shop/README.md`. Like export paths under an output root, a rendered path that
+ * leaves the output directory is refused with a FileError unless `allowOutside` is set.
+ *
+ * @module StaticAssets
+ */
+
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const Template = require('./Template');
+const { FileHelper } = require('./FileHelper');
+const { Glob } = require('./Glob');
+const { OutputRoot } = require('./OutputRoot');
+const { ChecksumStore } = require('./ChecksumStore');
+const { SettingsCascade } = require('./SettingsCascade');
+const HandlebarsHelpers = require('./HandlebarsHelpers');
+const { SettingsError } = require('./GeneratorError');
+
+class StaticAssets {
+  /**
+   * @param {object} options - Asset options.
+   * @param {string} options.outputPath - The directory assets are copied to.
+   * @param {string[]} [options.include=['**']] - Glob patterns of the assets to copy,
+   *   relative to the template directory.
+   * @param {string[]} [options.exclude=[]] - Glob patterns of files not to copy.
+   * @param {boolean} [options.tokenize=false] - Render asset paths as Handlebars templates.
+   * @param {boolean} [options.allowOutside=false] - Allow rendered paths outside outputPath.
+   * @throws {SettingsError} If outputPath is missing.
+   */
+  constructor(options) {
+    if (!options || !options.outputPath) {
+      throw SettingsError.missingRequired('assets.outputPath', null);
+    }
+
+    this._outputPath = options.outputPath;
+    this._include = options.include || ['**'];
+    this._exclude = options.exclude || [];
+    this._tokenize = Boolean(options.tokenize);
+    this._allowOutside = Boolean(options.allowOutside);
+  }
+
+  get outputPath() {
+    return this._outputPath;
+  }
+
+  get include() {
+    return this._include;
+  }
+
+  get exclude() {
+    return this._exclude;
+  }
+
+  get tokenize() {
+    return this._tokenize;
+  }
+
+  /**
+   * Checks whether a file belongs to the templates rather than being an asset: a
+   * template, partial or layout, a template sidecar such as `entity.hbs.settings.json`,
+   * directory defaults or shared settings, or the checksum store.
+   * @param {string} fileName - The file name.
+   * @param {string} extension - The template file extension.
+   * @returns {boolean}
+   */
+  static isTemplateFile(fileName, extension) {
+    return (
+      fileName.endsWith(extension) ||
+      fileName.includes(`${extension}.`) ||
+      HandlebarsHelpers.isPartialOrLayoutFile(fileName) ||
+      SettingsCascade.isSettingsFile(fileName) ||
+      fileName === ChecksumStore.FileName
+    );
+  }
+
+  /**
+   * Finds the assets in template directories.
+   * @param {string[]} directories - The template directories.
+   * @param {object} options - Search options.
+   * @param {string} options.extension - The template file extension.
+   * @param {boolean} options.recurse - Whether to search subdirectories.
+   * @param {object} [options.model] - The model rendering tokenized paths.
+   * @param {Handlebars} [options.handlebars] - The environment rendering tokenized paths.
+   * @returns {Array<{source: string, relativePath: string, filePath: string}>}
+   */
+  find(directories, options) {
+    const assets = [];
+
+    for (const directory of directories) {
+      for (const source of FileHelper.getFilesSync(directory, options.recurse)) {
+        const relativePath = path.relative(directory, source).split(path.sep).join('/');
+
+        if (
+          StaticAssets.isTemplateFile(path.basename(source), options.extension) ||
+          !Glob.matches(relativePath, this._include) ||
+          Glob.matches(relativePath, this._exclude)
+        ) {
+          continue;
+        }
+
+        assets.push({
+          source,
+          relativePath,
+          filePath: path.join(this._outputPath, this._preparePath(relativePath, options)),
+        });
+      }
+    }
+
+    return assets;
+  }
+
+  /**
+   * Copies an asset, unless the destination already has the same content.
+   * @param {{source: string, filePath: string}} asset - The asset from find().
+   * @returns {{source: string, filePath: string, status: string, skipReason: string|null, bytes: number}}
+   * @throws {FileError} If the destination is outside the output directory.
+   */
+  copy(asset) {
+    this._checkDestination(asset);
+    const content = fs.readFileSync(asset.source);
+    const existing = fs.existsSync(asset.filePath) ? fs.readFileSync(asset.filePath) : null;
+
+    if (existing && existing.equals(content)) {
+      return StaticAssets._outcome(asset, 'unchanged', null, content);
+    }
+
+    FileHelper.ensureDirectoryExists(path.dirname(asset.filePath));
+    console.log(`Copying File: ${asset.filePath}...`);
+    fs.copyFileSync(asset.source, asset.filePath);
+    return StaticAssets._outcome(asset, existing ? 'updated' : 'created', null, content);
+  }
+
+  /**
+   * Copies an asset asynchronously, unless the destination already has the same content.
+   * @param {{source: string, filePath: string}} asset - The asset from find().
+   * @returns {Promise<{source: string, filePath: string, status: string, skipReason: string|null, bytes: number}>}
+   * @throws {FileError} If the destination is outside the output directory.
+   */
+  async copyAsync(asset) {
+    this._checkDestination(asset);
+    const content = await fsPromises.readFile(asset.source);
+    const existing = (await FileHelper.exists(asset.filePath))
+      ? await fsPromises.readFile(asset.filePath)
+      : null;
+
+    if (existing && existing.equals(content)) {
+      return StaticAssets._outcome(asset, 'unchanged', null, content);
+    }
+
+    await FileHelper.ensureDirectoryExistsAsync(path.dirname(asset.filePath));
+    console.log(`Copying File: ${asset.filePath}...`);
+    await fsPromises.copyFile(asset.source, asset.filePath);
+    return StaticAssets._outcome(asset, existing ? 'updated' : 'created', null, content);
+  }
+
+  /**
+   * Renders a tokenized asset path with the model.
+   * @param {string} relativePath - The asset path relative to its template directory.
+   * @param {object} options - The find() options.
+   * @returns {string}
+   * @private
+   */
+  _preparePath(relativePath, options) {
+    if (!this._tokenize) {
+      return relativePath;
+    }
+
+    const settings = { exportPath: relativePath, prepareExportPathUsingTemplate: true };
+    return Template.prepareExportPath(settings, null, { ...options.model }, options.handlebars);
+  }
+
+  /**
+   * Refuses an asset whose rendered path leaves the output directory.
+   * @param {{filePath: string}} asset - The asset.
+   * @throws {FileError} If the destination is outside the output directory.
+   * @private
+   */
+  _checkDestination(asset) {
+    OutputRoot.resolve(asset.filePath, this._outputPath, { allowOutside: this._allowOutside });
+  }
+
+  /**
+   * Describes the outcome of copying an asset.
+   * @param {{source: string, filePath: string}} asset - The asset.
+   * @param {string} status - "created", "updated", "unchanged" or "skipped".
+   * @param {string|null} skipReason - Why the asset was skipped.
+   * @param {Buffer} content - The asset content.
+   * @returns {object}
+   * @private
+   */
+  static _outcome(asset, status, skipReason, content) {
+    return {
+      source: asset.source,
+      filePath: asset.filePath,
+      status,
+      skipReason,
+      bytes: content.length,
+    };
+  }
+}
+
+module.exports = { StaticAssets };
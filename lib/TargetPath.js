@@ -0,0 +1,172 @@
+/**
+ * TargetPath module - resolves a template's `Target` setting against the model.
+ *
+ * A target is a dot path whose segments may carry array indexes or wildcards:
+ *
+ *   Entities                   the Entities array of the model
+ *   Modules.Core.Entities      a nested property
+ *   Modules[0].Entities        an element of an array
+ *   Modules[*].Entities[*]     every entity of every module, flattened
+ *
+ * @module TargetPath
+ */
+
+const { SettingsError } = require('./GeneratorError');
+
+const INDEX_PATTERN = /\[(\*|\d+)\]/g;
+
+class TargetPath {
+  /**
+   * Parses a target expression into property and index steps.
+   * @param {string} expression - The target expression.
+   * @returns {Array<{property: string}|{index: number}|{wildcard: true}>}
+   * @throws {SettingsError} If the expression is malformed.
+   */
+  static parse(expression) {
+    const steps = [];
+
+    for (const segment of expression.split('.')) {
+      const bracket = segment.indexOf('[');
+      const property = bracket === -1 ? segment : segment.substring(0, bracket);
+      const indexes = bracket === -1 ? '' : segment.substring(bracket);
+
+      if ((!property && !indexes) || indexes.replace(INDEX_PATTERN, '') !== '') {
+        throw new SettingsError(`Invalid Target path "${expression}"`, {
+          code: 'SETTINGS_INVALID_TARGET',
+        });
+      }
+
+      if (property) {
+        steps.push({ property });
+      }
+
+      for (const [, index] of indexes.matchAll(INDEX_PATTERN)) {
+        steps.push(index === '*' ? { wildcard: true } : { index: Number(index) });
+      }
+    }
+
+    return steps;
+  }
+
+  /**
+   * Checks whether a target expression contains wildcards.
+   * @param {string} expression - The target expression.
+   * @returns {boolean}
+   */
+  static hasWildcard(expression) {
+    return expression.includes('[*]');
+  }
+
+  /**
+   * Resolves a target expression against a model.
+   *
+   * Every match carries its location: `path` is the concrete path to the value (e.g.
+   * "Modules[1].Entities[0]") and `parents` lists the objects passed on the way from the
+   * root, outermost first, excluding the root and any arrays.
+   *
+   * A property of the model whose name is the whole expression wins over path
+   * resolution, so keys containing dots keep working.
+   *
+   * @param {object} model - The model to resolve against.
+   * @param {string} expression - The target expression.
+   * @returns {{value: any, matches: Array<{value: any, path: string, parents: object[]}>}}
+   *   With wildcards, `value` is the flattened array of all matches; otherwise it is the
+   *   value at the path. When that value is an array, `matches` describes its items.
+   */
+  static resolve(model, expression) {
+    if (model && Object.prototype.hasOwnProperty.call(model, expression)) {
+      return TargetPath._result(model[expression], [
+        { value: model[expression], path: expression, parents: [] },
+      ]);
+    }
+
+    let matches = [{ value: model, path: '', parents: [] }];
+
+    for (const step of TargetPath.parse(expression)) {
+      const next = [];
+
+      for (const match of matches) {
+        const { value } = match;
+        if (value === null || value === undefined) {
+          continue;
+        }
+
+        const parents = TargetPath._isParent(value, match.path)
+          ? [...match.parents, value]
+          : match.parents;
+
+        if (step.wildcard) {
+          const keys = Array.isArray(value) ? value.keys() : Object.keys(value);
+          for (const key of keys) {
+            next.push({ value: value[key], path: `${match.path}[${key}]`, parents });
+          }
+        } else if (step.index !== undefined) {
+          next.push({ value: value[step.index], path: `${match.path}[${step.index}]`, parents });
+        } else {
+          const path = match.path ? `${match.path}.${step.property}` : step.property;
+          next.push({ value: value[step.property], path, parents });
+        }
+      }
+
+      matches = next;
+    }
+
+    if (!TargetPath.hasWildcard(expression)) {
+      return TargetPath._result(matches.length > 0 ? matches[0].value : undefined, matches);
+    }
+
+    // Flatten wildcard matches, expanding arrays at the end of the path into their items
+    const flattened = [];
+    for (const match of matches) {
+      if (Array.isArray(match.value)) {
+        flattened.push(...TargetPath._itemMatches(match));
+      } else if (match.value !== undefined) {
+        flattened.push(match);
+      }
+    }
+
+    return { value: flattened.map((match) => match.value), matches: flattened };
+  }
+
+  /**
+   * Builds a non-wildcard result, describing the items when the value is an array.
+   * @param {any} value - The resolved value.
+   * @param {Array} matches - The single match for the value.
+   * @returns {{value: any, matches: Array}}
+   * @private
+   */
+  static _result(value, matches) {
+    if (!Array.isArray(value) || matches.length === 0) {
+      return { value, matches: [] };
+    }
+    return { value, matches: TargetPath._itemMatches(matches[0]) };
+  }
+
+  /**
+   * Describes the items of an array match.
+   * @param {{value: Array, path: string, parents: object[]}} match - The array match.
+   * @returns {Array<{value: any, path: string, parents: object[]}>}
+   * @private
+   */
+  static _itemMatches(match) {
+    return match.value.map((value, index) => ({
+      value,
+      path: `${match.path}[${index}]`,
+      parents: match.parents,
+    }));
+  }
+
+  /**
+   * Checks whether a traversed value counts as a parent: any object other than the
+   * root (empty path) or an array.
+   * @param {any} value - The traversed value.
+   * @param {string} path - The path of the value.
+   * @returns {boolean}
+   * @private
+   */
+  static _isParent(value, path) {
+    return path !== '' && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = { TargetPath };
@@ -1,9 +1,33 @@
 const fs = require('fs');
-const Handlebars = require('handlebars');
-const { TemplateResult } = require('./TemplateResult');
+const { FrontMatter } = require('./FrontMatter');
+const { TemplateResult, WRITE_MODES, MANUAL_EDIT_POLICIES } = require('./TemplateResult');
+const { ChecksumStore } = require('./ChecksumStore');
+const { TextEncoding, LINE_ENDINGS, ENCODINGS } = require('./TextEncoding');
 const { TemplateSettings } = require('./TemplateSettings');
+const { TargetPath } = require('./TargetPath');
+const { SourceMap } = require('./SourceMap');
+const { SettingsCascade } = require('./SettingsCascade');
+const { SectionDirectives } = require('./SectionDirectives');
+const { PostProcessors } = require('./PostProcessors');
+const { PostGenerate } = require('./PostGenerate');
+const { OutputRoot } = require('./OutputRoot');
+const { MissingProperties, MISSING_PROPERTY_MODES } = require('./MissingProperties');
 const Helpers = require('./Helpers');
+const HandlebarsHelpers = require('./HandlebarsHelpers');
 const { resolve } = require('path');
+const { TemplateGenerateError } = require('./GeneratorError');
+
+/**
+ * Errors thrown when a script hook returns null.
+ */
+const HOOK_RESULT_ERRORS = {
+  prepareModel: 'Prepare Model script did not return a valid model.',
+  prepareTarget: 'Prepare Target script did not return a valid target.',
+  prepareItem: 'Prepare Item script did not return a valid item.',
+  prepareItemModel: 'Prepare Item Model script did not return a valid item model.',
+  prepareExportPath: 'Prepare Export Path script did not return a valid path.',
+  postProcess: 'Post Process script did not return valid content.',
+};
 
 /**
  * Represents a Handlebars template with associated settings and generation logic.
@@ -20,8 +44,22 @@ class Template {
    * Creates a new Template instance.
    * @param {string} directoryPath - The directory containing the template files.
    * @param {string} fileName - The template file name.
+   * @param {Handlebars} [handlebars] - Handlebars environment to compile against.
+   *   Defaults to a new isolated environment with the built-in helpers.
+   * @param {object} [options] - Template options.
+   * @param {object} [options.compileOptions] - Default Handlebars compile options, which the
+   *   CompileOptions setting overrides.
+   * @param {object} [options.defaultSettings] - Default settings, such as `{ ExportPath }`,
+   *   which directory defaults, front matter and the settings file override. With defaults,
+   *   the settings file is optional.
+   * @param {string} [options.settingsRoot] - The directory where `_defaults.settings.json`
+   *   files start cascading down to the template. Defaults to the template's directory.
    */
-  constructor(directoryPath, fileName) {
+  constructor(directoryPath, fileName, handlebars, options = {}) {
+    this._handlebars = handlebars || HandlebarsHelpers.createEnvironment();
+    this._defaultCompileOptions = options.compileOptions || {};
+    this._defaultSettings = options.defaultSettings || null;
+    this._settingsRoot = options.settingsRoot || null;
     this.initialize();
     this.load(directoryPath, fileName);
   }
@@ -33,8 +71,22 @@ class Template {
     this._scriptPath = null;
     this._templateContent = null;
     this._settings = null;
+    this._frontMatter = null;
+    this._frontMatterLineCount = 0;
+    this._fileSettings = null;
+    this._resolvedSettings = null;
+    this._settingsSources = [];
+    this._compileOptions = {};
     this._isGenerated = false;
     this._result = [];
+    this._outputs = [];
+    this._sourceMapTemplate = null;
+    this._checkedTemplate = null;
+    this._missingProperties = 'ignore';
+    this._postProcessors = new PostProcessors();
+    this._outputRoot = null;
+    this._allowOutsideOutputRoot = false;
+    this._renderingItem = null;
     this._isLoaded = false;
     this._script = Template.defaultPrepareScript;
     this._errors = [];
@@ -48,7 +100,7 @@ class Template {
    */
   load(directoryPath, fileName) {
     const templateSettingsPattern = /\w+\.hbs\.json/i;
-    const templatePattern = /\w+\.hbs/i;
+    const templatePattern = /.+\.hbs/i;
 
     if (directoryPath.endsWith('/') || directoryPath.endsWith('\\')) {
       directoryPath = directoryPath.substring(0, directoryPath.length - 1);
@@ -73,13 +125,27 @@ class Template {
     this._templateSettingsPath = `${directoryPath}/${templateSettingsFile}`;
     this._scriptPath = `${directoryPath}/${scriptFile}`;
 
+    this._name = name;
+
     try {
-      const templateContent = fs.readFileSync(this._templatePath, {
-        encoding: 'utf8',
-      });
-      const settingsContent = fs.readFileSync(this._templateSettingsPath, {
-        encoding: 'utf8',
-      });
+      const {
+        data: frontMatter,
+        body: templateContent,
+        lineCount,
+      } = FrontMatter.parse(
+        fs.readFileSync(this._templatePath, { encoding: 'utf8' }),
+        templateFile
+      );
+
+      const settingsRoot = this._settingsRoot || directoryPath;
+      const directoryDefaults = SettingsCascade.directoryDefaults(settingsRoot, directoryPath);
+
+      // The settings file is optional when the template gets settings elsewhere
+      const fileSettings =
+        (frontMatter || this._defaultSettings || directoryDefaults.length > 0) &&
+        !fs.existsSync(this._templateSettingsPath)
+          ? null
+          : JSON.parse(fs.readFileSync(this._templateSettingsPath, { encoding: 'utf8' }));
 
       if (fs.existsSync(this._scriptPath)) {
         this._script = require(resolve(this._scriptPath));
@@ -87,10 +153,26 @@ class Template {
         this._script = null;
       }
 
-      this._name = name;
       this._templateContent = templateContent;
-      this._template = Handlebars.compile(templateContent);
-      this._settings = new TemplateSettings(JSON.parse(settingsContent));
+      this._frontMatter = frontMatter;
+      this._frontMatterLineCount = lineCount;
+      this._fileSettings = fileSettings;
+
+      const layers = [
+        { file: null, settings: this._defaultSettings },
+        ...directoryDefaults,
+        ...(frontMatter
+          ? SettingsCascade.expand(frontMatter, this._templatePath, settingsRoot)
+          : []),
+        ...(fileSettings
+          ? SettingsCascade.expand(fileSettings, this._templateSettingsPath, settingsRoot)
+          : []),
+      ].filter((layer) => layer.settings);
+      this._settingsSources = [...new Set(layers.map((layer) => layer.file).filter(Boolean))];
+      this._resolvedSettings = SettingsCascade.merge(layers);
+      this._settings = new TemplateSettings(this._resolvedSettings);
+      this._compileOptions = this._resolveCompileOptions();
+      this._template = this._handlebars.compile(templateContent, this._compileOptions);
       this._isLoaded = true;
     } catch (error) {
       this._errors.push({
@@ -122,9 +204,36 @@ class Template {
   get template() {
     return this._template;
   }
+  get handlebars() {
+    return this._handlebars;
+  }
   get settings() {
     return this._settings;
   }
+  /**
+   * The settings the template was loaded with, merged from directory defaults, shared
+   * settings, front matter and the settings file.
+   * @returns {object|null}
+   */
+  get resolvedSettings() {
+    return this._resolvedSettings;
+  }
+
+  /**
+   * The files the resolved settings were merged from, lowest first.
+   * @returns {string[]}
+   */
+  get settingsSources() {
+    return this._settingsSources;
+  }
+
+  /**
+   * Settings declared in the template's front matter, or null if it has none.
+   * @returns {object|null}
+   */
+  get frontMatter() {
+    return this._frontMatter;
+  }
   get isLoaded() {
     return this._isLoaded;
   }
@@ -140,13 +249,18 @@ class Template {
 
   /**
    * Extracts filename and processes section content based on fileNamePattern settings.
+   * Directives following the file name in the marker, or in its Directives group,
+   * override write settings for the section (see SectionDirectives).
    * @param {string} section - The content section to process.
    * @param {string} defaultFileName - Default filename if pattern doesn't match.
-   * @returns {{fileName: string, section: string}} Processed section and filename.
+   * @returns {{fileName: string, section: string, directives: object}} Processed section,
+   *   filename and section directives.
+   * @throws {SettingsError} If the section directives are invalid.
    * @private
    */
   _extractFileNameFromSection(section, defaultFileName) {
     let fileName = defaultFileName;
+    let directives = {};
 
     if (this._settings.fileNamePattern) {
       const regex = new RegExp(this._settings.fileNamePattern);
@@ -156,7 +270,12 @@ class Template {
         if (this._settings.removeFileName) {
           section = section.replace(nameMatch[0], '');
         }
-        fileName = nameMatch.groups.FileName;
+        const marker =
+          nameMatch.groups.Directives !== undefined
+            ? { fileName: nameMatch.groups.FileName, directives: nameMatch.groups.Directives }
+            : SectionDirectives.splitFileName(nameMatch.groups.FileName);
+        fileName = marker.fileName;
+        directives = SectionDirectives.parse(marker.directives, this._name);
       } else {
         this._errors.push({
           phase: 'generate',
@@ -165,7 +284,198 @@ class Template {
       }
     }
 
-    return { fileName, section: section.trim() };
+    return { fileName, section: section.trim(), directives };
+  }
+
+  /**
+   * Creates a TemplateResult carrying this template's write settings.
+   * @param {string} filePath - The output file path.
+   * @param {string} content - The generated content.
+   * @param {Array|null} [sourceLines] - The template lines of each output line.
+   * @param {object} [directives] - Section directives overriding the write settings.
+   * @param {string|null} [item] - The name of the item the output was rendered for.
+   * @returns {TemplateResult}
+   * @private
+   */
+  _createResult(filePath, content, sourceLines, directives = {}, item = null) {
+    return new TemplateResult(filePath, content, this._settings.appendToExisting, {
+      writeMode: directives.writeMode || this._settings.writeMode,
+      dumpOrphanedRegions: this._settings.dumpOrphanedRegions,
+      onManualEdit: this._settings.onManualEditSetting,
+      checksumHeader: this._settings.checksumHeader,
+      lineEndings: this._settings.lineEndings,
+      encoding: directives.encoding || this._settings.encoding,
+      bom: this._settings.bom,
+      sourceMap: sourceLines ? { template: this._templatePath, lines: sourceLines } : null,
+      item,
+    });
+  }
+
+  /**
+   * Records a rendered output. Outputs become TemplateResults once every item is
+   * rendered, after the prepareExportPath and postProcess hooks have run.
+   * @param {string|null} fileName - The file name extracted from a split section.
+   * @param {string} content - The rendered content.
+   * @param {object} model - The model the content was rendered with.
+   * @param {Array|null} [sourceLines] - The template lines of each content line.
+   * @param {object} [directives] - The directives of the split section.
+   * @private
+   */
+  _addOutput(fileName, content, model, sourceLines, directives) {
+    this._outputs.push({
+      filePath: Template.prepareExportPath(this._settings, fileName, model, this._handlebars),
+      fileName,
+      content,
+      model,
+      sourceLines: sourceLines || null,
+      directives: directives || {},
+      item: this._itemName(this._renderingItem),
+    });
+  }
+
+  /**
+   * Gets the name of an item, read from its TargetItemNameProperty, as reported in output
+   * collisions and missing property warnings.
+   * @param {any} item - The item.
+   * @returns {string|null}
+   * @private
+   */
+  _itemName(item) {
+    const name =
+      item && typeof item === 'object' ? item[this._settings.targetItemNameProperty] : null;
+    return name === undefined || name === null ? null : String(name);
+  }
+
+  /**
+   * Keeps an output's source lines only while they still describe its content. The
+   * postProcess hook may edit lines in place; post-processors such as sortImports can move
+   * lines without changing their number, so any change they make drops the map.
+   * @param {object} output - The output.
+   * @param {string} filePath - The output file path.
+   * @param {string} processed - The content after the postProcess hook.
+   * @param {string} content - The content after the post-processors.
+   * @returns {Array|null}
+   * @private
+   */
+  _finishSourceLines(output, filePath, processed, content) {
+    if (!output.sourceLines) {
+      return null;
+    }
+
+    if (processed.split('\n').length !== output.sourceLines.length) {
+      this._errors.push({
+        phase: 'generate',
+        message: `postProcess changed the number of lines of ${filePath}; no source map was written`,
+      });
+      return null;
+    }
+
+    if (content !== processed) {
+      const steps = this._postProcessors
+        .resolve(filePath, this._settings.postProcessors)
+        .map((step) => step.name);
+      this._errors.push({
+        phase: 'generate',
+        message: `Post-processors (${steps.join(', ')}) changed ${filePath}; no source map was written`,
+      });
+      return null;
+    }
+
+    return output.sourceLines;
+  }
+
+  /**
+   * Runs the post-processors selected by the PostProcessors setting or the output path.
+   * @param {string} filePath - The output file path.
+   * @param {string} content - The content after the postProcess hook.
+   * @returns {string}
+   * @private
+   */
+  _runPostProcessors(filePath, content) {
+    return this._postProcessors.process(
+      content,
+      { filePath, template: this._name },
+      this._settings.postProcessors
+    );
+  }
+
+  /**
+   * Resolves an export path against the output root.
+   * @param {string} filePath - The export path after the prepareExportPath hook.
+   * @returns {string}
+   * @throws {FileError} If the path leaves the output root.
+   * @private
+   */
+  _resolveOutputPath(filePath) {
+    return OutputRoot.resolve(filePath, this._outputRoot, {
+      allowOutside: this._allowOutsideOutputRoot,
+      template: this._name,
+    });
+  }
+
+  /**
+   * Turns the rendered outputs into TemplateResults, running the output hooks.
+   * @private
+   */
+  _finishOutputs() {
+    for (const output of this._outputs) {
+      const filePath = this._resolveOutputPath(
+        this._runHook(
+          'prepareExportPath',
+          output.filePath,
+          this._hookContext({ model: output.model, fileName: output.fileName })
+        )
+      );
+      const processed = this._runHook(
+        'postProcess',
+        output.content,
+        this._hookContext({ model: output.model, filePath })
+      );
+      const content = this._runPostProcessors(filePath, processed);
+      this._result.push(
+        this._createResult(
+          filePath,
+          content,
+          this._finishSourceLines(output, filePath, processed, content),
+          output.directives,
+          output.item
+        )
+      );
+    }
+    this._outputs = [];
+  }
+
+  /**
+   * Turns the rendered outputs into TemplateResults, awaiting the output hooks.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _finishOutputsAsync() {
+    for (const output of this._outputs) {
+      const filePath = this._resolveOutputPath(
+        await this._runHookAsync(
+          'prepareExportPath',
+          output.filePath,
+          this._hookContext({ model: output.model, fileName: output.fileName })
+        )
+      );
+      const processed = await this._runHookAsync(
+        'postProcess',
+        output.content,
+        this._hookContext({ model: output.model, filePath })
+      );
+      const content = this._runPostProcessors(filePath, processed);
+      this._result.push(
+        this._createResult(
+          filePath,
+          content,
+          this._finishSourceLines(output, filePath, processed, content),
+          output.directives,
+          output.item
+        )
+      );
+    }
+    this._outputs = [];
   }
 
   /**
@@ -173,13 +483,19 @@ class Template {
    * @param {string} content - The full generated content.
    * @param {object} model - The model used for export path generation.
    * @param {string} namePrefix - Prefix for default filenames.
+   * @param {Array|null} [sourceLines] - The template lines of each content line.
+   * @param {object} context - The context section conditions are evaluated against.
+   * @param {any} item - The item being rendered, recorded when a section is skipped.
    * @private
    */
-  _processSplitContent(content, model, namePrefix) {
+  _processSplitContent(content, model, namePrefix, sourceLines, context, item) {
     const sections = content.split(this._settings.splitOn);
+    let sectionStart = 0;
 
     for (let index = 0; index < sections.length; index++) {
       let section = sections[index];
+      const start = sectionStart;
+      sectionStart += section.length + this._settings.splitOn.length;
 
       if (section.trim().length <= 0) {
         continue;
@@ -188,25 +504,168 @@ class Template {
       const defaultFileName = `${namePrefix}-${index}`;
       const extracted = this._extractFileNameFromSection(section, defaultFileName);
 
-      const result = new TemplateResult(
-        Template.prepareExportPath(this._settings, extracted.fileName, model),
+      const reason = SectionDirectives.skipReason(extracted.directives, context);
+      if (reason) {
+        this._skippedItems.push({ item, section: extracted.fileName, reason });
+        continue;
+      }
+
+      this._addOutput(
+        extracted.fileName,
         extracted.section,
-        this._settings.appendToExisting
+        model,
+        sourceLines && Template._sliceSourceLines(content, start, extracted.section, sourceLines),
+        extracted.directives
       );
+    }
+  }
 
-      this._result.push(result);
+  /**
+   * Takes the source lines of a split section from the source lines of the whole content.
+   * @param {string} content - The full generated content.
+   * @param {number} start - The offset of the section in the content.
+   * @param {string} section - The section, after trimming and removing the file name.
+   * @param {Array} sourceLines - The template lines of each content line.
+   * @returns {Array|null} Null if the section cannot be located in the content.
+   * @private
+   */
+  static _sliceSourceLines(content, start, section, sourceLines) {
+    const offset = content.indexOf(section, start);
+    if (offset < 0) {
+      return null;
     }
+
+    const firstLine = content.substring(0, offset).split('\n').length - 1;
+    return SourceMap.slice(sourceLines, firstLine, section.split('\n').length);
   }
 
   /**
    * Generates output from the template using the provided model.
    * @param {object} model - The data model to use for generation.
+   * @param {object} [options] - Generation options.
+   * @param {boolean} [options.sourceMap=false] - Record the template line of each output line.
+   * @param {string} [options.missingProperties='ignore'] - How lookups of undefined model
+   *   paths are handled, one of MISSING_PROPERTY_MODES.
+   * @param {string} [options.outputRoot] - Directory export paths are resolved against.
+   * @param {boolean} [options.allowOutsideOutputRoot=false] - Allow export paths outside
+   *   the output root.
    * @returns {{skipped: boolean, reason?: string}|void} Returns skip info if template was skipped.
+   * @throws {TemplateGenerateError} If a script hook returns a promise; use generateAsync().
+   *   In the error missing property mode, for the first lookup of an undefined model path.
+   * @throws {FileError} If an export path is outside the output root.
    */
-  generate(model) {
+  generate(model, options = {}) {
+    const skipped = this._startGenerate(options);
+    if (skipped) {
+      return skipped;
+    }
+
+    model = this._runHook('prepareModel', model);
+
+    const { target: resolvedTarget, matches } = this._resolveTarget(model);
+    const target = this._runHook('prepareTarget', resolvedTarget);
+
+    if (!Array.isArray(target)) {
+      const targetSkipped = this._generateTarget(model, target);
+      this._finishOutputs();
+      return targetSkipped;
+    }
+
+    for (const [index, item] of target.entries()) {
+      const processedItem = this._runHook('prepareItem', item);
+
+      if (
+        this._hasHook('filterItem') &&
+        !this._runHook('filterItem', processedItem, this._hookContext({ model, target, index }))
+      ) {
+        this._skipFilteredItem(processedItem);
+        continue;
+      }
+
+      const itemModel = this._createItemModel(model, target, processedItem, matches, index, item);
+
+      this._generateItemModel(
+        model,
+        this._runHook('prepareItemModel', itemModel),
+        processedItem,
+        index
+      );
+    }
+
+    this._finishOutputs();
+    this._isGenerated = true;
+  }
+
+  /**
+   * Generates output from the template asynchronously, awaiting script hooks that
+   * return promises.
+   * @param {object} model - The data model to use for generation.
+   * @param {object} [options] - Generation options, as for generate().
+   * @returns {Promise<{skipped: boolean, reason?: string}|void>} Skip info if the template was skipped.
+   */
+  async generateAsync(model, options = {}) {
+    const skipped = this._startGenerate(options);
+    if (skipped) {
+      return skipped;
+    }
+
+    model = await this._runHookAsync('prepareModel', model);
+
+    const { target: resolvedTarget, matches } = this._resolveTarget(model);
+    const target = await this._runHookAsync('prepareTarget', resolvedTarget);
+
+    if (!Array.isArray(target)) {
+      const targetSkipped = this._generateTarget(model, target);
+      await this._finishOutputsAsync();
+      return targetSkipped;
+    }
+
+    for (const [index, item] of target.entries()) {
+      const processedItem = await this._runHookAsync('prepareItem', item);
+
+      if (
+        this._hasHook('filterItem') &&
+        !(await this._runHookAsync(
+          'filterItem',
+          processedItem,
+          this._hookContext({ model, target, index })
+        ))
+      ) {
+        this._skipFilteredItem(processedItem);
+        continue;
+      }
+
+      const itemModel = this._createItemModel(model, target, processedItem, matches, index, item);
+
+      this._generateItemModel(
+        model,
+        await this._runHookAsync('prepareItemModel', itemModel),
+        processedItem,
+        index
+      );
+    }
+
+    await this._finishOutputsAsync();
+    this._isGenerated = true;
+  }
+
+  /**
+   * Resets generation state and checks that the template can generate.
+   * @param {object} options - Generation options.
+   * @returns {{skipped: boolean, reason: string}|null} Skip info if the template is disabled.
+   * @private
+   */
+  _startGenerate(options) {
     this._result = [];
+    this._outputs = [];
     this._errors = [];
     this._skippedItems = [];
+    this._sourceMapTemplate = null;
+    this._checkedTemplate = null;
+    this._missingProperties = options.missingProperties || 'ignore';
+    this._postProcessors = options.postProcessors || new PostProcessors();
+    this._outputRoot = options.outputRoot || null;
+    this._allowOutsideOutputRoot = Boolean(options.allowOutsideOutputRoot);
 
     if (!this._isLoaded) {
       throw new Error(
@@ -214,111 +673,333 @@ class Template {
       );
     }
 
+    if (!MISSING_PROPERTY_MODES.includes(this._missingProperties)) {
+      throw new TemplateGenerateError(
+        `Invalid missing property mode "${this._missingProperties}". Must be one of: ${MISSING_PROPERTY_MODES.join(', ')}`,
+        { template: this._name, code: 'INVALID_OPTION' }
+      );
+    }
+
+    if (this._missingProperties !== 'ignore') {
+      this._checkedTemplate = MissingProperties.compile(
+        MissingProperties.createEnvironment(this._handlebars, (miss) =>
+          this._reportMissingProperty(miss)
+        ),
+        this._templateContent,
+        this._templatePath,
+        { lineOffset: this._frontMatterLineCount, compileOptions: this._compileOptions }
+      );
+    }
+
+    if (options.sourceMap) {
+      this._sourceMapTemplate = SourceMap.compile(
+        SourceMap.createEnvironment(this._handlebars),
+        this._templateContent,
+        this._templatePath,
+        { lineOffset: this._frontMatterLineCount, compileOptions: this._compileOptions }
+      );
+    }
+
     // Check if template is enabled
     if (!this._settings.enabled) {
       this._isGenerated = false;
       return { skipped: true, reason: 'Template is disabled' };
     }
 
+    return null;
+  }
+
+  /**
+   * Checks whether the template script defines a hook.
+   * @param {string} name - The hook name.
+   * @returns {boolean}
+   * @private
+   */
+  _hasHook(name) {
+    return Boolean(this._script && this._script[name]);
+  }
+
+  /**
+   * Creates the context object passed to the filterItem, prepareExportPath and
+   * postProcess hooks.
+   * @param {object} values - Hook specific values.
+   * @returns {object}
+   * @private
+   */
+  _hookContext(values) {
+    return { template: this._name, settings: this._settings, ...values };
+  }
+
+  /**
+   * Records an item excluded by the filterItem hook.
+   * @param {any} item - The excluded item.
+   * @private
+   */
+  _skipFilteredItem(item) {
+    this._skippedItems.push({ item, reason: 'Excluded by filterItem script hook' });
+  }
+
+  /**
+   * Runs a script hook, if the script defines it.
+   * @param {string} name - The hook name.
+   * @param {any} value - The value passed to the hook.
+   * @param {object} [context] - The hook context, for hooks that take one.
+   * @returns {any} The hook result, or the value when the hook is not defined.
+   * @throws {TemplateGenerateError} If the hook returns a promise.
+   * @private
+   */
+  _runHook(name, value, context) {
+    if (!this._hasHook(name)) {
+      return value;
+    }
+
+    const result = this._script[name](value, context);
+    if (result && typeof result.then === 'function') {
+      throw new TemplateGenerateError(
+        `Script hook "${name}" returned a promise. Use generateAsync() for asynchronous hooks.`,
+        { template: this._name, file: this._scriptPath, code: 'ASYNC_HOOK' }
+      );
+    }
+
+    return Template._checkHookResult(name, result);
+  }
+
+  /**
+   * Runs a script hook, if the script defines it, awaiting a returned promise.
+   * @param {string} name - The hook name.
+   * @param {any} value - The value passed to the hook.
+   * @param {object} [context] - The hook context, for hooks that take one.
+   * @returns {Promise<any>} The hook result, or the value when the hook is not defined.
+   * @private
+   */
+  async _runHookAsync(name, value, context) {
+    if (!this._hasHook(name)) {
+      return value;
+    }
+
+    return Template._checkHookResult(name, await this._script[name](value, context));
+  }
+
+  /**
+   * Rejects a null hook result.
+   * @param {string} name - The hook name.
+   * @param {any} result - The hook result.
+   * @returns {any} The result.
+   * @private
+   */
+  static _checkHookResult(name, result) {
+    if (result === null && HOOK_RESULT_ERRORS[name]) {
+      throw new Error(HOOK_RESULT_ERRORS[name]);
+    }
+    return result;
+  }
+
+  /**
+   * Resolves the Target setting against the model.
+   * @param {object} model - The prepared model.
+   * @returns {{target: any, matches: Array}} The target and where its items were found.
+   * @private
+   */
+  _resolveTarget(model) {
+    if (Helpers.isEmpty(this._settings.target) || this._settings.target === 'Model') {
+      return { target: model, matches: [] };
+    }
+
+    const resolved = TargetPath.resolve(model, this._settings.target);
+    return { target: resolved.value, matches: resolved.matches };
+  }
+
+  /**
+   * Generates output for a target that is not an array.
+   * @param {object} model - The prepared model.
+   * @param {any} target - The prepared target.
+   * @returns {{skipped: boolean, reason: string}|void} Skip info if the conditions are not met.
+   * @private
+   */
+  _generateTarget(model, target) {
     const targetProperty = this._settings.targetProperty || 'target';
     const modelProperty = this._settings.modelProperty || 'model';
-    const itemModelProperty = this._settings.targetItem || 'item';
 
-    if (this._script && this._script.prepareModel) {
-      model = this._script.prepareModel(model);
-      if (model === null) {
-        throw new Error('Prepare Model script did not return a valid model.');
-      }
+    // Check conditional generation for non-array target
+    const context = { Model: model, [modelProperty]: model, [targetProperty]: target };
+    if (!this._settings.shouldGenerate(context)) {
+      this._isGenerated = false;
+      return { skipped: true, reason: this._getSkipReason() };
     }
 
-    let target = model;
-
-    if (!Helpers.isEmpty(this._settings.target) && this._settings.target !== 'Model') {
-      target = model[this._settings.target];
+    const { content, sourceLines } = this._render(target);
+    if (!this._settings.splitOn) {
+      this._addOutput(null, content, target, sourceLines);
+    } else {
+      this._processSplitContent(content, target, this.name, sourceLines, context, target);
     }
 
-    if (this._script && this._script.prepareTarget) {
-      target = this._script.prepareTarget(target);
-      if (target === null) {
-        throw new Error('Prepare Target script did not return a valid target.');
-      }
+    this._isGenerated = true;
+  }
+
+  /**
+   * Creates the model a target item is rendered with.
+   * @param {object} model - The prepared model.
+   * @param {Array} target - The prepared target.
+   * @param {any} item - The prepared item.
+   * @param {Array} matches - Where the target items were found in the model.
+   * @param {number} index - The item's index in the target.
+   * @param {any} originalItem - The item before prepareItem, used to locate it.
+   * @returns {object}
+   * @private
+   */
+  _createItemModel(model, target, item, matches, index, originalItem) {
+    const location = Template._findTargetMatch(matches, originalItem, index);
+
+    // The configured names come last, so an item named like a navigation key keeps its data
+    return {
+      parent: location ? location.parents[location.parents.length - 1] || null : null,
+      parents: location ? location.parents : [],
+      root: model,
+      path: location ? location.path : null,
+      [this._settings.targetProperty || 'target']: target,
+      [this._settings.modelProperty || 'model']: model,
+      [this._settings.targetItem || 'item']: item,
+    };
+  }
+
+  /**
+   * Generates the output for one target item, fanning out over its SubTarget children.
+   * @param {object} model - The prepared model.
+   * @param {object} itemModel - The prepared item model.
+   * @param {any} item - The prepared item.
+   * @param {number} index - The item's index in the target, naming unnamed items.
+   * @private
+   */
+  _generateItemModel(model, itemModel, item, index) {
+    const itemName = this._itemName(item) || `item${index}`;
+    if (!this._settings.subTarget) {
+      this._generateItem(model, itemModel, item, itemName);
+      return;
     }
 
-    if (!Array.isArray(target)) {
-      // Check conditional generation for non-array target
-      const context = { Model: model, [modelProperty]: model, [targetProperty]: target };
-      if (!this._settings.shouldGenerate(context)) {
-        this._isGenerated = false;
-        return { skipped: true, reason: this._getSkipReason() };
-      }
+    // Fan out over the item's child collection, one output per child
+    const children = TargetPath.resolve(item, this._settings.subTarget).value;
+    const childItems = Array.isArray(children) ? children : [children];
 
-      const content = this._template(target);
-      if (!this._settings.splitOn) {
-        const result = new TemplateResult(
-          Template.prepareExportPath(this._settings, null, target),
-          content,
-          this._settings.appendToExisting
-        );
-        this._result.push(result);
-      } else {
-        this._processSplitContent(content, target, this.name);
+    for (const [childIndex, child] of childItems.entries()) {
+      if (child === null || child === undefined) {
+        continue;
       }
 
-      this._isGenerated = true;
+      const childModel = { ...itemModel, [this._settings.subTargetItem]: child };
+      const childName = this._itemName(child) || `item${childIndex}`;
+      this._generateItem(model, childModel, child, `${itemName}-${childName}`);
+    }
+  }
+
+  /**
+   * Renders one item of an iterated target, unless its conditions skip it.
+   * @param {object} model - The full model.
+   * @param {object} itemModel - The context the template is rendered with.
+   * @param {object} item - The item being rendered, recorded when skipped.
+   * @param {string} itemName - The item name used for default split file names.
+   * @private
+   */
+  _generateItem(model, itemModel, item, itemName) {
+    // Check conditional generation for each item
+    const context = { Model: model, ...itemModel };
+    if (!this._settings.shouldGenerate(context)) {
+      this._skippedItems.push({
+        item,
+        reason: this._getSkipReason(),
+      });
       return;
     }
 
-    for (const item of target) {
-      let processedItem = item;
+    const { content, sourceLines } = this._render(itemModel, item);
 
-      if (this._script && this._script.prepareItem) {
-        processedItem = this._script.prepareItem(processedItem);
-        if (processedItem === null) {
-          throw new Error('Prepare Item script did not return a valid item.');
-        }
-      }
+    if (!this._settings.splitOn) {
+      this._addOutput(null, content, itemModel, sourceLines);
+    } else {
+      const namePrefix = `${this.name}-${itemName}`;
+      this._processSplitContent(content, itemModel, namePrefix, sourceLines, context, item);
+    }
+  }
 
-      const itemModel = {
-        [targetProperty]: target,
-        [modelProperty]: model,
-        [itemModelProperty]: processedItem,
-      };
+  /**
+   * Renders the template, and when source mapping, the template line of each output line.
+   * @param {object} context - The context to render with.
+   * @param {any} [item] - The target item being rendered, named in missing property reports.
+   * @returns {{content: string, sourceLines: Array|null}}
+   * @private
+   */
+  _render(context, item = null) {
+    this._renderingItem = item;
+    const content = (this._checkedTemplate || this._template)(context);
 
-      let processedItemModel = itemModel;
+    if (!this._sourceMapTemplate) {
+      return { content, sourceLines: null };
+    }
 
-      if (this._script && this._script.prepareItemModel) {
-        processedItemModel = this._script.prepareItemModel(processedItemModel);
-        if (processedItemModel === null) {
-          throw new Error('Prepare Item Model script did not return a valid item model.');
-        }
-      }
+    const mapped = SourceMap.extract(this._sourceMapTemplate(context));
 
-      // Check conditional generation for each item
-      const context = { Model: model, ...processedItemModel };
-      if (!this._settings.shouldGenerate(context)) {
-        this._skippedItems.push({
-          item: processedItem,
-          reason: this._getSkipReason(),
-        });
-        continue;
-      }
+    // Helpers that inspect their block content can render differently with markers
+    if (mapped.content !== content) {
+      this._errors.push({
+        phase: 'generate',
+        message: `Source mapping changed the output of template "${this._name}"; no source map was written`,
+      });
+      return { content, sourceLines: null };
+    }
 
-      const content = this._template(processedItemModel);
+    return { content, sourceLines: mapped.lines };
+  }
 
-      if (!this._settings.splitOn) {
-        const result = new TemplateResult(
-          Template.prepareExportPath(this._settings, null, processedItemModel),
-          content,
-          this._settings.appendToExisting
-        );
-        this._result.push(result);
-      } else {
-        const namePrefix = `${this.name}-${processedItem.Name || 'item'}`;
-        this._processSplitContent(content, processedItemModel, namePrefix);
-      }
+  /**
+   * Reports a lookup of an undefined model path: throws in the error mode, and adds a
+   * warning in the warn mode, once for each place and item.
+   * @param {{path: string, source: string, line: number, column: number}} miss - The lookup.
+   * @throws {TemplateGenerateError} In the error mode.
+   * @private
+   */
+  _reportMissingProperty(miss) {
+    const error = TemplateGenerateError.missingProperty({
+      template: this._name,
+      file: miss.source,
+      line: miss.line,
+      column: miss.column,
+      path: miss.path,
+      item: this._itemName(this._renderingItem),
+    });
+
+    if (this._missingProperties === 'error') {
+      throw error;
     }
 
-    this._isGenerated = true;
+    if (!this._errors.some((e) => e.message === error.message)) {
+      this._errors.push({
+        phase: 'generate',
+        template: this._name,
+        file: error.file,
+        line: error.line,
+        column: error.column,
+        path: error.path,
+        item: error.item,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Finds where a target item was found in the model. prepareTarget may reorder or
+   * replace items, so the match is looked up by identity when the index disagrees.
+   * @param {Array<{value: any, path: string, parents: object[]}>} matches - The target matches.
+   * @param {any} item - The target item.
+   * @param {number} index - The item's index in the target.
+   * @returns {{value: any, path: string, parents: object[]}|undefined}
+   * @private
+   */
+  static _findTargetMatch(matches, item, index) {
+    if (matches[index] && matches[index].value === item) {
+      return matches[index];
+    }
+    return matches.find((match) => match.value === item);
   }
 
   /**
@@ -349,31 +1030,91 @@ class Template {
 
   /**
    * Writes all generated results to the file system.
+   * @param {object} [options] - Write options; see TemplateResult.write().
    */
-  write() {
+  write(options = {}) {
     for (const result of this._result) {
-      result.write();
+      result.write(options);
     }
   }
 
   /**
    * Writes all generated results to the file system asynchronously.
+   * @param {object} [options] - Write options; see TemplateResult.write().
    * @returns {Promise<void>}
    */
-  async writeAsync() {
+  async writeAsync(options = {}) {
     for (const result of this._result) {
-      await result.writeAsync();
+      await result.writeAsync(options);
     }
   }
 
   /**
    * Returns all results as preview objects without writing (dry-run mode).
-   * @returns {Array<{filePath: string, content: string, appendToExisting: boolean}>}
+   * @returns {Array<{filePath: string, content: string, appendToExisting: boolean, writeMode: string}>}
    */
   getPreview() {
     return this._result.map((result) => result.toPreview());
   }
 
+  /**
+   * Merges the CompileOptions setting over the default compile options.
+   * @returns {object} The Handlebars compile options.
+   * @private
+   */
+  _resolveCompileOptions() {
+    const settingsOptions = this._settings.compileOptions;
+    const options = {
+      ...this._defaultCompileOptions,
+      ...(Template._isPlainObject(settingsOptions) ? settingsOptions : {}),
+    };
+
+    if (options.knownHelpersOnly) {
+      // Helpers registered in the environment are known, not only the Handlebars built-ins
+      options.knownHelpers = Object.fromEntries(
+        Object.keys(this._handlebars.helpers).map((helper) => [helper, true])
+      );
+    }
+
+    return options;
+  }
+
+  /**
+   * Gets the compile options the template was compiled with.
+   * @returns {object}
+   */
+  get compileOptions() {
+    return this._compileOptions;
+  }
+
+  /**
+   * Checks whether a value is a plain object.
+   * @param {any} value - The value.
+   * @returns {boolean}
+   * @private
+   */
+  static _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Gets the settings keys that the front matter and the settings file both define
+   * with different values.
+   * @returns {string[]}
+   * @private
+   */
+  _getSettingsConflicts() {
+    if (!this._frontMatter || !this._fileSettings) {
+      return [];
+    }
+
+    return Object.keys(this._frontMatter).filter(
+      (key) =>
+        Object.prototype.hasOwnProperty.call(this._fileSettings, key) &&
+        JSON.stringify(this._frontMatter[key]) !== JSON.stringify(this._fileSettings[key])
+    );
+  }
+
   /**
    * Validates the template without generating output.
    * Checks template syntax, settings validity, and script hooks.
@@ -381,6 +1122,7 @@ class Template {
    */
   validate() {
     const errors = [];
+    const warnings = [];
 
     // Check if loaded
     if (!this._isLoaded) {
@@ -413,6 +1155,16 @@ class Template {
         });
       }
 
+      const ambiguousBackslash =
+        this._settings.prepareExportPathUsingTemplate &&
+        Template.findAmbiguousBackslash(this._settings.exportPath);
+      if (ambiguousBackslash) {
+        warnings.push({
+          type: 'settings',
+          message: `ExportPath "${this._settings.exportPath}" has a single backslash before "${ambiguousBackslash}", which Handlebars reads as an escaped expression and writes literally; use "\\\\{{" ("\\\\\\\\{{" in JSON) for a separator followed by an expression`,
+        });
+      }
+
       if (this._settings.fileNamePattern) {
         try {
           new RegExp(this._settings.fileNamePattern);
@@ -429,11 +1181,116 @@ class Template {
           });
         }
       }
+
+      if (this._settings.target !== TemplateSettings.DefaultTarget) {
+        try {
+          TargetPath.parse(this._settings.target);
+        } catch (e) {
+          errors.push({ type: 'settings', message: e.message });
+        }
+      }
+
+      if (this._settings.subTarget) {
+        try {
+          TargetPath.parse(this._settings.subTarget);
+        } catch (e) {
+          errors.push({ type: 'settings', message: `SubTarget: ${e.message}` });
+        }
+
+        if (this._settings.subTargetItem === this._settings.targetItem) {
+          errors.push({
+            type: 'settings',
+            message: `SubTargetItem "${this._settings.subTargetItem}" must differ from TargetItem`,
+          });
+        }
+      }
+
+      for (const conflict of this._getSettingsConflicts()) {
+        errors.push({
+          type: 'settings',
+          message: `${conflict} is set differently in front matter and ${this._templateSettingsPath}; the settings file value is used`,
+        });
+      }
+
+      if (!WRITE_MODES.includes(this._settings.writeMode)) {
+        errors.push({
+          type: 'settings',
+          message: `Invalid WriteMode "${this._settings.writeMode}". Valid modes: ${WRITE_MODES.join(', ')}`,
+        });
+      } else if (this._settings.appendToExisting && this._settings.writeMode !== 'append') {
+        errors.push({
+          type: 'settings',
+          message: `AppendToExisting conflicts with WriteMode "${this._settings.writeMode}"; use WriteMode "append" instead`,
+        });
+      }
+
+      if (!MANUAL_EDIT_POLICIES.includes(this._settings.onManualEdit)) {
+        errors.push({
+          type: 'settings',
+          message: `Invalid OnManualEdit "${this._settings.onManualEdit}". Valid policies: ${MANUAL_EDIT_POLICIES.join(', ')}`,
+        });
+      } else if (
+        this._settings.writeMode === 'overwriteIfUnchanged' &&
+        this._settings.onManualEdit === 'overwrite'
+      ) {
+        errors.push({
+          type: 'settings',
+          message: 'OnManualEdit "overwrite" conflicts with WriteMode "overwriteIfUnchanged"',
+        });
+      }
+
+      const checksumHeader = this._settings.checksumHeader;
+      if (
+        checksumHeader &&
+        (!checksumHeader.includes(ChecksumStore.HeaderPlaceholder) || checksumHeader.includes('\n'))
+      ) {
+        errors.push({
+          type: 'settings',
+          message: `ChecksumHeader must be a single line containing ${ChecksumStore.HeaderPlaceholder}`,
+        });
+      }
+
+      if (!LINE_ENDINGS.includes(this._settings.lineEndings)) {
+        errors.push({
+          type: 'settings',
+          message: `Invalid LineEndings "${this._settings.lineEndings}". Valid values: ${LINE_ENDINGS.join(', ')}`,
+        });
+      }
+
+      const encoding = TextEncoding.resolveEncoding(this._settings.encoding);
+      if (!encoding) {
+        errors.push({
+          type: 'settings',
+          message: `Invalid Encoding "${this._settings.encoding}". Valid encodings: ${ENCODINGS.join(', ')}`,
+        });
+      } else if (this._settings.bom && !TextEncoding.hasByteOrderMark(encoding)) {
+        errors.push({
+          type: 'settings',
+          message: `Bom is set but encoding "${encoding}" has no byte order mark`,
+        });
+      }
+
+      errors.push(...this._validateCompileOptions());
+      errors.push(...this._validatePostProcessors());
+
+      try {
+        PostGenerate.normalize(this._settings.postGenerate);
+      } catch (error) {
+        errors.push({ type: 'settings', message: error.message });
+      }
     }
 
     // Validate script hooks if present
     if (this._script) {
-      const validHooks = ['prepareModel', 'prepareTarget', 'prepareItem', 'prepareItemModel'];
+      const validHooks = [
+        'prepareModel',
+        'prepareTarget',
+        'prepareItem',
+        'prepareItemModel',
+        'filterItem',
+        'prepareExportPath',
+        'postProcess',
+      ];
       for (const key of Object.keys(this._script)) {
         if (!validHooks.includes(key)) {
           errors.push({
@@ -452,7 +1309,7 @@ class Template {
 
     // Try to compile template to check for Handlebars syntax errors
     try {
-      Handlebars.compile(this._templateContent);
+      this._handlebars.precompile(this._templateContent, this._compileOptions);
     } catch (e) {
       errors.push({
         type: 'syntax',
@@ -463,17 +1320,75 @@ class Template {
     return {
       valid: errors.length === 0,
       errors,
+      warnings,
     };
   }
 
+  /**
+   * Checks the shape of the PostProcessors setting. Processor names are checked when
+   * generating, as plugins may add processors.
+   * @returns {Array<{type: string, message: string}>}
+   * @private
+   */
+  _validatePostProcessors() {
+    const steps = this._settings.postProcessors;
+
+    if (steps === null) {
+      return [];
+    }
+    if (!Array.isArray(steps)) {
+      return [{ type: 'settings', message: 'PostProcessors must be an array' }];
+    }
+
+    try {
+      new PostProcessors().resolve(this._templatePath, steps);
+      return [];
+    } catch (error) {
+      return [{ type: 'settings', message: error.message }];
+    }
+  }
+
+  /**
+   * Checks the CompileOptions setting and the default compile options.
+   * @returns {Array<{type: string, message: string}>} The validation errors.
+   * @private
+   */
+  _validateCompileOptions() {
+    const settingsOptions = this._settings.compileOptions;
+
+    if (settingsOptions !== null && !Template._isPlainObject(settingsOptions)) {
+      return [{ type: 'settings', message: 'CompileOptions must be an object' }];
+    }
+
+    const errors = [];
+    const options = { ...this._defaultCompileOptions, ...settingsOptions };
+
+    for (const [name, value] of Object.entries(options)) {
+      if (!TemplateSettings.CompileOptionNames.includes(name)) {
+        errors.push({
+          type: 'settings',
+          message: `Unknown compile option "${name}". Valid options: ${TemplateSettings.CompileOptionNames.join(', ')}`,
+        });
+      } else if (typeof value !== 'boolean') {
+        errors.push({
+          type: 'settings',
+          message: `Compile option "${name}" must be true or false`,
+        });
+      }
+    }
+
+    return errors;
+  }
+
   /**
    * Prepares the export path by applying template or replacement logic.
    * @param {TemplateSettings} settings - The template settings.
    * @param {string|null} fileName - The filename to use.
    * @param {object} model - The model for path templating.
+   * @param {Handlebars} [handlebars] - Environment used to compile the path template.
    * @returns {string} The prepared export path.
    */
-  static prepareExportPath(settings, fileName, model) {
+  static prepareExportPath(settings, fileName, model, handlebars) {
     const itemModelProperty = settings.targetItem || 'item';
     const targetItemNameProperty = settings.targetItemNameProperty || 'Name';
     const nameReplacement = `{${itemModelProperty}.${targetItemNameProperty}}`;
@@ -496,7 +1411,8 @@ class Template {
 
     if (settings.prepareExportPathUsingTemplate) {
       const templateModel = model || {};
-      const exportPathTemplate = Handlebars.compile(exportPath);
+      const environment = handlebars || HandlebarsHelpers.getHandlebars();
+      const exportPathTemplate = environment.compile(exportPath);
 
       if (fileName && !Helpers.isEmpty(fileName)) {
         templateModel.FileName = fileName;
@@ -505,7 +1421,36 @@ class Template {
       exportPath = exportPathTemplate(templateModel);
     }
 
-    return exportPath;
+    return Template.normalizeExportPath(exportPath);
+  }
+
+  /**
+   * Normalizes the separators of a rendered export path to `/`, which every OS accepts, so
+   * Windows-style paths such as `.\Generated\Items\ItemA.txt` create directories on Linux
+   * too. Repeated separators are collapsed, except the leading `//` of a UNC path.
+   * @param {string} exportPath - The rendered export path.
+   * @returns {string}
+   */
+  static normalizeExportPath(exportPath) {
+    if (!exportPath) {
+      return exportPath;
+    }
+
+    const normalized = exportPath.replace(/\\/g, '/');
+    const unc = normalized.startsWith('//') ? '/' : '';
+    return unc + normalized.replace(/\/{2,}/g, '/');
+  }
+
+  /**
+   * Finds a single backslash before a Handlebars expression in an export path, such as
+   * `.\\Out\\{{item.Name}}.cs` in JSON. Handlebars treats `\{{` as an escaped expression,
+   * so the separator is dropped and the expression written literally.
+   * @param {string|null} exportPath - The ExportPath setting.
+   * @returns {string|null} The expression following the backslash, or null if there is none.
+   */
+  static findAmbiguousBackslash(exportPath) {
+    const match = /(?:^|[^\\])\\(\{\{[^}]*\}\})/.exec(exportPath || '');
+    return match ? match[1] : null;
   }
 }
 
@@ -1,7 +1,15 @@
+const { dirname, posix, relative, resolve } = require('path');
 const Template = require('./Template.js');
 const { FileHelper } = require('./FileHelper');
 const HandlebarsHelpers = require('./HandlebarsHelpers');
 const { GenerationStats } = require('./GenerationStats');
+const { PluginManager, pluginManager } = require('./PluginManager');
+const { StaticAssets } = require('./StaticAssets');
+const { PostProcessors } = require('./PostProcessors');
+const { PostGenerate } = require('./PostGenerate');
+const { GeneratorError, SettingsError } = require('./GeneratorError');
+const { OutputCollisions, COLLISION_MODES } = require('./OutputCollisions');
+const { Manifest } = require('./Manifest');
 
 /**
  * Loads and manages template generation from a directory.
@@ -12,16 +20,70 @@ class TemplateLoader {
    * @param {string|string[]} paths - Directory path(s) containing templates.
    * @param {string} [extension='.hbs'] - Template file extension.
    * @param {boolean} [recurse=true] - Whether to search subdirectories.
+   * @param {object} [options] - Loader options.
+   * @param {Handlebars} [options.handlebars] - Handlebars environment shared by all templates
+   *   of this loader. Defaults to a new isolated environment with the built-in helpers.
+   * @param {object} [options.compileOptions] - Default Handlebars compile options for all
+   *   templates, such as `{ noEscape: true }`. A template's CompileOptions setting overrides them.
+   * @param {object} [options.assets] - Copy the non-template files of the template
+   *   directories to `assets.outputPath` when generating; see StaticAssets.
+   * @param {object} [options.scaffold] - Scaffold mode: each template's path relative to its
+   *   template directory, without the extension, is its ExportPath under
+   *   `scaffold.outputPath`. Folder and file names may contain Handlebars expressions, and
+   *   settings files are optional.
+   * @param {object} [options.postProcessors] - Post-processor steps for the outputs whose
+   *   paths match each glob pattern, such as `{ "*.cs": ["sortImports"] }`. A template's
+   *   PostProcessors setting replaces them; see PostProcessors.
+   * @param {Array<string|object>} [options.postGenerate] - Commands run on the written files
+   *   of every template after generating, such as `["npx prettier --write"]`; see
+   *   PostGenerate. They do not run when results are not written.
+   * @param {string} [options.outputRoot] - Directory every export path is resolved against.
+   *   Export paths leaving it are refused with a FileError; see OutputRoot.
+   * @param {boolean} [options.allowOutsideOutputRoot=false] - Allow export paths outside
+   *   the output root, and tokenized asset paths outside `assets.outputPath`.
+   * @param {string} [options.collisions='error'] - What happens when outputs are written to
+   *   the same file: 'error' or 'warn'; see OutputCollisions.
+   * @param {boolean|string} [options.manifest=false] - Record the written files and copied
+   *   assets in a manifest: true for `.generator-manifest.json` in the output root (or the
+   *   working directory), or the manifest path. Required to prune orphaned files; see
+   *   Manifest.
+   * @throws {SettingsError} If the collisions mode is invalid.
    */
-  constructor(paths, extension = '.hbs', recurse = true) {
+  constructor(paths, extension = '.hbs', recurse = true, options = {}) {
     this._paths = Array.isArray(paths) ? paths : [paths];
     this._extension = extension;
     this._templates = [];
+    this._unloadedTemplates = [];
     this._recurse = recurse;
     this._errors = [];
     this._partials = [];
+    this._layouts = [];
     this._stats = new GenerationStats();
     this._verbose = false;
+    this._handlebars = options.handlebars || HandlebarsHelpers.createEnvironment();
+    this._compileOptions = options.compileOptions || {};
+    this._assets = options.assets
+      ? new StaticAssets({
+          allowOutside: Boolean(options.allowOutsideOutputRoot),
+          ...options.assets,
+        })
+      : null;
+    this._scaffold = options.scaffold || null;
+    this._postProcessors = options.postProcessors || {};
+    this._postGenerate = options.postGenerate || [];
+    this._outputRoot = options.outputRoot || null;
+    this._allowOutsideOutputRoot = Boolean(options.allowOutsideOutputRoot);
+    this._collisions = options.collisions || 'error';
+    this._manifest = options.manifest || false;
+    this._pruned = null;
+    this._pluginManager = new PluginManager(this._handlebars);
+
+    if (!COLLISION_MODES.includes(this._collisions)) {
+      throw new SettingsError(
+        `Invalid collisions mode "${this._collisions}". Must be one of: ${COLLISION_MODES.join(', ')}`,
+        { code: 'SETTINGS_INVALID_VALUE' }
+      );
+    }
   }
 
   get paths() {
@@ -52,6 +114,101 @@ class TemplateLoader {
     return this._partials;
   }
 
+  /**
+   * Gets the names of the layouts loaded for template inheritance.
+   * @returns {string[]}
+   */
+  get layouts() {
+    return this._layouts;
+  }
+
+  /**
+   * Gets the Handlebars environment owned by this loader.
+   * @returns {Handlebars}
+   */
+  get handlebars() {
+    return this._handlebars;
+  }
+
+  /**
+   * Gets the plugin manager bound to this loader's Handlebars environment.
+   * @returns {PluginManager}
+   */
+  get pluginManager() {
+    return this._pluginManager;
+  }
+
+  /**
+   * Gets the static asset options, or null if assets are not copied.
+   * @returns {StaticAssets|null}
+   */
+  get assets() {
+    return this._assets;
+  }
+
+  /**
+   * Gets the scaffold mode options, or null outside scaffold mode.
+   * @returns {{outputPath: string}|null}
+   */
+  get scaffold() {
+    return this._scaffold;
+  }
+
+  /**
+   * Gets the post-processor steps for each output path glob pattern.
+   * @returns {Object.<string, Array<string|object>>}
+   */
+  get postProcessors() {
+    return this._postProcessors;
+  }
+
+  /**
+   * Gets the directory export paths are resolved against, or null for the working directory.
+   * @returns {string|null}
+   */
+  get outputRoot() {
+    return this._outputRoot;
+  }
+
+  /**
+   * Gets what happens when outputs are written to the same file: 'error' or 'warn'.
+   * @returns {string}
+   */
+  get collisions() {
+    return this._collisions;
+  }
+
+  /**
+   * Gets the path of the manifest of the written files, or null if none is kept.
+   * @returns {string|null}
+   */
+  get manifestPath() {
+    if (!this._manifest) {
+      return null;
+    }
+    return this._manifest === true
+      ? Manifest.defaultPath(this._outputRoot || process.cwd())
+      : resolve(this._manifest);
+  }
+
+  /**
+   * Gets the outcome of the last prune: the deleted (or deletable, in a dry run) orphaned
+   * files, the edited ones that were kept, the ones already gone and the ones outside the
+   * manifest's directory, which are never deleted. Null if the last run did not prune.
+   * @returns {{deleted: string[], modified: string[], missing: string[], outside: string[]}|null}
+   */
+  get pruned() {
+    return this._pruned;
+  }
+
+  /**
+   * Gets the commands run on the written files of every template.
+   * @returns {Array<string|object>}
+   */
+  get postGenerate() {
+    return this._postGenerate;
+  }
+
   /**
    * Gets the generation statistics.
    * @returns {GenerationStats}
@@ -72,21 +229,62 @@ class TemplateLoader {
     this._verbose = value;
   }
 
+  /**
+   * Registers a helper in this loader's Handlebars environment only.
+   * @param {string} name - The helper name.
+   * @param {Function} fn - The helper function.
+   * @returns {TemplateLoader} This loader instance.
+   */
+  registerHelper(name, fn) {
+    HandlebarsHelpers.registerHelper(name, fn, this._handlebars);
+    return this;
+  }
+
+  /**
+   * Registers a partial in this loader's Handlebars environment only.
+   * @param {string} name - The partial name (used as {{> name}}).
+   * @param {string} template - The partial template content.
+   * @returns {TemplateLoader} This loader instance.
+   */
+  registerPartial(name, template) {
+    HandlebarsHelpers.registerPartial(name, template, this._handlebars);
+    return this;
+  }
+
+  /**
+   * Registers a plugin whose helpers and partials are scoped to this loader.
+   * @param {object} plugin - The plugin to register.
+   * @returns {TemplateLoader} This loader instance.
+   */
+  registerPlugin(plugin) {
+    this._pluginManager.register(plugin);
+    return this;
+  }
+
   /**
    * Loads all templates from the configured paths.
-   * Automatically loads partials (.hbs.partial or .partial.hbs files).
+   * Automatically loads partials (.hbs.partial or .partial.hbs files) and
+   * layouts (.hbs.layout or .layout.hbs files) for use with {{#extend}}.
+   * Helpers and partials registered on the shared environment since the loader was
+   * created are added to its environment, unless it has its own of the same name.
    * @param {Function} [callback] - Optional callback(templates, loader).
    * @returns {Template[]} Array of loaded templates.
    */
   load(callback) {
     this._templates = [];
+    this._unloadedTemplates = [];
     this._errors = [];
     this._partials = [];
+    this._layouts = [];
+    HandlebarsHelpers.inheritSharedRegistrations(this._handlebars);
 
-    // Load partials from all paths first
+    // Load partials and layouts from all paths first
     for (const path of this._paths) {
-      const loadedPartials = HandlebarsHelpers.loadPartialsFromDirectory(path);
+      const loadedPartials = HandlebarsHelpers.loadPartialsFromDirectory(path, this._handlebars);
       this._partials.push(...loadedPartials);
+
+      const loadedLayouts = HandlebarsHelpers.loadLayoutsFromDirectory(path, this._handlebars);
+      this._layouts.push(...loadedLayouts);
     }
 
     for (const path of this._paths) {
@@ -94,15 +292,23 @@ class TemplateLoader {
         const files = FileHelper.getFileInformationSync(path, this._recurse);
 
         for (const file of files) {
-          if (!file.fullName.endsWith(this._extension)) {
+          if (
+            !file.fullName.endsWith(this._extension) ||
+            HandlebarsHelpers.isPartialOrLayoutFile(file.fullName)
+          ) {
             continue;
           }
 
           try {
-            const template = new Template(file.directory, file.fullName);
+            const template = new Template(file.directory, file.fullName, this._handlebars, {
+              compileOptions: this._compileOptions,
+              defaultSettings: this._scaffoldSettings(path, file),
+              settingsRoot: path,
+            });
 
             if (!template.isLoaded) {
               this._errors.push(...template.errors);
+              this._unloadedTemplates.push(template.name);
               continue;
             }
 
@@ -147,14 +353,24 @@ class TemplateLoader {
    * @param {boolean} [options.continueOnError=true] - Continue if a template fails.
    * @param {boolean} [options.write=true] - Write results to files.
    * @param {boolean} [options.verbose=false] - Enable verbose output.
+   * @param {boolean} [options.sourceMap=false] - Write a `.map.json` sidecar mapping each
+   *   output line to its template line.
+   * @param {string} [options.missingProperties='ignore'] - How lookups of undefined model
+   *   paths are handled: 'ignore', 'error' to fail the template, or 'warn' to add each one
+   *   to errors.
+   * @param {boolean} [options.prune=false] - Delete the files of the previous manifest that
+   *   are no longer generated; see Manifest.
+   * @param {boolean} [options.incremental=false] - Only write files whose content changed,
+   *   leaving the others untouched; they are counted as "unchanged" in the stats. With a
+   *   manifest, files PostGenerate commands reformatted still count as unchanged while the
+   *   rendered content is the same.
    * @returns {TemplateLoader} This loader instance.
    */
   generate(model, callback, options = {}) {
     const { continueOnError = true, write = true, verbose = this._verbose } = options;
+    this._startRun();
 
-    this._stats.reset();
-    this._stats.start();
-
+    const generated = [];
     for (const template of this._templates) {
       this._stats.startTemplate(template.name);
 
@@ -163,54 +379,348 @@ class TemplateLoader {
           console.log(`Generating template: ${template.name}`);
         }
 
-        template.generate(model);
+        template.generate(model, this._templateOptions(options));
+        this._errors.push(...template.errors);
+        generated.push(template);
+      } catch (error) {
+        this._failTemplate(template, error, continueOnError, verbose);
+      }
+    }
 
+    const plan = this._planWrites(generated, model, options);
+    for (const template of generated) {
+      try {
         if (write) {
-          template.write();
+          template.write(plan.writeOptions);
+          this._recordWrites(template);
         }
 
-        // Calculate stats from results
-        const files = template.result ? template.result.length : 0;
-        const bytes = template.result
-          ? template.result.reduce((sum, r) => sum + (r.content ? r.content.length : 0), 0)
-          : 0;
-
-        this._stats.endTemplate(template.name, files, bytes);
-
-        if (verbose) {
-          console.log(`  ✓ Generated ${files} file(s)`);
-        }
+        this._endTemplate(template, verbose);
+        plan.written.push(template);
       } catch (error) {
-        this._stats.failTemplate(template.name, error);
-        this._errors.push({
-          phase: 'generate',
-          template: template.name,
-          message: error.message,
-          error,
-        });
+        this._failTemplate(template, error, continueOnError, verbose);
+      }
+    }
 
-        if (verbose) {
-          console.error(`  ✗ Error: ${error.message}`);
+    if (write) {
+      for (const asset of plan.assets) {
+        try {
+          this._recordAsset(
+            plan,
+            plan.blockedAssets.has(asset)
+              ? TemplateLoader._blockedAsset(asset)
+              : this._assets.copy(asset)
+          );
+        } catch (error) {
+          this._failAsset(plan, asset, error, continueOnError);
         }
+      }
 
-        if (!continueOnError) {
-          this._stats.stop();
-          throw error;
-        }
+      for (const run of this._planPostGenerate(continueOnError)) {
+        console.log(`Running: ${run.command} (${run.files.length} file(s))...`);
+        this._recordCommand(PostGenerate.run(run), continueOnError);
       }
     }
 
+    this._finishRun(plan, options);
+
+    if (callback) {
+      callback(this);
+    }
+
+    return this;
+  }
+
+  /**
+   * Starts the stats of a generate run.
+   * @private
+   */
+  _startRun() {
+    this._stats.reset();
+    this._pruned = null;
+    this._stats.start();
+  }
+
+  /**
+   * Creates the options each template generates with.
+   * @param {object} options - The generate options.
+   * @returns {object} The template options.
+   * @private
+   */
+  _templateOptions(options) {
+    const { sourceMap = false, missingProperties = 'ignore' } = options;
+
+    return {
+      sourceMap,
+      missingProperties,
+      postProcessors: this._createPostProcessors(),
+      outputRoot: this._outputRoot,
+      allowOutsideOutputRoot: this._allowOutsideOutputRoot,
+    };
+  }
+
+  /**
+   * Plans the writes of the generated templates: finds the assets, reports collisions now
+   * that every planned export path is known, and reads the manifest.
+   * @param {Template[]} generated - The generated templates.
+   * @param {object} model - The data model for generation.
+   * @param {object} options - The generate options.
+   * @returns {{assets: object[], blockedAssets: Set<object>, previous: object[]|null,
+   *   writeOptions: object, written: Template[], copied: object[]}} The plan, collecting the
+   *   templates written and the assets copied.
+   * @throws {GeneratorError} In the error mode, if outputs collide, unless continueOnError.
+   * @private
+   */
+  _planWrites(generated, model, options) {
+    const { continueOnError = true, write = true, incremental = false } = options;
+    const assets = this.findAssets(model);
+    const blockedAssets = this._checkCollisions(generated, assets, continueOnError);
+
+    const previous = write ? this._readManifest(continueOnError) : null;
+    const manifest = previous ? new Map(previous.map((entry) => [entry.filePath, entry])) : null;
+    return {
+      assets,
+      blockedAssets,
+      previous,
+      writeOptions: { incremental, manifest },
+      written: [],
+      copied: [],
+    };
+  }
+
+  /**
+   * Ends a generate run: updates the manifest if files were written, then stops the stats.
+   * @param {object} plan - The plan of _planWrites(), with what was written.
+   * @param {object} options - The generate options.
+   * @throws {FileError} If the manifest is invalid, unless continueOnError.
+   * @private
+   */
+  _finishRun(plan, options) {
+    const {
+      continueOnError = true,
+      write = true,
+      verbose = this._verbose,
+      prune = false,
+    } = options;
+
+    if (write) {
+      this._updateManifest(plan.written, plan.previous, {
+        assets: this._assets ? plan.copied : null,
+        prune,
+        continueOnError,
+      });
+    }
+
     this._stats.stop();
 
     if (verbose) {
       console.log(this._stats.toString(verbose));
     }
+  }
 
-    if (callback) {
-      callback(this);
+  /**
+   * Records the stats of a generated template.
+   * @param {Template} template - The template.
+   * @param {boolean} verbose - Whether to log the file count.
+   * @private
+   */
+  _endTemplate(template, verbose) {
+    const files = template.result ? template.result.length : 0;
+    const bytes = template.result
+      ? template.result.reduce((sum, r) => sum + (r.content ? r.content.length : 0), 0)
+      : 0;
+
+    this._stats.endTemplate(template.name, files, bytes);
+
+    if (verbose) {
+      console.log(`  ✓ Generated ${files} file(s)`);
     }
+  }
 
-    return this;
+  /**
+   * Records a template that failed to generate or write.
+   * @param {Template} template - The template.
+   * @param {Error} error - The error.
+   * @param {boolean} continueOnError - Whether to go on with the other templates.
+   * @param {boolean} verbose - Whether to log the error.
+   * @throws {Error} The error, unless continueOnError.
+   * @private
+   */
+  _failTemplate(template, error, continueOnError, verbose) {
+    this._stats.failTemplate(template.name, error);
+    this._errors.push({
+      phase: 'generate',
+      template: template.name,
+      message: error.message,
+      error,
+    });
+
+    if (verbose) {
+      console.error(`  ✗ Error: ${error.message}`);
+    }
+
+    if (!continueOnError) {
+      this._stats.stop();
+      throw error;
+    }
+  }
+
+  /**
+   * Reports the outputs of templates written to the same file; see OutputCollisions.
+   * @param {Template[]} templates - The generated templates.
+   * @param {Array<{source: string, filePath: string}>} assets - The static assets to copy.
+   * @returns {object[]} The collisions.
+   * @private
+   */
+  _reportCollisions(templates, assets) {
+    const collisions = OutputCollisions.find(
+      templates.map((template) => ({ template: template.name, results: template.result })),
+      assets
+    );
+
+    for (const collision of collisions) {
+      const message = OutputCollisions.describe(collision);
+      const entry = {
+        phase: 'collision',
+        file: collision.filePath,
+        message,
+        outputs: collision.outputs.map(({ template, item, source, filePath }) =>
+          source ? { template, item, source, filePath } : { template, item, filePath }
+        ),
+      };
+
+      if (this._collisions === 'error') {
+        entry.error = new GeneratorError(message, {
+          file: collision.filePath,
+          code: 'OUTPUT_COLLISION',
+        });
+      }
+      this._errors.push(entry);
+    }
+
+    return collisions;
+  }
+
+  /**
+   * Reports output collisions before writing. In the error mode, the colliding outputs are
+   * not written.
+   * @param {Template[]} templates - The generated templates.
+   * @param {Array<{source: string, filePath: string}>} assets - The static assets to copy.
+   * @param {boolean} continueOnError - Whether to write the outputs that do not collide.
+   * @returns {Set<object>} The assets not to copy.
+   * @throws {GeneratorError} In the error mode, if outputs collide, unless continueOnError.
+   * @private
+   */
+  _checkCollisions(templates, assets, continueOnError) {
+    const blockedAssets = new Set();
+    const collisions = this._reportCollisions(templates, assets);
+    if (this._collisions !== 'error' || collisions.length === 0) {
+      return blockedAssets;
+    }
+
+    if (!continueOnError) {
+      this._stats.stop();
+      throw new GeneratorError(
+        `${collisions.length} output collision(s), nothing was written. ${OutputCollisions.describe(collisions[0])}`,
+        { file: collisions[0].filePath, code: 'OUTPUT_COLLISION' }
+      );
+    }
+
+    for (const collision of collisions) {
+      for (const output of collision.outputs) {
+        if (output.asset) {
+          blockedAssets.add(output.asset);
+        } else {
+          output.result.block('collision');
+        }
+      }
+    }
+    return blockedAssets;
+  }
+
+  /**
+   * Creates the post-processor pipeline, with the processors of the plugins registered on
+   * this loader and on the shared plugin manager.
+   * @returns {PostProcessors}
+   * @private
+   */
+  _createPostProcessors() {
+    return new PostProcessors({
+      patterns: this._postProcessors,
+      processors: { ...pluginManager.postProcessors, ...this._pluginManager.postProcessors },
+    });
+  }
+
+  /**
+   * Creates the default settings of a template in scaffold mode.
+   * @param {string} directory - The template directory the file was found in.
+   * @param {FileInformation} file - The template file.
+   * @returns {object|null} The settings, or null outside scaffold mode.
+   * @private
+   */
+  _scaffoldSettings(directory, file) {
+    if (!this._scaffold) {
+      return null;
+    }
+
+    const templatePath = relative(directory, file.filePath).split('\\').join('/');
+    const exportPath = templatePath.substring(0, templatePath.length - this._extension.length);
+
+    return { ExportPath: posix.join(this._scaffold.outputPath, exportPath) };
+  }
+
+  /**
+   * Records the outcome of each written file in the stats and reports protected
+   * regions that were dropped from regenerated files.
+   * @param {Template} template - The template whose results were written.
+   * @private
+   */
+  _recordWrites(template) {
+    for (const result of template.result) {
+      this._stats.recordFile(template.name, {
+        filePath: result.filePath,
+        writeMode: result.writeMode,
+        status: result.status,
+        skipReason: result.skipReason,
+      });
+
+      if (result.manuallyEdited && result.onManualEdit !== 'skip') {
+        const outcome = result.backupPath
+          ? `the edited file was saved to ${result.backupPath}`
+          : 'it was not overwritten';
+        this._errors.push({
+          phase: 'write',
+          template: template.name,
+          file: result.filePath,
+          message: `${result.filePath} was edited since it was last generated; ${outcome}`,
+        });
+      }
+
+      if (result.untracked) {
+        const outcome = result.backupPath
+          ? `it was saved to ${result.backupPath}, overwritten and is tracked from now on`
+          : 'it was not overwritten (delete it to generate it)';
+        this._errors.push({
+          phase: 'write',
+          template: template.name,
+          file: result.filePath,
+          message: `${result.filePath} has no recorded checksum and may have been written by hand; ${outcome}`,
+        });
+      }
+
+      for (const region of result.orphanedRegions) {
+        const destination = result.orphanedRegionsPath
+          ? `saved to ${result.orphanedRegionsPath}`
+          : 'its content was not preserved';
+        this._errors.push({
+          phase: 'write',
+          template: template.name,
+          file: result.filePath,
+          region: region.id,
+          message: `Protected region "${region.id}" no longer exists in ${result.filePath}; ${destination}`,
+        });
+      }
+    }
   }
 
   /**
@@ -238,14 +748,24 @@ class TemplateLoader {
    * @param {boolean} [options.continueOnError=true] - Continue if a template fails.
    * @param {boolean} [options.write=true] - Write results to files.
    * @param {boolean} [options.verbose=false] - Enable verbose output.
+   * @param {boolean} [options.sourceMap=false] - Write a `.map.json` sidecar mapping each
+   *   output line to its template line.
+   * @param {string} [options.missingProperties='ignore'] - How lookups of undefined model
+   *   paths are handled: 'ignore', 'error' to fail the template, or 'warn' to add each one
+   *   to errors.
+   * @param {boolean} [options.prune=false] - Delete the files of the previous manifest that
+   *   are no longer generated; see Manifest.
+   * @param {boolean} [options.incremental=false] - Only write files whose content changed,
+   *   leaving the others untouched; they are counted as "unchanged" in the stats. With a
+   *   manifest, files PostGenerate commands reformatted still count as unchanged while the
+   *   rendered content is the same.
    * @returns {Promise<TemplateLoader>} This loader instance.
    */
   async generateAsync(model, options = {}) {
     const { continueOnError = true, write = true, verbose = this._verbose } = options;
+    this._startRun();
 
-    this._stats.reset();
-    this._stats.start();
-
+    const generated = [];
     for (const template of this._templates) {
       this._stats.startTemplate(template.name);
 
@@ -254,50 +774,352 @@ class TemplateLoader {
           console.log(`Generating template: ${template.name}`);
         }
 
-        template.generate(model);
+        await template.generateAsync(model, this._templateOptions(options));
+        this._errors.push(...template.errors);
+        generated.push(template);
+      } catch (error) {
+        this._failTemplate(template, error, continueOnError, verbose);
+      }
+    }
 
+    const plan = this._planWrites(generated, model, options);
+    for (const template of generated) {
+      try {
         if (write) {
-          await template.writeAsync();
+          await template.writeAsync(plan.writeOptions);
+          this._recordWrites(template);
         }
 
-        // Calculate stats from results
-        const files = template.result ? template.result.length : 0;
-        const bytes = template.result
-          ? template.result.reduce((sum, r) => sum + (r.content ? r.content.length : 0), 0)
-          : 0;
-
-        this._stats.endTemplate(template.name, files, bytes);
+        this._endTemplate(template, verbose);
+        plan.written.push(template);
+      } catch (error) {
+        this._failTemplate(template, error, continueOnError, verbose);
+      }
+    }
 
-        if (verbose) {
-          console.log(`  ✓ Generated ${files} file(s)`);
+    if (write) {
+      for (const asset of plan.assets) {
+        try {
+          this._recordAsset(
+            plan,
+            plan.blockedAssets.has(asset)
+              ? TemplateLoader._blockedAsset(asset)
+              : await this._assets.copyAsync(asset)
+          );
+        } catch (error) {
+          this._failAsset(plan, asset, error, continueOnError);
         }
+      }
+
+      for (const run of this._planPostGenerate(continueOnError)) {
+        console.log(`Running: ${run.command} (${run.files.length} file(s))...`);
+        this._recordCommand(await PostGenerate.runAsync(run), continueOnError);
+      }
+    }
+
+    this._finishRun(plan, options);
+
+    return this;
+  }
+
+  /**
+   * Finds the static assets generate() copies, with their output paths.
+   * @param {object} [model] - The model rendering tokenized asset paths.
+   * @returns {Array<{source: string, relativePath: string, filePath: string}>} No assets
+   *   unless the loader has assets options.
+   */
+  findAssets(model) {
+    if (!this._assets) {
+      return [];
+    }
+
+    return this._assets.find(this._paths, {
+      extension: this._extension,
+      recurse: this._recurse,
+      model,
+      handlebars: this._handlebars,
+    });
+  }
+
+  /**
+   * Records the outcome of copying a static asset.
+   * @param {object} plan - The plan of _planWrites().
+   * @param {object} outcome - The outcome; see StaticAssets.copy.
+   * @private
+   */
+  _recordAsset(plan, outcome) {
+    this._stats.recordAsset(outcome);
+    plan.copied.push(outcome);
+  }
+
+  /**
+   * Creates the outcome of a static asset not copied because its output collides.
+   * @param {{source: string, filePath: string}} asset - The asset.
+   * @returns {object} The skipped outcome.
+   * @private
+   */
+  static _blockedAsset(asset) {
+    return { ...asset, status: 'skipped', skipReason: 'collision', bytes: 0 };
+  }
+
+  /**
+   * Records a static asset that failed to copy.
+   * @param {object} plan - The plan of _planWrites().
+   * @param {{source: string, filePath: string}} asset - The asset.
+   * @param {Error} error - The copy error.
+   * @param {boolean} continueOnError - Whether to go on copying.
+   * @throws {Error} The copy error, unless continueOnError.
+   * @private
+   */
+  _failAsset(plan, asset, error, continueOnError) {
+    plan.copied.push({ ...asset, status: null, skipReason: null });
+    this._errors.push({
+      phase: 'assets',
+      file: asset.source,
+      message: `Failed to copy ${asset.source} to ${asset.filePath}: ${error.message}`,
+      error,
+    });
+
+    if (!continueOnError) {
+      this._stats.stop();
+      throw error;
+    }
+  }
+
+  /**
+   * Updates the manifest with the files of the templates that generated, and prunes the
+   * orphaned files if asked to: those no longer generated, and those of removed templates.
+   * Files of loaded templates that did not generate stay in the manifest, as do orphans
+   * that are not pruned. Static assets are recorded without a
+   * template, and are orphaned like the files of a template when assets were copied.
+   * @param {Template[]} templates - The templates that generated.
+   * @param {object[]|null} previous - The entries of the previous manifest, or null to
+   *   leave the manifest alone.
+   * @param {object} options - Update options.
+   * @param {object[]|null} [options.assets] - The outcome of each planned asset, or null
+   *   unless assets were copied.
+   * @param {boolean} [options.prune=false] - Delete the orphaned files.
+   * @param {boolean} [options.dryRun=false] - Only find the files that would be deleted,
+   *   leaving the manifest unchanged.
+   * @param {boolean} options.continueOnError - Whether to go on when the manifest is invalid.
+   * @throws {FileError} If the manifest is invalid, unless continueOnError.
+   * @private
+   */
+  _updateManifest(templates, previous, options) {
+    const manifestPath = this.manifestPath;
+    if (!previous) {
+      return;
+    }
+
+    try {
+      const outputs = templates.map((template) => ({
+        template: template.name,
+        results: template.result,
+      }));
+      if (options.assets) {
+        outputs.push({ template: null, results: options.assets });
+      }
+
+      // Files of templates that exist but did not generate are kept; removed ones are orphans
+      const generating = templates.filter((template) => template.isGenerated);
+      const keptTemplates = [
+        ...this._templates
+          .filter((template) => !generating.includes(template))
+          .map((template) => template.name),
+        ...this._unloadedTemplates,
+        ...(options.assets ? [] : [null]),
+      ];
+
+      const current = Manifest.collect(outputs, previous);
+      const { orphans, kept } = Manifest.diff(previous, current, keptTemplates);
+
+      if (options.prune) {
+        this._pruned = Manifest.prune(orphans, dirname(manifestPath), {
+          dryRun: options.dryRun,
+        });
+        this._pruned.modified.forEach((filePath) =>
+          this._errors.push({
+            phase: 'manifest',
+            file: filePath,
+            message: `${filePath} is no longer generated but was edited since; it was not deleted`,
+          })
+        );
+        this._pruned.outside.forEach((filePath) =>
+          this._errors.push({
+            phase: 'manifest',
+            file: filePath,
+            message: `${filePath} is outside ${dirname(manifestPath)}; it was not deleted`,
+          })
+        );
+      }
+
+      if (!options.dryRun) {
+        Manifest.write(manifestPath, [...current, ...kept, ...(options.prune ? [] : orphans)]);
+      }
+    } catch (error) {
+      this._failManifest(manifestPath, error, options.continueOnError);
+    }
+  }
+
+  /**
+   * Reads the entries of the manifest before writing, so edits are detected from it.
+   * @param {boolean} continueOnError - Whether to go on when the manifest is invalid.
+   * @returns {object[]|null} The entries, or null if the loader keeps no manifest or it is
+   *   invalid.
+   * @throws {FileError} If the manifest is invalid, unless continueOnError.
+   * @private
+   */
+  _readManifest(continueOnError) {
+    const manifestPath = this.manifestPath;
+    if (!manifestPath) {
+      return null;
+    }
+
+    try {
+      return Manifest.read(manifestPath);
+    } catch (error) {
+      this._failManifest(manifestPath, error, continueOnError);
+      return null;
+    }
+  }
+
+  /**
+   * Records a manifest that could not be read, written or pruned.
+   * @param {string} manifestPath - The manifest.
+   * @param {Error} error - The error.
+   * @param {boolean} continueOnError - Whether to go on.
+   * @throws {Error} The error, unless continueOnError.
+   * @private
+   */
+  _failManifest(manifestPath, error, continueOnError) {
+    this._errors.push({ phase: 'manifest', file: manifestPath, message: error.message, error });
+
+    if (!continueOnError) {
+      this._stats.stop();
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes the files of the previous manifest that the loaded templates no longer
+   * generate, without writing anything else. Templates that fail to generate keep their
+   * files.
+   * @param {object} model - The data model for generation.
+   * @param {object} [options] - Clean options.
+   * @param {boolean} [options.dryRun=false] - Only find the files that would be deleted.
+   * @param {boolean} [options.continueOnError=true] - Continue if a template fails.
+   * @param {string} [options.missingProperties='ignore'] - How lookups of undefined model
+   *   paths are handled, as for generate().
+   * @returns {{deleted: string[], modified: string[], missing: string[], outside: string[]}}
+   *   The outcome, as for the pruned getter.
+   * @throws {SettingsError} If the loader keeps no manifest.
+   */
+  clean(model, options = {}) {
+    const { dryRun = false, continueOnError = true } = options;
+
+    if (!this.manifestPath) {
+      throw new SettingsError('Cleaning needs a manifest of the generated files', {
+        code: 'SETTINGS_MISSING_REQUIRED',
+      });
+    }
+
+    const generated = [];
+    for (const template of this._templates) {
+      try {
+        template.generate(model, this._templateOptions(options));
+        this._errors.push(...template.errors);
+        generated.push(template);
       } catch (error) {
-        this._stats.failTemplate(template.name, error);
         this._errors.push({
-          phase: 'generate',
+          phase: 'clean',
           template: template.name,
           message: error.message,
           error,
         });
 
-        if (verbose) {
-          console.error(`  ✗ Error: ${error.message}`);
-        }
-
         if (!continueOnError) {
-          this._stats.stop();
           throw error;
         }
       }
     }
 
-    this._stats.stop();
+    // Assets still planned keep their entries, as they would when skipped by generate()
+    const assets = this._assets
+      ? this.findAssets(model).map((asset) => ({ ...asset, status: null, skipReason: null }))
+      : null;
+    this._pruned = null;
+    this._updateManifest(generated, this._readManifest(continueOnError), {
+      assets,
+      prune: true,
+      dryRun,
+      continueOnError,
+    });
+    return this._pruned || { deleted: [], modified: [], missing: [], outside: [] };
+  }
 
-    if (verbose) {
-      console.log(this._stats.toString(verbose));
+  /**
+   * Plans the PostGenerate commands of the project and of each template, given the files
+   * the template wrote.
+   * @param {boolean} continueOnError - Whether to go on when commands are invalid.
+   * @returns {Array<{command: string, args: string[], files: string[], timeout: number}>}
+   * @throws {SettingsError} If commands are invalid, unless continueOnError.
+   * @private
+   */
+  _planPostGenerate(continueOnError) {
+    const entries = [];
+
+    for (const template of this._templates) {
+      const files = template.result
+        .filter((result) => PostGenerate.WrittenStatuses.includes(result.status))
+        .map((result) => result.filePath);
+
+      entries.push({ files, commands: this._postGenerate });
+      if (template.settings.postGenerate) {
+        entries.push({ files, commands: template.settings.postGenerate });
+      }
     }
 
-    return this;
+    try {
+      return PostGenerate.plan(entries);
+    } catch (error) {
+      this._failPostGenerate(error.message, error, continueOnError);
+      return [];
+    }
+  }
+
+  /**
+   * Records a PostGenerate command run, and its failure as an error.
+   * @param {object} result - The run outcome.
+   * @param {boolean} continueOnError - Whether to go on after a failed command.
+   * @throws {GeneratorError} If the command failed, unless continueOnError.
+   * @private
+   */
+  _recordCommand(result, continueOnError) {
+    this._stats.recordCommand(result);
+
+    const failure = PostGenerate.failure(result);
+    if (failure) {
+      const error = new GeneratorError(failure, { code: 'POST_GENERATE_FAILED' });
+      error.command = result.command;
+      this._failPostGenerate(failure, error, continueOnError);
+    }
+  }
+
+  /**
+   * Records a PostGenerate failure.
+   * @param {string} message - The failure.
+   * @param {Error} error - The error.
+   * @param {boolean} continueOnError - Whether to go on.
+   * @throws {Error} The error, unless continueOnError.
+   * @private
+   */
+  _failPostGenerate(message, error, continueOnError) {
+    this._errors.push({ phase: 'postGenerate', command: error.command, message, error });
+
+    if (!continueOnError) {
+      this._stats.stop();
+      throw error;
+    }
   }
 
   /**
@@ -332,18 +1154,37 @@ class TemplateLoader {
    * Returns a preview of what would be generated without writing files.
    * @param {object} model - The data model for generation.
    * @param {object} [options] - Generation options.
+   * @param {boolean} [options.continueOnError=true] - Continue if a template fails.
+   * @param {boolean} [options.sourceMap=false] - Include the template line of each output
+   *   line in the previews.
+   * @param {string} [options.missingProperties='ignore'] - How lookups of undefined model
+   *   paths are handled, as for generate().
    * @returns {Array<{template: string, files: Array<{filePath: string, content: string}>}>}
+   *   The files have the absolute paths they would be written to. Outputs that would be
+   *   written to the same file are reported in errors with the 'collision' phase.
    */
   preview(model, options = {}) {
-    const { continueOnError = true } = options;
+    const { continueOnError = true, sourceMap = false, missingProperties = 'ignore' } = options;
     const previews = [];
+    const generated = [];
 
     for (const template of this._templates) {
       try {
-        template.generate(model);
+        template.generate(model, {
+          sourceMap,
+          missingProperties,
+          postProcessors: this._createPostProcessors(),
+          outputRoot: this._outputRoot,
+          allowOutsideOutputRoot: this._allowOutsideOutputRoot,
+        });
+        this._errors.push(...template.errors);
+        generated.push(template);
         previews.push({
           template: template.name,
-          files: template.getPreview(),
+          files: template.getPreview().map((file) => ({
+            ...file,
+            filePath: resolve(file.filePath),
+          })),
         });
       } catch (error) {
         this._errors.push({
@@ -365,6 +1206,7 @@ class TemplateLoader {
       }
     }
 
+    this._reportCollisions(generated, this.findAssets(model));
     return previews;
   }
 }
@@ -1,7 +1,31 @@
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
+const { ChecksumStore } = require('./ChecksumStore');
 const { FileHelper } = require('./FileHelper');
+const { FileError, SettingsError } = require('./GeneratorError');
+const { Manifest } = require('./Manifest');
+const { ProtectedRegions } = require('./ProtectedRegions');
+const { TextEncoding, LINE_ENDINGS, ENCODINGS } = require('./TextEncoding');
+
+/**
+ * How an existing output file is treated when a result is written.
+ * - overwrite: replace the file (the default).
+ * - append: append to the file.
+ * - skipIfExists: only create the file; once it exists it belongs to developers.
+ * - overwriteIfUnchanged: replace the file unless it was edited since it was last generated.
+ * - failIfExists: throw a FileError if the file exists.
+ */
+const WRITE_MODES = ['overwrite', 'append', 'skipIfExists', 'overwriteIfUnchanged', 'failIfExists'];
+
+/**
+ * What happens when a file about to be overwritten was edited since it was last generated.
+ * - overwrite: overwrite it; edits are not tracked (the default).
+ * - skip: leave the file alone.
+ * - report: leave the file alone and report it as an error.
+ * - backup: copy the edited file to `<file>.bak`, then overwrite it.
+ */
+const MANUAL_EDIT_POLICIES = ['overwrite', 'skip', 'report', 'backup'];
 
 /**
  * Represents the result of a template generation, holding content and file path.
@@ -12,12 +36,88 @@ class TemplateResult {
    * @param {string} filePath - The output file path.
    * @param {string} content - The generated content.
    * @param {boolean} appendToExisting - Whether to append to existing files.
+   * @param {object} [options] - Write options.
+   * @param {string} [options.writeMode] - One of WRITE_MODES. Defaults to "append" when
+   *   appendToExisting is set, otherwise "overwrite".
+   * @param {boolean} [options.dumpOrphanedRegions=false] - Write protected regions that no
+   *   longer exist in the generated output to a side file instead of only reporting them.
+   * @param {{template: string, lines: Array}|null} [options.sourceMap] - The template line of
+   *   each output line, written to a `.map.json` sidecar next to the file.
+   * @param {string} [options.onManualEdit] - One of MANUAL_EDIT_POLICIES. Defaults to "skip"
+   *   for the overwriteIfUnchanged write mode, otherwise "overwrite".
+   * @param {string|null} [options.checksumHeader] - A header line with a `{checksum}`
+   *   placeholder, stamped on top of written files to detect edits. Without it, checksums
+   *   are kept in a ChecksumStore.
+   * @param {string} [options.lineEndings="preserve"] - One of LINE_ENDINGS, applied to the
+   *   content right away.
+   * @param {string} [options.encoding="utf8"] - One of ENCODINGS, or an alias like "UTF-16LE".
+   * @param {boolean} [options.bom=false] - Start new files with a byte order mark.
+   * @param {string|null} [options.item] - The name of the item the output was rendered for,
+   *   reported in output collisions.
+   * @throws {SettingsError} If the write mode, manual edit policy, checksum header, line
+   *   endings or encoding is invalid.
    */
-  constructor(filePath, content, appendToExisting) {
+  constructor(filePath, content, appendToExisting, options = {}) {
     this._filePath = filePath;
     this._directoryPath = path.dirname(this._filePath);
-    this._content = content;
-    this._appendToExisting = appendToExisting;
+    this._lineEndings = options.lineEndings || TextEncoding.DefaultLineEndings;
+    this._encoding = TextEncoding.resolveEncoding(options.encoding || TextEncoding.DefaultEncoding);
+    this._bom = options.bom || false;
+    this._content = TextEncoding.applyLineEndings(content, this._lineEndings);
+    this._writeMode = options.writeMode || (appendToExisting ? 'append' : 'overwrite');
+    this._appendToExisting = this._writeMode === 'append';
+    this._dumpOrphanedRegions = options.dumpOrphanedRegions || false;
+    this._orphanedRegions = [];
+    this._sourceMap = options.sourceMap || null;
+    this._sourceMapWritten = false;
+    this._onManualEdit =
+      options.onManualEdit || (this._writeMode === 'overwriteIfUnchanged' ? 'skip' : 'overwrite');
+    this._checksumHeader = options.checksumHeader || null;
+    this._manuallyEdited = false;
+    this._untracked = false;
+    this._checksum = null;
+    this._rendered = null;
+    this._status = null;
+    this._skipReason = null;
+    this._item = options.item || null;
+    this._blockReason = null;
+
+    if (!WRITE_MODES.includes(this._writeMode)) {
+      throw new SettingsError(
+        `Invalid WriteMode "${this._writeMode}". Valid modes: ${WRITE_MODES.join(', ')}`,
+        { file: filePath, code: 'SETTINGS_INVALID_VALUE' }
+      );
+    }
+    if (!MANUAL_EDIT_POLICIES.includes(this._onManualEdit)) {
+      throw new SettingsError(
+        `Invalid OnManualEdit "${this._onManualEdit}". Valid policies: ${MANUAL_EDIT_POLICIES.join(', ')}`,
+        { file: filePath, code: 'SETTINGS_INVALID_VALUE' }
+      );
+    }
+    if (this._checksumHeader && !this._checksumHeader.includes(ChecksumStore.HeaderPlaceholder)) {
+      throw new SettingsError(
+        `ChecksumHeader "${this._checksumHeader}" must contain ${ChecksumStore.HeaderPlaceholder}`,
+        { file: filePath, code: 'SETTINGS_INVALID_VALUE' }
+      );
+    }
+    if (!LINE_ENDINGS.includes(this._lineEndings)) {
+      throw new SettingsError(
+        `Invalid LineEndings "${this._lineEndings}". Valid values: ${LINE_ENDINGS.join(', ')}`,
+        { file: filePath, code: 'SETTINGS_INVALID_VALUE' }
+      );
+    }
+    if (!this._encoding) {
+      throw new SettingsError(
+        `Invalid Encoding "${options.encoding}". Valid encodings: ${ENCODINGS.join(', ')}`,
+        { file: filePath, code: 'SETTINGS_INVALID_VALUE' }
+      );
+    }
+    if (this._bom && !TextEncoding.hasByteOrderMark(this._encoding)) {
+      throw new SettingsError(`Encoding "${this._encoding}" has no byte order mark`, {
+        file: filePath,
+        code: 'SETTINGS_INVALID_VALUE',
+      });
+    }
   }
 
   get filePath() {
@@ -36,48 +136,544 @@ class TemplateResult {
     return this._appendToExisting;
   }
 
+  get writeMode() {
+    return this._writeMode;
+  }
+
+  get lineEndings() {
+    return this._lineEndings;
+  }
+
+  /**
+   * The canonical name of the encoding files are written in.
+   * @returns {string}
+   */
+  get encoding() {
+    return this._encoding;
+  }
+
+  get bom() {
+    return this._bom;
+  }
+
+  /**
+   * What the last write did: "created", "updated", "appended", "unchanged" (an incremental
+   * write found the file already up to date) or "skipped".
+   * Null until write() or writeAsync() has run.
+   * @returns {string|null}
+   */
+  get status() {
+    return this._status;
+  }
+
+  /**
+   * Why the last write was skipped: "exists" (skipIfExists), "modified"
+   * (overwriteIfUnchanged found edits), "untracked" (overwriteIfUnchanged found a file
+   * without a recorded checksum) or the reason the result was blocked, such as
+   * "collision". Null when the file was not skipped.
+   * @returns {string|null}
+   */
+  get skipReason() {
+    return this._skipReason;
+  }
+
+  /**
+   * The name of the item the output was rendered for, or null.
+   * @returns {string|null}
+   */
+  get item() {
+    return this._item;
+  }
+
+  /**
+   * Why the result is not written, or null.
+   * @returns {string|null}
+   */
+  get blockReason() {
+    return this._blockReason;
+  }
+
+  /**
+   * Keeps the result from being written: writes skip the file with the reason instead.
+   * @param {string} reason - Why, such as "collision".
+   */
+  block(reason) {
+    this._blockReason = reason;
+  }
+
+  get dumpOrphanedRegions() {
+    return this._dumpOrphanedRegions;
+  }
+
+  get onManualEdit() {
+    return this._onManualEdit;
+  }
+
+  get checksumHeader() {
+    return this._checksumHeader;
+  }
+
+  /**
+   * Whether the last write found the file edited since it was last generated.
+   * @returns {boolean}
+   */
+  get manuallyEdited() {
+    return this._manuallyEdited;
+  }
+
+  /**
+   * Whether the last write found an existing file without a recorded checksum, so it could
+   * not tell whether the file was written by hand. The file is skipped as "untracked",
+   * unless the backup policy saves it and overwrites it, after which it is tracked.
+   * @returns {boolean}
+   */
+  get untracked() {
+    return this._untracked;
+  }
+
+  /**
+   * Gets the checksum of the content the last write wrote, ignoring protected region bodies,
+   * or null if it wrote nothing. The manifest records it to detect later edits.
+   * @returns {string|null}
+   */
+  get checksum() {
+    return this._checksum;
+  }
+
+  /**
+   * Gets the SHA-256 hash of the bytes the last write wrote or found up to date, before any
+   * PostGenerate command reformatted them, or null. The manifest records it so incremental
+   * writes recognize formatted files.
+   * @returns {string|null}
+   */
+  get rendered() {
+    return this._rendered;
+  }
+
+  /**
+   * Gets the path the edited or untracked file was copied to by the last write, if any.
+   * @returns {string|null}
+   */
+  get backupPath() {
+    return (this._manuallyEdited || this._untracked) && this._onManualEdit === 'backup'
+      ? TemplateResult.getBackupPath(this._filePath)
+      : null;
+  }
+
   /**
-   * Writes the generated content to the file system synchronously.
+   * Gets the path edited files are backed up to.
+   * @param {string} filePath - The output file path.
+   * @returns {string}
+   */
+  static getBackupPath(filePath) {
+    return `${filePath}.bak`;
+  }
+
+  /**
+   * Protected regions of the previous file whose id no longer exists in the
+   * generated output. Populated by write() and writeAsync().
+   * @returns {Array<{id: string, content: string}>}
+   */
+  get orphanedRegions() {
+    return this._orphanedRegions;
+  }
+
+  /**
+   * Gets the path of the side file receiving orphaned regions, if one was written.
+   * @returns {string|null}
+   */
+  get orphanedRegionsPath() {
+    if (!this._dumpOrphanedRegions || this._orphanedRegions.length === 0) {
+      return null;
+    }
+    return ProtectedRegions.getOrphanedFilePath(this._filePath);
+  }
+
+  /**
+   * The template line of each output line, when the result was generated with source
+   * mapping.
+   * @returns {{template: string, lines: Array}|null}
+   */
+  get sourceMap() {
+    return this._sourceMap;
+  }
+
+  /**
+   * Gets the path of the source map sidecar, if the last write wrote one.
+   * @returns {string|null}
+   */
+  get sourceMapPath() {
+    return this._sourceMapWritten ? TemplateResult.getSourceMapPath(this._filePath) : null;
+  }
+
+  /**
+   * Gets the path of the source map sidecar of an output file.
+   * @param {string} filePath - The output file path.
+   * @returns {string}
    */
-  write() {
+  static getSourceMapPath(filePath) {
+    return `${filePath}.map.json`;
+  }
+
+  /**
+   * Formats the source map sidecar for the written content. Protected regions merged
+   * from the existing file can change the line count, in which case the lines no
+   * longer match and no sidecar is written.
+   * @param {string} content - The written content, without the checksum header.
+   * @returns {string|null} The sidecar JSON, or null if there is nothing to write.
+   * @private
+   */
+  _formatSourceMap(content) {
+    if (!this._sourceMap || content.split('\n').length !== this._sourceMap.lines.length) {
+      return null;
+    }
+
+    // The checksum header is not part of the template output
+    const lines = this._checksumHeader
+      ? [
+          { line: 1, source: null, sourceLine: null, partials: [] },
+          ...this._sourceMap.lines.map((entry) => ({ ...entry, line: entry.line + 1 })),
+        ]
+      : this._sourceMap.lines;
+
+    this._sourceMapWritten = true;
+    return JSON.stringify(
+      {
+        version: 1,
+        file: path.basename(this._filePath),
+        template: this._sourceMap.template,
+        lines,
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Checks existing content against its checksum header.
+   * @param {string} existing - The existing file content.
+   * @returns {boolean|null} Whether the file is unchanged, or null if it has no header
+   *   and the ChecksumStore decides.
+   * @private
+   */
+  _checkHeader(existing) {
+    return this._checksumHeader ? ChecksumStore.checkHeader(existing, this._checksumHeader) : null;
+  }
+
+  /**
+   * Encodes content for writing. Appended content never gets a byte order mark.
+   * @param {string} content - The content to write.
+   * @param {boolean} [appending=false] - Whether the content is appended to a file.
+   * @returns {Buffer}
+   * @private
+   */
+  _encode(content, appending = false) {
+    return TextEncoding.encode(
+      TextEncoding.applyLineEndings(content, this._lineEndings),
+      this._encoding,
+      this._bom && !appending
+    );
+  }
+
+  /**
+   * Stamps the checksum header on content about to be written.
+   * @param {string} content - The content to write.
+   * @returns {string}
+   * @private
+   */
+  _stampHeader(content) {
+    return this._checksumHeader
+      ? ChecksumStore.stampHeader(content, this._checksumHeader)
+      : content;
+  }
+
+  /**
+   * Merges protected regions of the existing file into the generated content.
+   * @param {string|null} existing - The existing file content, or null if there is none.
+   * @returns {string} The content to write.
+   * @private
+   */
+  _mergeProtectedRegions(existing) {
+    if (existing === null) {
+      this._orphanedRegions = [];
+      return this._content;
+    }
+
+    const merged = ProtectedRegions.merge(this._content, existing);
+    this._orphanedRegions = merged.orphaned;
+    return merged.content;
+  }
+
+  /**
+   * Finds the manifest entry of the file.
+   * @param {Map<string, object>} [manifest] - The manifest entries by absolute path.
+   * @returns {object|null}
+   * @private
+   */
+  _manifestEntry(manifest) {
+    return (manifest && manifest.get(path.resolve(this._filePath))) || null;
+  }
+
+  /**
+   * Checks whether an existing file already has the content to write: the same bytes, or the
+   * file the manifest recorded for the same rendered bytes, since reformatted by PostGenerate
+   * commands.
+   * @param {Buffer} raw - The existing file content.
+   * @param {Buffer} data - The content to write.
+   * @param {object|null} entry - The manifest entry of the file, if any.
+   * @returns {boolean}
+   * @private
+   */
+  _isCurrent(raw, data, entry) {
+    if (raw.equals(data)) {
+      return true;
+    }
+    return Boolean(
+      entry &&
+      entry.rendered &&
+      entry.rendered === Manifest.hashContent(data) &&
+      entry.hash === Manifest.hashContent(raw)
+    );
+  }
+
+  /**
+   * Marks the result as already up to date.
+   * @param {Buffer} data - The content that was not written.
+   * @private
+   */
+  _keep(data) {
+    this._status = 'unchanged';
+    this._rendered = Manifest.hashContent(data);
+    this._orphanedRegions = [];
+    console.log(`Unchanged File: ${this._filePath}...`);
+  }
+
+  /**
+   * Marks the result as skipped.
+   * @param {string} reason - The skip reason.
+   * @private
+   */
+  _skip(reason) {
+    this._status = 'skipped';
+    this._skipReason = reason;
+    this._orphanedRegions = [];
+    console.log(`Skipping File: ${this._filePath} (${reason})...`);
+  }
+
+  /**
+   * Writes the generated content to the file system synchronously, honoring the write mode.
+   * @param {object} [options] - Write options.
+   * @param {boolean} [options.incremental=false] - Leave the file untouched, as "unchanged",
+   *   when it already has the content to write, or still is the file the manifest recorded
+   *   for it. Appends are always written.
+   * @param {Map<string, object>} [options.manifest] - The entries of the loader's manifest by
+   *   absolute path. Edits are then detected from the checksums recorded there, falling back
+   *   to `.generator-checksums.json`, and no checksum is stored next to the file.
+   * @throws {FileError} If the write mode is failIfExists and the file exists.
+   */
+  write(options = {}) {
+    const exists = fs.existsSync(this._filePath);
+    this._status = null;
+    this._skipReason = null;
+    this._sourceMapWritten = false;
+    this._manuallyEdited = false;
+    this._untracked = false;
+    this._checksum = null;
+    this._rendered = null;
+
+    if (this._blockReason) {
+      this._skip(this._blockReason);
+      return;
+    }
+
+    if (exists && this._writeMode === 'failIfExists') {
+      throw FileError.alreadyExists(this._filePath);
+    }
+    if (exists && this._writeMode === 'skipIfExists') {
+      this._skip('exists');
+      return;
+    }
+
     FileHelper.ensureDirectoryExists(this._directoryPath);
 
-    if (this._appendToExisting && fs.existsSync(this._filePath)) {
-      fs.appendFileSync(this._filePath, this._content);
+    if (exists && this._writeMode === 'append') {
+      fs.appendFileSync(this._filePath, this._encode(this._content, true));
+      this._status = 'appended';
+      return;
+    }
+
+    const raw = exists ? fs.readFileSync(this._filePath) : null;
+    const existing = raw ? TextEncoding.decode(raw, this._encoding) : null;
+    const entry = this._manifestEntry(options.manifest);
+    const content = this._mergeProtectedRegions(existing);
+    const data = this._encode(this._stampHeader(content));
+    if (options.incremental && raw && this._isCurrent(raw, data, entry)) {
+      this._keep(data);
       return;
     }
 
+    if (existing !== null && this._onManualEdit !== 'overwrite') {
+      let unchanged = this._checkHeader(existing);
+      if (unchanged === null) {
+        unchanged =
+          entry && entry.checksum
+            ? ChecksumStore.matches(entry.checksum, existing)
+            : ChecksumStore.isUnchanged(this._filePath, existing);
+      }
+
+      // A file never recorded may have been written by hand, so it is kept like an edited one
+      this._untracked = unchanged === null;
+      if (!unchanged) {
+        this._manuallyEdited = !this._untracked;
+        if (this._onManualEdit !== 'backup') {
+          this._skip(this._untracked ? 'untracked' : 'modified');
+          return;
+        }
+        fs.copyFileSync(this._filePath, this.backupPath);
+      }
+    }
+
     console.log(`Writing File: ${this._filePath}...`);
-    fs.writeFileSync(this._filePath, this._content);
+    fs.writeFileSync(this._filePath, data);
+    this._status = exists ? 'updated' : 'created';
+    this._rendered = Manifest.hashContent(data);
+
+    this._checksum = ChecksumStore.compute(content);
+    if (this._onManualEdit !== 'overwrite' && !this._checksumHeader && !options.manifest) {
+      ChecksumStore.record(this._filePath, content);
+    }
+
+    if (this.orphanedRegionsPath) {
+      fs.writeFileSync(
+        this.orphanedRegionsPath,
+        ProtectedRegions.formatOrphaned(this._orphanedRegions)
+      );
+    }
+
+    const sourceMap = this._formatSourceMap(content);
+    if (sourceMap) {
+      fs.writeFileSync(this.sourceMapPath, sourceMap);
+    }
   }
 
   /**
-   * Writes the generated content to the file system asynchronously.
+   * Writes the generated content to the file system asynchronously, honoring the write mode.
+   * @param {object} [options] - Write options, as for write().
    * @returns {Promise<void>}
+   * @throws {FileError} If the write mode is failIfExists and the file exists.
    */
-  async writeAsync() {
+  async writeAsync(options = {}) {
+    const exists = await FileHelper.exists(this._filePath);
+    this._status = null;
+    this._skipReason = null;
+    this._sourceMapWritten = false;
+    this._manuallyEdited = false;
+    this._untracked = false;
+    this._checksum = null;
+    this._rendered = null;
+
+    if (this._blockReason) {
+      this._skip(this._blockReason);
+      return;
+    }
+
+    if (exists && this._writeMode === 'failIfExists') {
+      throw FileError.alreadyExists(this._filePath);
+    }
+    if (exists && this._writeMode === 'skipIfExists') {
+      this._skip('exists');
+      return;
+    }
+
     await FileHelper.ensureDirectoryExistsAsync(this._directoryPath);
 
-    if (this._appendToExisting && (await FileHelper.exists(this._filePath))) {
-      await fsPromises.appendFile(this._filePath, this._content);
+    if (exists && this._writeMode === 'append') {
+      await fsPromises.appendFile(this._filePath, this._encode(this._content, true));
+      this._status = 'appended';
       return;
     }
 
+    const raw = exists ? await fsPromises.readFile(this._filePath) : null;
+    const existing = raw ? TextEncoding.decode(raw, this._encoding) : null;
+    const entry = this._manifestEntry(options.manifest);
+    const content = this._mergeProtectedRegions(existing);
+    const data = this._encode(this._stampHeader(content));
+    if (options.incremental && raw && this._isCurrent(raw, data, entry)) {
+      this._keep(data);
+      return;
+    }
+
+    if (existing !== null && this._onManualEdit !== 'overwrite') {
+      let unchanged = this._checkHeader(existing);
+      if (unchanged === null) {
+        unchanged =
+          entry && entry.checksum
+            ? ChecksumStore.matches(entry.checksum, existing)
+            : await ChecksumStore.isUnchangedAsync(this._filePath, existing);
+      }
+
+      // A file never recorded may have been written by hand, so it is kept like an edited one
+      this._untracked = unchanged === null;
+      if (!unchanged) {
+        this._manuallyEdited = !this._untracked;
+        if (this._onManualEdit !== 'backup') {
+          this._skip(this._untracked ? 'untracked' : 'modified');
+          return;
+        }
+        await fsPromises.copyFile(this._filePath, this.backupPath);
+      }
+    }
+
     console.log(`Writing File: ${this._filePath}...`);
-    await fsPromises.writeFile(this._filePath, this._content);
+    await fsPromises.writeFile(this._filePath, data);
+    this._status = exists ? 'updated' : 'created';
+    this._rendered = Manifest.hashContent(data);
+
+    this._checksum = ChecksumStore.compute(content);
+    if (this._onManualEdit !== 'overwrite' && !this._checksumHeader && !options.manifest) {
+      await ChecksumStore.recordAsync(this._filePath, content);
+    }
+
+    if (this.orphanedRegionsPath) {
+      await fsPromises.writeFile(
+        this.orphanedRegionsPath,
+        ProtectedRegions.formatOrphaned(this._orphanedRegions)
+      );
+    }
+
+    const sourceMap = this._formatSourceMap(content);
+    if (sourceMap) {
+      await fsPromises.writeFile(this.sourceMapPath, sourceMap);
+    }
   }
 
   /**
-   * Returns the result as a preview object (for dry-run mode).
-   * @returns {{filePath: string, content: string, appendToExisting: boolean}}
+   * Returns the result as a preview object (for dry-run mode). The content has the
+   * configured line endings. The encoding is only included when it is not plain UTF-8,
+   * and the source map when the result has one.
+   * @returns {{filePath: string, content: string, appendToExisting: boolean, writeMode: string, encoding?: string, bom?: boolean, sourceMap?: object}}
    */
   toPreview() {
-    return {
+    const preview = {
       filePath: this._filePath,
       content: this._content,
       appendToExisting: this._appendToExisting,
+      writeMode: this._writeMode,
     };
+
+    if (this._encoding !== TextEncoding.DefaultEncoding || this._bom) {
+      preview.encoding = this._encoding;
+      preview.bom = this._bom;
+    }
+
+    if (this._sourceMap) {
+      preview.sourceMap = this._sourceMap;
+    }
+
+    return preview;
   }
 }
 
 exports.TemplateResult = TemplateResult;
+exports.WRITE_MODES = WRITE_MODES;
+exports.MANUAL_EDIT_POLICIES = MANUAL_EDIT_POLICIES;
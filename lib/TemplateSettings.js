@@ -1,20 +1,65 @@
+const path = require('path');
+
 class TemplateSettings {
   static DefaultTarget = 'Model';
   static DefaultTargetItem = 'item';
+  static DefaultSubTargetItem = 'child';
   static DefaultTargetProperty = 'target';
   static DefaultModelProperty = 'model';
   static DefaultTargetItemNameProperty = 'Name';
   static DefaultPrepareExportPathUsingTemplate = true;
   static DefaultPrepareExportPathUsingReplace = false;
+  static Names = [
+    'Target',
+    'TargetItem',
+    'SubTarget',
+    'SubTargetItem',
+    'TargetProperty',
+    'ModelProperty',
+    'TargetItemNameProperty',
+    'ExportPath',
+    'ExportPathPrefix',
+    'PrepareExportPathUsingTemplate',
+    'PrepareExportPathUsingReplace',
+    'AppendToExisting',
+    'WriteMode',
+    'FileNamePattern',
+    'SplitOn',
+    'RemoveFileName',
+    'DumpOrphanedRegions',
+    'OnManualEdit',
+    'ChecksumHeader',
+    'LineEndings',
+    'Encoding',
+    'Bom',
+    'CompileOptions',
+    'PostProcessors',
+    'PostGenerate',
+    'GenerateIf',
+    'SkipIf',
+    'Enabled',
+    'Description',
+  ];
+  static CompileOptionNames = [
+    'noEscape',
+    'strict',
+    'assumeObjects',
+    'preventIndent',
+    'knownHelpersOnly',
+    'ignoreStandalone',
+  ];
 
   constructor(initialData) {
     this._target = initialData.Target || TemplateSettings.DefaultTarget;
     this._targetItem = initialData.TargetItem || TemplateSettings.DefaultTargetItem;
+    this._subTarget = initialData.SubTarget || null;
+    this._subTargetItem = initialData.SubTargetItem || TemplateSettings.DefaultSubTargetItem;
     this._targetProperty = initialData.TargetProperty || TemplateSettings.DefaultTargetProperty;
     this._modelProperty = initialData.ModelProperty || TemplateSettings.DefaultModelProperty;
     this._targetItemNameProperty =
       initialData.TargetItemNameProperty || TemplateSettings.DefaultTargetItemNameProperty;
     this._exportPath = initialData.ExportPath || null;
+    this._exportPathPrefix = initialData.ExportPathPrefix || null;
     this._prepareExportPathUsingTemplate =
       initialData.PrepareExportPathUsingTemplate ||
       TemplateSettings.DefaultPrepareExportPathUsingTemplate;
@@ -22,9 +67,22 @@ class TemplateSettings {
       initialData.PrepareExportPathUsingReplace ||
       TemplateSettings.DefaultPrepareExportPathUsingReplace;
     this._appendToExisting = initialData.AppendToExisting || false;
+    this._writeMode = initialData.WriteMode || (this._appendToExisting ? 'append' : 'overwrite');
     this._fileNamePattern = initialData.FileNamePattern || null;
     this._splitOn = initialData.SplitOn || null;
     this._removeFileName = initialData.RemoveFileName || false;
+    this._dumpOrphanedRegions = initialData.DumpOrphanedRegions || false;
+    this._onManualEditSetting = initialData.OnManualEdit || null;
+    this._onManualEdit =
+      this._onManualEditSetting ||
+      (this._writeMode === 'overwriteIfUnchanged' ? 'skip' : 'overwrite');
+    this._checksumHeader = initialData.ChecksumHeader || null;
+    this._lineEndings = initialData.LineEndings || 'preserve';
+    this._encoding = initialData.Encoding || 'utf8';
+    this._bom = initialData.Bom || false;
+    this._compileOptions = initialData.CompileOptions || null;
+    this._postProcessors = initialData.PostProcessors || null;
+    this._postGenerate = initialData.PostGenerate || null;
 
     // Phase 5C: Conditional generation
     this._generateIf = initialData.GenerateIf || null;
@@ -41,6 +99,23 @@ class TemplateSettings {
     return this._targetItem;
   }
 
+  /**
+   * Path, relative to each target item, of a child collection to fan out over.
+   * When set, one output is rendered per child instead of per item.
+   * @returns {string|null}
+   */
+  get subTarget() {
+    return this._subTarget;
+  }
+
+  /**
+   * Variable name for the current child when SubTarget is set.
+   * @returns {string}
+   */
+  get subTargetItem() {
+    return this._subTargetItem;
+  }
+
   get targetProperty() {
     return this._targetProperty;
   }
@@ -53,8 +128,24 @@ class TemplateSettings {
     return this._targetItemNameProperty;
   }
 
+  /**
+   * The export path, under ExportPathPrefix unless it is absolute.
+   * @returns {string|null}
+   */
   get exportPath() {
-    return this._exportPath;
+    if (!this._exportPath || !this._exportPathPrefix || path.isAbsolute(this._exportPath)) {
+      return this._exportPath;
+    }
+    return `${this._exportPathPrefix.replace(/[\\/]+$/, '')}/${this._exportPath}`;
+  }
+
+  /**
+   * Directory prepended to relative export paths, typically set in directory defaults
+   * so templates only declare the rest of the path.
+   * @returns {string|null}
+   */
+  get exportPathPrefix() {
+    return this._exportPathPrefix;
   }
 
   get prepareExportPathUsingTemplate() {
@@ -69,6 +160,16 @@ class TemplateSettings {
     return this._appendToExisting;
   }
 
+  /**
+   * How existing output files are treated: "overwrite", "append", "skipIfExists",
+   * "overwriteIfUnchanged" or "failIfExists". Defaults to "append" when
+   * AppendToExisting is set, otherwise "overwrite".
+   * @returns {string}
+   */
+  get writeMode() {
+    return this._writeMode;
+  }
+
   get fileNamePattern() {
     return this._fileNamePattern;
   }
@@ -81,6 +182,95 @@ class TemplateSettings {
     return this._splitOn;
   }
 
+  /**
+   * Whether protected regions that no longer exist in the generated output are
+   * written to a `.orphaned` side file next to the target, in addition to being reported.
+   * @returns {boolean}
+   */
+  get dumpOrphanedRegions() {
+    return this._dumpOrphanedRegions;
+  }
+
+  /**
+   * What happens when an output file was edited since it was last generated:
+   * "overwrite", "skip", "report" or "backup". Defaults to "skip" for the
+   * overwriteIfUnchanged write mode, otherwise "overwrite".
+   * @returns {string}
+   */
+  get onManualEdit() {
+    return this._onManualEdit;
+  }
+
+  /**
+   * The OnManualEdit policy as set, or null when it defaults from the write mode. Outputs
+   * whose section sets another write mode default from their own mode.
+   * @returns {string|null}
+   */
+  get onManualEditSetting() {
+    return this._onManualEditSetting;
+  }
+
+  /**
+   * Header line stamped on top of output files, with a `{checksum}` placeholder for the
+   * checksum of the generated content. Null to keep checksums in a ChecksumStore.
+   * @returns {string|null}
+   */
+  get checksumHeader() {
+    return this._checksumHeader;
+  }
+
+  /**
+   * Line endings of output files: "lf", "crlf" or "preserve" (the default), which keeps
+   * the line endings the template produced.
+   * @returns {string}
+   */
+  get lineEndings() {
+    return this._lineEndings;
+  }
+
+  /**
+   * Encoding of output files, such as "utf8" (the default), "utf16le" or "latin1".
+   * @returns {string}
+   */
+  get encoding() {
+    return this._encoding;
+  }
+
+  /**
+   * Whether new output files start with a byte order mark.
+   * @returns {boolean}
+   */
+  get bom() {
+    return this._bom;
+  }
+
+  /**
+   * Handlebars compile options for the template, such as `{ noEscape: true }`, merged
+   * over the project defaults. See CompileOptionNames for the supported options.
+   * @returns {object|null}
+   */
+  get compileOptions() {
+    return this._compileOptions;
+  }
+
+  /**
+   * Post-processor steps run on the template's outputs, replacing the loader's steps for
+   * matching output paths. An empty array disables post-processing.
+   * @returns {Array<string|object>|null}
+   */
+  get postProcessors() {
+    return this._postProcessors;
+  }
+
+  /**
+   * Commands run on the template's written files after generation, besides the project's
+   * postGenerate commands. See PostGenerate.
+   * @returns {Array<string|object>|null}
+   */
+  get postGenerate() {
+    return this._postGenerate;
+  }
+
   /**
    * Condition expression for when to generate.
    * If specified, the template only generates when this evaluates to true.
@@ -0,0 +1,118 @@
+/**
+ * Line ending, character encoding and byte order mark handling for output files.
+ *
+ * Content is converted to the configured line endings as soon as it is generated, so
+ * previews, checksums and written files agree. Encoding and BOM only apply to the bytes
+ * written to disk.
+ */
+
+/**
+ * How line endings of generated content are written.
+ * - lf: convert to "\n".
+ * - crlf: convert to "\r\n".
+ * - preserve: keep the line endings the template produced (the default).
+ */
+const LINE_ENDINGS = ['lf', 'crlf', 'preserve'];
+
+/**
+ * Byte order marks of the encodings that have one.
+ */
+const BYTE_ORDER_MARKS = {
+  utf8: Buffer.from([0xef, 0xbb, 0xbf]),
+  utf16le: Buffer.from([0xff, 0xfe]),
+  utf16be: Buffer.from([0xfe, 0xff]),
+};
+
+/**
+ * Supported output encodings.
+ */
+const ENCODINGS = ['utf8', 'utf16le', 'utf16be', 'latin1', 'ascii'];
+
+/**
+ * Alternative spellings of the supported encodings.
+ */
+const ENCODING_ALIASES = {
+  ucs2: 'utf16le',
+  utf16: 'utf16le',
+  binary: 'latin1',
+  iso88591: 'latin1',
+};
+
+class TextEncoding {
+  static DefaultEncoding = 'utf8';
+  static DefaultLineEndings = 'preserve';
+
+  /**
+   * Resolves an encoding name such as "UTF-16LE" to its canonical name.
+   * @param {string} encoding - The encoding name.
+   * @returns {string|null} The canonical name, or null if the encoding is not supported.
+   */
+  static resolveEncoding(encoding) {
+    const name = String(encoding).toLowerCase().replace(/[-_]/g, '');
+    const resolved = ENCODING_ALIASES[name] || name;
+    return ENCODINGS.includes(resolved) ? resolved : null;
+  }
+
+  /**
+   * Checks whether an encoding has a byte order mark.
+   * @param {string} encoding - A canonical encoding name.
+   * @returns {boolean}
+   */
+  static hasByteOrderMark(encoding) {
+    return encoding in BYTE_ORDER_MARKS;
+  }
+
+  /**
+   * Converts the line endings of content.
+   * @param {string} content - The content.
+   * @param {string} lineEndings - One of LINE_ENDINGS.
+   * @returns {string}
+   */
+  static applyLineEndings(content, lineEndings) {
+    switch (lineEndings) {
+      case 'lf':
+        return content.replace(/\r\n/g, '\n');
+      case 'crlf':
+        return content.replace(/\r?\n/g, '\r\n');
+      default:
+        return content;
+    }
+  }
+
+  /**
+   * Encodes content for writing.
+   * @param {string} content - The content.
+   * @param {string} encoding - A canonical encoding name.
+   * @param {boolean} [bom=false] - Whether to start with a byte order mark.
+   * @returns {Buffer}
+   */
+  static encode(content, encoding, bom = false) {
+    const bytes =
+      encoding === 'utf16be'
+        ? Buffer.from(content, 'utf16le').swap16()
+        : Buffer.from(content, encoding);
+
+    return bom && TextEncoding.hasByteOrderMark(encoding)
+      ? Buffer.concat([BYTE_ORDER_MARKS[encoding], bytes])
+      : bytes;
+  }
+
+  /**
+   * Decodes file content, dropping a byte order mark.
+   * @param {Buffer} buffer - The file content.
+   * @param {string} encoding - A canonical encoding name.
+   * @returns {string}
+   */
+  static decode(buffer, encoding) {
+    const bom = BYTE_ORDER_MARKS[encoding];
+    if (bom && buffer.subarray(0, bom.length).equals(bom)) {
+      buffer = buffer.subarray(bom.length);
+    }
+
+    return encoding === 'utf16be'
+      ? Buffer.from(buffer).swap16().toString('utf16le')
+      : buffer.toString(encoding);
+  }
+}
+
+module.exports = { TextEncoding, LINE_ENDINGS, ENCODINGS };
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Template = require('../Template');
+const { TemplateLoader } = require('../TemplateLoader');
+const { DEFAULT_CONFIG } = require('../ConfigLoader');
+
+describe('CompileOptions', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'compile-options-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const writeTemplate = (content, settings = {}) => {
+    fs.writeFileSync(path.join(directory, 'entity.hbs'), content);
+    fs.writeFileSync(
+      path.join(directory, 'entity.hbs.settings.json'),
+      JSON.stringify({ ExportPath: 'out/{{Name}}.cs', ...settings })
+    );
+  };
+
+  const render = (template, model) => {
+    template.generate(model);
+    return template.result[0].content;
+  };
+
+  it('should escape HTML by default', () => {
+    writeTemplate('{{Type}}');
+
+    expect(render(new Template(directory, 'entity.hbs'), { Type: 'List<int>' })).toBe(
+      'List&lt;int&gt;'
+    );
+  });
+
+  it('should apply the CompileOptions setting', () => {
+    writeTemplate('{{Type}}', { CompileOptions: { noEscape: true } });
+
+    expect(render(new Template(directory, 'entity.hbs'), { Type: 'List<int>' })).toBe('List<int>');
+  });
+
+  it('should throw on missing properties in strict mode', () => {
+    writeTemplate('{{Nmae}}', { CompileOptions: { strict: true } });
+    const template = new Template(directory, 'entity.hbs');
+
+    expect(() => template.generate({ Name: 'Order' })).toThrow('"Nmae" not defined');
+  });
+
+  it('should merge the setting over the loader defaults', () => {
+    writeTemplate('{{Type}}', { CompileOptions: { noEscape: false } });
+    const loader = new TemplateLoader(directory, '.hbs', true, {
+      compileOptions: { noEscape: true, strict: true },
+    });
+    loader.load();
+
+    expect(loader.templates[0].compileOptions).toEqual({ noEscape: false, strict: true });
+  });
+
+  it('should know registered helpers with knownHelpersOnly', () => {
+    writeTemplate('{{pascalCase Name}}', { CompileOptions: { knownHelpersOnly: true } });
+    const template = new Template(directory, 'entity.hbs');
+
+    expect(template.validate().valid).toBe(true);
+    expect(render(template, { Name: 'order line' })).toBe('OrderLine');
+  });
+
+  it('should report unknown helpers with knownHelpersOnly in validate', () => {
+    writeTemplate('{{missingHelper Name}}', { CompileOptions: { knownHelpersOnly: true } });
+
+    const { errors } = new Template(directory, 'entity.hbs').validate();
+
+    expect(errors[0].message).toContain('unknown helper missingHelper');
+  });
+
+  it('should reject unknown options and non-boolean values in validate', () => {
+    writeTemplate('{{Name}}', { CompileOptions: { noEscpae: true, strict: 'yes' } });
+
+    const { errors } = new Template(directory, 'entity.hbs').validate();
+
+    expect(errors.map((e) => e.message)).toEqual([
+      expect.stringContaining('Unknown compile option "noEscpae"'),
+      'Compile option "strict" must be true or false',
+    ]);
+  });
+
+  it('should reject a CompileOptions setting that is not an object', () => {
+    writeTemplate('{{Name}}', { CompileOptions: ['noEscape'] });
+
+    const { errors } = new Template(directory, 'entity.hbs').validate();
+
+    expect(errors[0].message).toBe('CompileOptions must be an object');
+  });
+
+  it('should have an empty project default', () => {
+    expect(DEFAULT_CONFIG.compileOptions).toEqual({});
+  });
+});
@@ -119,6 +119,17 @@ describe('ConfigLoader', () => {
       expect(config.extension).toBe(DEFAULT_CONFIG.extension);
     });
 
+    it('should tell options set by the config file from defaults', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(JSON.stringify({ outputDirectory: './src' }));
+
+      const loader = new ConfigLoader('/project');
+      loader.load('/project/.generatorrc.json');
+
+      expect(loader.isConfigured('outputDirectory')).toBe(true);
+      expect(loader.isConfigured('templateDirectory')).toBe(false);
+    });
+
     it('should return defaults when no config file found', () => {
       fs.existsSync.mockReturnValue(false);
 
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Template = require('../Template');
+const { TemplateSettings } = require('../TemplateSettings');
+
+describe('Export paths', () => {
+  describe('normalizeExportPath', () => {
+    it('should use forward slashes and collapse repeated separators', () => {
+      expect(Template.normalizeExportPath('.\\Generated\\Items\\ItemA.txt')).toBe(
+        './Generated/Items/ItemA.txt'
+      );
+      expect(Template.normalizeExportPath('out//src\\/Order.cs')).toBe('out/src/Order.cs');
+      expect(Template.normalizeExportPath('C:\\repo\\out\\Order.cs')).toBe('C:/repo/out/Order.cs');
+    });
+
+    it('should keep the leading separators of UNC paths', () => {
+      expect(Template.normalizeExportPath('\\\\server\\share\\Order.cs')).toBe(
+        '//server/share/Order.cs'
+      );
+    });
+  });
+
+  describe('prepareExportPath', () => {
+    const prepare = (exportPath, model, fileName = null) =>
+      Template.prepareExportPath(new TemplateSettings({ ExportPath: exportPath }), fileName, model);
+
+    it('should turn Windows-style settings into directories', () => {
+      expect(prepare('.\\Generated\\Items\\\\{{item.Name}}.txt', { item: { Name: 'A' } })).toBe(
+        './Generated/Items/A.txt'
+      );
+      expect(prepare('.\\Generated\\Split\\\\{{FileName}}', {}, 'Header.txt')).toBe(
+        './Generated/Split/Header.txt'
+      );
+    });
+
+    it('should still write escaped expressions literally', () => {
+      expect(prepare('out/\\{{raw}}/{{Name}}.cs', { Name: 'Order' })).toBe('out/{{raw}}/Order.cs');
+    });
+  });
+
+  describe('findAmbiguousBackslash', () => {
+    it('should find a single backslash before an expression', () => {
+      expect(Template.findAmbiguousBackslash('.\\Out\\{{item.Name}}.cs')).toBe('{{item.Name}}');
+      expect(Template.findAmbiguousBackslash('\\{{Name}}.cs')).toBe('{{Name}}');
+    });
+
+    it('should accept double backslashes and slashes', () => {
+      expect(Template.findAmbiguousBackslash('.\\Out\\\\{{item.Name}}.cs')).toBeNull();
+      expect(Template.findAmbiguousBackslash('./Out/{{item.Name}}.cs')).toBeNull();
+      expect(Template.findAmbiguousBackslash(null)).toBeNull();
+    });
+
+    it('should warn about it when validating', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'export-path-'));
+      try {
+        fs.writeFileSync(path.join(directory, 'entity.hbs'), '{{Name}}');
+        fs.writeFileSync(
+          path.join(directory, 'entity.hbs.settings.json'),
+          JSON.stringify({ ExportPath: '.\\Out\\{{Name}}.cs' })
+        );
+
+        const validation = new Template(directory, 'entity.hbs').validate();
+
+        expect(validation.valid).toBe(true);
+        expect(validation.warnings).toHaveLength(1);
+        expect(validation.warnings[0].message).toContain(
+          'has a single backslash before "{{Name}}"'
+        );
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FrontMatter } = require('../FrontMatter');
+const Template = require('../Template');
+const { SettingsError } = require('../GeneratorError');
+
+describe('FrontMatter', () => {
+  describe('parse', () => {
+    it('should parse a YAML block and strip it from the body', () => {
+      const result = FrontMatter.parse(
+        '---\nTarget: Entities\nAppendToExisting: true\n---\nclass {{item.Name}} {}\n'
+      );
+
+      expect(result.data).toEqual({ Target: 'Entities', AppendToExisting: true });
+      expect(result.body).toBe('class {{item.Name}} {}\n');
+      expect(result.lineCount).toBe(4);
+    });
+
+    it('should parse a JSON block', () => {
+      const result = FrontMatter.parse('---json\n{ "Target": "Items" }\n---\nbody');
+
+      expect(result.data).toEqual({ Target: 'Items' });
+      expect(result.body).toBe('body');
+    });
+
+    it('should accept JSON inside a plain block', () => {
+      expect(FrontMatter.parse('---\n{ "Target": "Items" }\n---\n').data).toEqual({
+        Target: 'Items',
+      });
+    });
+
+    it('should handle CRLF line endings', () => {
+      const result = FrontMatter.parse('---\r\nTarget: Items\r\n---\r\nbody');
+
+      expect(result.data).toEqual({ Target: 'Items' });
+      expect(result.body).toBe('body');
+    });
+
+    it('should return the content unchanged without front matter', () => {
+      const content = 'line\n---\nTarget: x\n---\n';
+
+      expect(FrontMatter.parse(content)).toEqual({ data: null, body: content, lineCount: 0 });
+    });
+
+    it.each([
+      ['a YAML header', '---\ntitle: Orders\nlayout: post\n---\n# {{Title}}\n'],
+      ['a YAML document', '---\n- a\n- b\n---\n'],
+      ['an empty block', '---\n---\nbody'],
+      ['invalid YAML', '---\ntitle: [unclosed\n---\nbody'],
+      ['settings mixed with other keys', '---\nTarget: Items\ntitle: Orders\n---\n'],
+    ])('should keep a --- block holding %s as output', (name, content) => {
+      expect(FrontMatter.parse(content)).toEqual({ data: null, body: content, lineCount: 0 });
+    });
+
+    it('should throw a SettingsError for invalid JSON blocks', () => {
+      expect(() => FrontMatter.parse('---json\n{ invalid\n---\n', 'a.hbs')).toThrow(SettingsError);
+      expect(() => FrontMatter.parse('---json\n["a"]\n---\n')).toThrow(
+        'expected a map of template settings'
+      );
+    });
+  });
+
+  describe('Template integration', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'front-matter-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const writeTemplate = (content, settings) => {
+      fs.writeFileSync(path.join(directory, 'entity.hbs'), content);
+      if (settings) {
+        fs.writeFileSync(
+          path.join(directory, 'entity.hbs.settings.json'),
+          JSON.stringify(settings)
+        );
+      }
+      return new Template(directory, 'entity.hbs');
+    };
+
+    it('should load settings from front matter without a settings file', () => {
+      const template = writeTemplate(
+        '---\nTarget: Entities\nExportPath: out/{{item.Name}}.cs\n---\nclass {{item.Name}} {}'
+      );
+
+      expect(template.isLoaded).toBe(true);
+      expect(template.settings.target).toBe('Entities');
+      expect(template.frontMatter).toEqual({
+        Target: 'Entities',
+        ExportPath: 'out/{{item.Name}}.cs',
+      });
+
+      template.generate({ Entities: [{ Name: 'Order' }] });
+
+      expect(template.result[0].content).toBe('class Order {}');
+    });
+
+    it('should write a leading --- block of a template with a settings file', () => {
+      const template = writeTemplate('---\ntitle: {{item.Name}}\n---\n# {{item.Name}}\n', {
+        Target: 'Entities',
+        ExportPath: 'out/{{item.Name}}.md',
+      });
+
+      template.generate({ Entities: [{ Name: 'Order' }] });
+
+      expect(template.frontMatter).toBeNull();
+      expect(template.result[0].content).toBe('---\ntitle: Order\n---\n# Order\n');
+    });
+
+    it('should let the settings file take precedence', () => {
+      const template = writeTemplate('---\nTarget: Entities\nTargetItem: entity\n---\nx', {
+        Target: 'Items',
+        ExportPath: 'out.txt',
+      });
+
+      expect(template.settings.target).toBe('Items');
+      expect(template.settings.targetItem).toBe('entity');
+      expect(template.settings.exportPath).toBe('out.txt');
+    });
+
+    it('should flag conflicting values in validate', () => {
+      const template = writeTemplate('---\nTarget: Entities\nExportPath: out.txt\n---\nx', {
+        Target: 'Items',
+        ExportPath: 'out.txt',
+      });
+
+      const validation = template.validate();
+
+      expect(validation.valid).toBe(false);
+      expect(validation.errors).toHaveLength(1);
+      expect(validation.errors[0].message).toContain('Target is set differently in front matter');
+    });
+
+    it('should still require settings when there is no front matter', () => {
+      const template = writeTemplate('class {{item.Name}} {}');
+
+      expect(template.isLoaded).toBe(false);
+      expect(template.errors[0].message).toContain('Failed to load template "entity"');
+    });
+
+    it('should report invalid front matter as a load error', () => {
+      const template = writeTemplate('---json\n{ nope\n---\nx');
+
+      expect(template.isLoaded).toBe(false);
+      expect(template.errors[0].message).toContain('Invalid front matter');
+    });
+  });
+});
@@ -116,6 +116,107 @@ describe('GenerationStats', () => {
     });
   });
 
+  describe('recordFile', () => {
+    it('should record file outcomes per template and in total', () => {
+      stats.startTemplate('test');
+      stats.recordFile('test', {
+        filePath: 'a.cs',
+        writeMode: 'overwrite',
+        status: 'created',
+      });
+      stats.recordFile('test', {
+        filePath: 'b.cs',
+        writeMode: 'skipIfExists',
+        status: 'skipped',
+        skipReason: 'exists',
+      });
+      stats.endTemplate('test', 2, 10);
+
+      expect(stats.templateStats[0].outputs).toHaveLength(2);
+      expect(stats.fileStats[1]).toEqual({
+        template: 'test',
+        filePath: 'b.cs',
+        writeMode: 'skipIfExists',
+        status: 'skipped',
+        skipReason: 'exists',
+      });
+      expect(stats.toSummary().writes).toEqual({
+        created: 1,
+        updated: 0,
+        unchanged: 0,
+        appended: 0,
+        skipped: 1,
+      });
+      expect(stats.toString()).toContain('1 created, 0 updated, 0 appended, 1 skipped');
+      expect(stats.toString(true)).toContain('skipped: b.cs (skipIfExists, exists)');
+    });
+
+    it('should count files that were already up to date as unchanged', () => {
+      stats.startTemplate('test');
+      stats.recordFile('test', { filePath: 'a.cs', writeMode: 'overwrite', status: 'updated' });
+      stats.recordFile('test', { filePath: 'b.cs', writeMode: 'overwrite', status: 'unchanged' });
+
+      expect(stats.writeCounts).toEqual({
+        created: 0,
+        updated: 1,
+        unchanged: 1,
+        appended: 0,
+        skipped: 0,
+      });
+      expect(stats.toString()).toContain('0 skipped, 1 unchanged');
+    });
+
+    it('should count static assets as files without a template', () => {
+      stats.recordAsset({
+        source: 'templates/logo.png',
+        filePath: 'out/logo.png',
+        status: 'created',
+        bytes: 100,
+      });
+
+      expect(stats.fileStats[0]).toEqual({
+        template: null,
+        source: 'templates/logo.png',
+        filePath: 'out/logo.png',
+        writeMode: 'copy',
+        status: 'created',
+        skipReason: null,
+      });
+      expect(stats.toSummary()).toMatchObject({ files: 1, assets: 1, bytes: 100 });
+      expect(stats.toString()).toContain('Assets:     1');
+    });
+  });
+
+  describe('recordCommand', () => {
+    it('should record command runs and count failures', () => {
+      stats.recordCommand({
+        command: 'npx prettier --write',
+        files: ['out/a.ts', 'out/b.ts'],
+        exitCode: 0,
+        stdout: '',
+        stderr: '',
+        duration: 120,
+      });
+      stats.recordCommand({
+        command: 'dotnet format',
+        files: ['out/A.cs'],
+        exitCode: null,
+        stdout: '',
+        stderr: '',
+        duration: 5,
+        error: 'spawnSync dotnet ENOENT',
+      });
+
+      expect(stats.commands).toHaveLength(2);
+      expect(stats.failedCommands.map((c) => c.command)).toEqual(['dotnet format']);
+      expect(stats.toSummary().commands[0]).toMatchObject({
+        command: 'npx prettier --write',
+        exitCode: 0,
+      });
+      expect(stats.toString()).toContain('Commands:   2 run, 1 failed');
+    });
+  });
+
   describe('toSummary', () => {
     it('should return summary object', () => {
       stats.start();
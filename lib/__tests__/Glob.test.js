@@ -0,0 +1,25 @@
+const { Glob } = require('../Glob');
+
+describe('Glob', () => {
+  it.each([
+    ['*.png', 'logo.png', true],
+    ['*.png', 'images/logo.png', true],
+    ['*.png', 'logo.png.bak', false],
+    ['images/*.png', 'images/logo.png', true],
+    ['images/*.png', 'images/icons/logo.png', false],
+    ['images/**', 'images/icons/logo.png', true],
+    ['**/icons/*', 'icons/logo.png', true],
+    ['**/icons/*', 'images/icons/logo.png', true],
+    ['*.{png,jpg}', 'photo.jpg', true],
+    ['logo?.png', 'logo2.png', true],
+    ['file(1).txt', 'file(1).txt', true],
+    ['./images/*.png', 'images\\logo.png', true],
+  ])('should match %s against %s: %s', (pattern, filePath, expected) => {
+    expect(Glob.matches(filePath, [pattern])).toBe(expected);
+  });
+
+  it('should match any of several patterns', () => {
+    expect(Glob.matches('a.md', ['*.png', '*.md'])).toBe(true);
+    expect(Glob.matches('a.md', [])).toBe(false);
+  });
+});
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HandlebarsHelpers = require('../HandlebarsHelpers');
+const { TemplateLoader } = require('../TemplateLoader');
+const { TemplateGenerateError } = require('../GeneratorError');
+
+describe('LayoutHelpers', () => {
+  let handlebars;
+
+  beforeEach(() => {
+    handlebars = HandlebarsHelpers.createEnvironment();
+    HandlebarsHelpers.registerLayout(
+      'base',
+      '[{{#block "header"}}default header{{/block}}|{{#block "body"}}{{/block}}]',
+      handlebars
+    );
+  });
+
+  const render = (source, context = {}) => handlebars.compile(source)(context);
+
+  describe('extend', () => {
+    it('should render the layout with default block content', () => {
+      expect(render('{{#extend "base"}}{{/extend}}')).toBe('[default header|]');
+    });
+
+    it('should replace block content by default', () => {
+      const output = render(
+        '{{#extend "base"}}{{#content "body"}}class {{name}}{{/content}}{{/extend}}',
+        { name: 'Order' }
+      );
+
+      expect(output).toBe('[default header|class Order]');
+    });
+
+    it('should append and prepend block content', () => {
+      const output = render(
+        '{{#extend "base"}}' +
+          '{{#content "header" mode="append"}} + after{{/content}}' +
+          '{{#content "header" mode="prepend"}}before + {{/content}}' +
+          '{{/extend}}'
+      );
+
+      expect(output).toBe('[before + default header + after|]');
+    });
+
+    it('should merge hash arguments into the layout context', () => {
+      HandlebarsHelpers.registerLayout(
+        'titled',
+        '{{title}}:{{#block "body"}}{{/block}}',
+        handlebars
+      );
+
+      const output = render(
+        '{{#extend "titled" title="Report"}}{{#content "body"}}x{{/content}}{{/extend}}'
+      );
+
+      expect(output).toBe('Report:x');
+    });
+
+    it('should keep a primitive context inside each', () => {
+      const output = render(
+        '{{#each names}}{{#extend "base"}}{{#content "body"}}{{this}}{{/content}}{{/extend}}{{/each}}',
+        { names: ['Order', 7, false] }
+      );
+
+      expect(output).toBe('[default header|Order][default header|7][default header|false]');
+    });
+
+    it('should support multi-level inheritance', () => {
+      HandlebarsHelpers.registerLayout(
+        'class',
+        '{{#extend "base"}}' +
+          '{{#content "header"}}using System;{{/content}}' +
+          '{{#content "body"}}class {{name}} { {{#block "members"}}{{/block}} }{{/content}}' +
+          '{{/extend}}',
+        handlebars
+      );
+
+      const output = render(
+        '{{#extend "class"}}{{#content "members"}}int Id;{{/content}}{{/extend}}',
+        { name: 'Order' }
+      );
+
+      expect(output).toBe('[using System;|class Order { int Id; }]');
+    });
+
+    it('should let the most specific template win in nested layouts', () => {
+      HandlebarsHelpers.registerLayout(
+        'middle',
+        '{{#extend "base"}}{{#content "body"}}middle{{/content}}{{/extend}}',
+        handlebars
+      );
+
+      const output = render('{{#extend "middle"}}{{#content "body"}}child{{/content}}{{/extend}}');
+
+      expect(output).toBe('[default header|child]');
+    });
+
+    it('should throw a TemplateGenerateError when the layout is missing', () => {
+      expect(() => render('{{#extend "missing"}}{{/extend}}')).toThrow(TemplateGenerateError);
+      expect(() => render('{{#extend "missing"}}{{/extend}}')).toThrow(
+        'Layout "missing" not found'
+      );
+    });
+  });
+
+  describe('content', () => {
+    it('should reject unknown modes', () => {
+      expect(() =>
+        render('{{#extend "base"}}{{#content "body" mode="merge"}}x{{/content}}{{/extend}}')
+      ).toThrow('Invalid content mode "merge"');
+    });
+
+    it('should report whether a block has overrides when used inline', () => {
+      HandlebarsHelpers.registerLayout(
+        'optional',
+        '{{#if (content "footer")}}<{{#block "footer"}}{{/block}}>{{else}}none{{/if}}',
+        handlebars
+      );
+
+      expect(render('{{#extend "optional"}}{{/extend}}')).toBe('none');
+      expect(render('{{#extend "optional"}}{{#content "footer"}}end{{/content}}{{/extend}}')).toBe(
+        '<end>'
+      );
+    });
+  });
+
+  describe('property fallback', () => {
+    it('should resolve bare helper names to context properties', () => {
+      expect(render('{{content}}/{{block}}', { content: 'text', block: 'b' })).toBe('text/b');
+    });
+  });
+
+  describe('TemplateLoader integration', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'layouts-'));
+      fs.writeFileSync(
+        path.join(directory, 'file.hbs.layout'),
+        '// header\n{{#block "body"}}{{/block}}\n'
+      );
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs'),
+        '{{#extend "file"}}{{#content "body"}}class {{item.Name}} {}{{/content}}{{/extend}}'
+      );
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({ Target: 'Entities', ExportPath: 'out/{{item.Name}}.cs' })
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should load layouts alongside partials and render inheriting templates', () => {
+      const loader = new TemplateLoader(directory);
+      loader.load();
+      loader.generate({ Entities: [{ Name: 'Order' }] }, null, { write: false });
+
+      expect(loader.layouts).toEqual(['file']);
+      expect(loader.templates).toHaveLength(1);
+      expect(loader.errors).toHaveLength(0);
+      expect(loader.templates[0].result[0].content).toBe('// header\nclass Order {}\n');
+    });
+
+    it('should not treat layout files as templates', () => {
+      fs.writeFileSync(path.join(directory, 'page.layout.hbs'), '{{#block "body"}}{{/block}}');
+
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      expect(loader.layouts).toContain('page');
+      expect(loader.templates.map((t) => t.name)).toEqual(['entity']);
+      expect(loader.errors).toHaveLength(0);
+    });
+
+    it('should report a missing layout as a generation error', () => {
+      fs.unlinkSync(path.join(directory, 'file.hbs.layout'));
+
+      const loader = new TemplateLoader(directory);
+      loader.load();
+      loader.generate({ Entities: [{ Name: 'Order' }] }, null, { write: false });
+
+      expect(loader.errors).toHaveLength(1);
+      expect(loader.errors[0].message).toContain('Layout "file" not found');
+    });
+  });
+});
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ChecksumStore } = require('../ChecksumStore');
+const { Manifest } = require('../Manifest');
+const { TemplateLoader } = require('../TemplateLoader');
+const { FileError, SettingsError } = require('../GeneratorError');
+
+describe('Manifest', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const manifestPath = () => path.join(directory, 'out', Manifest.FileName);
+  const output = (...names) => path.join(directory, 'out', ...names);
+
+  describe('read and write', () => {
+    it('should store paths relative to the manifest', () => {
+      Manifest.write(manifestPath(), [
+        { filePath: output('src', 'Order.cs'), template: 'entity', item: 'Order', hash: 'b' },
+        { filePath: output('a.cs'), template: 'list', item: null, hash: 'a' },
+      ]);
+
+      const data = JSON.parse(fs.readFileSync(manifestPath(), 'utf8'));
+      expect(data.version).toBe(1);
+      expect(data.files.map((file) => file.path)).toEqual(['a.cs', 'src/Order.cs']);
+      expect(Manifest.read(manifestPath())[1]).toEqual({
+        filePath: output('src', 'Order.cs'),
+        template: 'entity',
+        item: 'Order',
+        hash: 'b',
+        checksum: null,
+        rendered: null,
+        appended: false,
+      });
+    });
+
+    it('should read no entries without a manifest', () => {
+      expect(Manifest.read(manifestPath())).toEqual([]);
+    });
+
+    it('should refuse invalid manifests', () => {
+      fs.mkdirSync(output(), { recursive: true });
+      fs.writeFileSync(manifestPath(), '{ files: ');
+
+      expect(() => Manifest.read(manifestPath())).toThrow(FileError);
+    });
+  });
+
+  describe('prune', () => {
+    it('should only delete orphans that are unchanged', () => {
+      fs.mkdirSync(output('src'), { recursive: true });
+      fs.writeFileSync(output('src', 'Old.cs'), 'old');
+      fs.writeFileSync(output('Edited.cs'), 'old');
+      const entry = (filePath) => ({ filePath, template: 'entity', hash: Manifest.hash(filePath) });
+      const orphans = [entry(output('src', 'Old.cs')), entry(output('Edited.cs'))];
+      orphans.push({ filePath: output('Gone.cs'), template: 'entity', hash: 'x' });
+      fs.writeFileSync(output('Edited.cs'), 'edited');
+
+      expect(Manifest.prune(orphans, output(), { dryRun: true }).deleted).toEqual([
+        output('src', 'Old.cs'),
+      ]);
+      expect(fs.existsSync(output('src', 'Old.cs'))).toBe(true);
+
+      expect(Manifest.prune(orphans, output())).toEqual({
+        deleted: [output('src', 'Old.cs')],
+        modified: [output('Edited.cs')],
+        missing: [output('Gone.cs')],
+        outside: [],
+      });
+      expect(fs.existsSync(output('src'))).toBe(false);
+      expect(fs.readFileSync(output('Edited.cs'), 'utf8')).toBe('edited');
+    });
+
+    it('should never delete files outside the root', () => {
+      fs.mkdirSync(output(), { recursive: true });
+      fs.writeFileSync(path.join(directory, 'keep.txt'), 'mine');
+      Manifest.write(manifestPath(), [
+        {
+          filePath: path.join(directory, 'keep.txt'),
+          template: 'entity',
+          item: null,
+          hash: Manifest.hash(path.join(directory, 'keep.txt')),
+        },
+      ]);
+      const orphans = Manifest.read(manifestPath());
+
+      expect(Manifest.prune(orphans, output()).outside).toEqual([path.join(directory, 'keep.txt')]);
+      expect(fs.existsSync(path.join(directory, 'keep.txt'))).toBe(true);
+    });
+  });
+
+  describe('TemplateLoader', () => {
+    const writeTemplate = (name, exportPath, settings = {}) => {
+      const templates = path.join(directory, 'templates');
+      fs.mkdirSync(templates, { recursive: true });
+      fs.writeFileSync(path.join(templates, `${name}.hbs`), `${name} {{item.Name}}`);
+      fs.writeFileSync(
+        path.join(templates, `${name}.hbs.settings.json`),
+        JSON.stringify({ Target: 'Entities', ExportPath: exportPath, ...settings })
+      );
+      return templates;
+    };
+
+    const createLoader = (templates) => {
+      const loader = new TemplateLoader(templates, '.hbs', true, {
+        outputRoot: output(),
+        manifest: true,
+      });
+      loader.load();
+      return loader;
+    };
+
+    const model = (...names) => ({ Entities: names.map((Name) => ({ Name })) });
+
+    it('should record the written files with their template and item', async () => {
+      const loader = createLoader(writeTemplate('entity', '{{item.Name}}.cs'));
+
+      await loader.generateAsync(model('Order'));
+
+      expect(loader.manifestPath).toBe(manifestPath());
+      expect(Manifest.read(manifestPath())).toEqual([
+        {
+          filePath: output('Order.cs'),
+          template: 'entity',
+          item: 'Order',
+          hash: Manifest.hash(output('Order.cs')),
+          checksum: ChecksumStore.compute('entity Order'),
+          rendered: Manifest.hashContent('entity Order'),
+          appended: false,
+        },
+      ]);
+    });
+
+    it('should keep orphans unless pruning', () => {
+      const loader = createLoader(writeTemplate('entity', '{{item.Name}}.cs'));
+      loader.generate(model('Order', 'Customer'));
+
+      loader.generate(model('Order'));
+      expect(fs.existsSync(output('Customer.cs'))).toBe(true);
+      expect(loader.pruned).toBeNull();
+
+      loader.generate(model('Order'), null, { prune: true });
+      expect(loader.pruned.deleted).toEqual([output('Customer.cs')]);
+      expect(fs.existsSync(output('Customer.cs'))).toBe(false);
+      expect(Manifest.read(manifestPath()).map((entry) => entry.item)).toEqual(['Order']);
+    });
+
+    it('should keep edited orphans and files it did not create', () => {
+      const loader = createLoader(writeTemplate('entity', '{{item.Name}}.cs'));
+      loader.generate(model('Order', 'Customer'));
+      fs.writeFileSync(output('Customer.cs'), 'edited');
+      fs.writeFileSync(output('Notes.txt'), 'mine');
+
+      loader.generate(model('Order'), null, { prune: true });
+
+      expect(loader.pruned.modified).toEqual([output('Customer.cs')]);
+      expect(loader.errors.map((e) => e.phase)).toEqual(['manifest']);
+      expect(fs.readFileSync(output('Customer.cs'), 'utf8')).toBe('edited');
+      expect(fs.existsSync(output('Notes.txt'))).toBe(true);
+      expect(Manifest.read(manifestPath())).toHaveLength(1);
+    });
+
+    it('should never own or prune files it only appended to', () => {
+      const templates = writeTemplate('ignore', '{{item.Name}}.log', { WriteMode: 'append' });
+      fs.mkdirSync(output(), { recursive: true });
+      fs.writeFileSync(output('Order.log'), 'mine\n');
+      const loader = createLoader(templates);
+      loader.generate(model('Order', 'Customer'));
+      loader.generate(model('Order', 'Customer'));
+
+      expect(Manifest.read(manifestPath())).toEqual([
+        expect.objectContaining({ filePath: output('Customer.log'), appended: true }),
+      ]);
+
+      loader.generate(model(), null, { prune: true });
+
+      expect(loader.pruned.deleted).toEqual([]);
+      expect(fs.readFileSync(output('Order.log'), 'utf8')).toBe('mine\nignore Orderignore Order');
+      expect(fs.existsSync(output('Customer.log'))).toBe(true);
+      expect(Manifest.read(manifestPath())).toEqual([]);
+    });
+
+    it('should record copied assets and prune them once they are gone', () => {
+      const templates = writeTemplate('entity', '{{item.Name}}.cs');
+      fs.mkdirSync(path.join(templates, 'images'));
+      fs.writeFileSync(path.join(templates, 'images', 'logo.png'), 'png');
+      const createAssetLoader = () => {
+        const loader = new TemplateLoader(templates, '.hbs', true, {
+          outputRoot: output(),
+          manifest: true,
+          assets: { outputPath: output() },
+        });
+        loader.load();
+        return loader;
+      };
+      createAssetLoader().generate(model('Order'));
+
+      expect(Manifest.read(manifestPath())).toContainEqual(
+        expect.objectContaining({ filePath: output('images', 'logo.png'), template: null })
+      );
+      expect(createAssetLoader().clean(model('Order')).deleted).toEqual([]);
+
+      fs.rmSync(path.join(templates, 'images'), { recursive: true });
+      const loader = createAssetLoader();
+      loader.generate(model('Order'), null, { prune: true });
+
+      expect(loader.pruned.deleted).toEqual([output('images', 'logo.png')]);
+      expect(fs.existsSync(output('images'))).toBe(false);
+    });
+
+    it('should detect manual edits from the manifest checksums', () => {
+      const loader = createLoader(
+        writeTemplate('entity', '{{item.Name}}.cs', { WriteMode: 'overwriteIfUnchanged' })
+      );
+      loader.generate(model('Order', 'Customer'));
+      fs.appendFileSync(output('Customer.cs'), ' // edited');
+
+      loader.generate(model('Order', 'Customer'));
+
+      expect(fs.existsSync(ChecksumStore.getStorePath(output('Order.cs')))).toBe(false);
+      expect(loader.templates[0].result.map((r) => r.status)).toEqual(['updated', 'skipped']);
+      expect(loader.templates[0].result[1].manuallyEdited).toBe(true);
+      expect(loader.errors).toEqual([]);
+    });
+
+    it('should keep the files of templates that failed', () => {
+      const templates = writeTemplate('entity', '{{item.Name}}.cs');
+      writeTemplate('list', 'list.cs', { Target: 'Model' });
+      createLoader(templates).generate(model('Order'));
+      fs.writeFileSync(path.join(templates, 'list.hbs'), '{{#each}}');
+
+      const loader = createLoader(templates);
+      loader.generate(model(), null, { prune: true });
+
+      expect(loader.pruned.deleted).toEqual([output('Order.cs')]);
+      expect(fs.existsSync(output('list.cs'))).toBe(true);
+      expect(Manifest.read(manifestPath()).map((entry) => entry.template)).toEqual(['list']);
+    });
+
+    it('should prune the files of removed templates and keep those of disabled ones', () => {
+      const templates = writeTemplate('entity', '{{item.Name}}.cs');
+      writeTemplate('list', 'list.cs', { Target: 'Model' });
+      writeTemplate('broken', 'broken.cs', { Target: 'Model' });
+      createLoader(templates).generate(model('Order'));
+
+      fs.renameSync(path.join(templates, 'entity.hbs'), path.join(templates, 'model.hbs'));
+      fs.renameSync(
+        path.join(templates, 'entity.hbs.settings.json'),
+        path.join(templates, 'model.hbs.settings.json')
+      );
+      writeTemplate('list', 'list.cs', { Target: 'Model', Enabled: false });
+      fs.writeFileSync(path.join(templates, 'broken.hbs.settings.json'), '{');
+      const loader = createLoader(templates);
+      loader.generate(model('Order'), null, { prune: true, continueOnError: true });
+
+      expect(loader.pruned.deleted).toEqual([]);
+      expect(fs.existsSync(output('Order.cs'))).toBe(true);
+      expect(Manifest.read(manifestPath()).map((entry) => entry.template)).toEqual([
+        'model',
+        'broken',
+        'list',
+      ]);
+
+      fs.rmSync(path.join(templates, 'model.hbs'));
+      fs.rmSync(path.join(templates, 'model.hbs.settings.json'));
+      createLoader(templates).generate(model('Order'), null, { prune: true });
+
+      expect(fs.existsSync(output('Order.cs'))).toBe(false);
+      expect(fs.existsSync(output('list.cs'))).toBe(true);
+      expect(fs.existsSync(output('broken.cs'))).toBe(true);
+    });
+
+    it('should clean without writing', () => {
+      const templates = writeTemplate('entity', '{{item.Name}}.cs');
+      createLoader(templates).generate(model('Order', 'Customer'));
+      fs.writeFileSync(output('Order.cs'), 'edited but still generated');
+      const loader = createLoader(templates);
+
+      expect(loader.clean(model('Order'), { dryRun: true }).deleted).toEqual([
+        output('Customer.cs'),
+      ]);
+      expect(Manifest.read(manifestPath())).toHaveLength(2);
+
+      loader.clean(model('Order'));
+      expect(fs.existsSync(output('Customer.cs'))).toBe(false);
+      expect(fs.readFileSync(output('Order.cs'), 'utf8')).toBe('edited but still generated');
+      expect(Manifest.read(manifestPath()).map((entry) => entry.item)).toEqual(['Order']);
+    });
+
+    it('should need a manifest to clean', () => {
+      const loader = new TemplateLoader(writeTemplate('entity', output('{{item.Name}}.cs')));
+      loader.load();
+
+      expect(() => loader.clean(model('Order'))).toThrow(SettingsError);
+      loader.generate(model('Order'));
+      expect(fs.existsSync(manifestPath())).toBe(false);
+    });
+  });
+});
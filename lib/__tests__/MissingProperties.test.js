@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HandlebarsHelpers = require('../HandlebarsHelpers');
+const Template = require('../Template');
+const { MissingProperties } = require('../MissingProperties');
+const { TemplateLoader } = require('../TemplateLoader');
+const { TemplateGenerateError } = require('../GeneratorError');
+
+describe('MissingProperties', () => {
+  describe('compile', () => {
+    let handlebars;
+    let misses;
+
+    beforeEach(() => {
+      handlebars = HandlebarsHelpers.createEnvironment();
+      misses = [];
+    });
+
+    const render = (source, context, options) =>
+      MissingProperties.compile(
+        MissingProperties.createEnvironment(handlebars, (miss) => misses.push(miss)),
+        source,
+        'entity.hbs',
+        options
+      )(context);
+
+    it('should render the same content as the plain template', () => {
+      const source = '{{Name}} {{{Type}}} {{pascalCase Name}} {{#each Fields}}{{Name}},{{/each}}';
+      const model = { Name: 'order', Type: '<T>', Fields: [{ Name: 'Id' }] };
+
+      expect(render(source, model)).toBe(handlebars.compile(source)(model));
+      expect(misses).toEqual([]);
+    });
+
+    it('should report undefined paths with their line and column', () => {
+      render('class {{Name}}\n{\n  {{item.Nmae}}\n}', { Name: 'Order', item: {} });
+
+      expect(misses).toEqual([{ path: 'item.Nmae', source: 'entity.hbs', line: 3, column: 5 }]);
+    });
+
+    it('should check helper parameters, hash values and subexpressions', () => {
+      render('{{#each Fieldz}}{{/each}}{{concat (camelCase A) "x" separator=B}}', {});
+
+      expect(misses.map((m) => m.path)).toEqual(['Fieldz', 'A', 'B']);
+    });
+
+    it('should not check helpers for optional values', () => {
+      render('{{#if A}}{{/if}}{{#unless B}}{{/unless}}{{default C "x"}}{{coalesce D E}}', {});
+
+      expect(misses).toEqual([]);
+    });
+
+    it('should not report null values', () => {
+      render('{{Name}}', { Name: null });
+
+      expect(misses).toEqual([]);
+    });
+
+    it('should report lookups in partials with the partial name', () => {
+      handlebars.registerPartial('field', '{{Nmae}}');
+
+      render('{{#each Fields}}{{> field}}{{/each}}', { Fields: [{ Name: 'Id' }] });
+
+      expect(misses).toEqual([{ path: 'Nmae', source: 'field', line: 1, column: 3 }]);
+    });
+
+    it('should offset template lines', () => {
+      render('{{Nmae}}', {}, { lineOffset: 3 });
+
+      expect(misses[0].line).toBe(4);
+    });
+
+    it('should compile with knownHelpersOnly', () => {
+      expect(render('{{Nmae}}', {}, { compileOptions: { knownHelpersOnly: true } })).toBe('');
+      expect(misses).toHaveLength(1);
+    });
+  });
+
+  describe('Template and TemplateLoader', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'missing-properties-'));
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs'),
+        '---\nTarget: Entities\n---\nclass {{item.Name}}\n{\n  {{item.Nmae}}\n}'
+      );
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({ ExportPath: 'out/{{item.Name}}.cs' })
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const model = { Entities: [{ Name: 'Order' }, { Name: 'Customer' }] };
+
+    it('should ignore missing properties by default', () => {
+      const template = new Template(directory, 'entity.hbs');
+
+      template.generate(model);
+
+      expect(template.result[0].content).toBe('class Order\n{\n  \n}');
+      expect(template.errors).toEqual([]);
+    });
+
+    it('should throw a TemplateGenerateError in the error mode', () => {
+      const template = new Template(directory, 'entity.hbs');
+      let error;
+
+      try {
+        template.generate(model, { missingProperties: 'error' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(TemplateGenerateError);
+      expect(error.message).toBe(
+        `"item.Nmae" is not defined in template "entity" at ${directory}/entity.hbs:6:5 while rendering item "Order"`
+      );
+      expect(error).toMatchObject({
+        code: 'MISSING_PROPERTY',
+        template: 'entity',
+        file: `${directory}/entity.hbs`,
+        line: 6,
+        column: 5,
+        path: 'item.Nmae',
+        item: 'Order',
+      });
+    });
+
+    it('should collect warnings for each item in the warn mode', () => {
+      const template = new Template(directory, 'entity.hbs');
+
+      template.generate(model, { missingProperties: 'warn' });
+
+      expect(template.result).toHaveLength(2);
+      expect(template.errors.map((e) => [e.phase, e.path, e.line, e.item])).toEqual([
+        ['generate', 'item.Nmae', 6, 'Order'],
+        ['generate', 'item.Nmae', 6, 'Customer'],
+      ]);
+    });
+
+    it('should name items by their TargetItemNameProperty', () => {
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({ ExportPath: 'out/{{item.Title}}.cs', TargetItemNameProperty: 'Title' })
+      );
+      const template = new Template(directory, 'entity.hbs');
+
+      template.generate({ Entities: [{ Title: 'Order' }] }, { missingProperties: 'warn' });
+
+      expect(template.errors.map((e) => [e.path, e.item])).toEqual([
+        ['item.Name', 'Order'],
+        ['item.Nmae', 'Order'],
+      ]);
+    });
+
+    it('should reject an unknown mode', () => {
+      const template = new Template(directory, 'entity.hbs');
+
+      expect(() => template.generate(model, { missingProperties: 'loud' })).toThrow(
+        'Invalid missing property mode "loud"'
+      );
+    });
+
+    it('should fail the template in the loader error mode', () => {
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      loader.generate(model, null, { write: false, missingProperties: 'error' });
+
+      expect(loader.errors).toHaveLength(1);
+      expect(loader.errors[0].error.code).toBe('MISSING_PROPERTY');
+    });
+
+    it('should add warnings to the loader errors in the warn mode', async () => {
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      await loader.generateAsync(model, { write: false, missingProperties: 'warn' });
+
+      expect(loader.errors.map((e) => e.item)).toEqual(['Order', 'Customer']);
+      expect(loader.templates[0].result).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OutputCollisions } = require('../OutputCollisions');
+const { TemplateLoader } = require('../TemplateLoader');
+const { TemplateResult } = require('../TemplateResult');
+const { SettingsError } = require('../GeneratorError');
+
+describe('OutputCollisions', () => {
+  const result = (filePath, item = null, writeMode = 'overwrite') =>
+    new TemplateResult(filePath, 'content', false, { item, writeMode });
+
+  describe('find', () => {
+    it('should find outputs of templates and items written to the same file', () => {
+      const collisions = OutputCollisions.find([
+        { template: 'entity', results: [result('/out/Order.cs', 'Order')] },
+        { template: 'dto', results: [result('/out/Order.cs', 'Order'), result('/out/a.cs')] },
+      ]);
+
+      expect(collisions).toHaveLength(1);
+      expect(collisions[0].caseOnly).toBe(false);
+      expect(collisions[0].outputs.map((o) => [o.template, o.item])).toEqual([
+        ['entity', 'Order'],
+        ['dto', 'Order'],
+      ]);
+      expect(OutputCollisions.describe(collisions[0])).toBe(
+        `Output collision: "${path.resolve('/out/Order.cs')}" is written by entity (Order), dto (Order)`
+      );
+    });
+
+    it('should find paths differing only in case', () => {
+      const [collision] = OutputCollisions.find([
+        {
+          template: 'entity',
+          results: [result('/out/Order.cs', 'Order'), result('/out/order.cs')],
+        },
+      ]);
+
+      expect(collision.caseOnly).toBe(true);
+      expect(OutputCollisions.describe(collision)).toContain('differ only in case');
+    });
+
+    it('should find static assets copied to a generated file', () => {
+      const asset = {
+        source: '/templates/Order.cs',
+        relativePath: 'Order.cs',
+        filePath: '/out/Order.cs',
+      };
+      const [collision] = OutputCollisions.find(
+        [{ template: 'entity', results: [result('/out/Order.cs', 'Order', 'append')] }],
+        [asset]
+      );
+
+      expect(collision.outputs.map((o) => o.asset || o.template)).toEqual(['entity', asset]);
+      expect(OutputCollisions.describe(collision)).toBe(
+        `Output collision: "${path.resolve('/out/Order.cs')}" is written by entity (Order), asset Order.cs`
+      );
+    });
+
+    it('should not report outputs that all append to the file', () => {
+      expect(
+        OutputCollisions.find([
+          { template: 'a', results: [result('/out/log.txt', null, 'append')] },
+          { template: 'b', results: [result('/out/log.txt', null, 'append')] },
+        ])
+      ).toEqual([]);
+    });
+  });
+
+  describe('TemplateLoader', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'output-collisions-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const writeTemplate = (name, exportPath, settings = {}) => {
+      fs.writeFileSync(path.join(directory, `${name}.hbs`), `${name} {{item.Name}}`);
+      fs.writeFileSync(
+        path.join(directory, `${name}.hbs.settings.json`),
+        JSON.stringify({
+          Target: 'Entities',
+          ExportPath: path.join(directory, 'out', exportPath),
+          ...settings,
+        })
+      );
+    };
+
+    const model = { Entities: [{ Name: 'Order' }, { Name: 'Customer' }] };
+    const output = (name) => path.join(directory, 'out', name);
+
+    it('should skip colliding outputs and write the others', async () => {
+      writeTemplate('entity', '{{item.Name}}.cs');
+      writeTemplate('dto', '{{item.Name}}.cs');
+      writeTemplate('list', 'list.cs', { Target: 'Model' });
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      await loader.generateAsync(model);
+
+      const collisions = loader.errors.filter((e) => e.phase === 'collision');
+      expect(collisions.map((e) => e.outputs.map((o) => `${o.template}:${o.item}`))).toEqual([
+        ['dto:Order', 'entity:Order'],
+        ['dto:Customer', 'entity:Customer'],
+      ]);
+      expect(collisions[0].error.code).toBe('OUTPUT_COLLISION');
+      expect(fs.existsSync(output('Order.cs'))).toBe(false);
+      expect(fs.readFileSync(output('list.cs'), 'utf8')).toBe('list ');
+      expect(loader.stats.fileStats.filter((f) => f.skipReason === 'collision')).toHaveLength(4);
+    });
+
+    it('should report items with the same name of one template', () => {
+      writeTemplate('entity', '{{item.Name}}.cs');
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      loader.generate({ Entities: [{ Name: 'Order' }, { Name: 'order' }] });
+
+      expect(loader.errors).toHaveLength(1);
+      expect(loader.errors[0].message).toContain('differ only in case');
+      expect(loader.errors[0].message).toContain('entity (Order), entity (order)');
+    });
+
+    it('should write nothing when not continuing on errors', () => {
+      writeTemplate('entity', '{{item.Name}}.cs');
+      writeTemplate('dto', '{{item.Name}}.cs');
+      writeTemplate('list', 'list.cs', { Target: 'Model' });
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      expect(() => loader.generate(model, null, { continueOnError: false })).toThrow(
+        '2 output collision(s), nothing was written'
+      );
+      expect(fs.existsSync(output('list.cs'))).toBe(false);
+    });
+
+    it('should only warn in the warn mode', () => {
+      writeTemplate('entity', '{{item.Name}}.cs');
+      writeTemplate('dto', '{{item.Name}}.cs');
+      const loader = new TemplateLoader(directory, '.hbs', true, { collisions: 'warn' });
+      loader.load();
+
+      loader.generate(model, null, { continueOnError: false });
+
+      expect(loader.errors).toHaveLength(2);
+      expect(loader.errors[0].error).toBeUndefined();
+      expect(fs.readFileSync(output('Order.cs'), 'utf8')).toBe('entity Order');
+    });
+
+    it('should skip static assets that collide with outputs', () => {
+      writeTemplate('list', 'list.cs', { Target: 'Model' });
+      fs.writeFileSync(path.join(directory, 'list.cs'), 'asset');
+      fs.writeFileSync(path.join(directory, 'logo.png'), 'png');
+      const loader = new TemplateLoader(directory, '.hbs', true, {
+        assets: { outputPath: path.join(directory, 'out') },
+      });
+      loader.load();
+
+      loader.generate(model);
+
+      expect(loader.errors.map((e) => e.outputs)).toEqual([
+        [
+          { template: 'list', item: null, filePath: output('list.cs') },
+          {
+            template: null,
+            item: null,
+            source: path.join(directory, 'list.cs'),
+            filePath: output('list.cs'),
+          },
+        ],
+      ]);
+      expect(fs.existsSync(output('list.cs'))).toBe(false);
+      expect(fs.readFileSync(output('logo.png'), 'utf8')).toBe('png');
+      expect(loader.stats.fileStats.filter((f) => f.skipReason === 'collision')).toHaveLength(2);
+    });
+
+    it('should report collisions in previews', () => {
+      writeTemplate('entity', 'all.cs');
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      loader.preview(model);
+
+      expect(loader.errors.map((e) => e.phase)).toEqual(['collision']);
+    });
+
+    it('should reject invalid collision modes', () => {
+      expect(() => new TemplateLoader(directory, '.hbs', true, { collisions: 'ignore' })).toThrow(
+        SettingsError
+      );
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OutputRoot } = require('../OutputRoot');
+const { TemplateLoader } = require('../TemplateLoader');
+const { FileError } = require('../GeneratorError');
+
+describe('OutputRoot', () => {
+  const root = path.resolve('/project/output');
+
+  describe('resolve', () => {
+    it('should resolve relative and contained absolute paths under the root', () => {
+      expect(OutputRoot.resolve('src/Order.cs', root)).toBe(path.join(root, 'src', 'Order.cs'));
+      expect(OutputRoot.resolve('./a/../Order.cs', root)).toBe(path.join(root, 'Order.cs'));
+      expect(OutputRoot.resolve(path.join(root, 'Order.cs'), root)).toBe(
+        path.join(root, 'Order.cs')
+      );
+    });
+
+    it('should keep paths unchanged without a root', () => {
+      expect(OutputRoot.resolve('../Order.cs', null)).toBe('../Order.cs');
+    });
+
+    it('should refuse paths leaving the root', () => {
+      expect(() => OutputRoot.resolve('../Order.cs', root)).toThrow(FileError);
+      expect(() => OutputRoot.resolve('src/../../../etc/passwd', root)).toThrow(
+        `Export path "src/../../../etc/passwd" is outside the output directory "${root}"`
+      );
+      expect(() => OutputRoot.resolve(path.resolve('/tmp/Order.cs'), root)).toThrow(FileError);
+      expect(() => OutputRoot.resolve('.', root)).toThrow(FileError);
+    });
+
+    it('should allow paths leaving the root when asked to', () => {
+      expect(OutputRoot.resolve('../Order.cs', root, { allowOutside: true })).toBe(
+        path.resolve('/project/Order.cs')
+      );
+    });
+  });
+
+  describe('contains', () => {
+    it('should not mistake sibling directories with the same prefix for the root', () => {
+      expect(OutputRoot.contains(root, path.resolve('/project/output-old/a.cs'))).toBe(false);
+      expect(OutputRoot.contains(root, path.join(root, '..a', 'b.cs'))).toBe(true);
+    });
+  });
+
+  describe('TemplateLoader', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'output-root-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const writeTemplate = (name, exportPath) => {
+      const templates = path.join(directory, 'templates');
+      fs.mkdirSync(templates, { recursive: true });
+      fs.writeFileSync(path.join(templates, `${name}.hbs`), '{{Name}}');
+      fs.writeFileSync(
+        path.join(templates, `${name}.hbs.settings.json`),
+        JSON.stringify({ ExportPath: exportPath })
+      );
+      return templates;
+    };
+
+    it('should write export paths under the output root', () => {
+      const templates = writeTemplate('entity', 'src/{{Name}}.cs');
+      const output = path.join(directory, 'out');
+      const loader = new TemplateLoader(templates, '.hbs', true, { outputRoot: output });
+      loader.load();
+
+      loader.generate({ Name: 'Order' });
+
+      expect(loader.errors).toEqual([]);
+      expect(fs.readFileSync(path.join(output, 'src', 'Order.cs'), 'utf8')).toBe('Order');
+    });
+
+    it('should fail templates whose export paths leave the output root', async () => {
+      const templates = writeTemplate('entity', '../{{Name}}.cs');
+      const output = path.join(directory, 'out');
+      const loader = new TemplateLoader(templates, '.hbs', true, { outputRoot: output });
+      loader.load();
+
+      await loader.generateAsync({ Name: 'Order' });
+
+      expect(loader.errors[0].error).toBeInstanceOf(FileError);
+      expect(loader.errors[0].error.code).toBe('FILE_OUTSIDE_OUTPUT_ROOT');
+      expect(fs.existsSync(path.join(directory, 'Order.cs'))).toBe(false);
+    });
+
+    it('should preview absolute paths', () => {
+      const templates = writeTemplate('entity', 'src/{{Name}}.cs');
+      const loader = new TemplateLoader(templates, '.hbs', true, {
+        outputRoot: path.join(directory, 'out'),
+      });
+      loader.load();
+
+      const [preview] = loader.preview({ Name: 'Order' });
+
+      expect(preview.files[0].filePath).toBe(path.join(directory, 'out', 'src', 'Order.cs'));
+    });
+  });
+});
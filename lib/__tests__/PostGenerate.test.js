@@ -0,0 +1,301 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Template = require('../Template');
+const { Manifest } = require('../Manifest');
+const { PostGenerate } = require('../PostGenerate');
+const { TemplateLoader } = require('../TemplateLoader');
+const { SettingsError } = require('../GeneratorError');
+
+describe('PostGenerate', () => {
+  describe('normalize', () => {
+    it('should normalize strings and objects', () => {
+      expect(
+        PostGenerate.normalize([
+          'npx prettier --write',
+          { command: 'dotnet format', include: ['*.cs'], batchSize: 10 },
+        ])
+      ).toEqual([
+        {
+          command: 'npx prettier --write',
+          include: ['**'],
+          exclude: [],
+          batchSize: null,
+          timeout: PostGenerate.DefaultTimeout,
+        },
+        {
+          command: 'dotnet format',
+          include: ['*.cs'],
+          exclude: [],
+          batchSize: 10,
+          timeout: PostGenerate.DefaultTimeout,
+        },
+      ]);
+      expect(PostGenerate.normalize(null)).toEqual([]);
+    });
+
+    it('should reject commands that are not an array or have no command string', () => {
+      expect(() => PostGenerate.normalize('npx prettier')).toThrow(
+        'PostGenerate must be an array of commands'
+      );
+      expect(() => PostGenerate.normalize([{ include: ['*.cs'] }])).toThrow(SettingsError);
+      expect(() => PostGenerate.normalize(['  '])).toThrow('expected a command string');
+    });
+  });
+
+  describe('plan', () => {
+    it('should run each command once with the matching files of every entry', () => {
+      const runs = PostGenerate.plan([
+        { files: ['out/a.ts', 'out/A.cs'], commands: ['npx prettier --write'] },
+        {
+          files: ['out/b.ts', 'out/a.ts', 'out/B.cs'],
+          commands: [
+            'npx prettier --write',
+            { command: 'dotnet format whitespace --include {files} -v q', include: ['*.cs'] },
+          ],
+        },
+      ]);
+
+      expect(runs.map((run) => run.args)).toEqual([
+        ['npx', 'prettier', '--write', 'out/a.ts', 'out/A.cs', 'out/b.ts', 'out/B.cs'],
+        ['dotnet', 'format', 'whitespace', '--include', 'out/B.cs', '-v', 'q'],
+      ]);
+    });
+
+    it('should exclude files, batch them and skip commands without files', () => {
+      const runs = PostGenerate.plan([
+        {
+          files: ['a.ts', 'b.ts', 'c.ts', 'c.spec.ts'],
+          commands: [
+            { command: 'eslint --fix', exclude: ['*.spec.ts'], batchSize: 2 },
+            { command: 'black', include: ['*.py'] },
+          ],
+        },
+      ]);
+
+      expect(runs.map((run) => run.files)).toEqual([['a.ts', 'b.ts'], ['c.ts']]);
+    });
+
+    it('should keep quoted arguments together', () => {
+      const [run] = PostGenerate.plan([
+        { files: ['a.ts'], commands: [`tool --header "Generated file" --mark 'a b'`] },
+      ]);
+
+      expect(run.args).toEqual(['tool', '--header', 'Generated file', '--mark', 'a b', 'a.ts']);
+    });
+  });
+
+  describe('on Windows', () => {
+    const platform = process.platform;
+
+    beforeEach(() => {
+      Object.defineProperty(process, 'platform', { value: 'win32' });
+    });
+
+    afterEach(() => {
+      Object.defineProperty(process, 'platform', { value: platform });
+      jest.restoreAllMocks();
+    });
+
+    it('should run batch files through cmd.exe with escaped arguments', () => {
+      jest.spyOn(PostGenerate, '_findWindowsCommand').mockReturnValue('C:\\My Tools\\fmt.cmd');
+
+      expect(PostGenerate._command(['fmt', '--write', 'out\\a&b|c^d.cs', 'say "hi"\\'])).toEqual({
+        file: 'C:\\My^ Tools\\fmt.cmd',
+        args: ['^"--write^"', '^"out\\a^&b^|c^^d.cs^"', '^"say^ \\^"hi\\^"\\\\^"'],
+        shell: true,
+      });
+    });
+
+    it('should escape the arguments of npm shims twice', () => {
+      jest
+        .spyOn(PostGenerate, '_findWindowsCommand')
+        .mockReturnValue('C:\\app\\node_modules\\.bin\\prettier.cmd');
+
+      expect(PostGenerate._command(['prettier', 'a&b.ts']).args).toEqual(['^^^"a^^^&b.ts^^^"']);
+    });
+
+    it('should run other commands without a shell', () => {
+      jest.spyOn(PostGenerate, '_findWindowsCommand').mockReturnValue('C:\\dotnet\\dotnet.exe');
+
+      expect(PostGenerate._command(['dotnet', 'format', 'a&b.cs'])).toEqual({
+        file: 'dotnet',
+        args: ['format', 'a&b.cs'],
+        shell: false,
+      });
+    });
+  });
+
+  describe('running commands', () => {
+    let directory;
+    let script;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'post-generate-'));
+      script = path.join(directory, 'format.js');
+      fs.writeFileSync(
+        script,
+        [
+          "const fs = require('fs');",
+          'const files = process.argv.slice(2);',
+          "if (files.some((file) => file.endsWith('.bad'))) {",
+          "  console.error('cannot format ' + files.join(' '));",
+          '  process.exit(2);',
+          '}',
+          "files.forEach((file) => fs.appendFileSync(file, '// formatted\\n'));",
+          "console.log('formatted ' + files.length);",
+        ].join('\n')
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const command = () => `"${process.execPath}" "${script}"`;
+
+    const createRun = (files) => PostGenerate.plan([{ files, commands: [command()] }])[0];
+
+    it('should run commands and capture their output', () => {
+      const file = path.join(directory, 'a.ts');
+      fs.writeFileSync(file, 'a\n');
+
+      const result = PostGenerate.run(createRun([file]));
+
+      expect(result).toMatchObject({ exitCode: 0, stdout: 'formatted 1\n', error: null });
+      expect(PostGenerate.failure(result)).toBeNull();
+      expect(fs.readFileSync(file, 'utf8')).toBe('a\n// formatted\n');
+    });
+
+    it('should run commands asynchronously', async () => {
+      const file = path.join(directory, 'a.ts');
+      fs.writeFileSync(file, 'a\n');
+
+      const result = await PostGenerate.runAsync(createRun([file]));
+
+      expect(result).toMatchObject({ exitCode: 0, stdout: 'formatted 1\n', files: [file] });
+      expect(result.duration).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should describe failed and missing commands', async () => {
+      const failed = PostGenerate.run(createRun(['a.bad']));
+
+      expect(failed.exitCode).toBe(2);
+      expect(PostGenerate.failure(failed)).toBe(
+        `Command "${command()}" exited with code 2: cannot format a.bad`
+      );
+
+      const [missing] = PostGenerate.plan([
+        { files: ['a.ts'], commands: ['post-generate-missing-tool --write'] },
+      ]);
+      expect(PostGenerate.failure(PostGenerate.run(missing))).toContain(
+        'Command "post-generate-missing-tool --write" failed: '
+      );
+      expect((await PostGenerate.runAsync(missing)).error).toContain('ENOENT');
+    });
+
+    describe('TemplateLoader', () => {
+      const writeTemplate = (name, settings) => {
+        fs.writeFileSync(path.join(directory, `${name}.hbs`), '{{Name}}\n');
+        fs.writeFileSync(
+          path.join(directory, `${name}.hbs.settings.json`),
+          JSON.stringify({ ExportPath: path.join(directory, 'out', `${name}.ts`), ...settings })
+        );
+      };
+
+      const output = (name) => fs.readFileSync(path.join(directory, 'out', `${name}.ts`), 'utf8');
+
+      beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should run the loader and template commands on the written files', () => {
+        writeTemplate('order', {});
+        writeTemplate('customer', {
+          PostGenerate: [{ command: `"${process.execPath}" -e "" {files}` }],
+        });
+        const loader = new TemplateLoader(directory, '.hbs', true, {
+          postGenerate: [command()],
+        });
+        loader.load();
+
+        loader.generate({ Name: 'Shop' });
+
+        expect(loader.errors).toEqual([]);
+        expect(output('order')).toBe('Shop\n// formatted\n');
+        expect(output('customer')).toBe('Shop\n// formatted\n');
+        expect(loader.stats.commands.map((c) => [c.command, c.files.length])).toEqual([
+          [command(), 2],
+          [`"${process.execPath}" -e "" {files}`, 1],
+        ]);
+      });
+
+      it('should not run commands when results are not written', async () => {
+        writeTemplate('order', {});
+        const loader = new TemplateLoader(directory, '.hbs', true, {
+          postGenerate: [command()],
+        });
+        loader.load();
+
+        await loader.generateAsync({ Name: 'Shop' }, { write: false });
+
+        expect(loader.stats.commands).toEqual([]);
+      });
+
+      it('should leave formatted files unchanged in incremental runs with a manifest', () => {
+        writeTemplate('order', {});
+        const createLoader = () => {
+          const loader = new TemplateLoader(directory, '.hbs', true, {
+            postGenerate: [command()],
+            manifest: path.join(directory, 'out', Manifest.FileName),
+          });
+          loader.load();
+          return loader;
+        };
+        createLoader().generate({ Name: 'Shop' }, null, { incremental: true });
+
+        const loader = createLoader();
+        loader.generate({ Name: 'Shop' }, null, { incremental: true });
+
+        expect(loader.templates[0].result[0].status).toBe('unchanged');
+        expect(loader.stats.commands).toEqual([]);
+        expect(output('order')).toBe('Shop\n// formatted\n');
+
+        createLoader().generate({ Name: 'Mall' }, null, { incremental: true });
+        expect(output('order')).toBe('Mall\n// formatted\n');
+      });
+
+      it('should report failed commands as postGenerate errors', async () => {
+        writeTemplate('order', {});
+        const loader = new TemplateLoader(directory, '.hbs', true, {
+          postGenerate: ['post-generate-missing-tool'],
+        });
+        loader.load();
+
+        await loader.generateAsync({ Name: 'Shop' }, { continueOnError: true });
+
+        expect(loader.errors).toHaveLength(1);
+        expect(loader.errors[0]).toMatchObject({
+          phase: 'postGenerate',
+          command: 'post-generate-missing-tool',
+        });
+        expect(loader.stats.failedCommands).toHaveLength(1);
+        expect(() => loader.generate({ Name: 'Shop' }, null, { continueOnError: false })).toThrow(
+          'Command "post-generate-missing-tool" failed'
+        );
+      });
+
+      it('should report a PostGenerate setting that is not an array', () => {
+        writeTemplate('order', { PostGenerate: 'npx prettier --write' });
+
+        expect(new Template(directory, 'order.hbs').validate().errors).toEqual([
+          { type: 'settings', message: 'PostGenerate must be an array of commands' },
+        ]);
+      });
+    });
+  });
+});
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Template = require('../Template');
+const { PostProcessors } = require('../PostProcessors');
+const { PluginManager } = require('../PluginManager');
+const { TemplateLoader } = require('../TemplateLoader');
+const { SettingsError } = require('../GeneratorError');
+
+describe('PostProcessors', () => {
+  const run = (steps, content, filePath = 'out.cs') =>
+    new PostProcessors().process(content, { filePath }, steps);
+
+  describe('built-in processors', () => {
+    it('should trim trailing whitespace and keep CRLF line endings', () => {
+      expect(run(['trimTrailingWhitespace'], 'a  \r\n\tb\t\r\n')).toBe('a\r\n\tb\r\n');
+    });
+
+    it('should collapse blank lines', () => {
+      const content = 'a\n\n\n  \nb\n\nc';
+
+      expect(run(['collapseBlankLines'], content)).toBe('a\n\nb\n\nc');
+      expect(run([{ name: 'collapseBlankLines', max: 0 }], content)).toBe('a\nb\nc');
+    });
+
+    it('should normalize indentation to spaces or tabs', () => {
+      const content = '\tif (a)\n  \t{\n      b;\n';
+
+      expect(run(['normalizeIndentation'], content)).toBe('    if (a)\n    {\n      b;\n');
+      expect(run([{ name: 'normalizeIndentation', indent: 'tabs', size: 2 }], content)).toBe(
+        '\tif (a)\n\t\t{\n\t\t\tb;\n'
+      );
+    });
+
+    it('should end content with exactly one newline', () => {
+      expect(run(['finalNewline'], 'a')).toBe('a\n');
+      expect(run(['finalNewline'], 'a\r\nb\r\n\r\n')).toBe('a\r\nb\r\n');
+      expect(run(['finalNewline'], '')).toBe('');
+    });
+
+    it('should sort and dedupe each block of usings', () => {
+      const content = [
+        'using System.Linq;',
+        'using System;',
+        'using System.Linq;',
+        '',
+        'namespace Shop',
+        '{',
+        '    using static System.Math;',
+        '    using Alias = System.Text;',
+        '    using (var stream = Open())',
+        '}',
+      ].join('\n');
+
+      expect(run(['sortImports'], content).split('\n')).toEqual([
+        'using System;',
+        'using System.Linq;',
+        '',
+        'namespace Shop',
+        '{',
+        '    using Alias = System.Text;',
+        '    using static System.Math;',
+        '    using (var stream = Open())',
+        '}',
+      ]);
+    });
+
+    it('should sort single-line imports and leave multi-line imports alone', () => {
+      const content = [
+        "import { b } from './b';",
+        "import a from './a';",
+        'import {',
+        '  c,',
+        "} from './c';",
+        'from os import path',
+        'import sys',
+      ].join('\n');
+
+      expect(run(['sortImports'], content).split('\n')).toEqual([
+        "import a from './a';",
+        "import { b } from './b';",
+        'import {',
+        '  c,',
+        "} from './c';",
+        'from os import path',
+        'import sys',
+      ]);
+    });
+  });
+
+  describe('resolve', () => {
+    const processors = new PostProcessors({
+      patterns: {
+        '**': ['trimTrailingWhitespace'],
+        '*.cs': ['sortImports', 'trimTrailingWhitespace'],
+      },
+    });
+
+    it('should concatenate the steps of matching patterns without duplicates', () => {
+      expect(processors.resolve('/out/Order.cs', null).map((s) => s.name)).toEqual([
+        'trimTrailingWhitespace',
+        'sortImports',
+      ]);
+      expect(processors.resolve('/out/Order.ts', null).map((s) => s.name)).toEqual([
+        'trimTrailingWhitespace',
+      ]);
+    });
+
+    it('should use template steps instead of the patterns', () => {
+      expect(processors.resolve('/out/Order.cs', ['finalNewline'])).toEqual([
+        { name: 'finalNewline', options: {} },
+      ]);
+      expect(processors.resolve('/out/Order.cs', [])).toEqual([]);
+    });
+
+    it('should reject steps without a name', () => {
+      expect(() => processors.resolve('a.cs', [{ max: 1 }])).toThrow(SettingsError);
+    });
+  });
+
+  describe('process', () => {
+    it('should pass options and context to custom processors', () => {
+      const upper = jest.fn((content) => content.toUpperCase());
+      const processors = new PostProcessors({ processors: { upper } });
+
+      expect(
+        processors.process('a', { filePath: 'a.txt', template: 'entity' }, [
+          { name: 'upper', loud: true },
+        ])
+      ).toBe('A');
+      expect(upper).toHaveBeenCalledWith(
+        'a',
+        { loud: true },
+        {
+          filePath: 'a.txt',
+          template: 'entity',
+        }
+      );
+    });
+
+    it('should throw for unknown processors and non-string results', () => {
+      const processors = new PostProcessors({ processors: { broken: () => null } });
+
+      expect(() => processors.process('a', { filePath: 'a' }, ['prettify'])).toThrow(
+        'Unknown post-processor "prettify"'
+      );
+      expect(() => processors.process('a', { filePath: 'a' }, ['broken'])).toThrow(
+        'Post-processor "broken" did not return a string'
+      );
+    });
+  });
+
+  describe('PluginManager', () => {
+    it('should register and unregister plugin post-processors', () => {
+      const manager = new PluginManager();
+      const shout = (content) => `${content}!`;
+
+      manager.register(PluginManager.createPostProcessorPlugin('shouting', { shout }));
+      expect(manager.postProcessors).toEqual({ shout });
+
+      manager.unregister('shouting');
+      expect(manager.postProcessors).toEqual({});
+    });
+  });
+
+  describe('Template and TemplateLoader', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'post-processors-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const writeTemplate = (name, settings) => {
+      fs.writeFileSync(
+        path.join(directory, `${name}.hbs`),
+        'using System.Linq;   \nusing System;\n{{#each Fields}}\n\n{{this}}\n{{/each}}\n\n\n'
+      );
+      fs.writeFileSync(
+        path.join(directory, `${name}.hbs.settings.json`),
+        JSON.stringify({ ExportPath: path.join(directory, 'out', `${name}.cs`), ...settings })
+      );
+    };
+
+    const model = { Fields: ['Id', 'Total'] };
+
+    it('should run the PostProcessors setting of a template', () => {
+      writeTemplate('entity', {
+        PostProcessors: ['trimTrailingWhitespace', 'sortImports', 'collapseBlankLines'],
+      });
+      const template = new Template(directory, 'entity.hbs');
+
+      template.generate(model);
+
+      expect(template.result[0].content).toBe('using System;\nusing System.Linq;\n\nId\n\nTotal\n');
+    });
+
+    it('should report a PostProcessors setting that is not an array', () => {
+      writeTemplate('entity', { PostProcessors: 'sortImports' });
+
+      expect(new Template(directory, 'entity.hbs').validate().errors).toEqual([
+        { type: 'settings', message: 'PostProcessors must be an array' },
+      ]);
+    });
+
+    it('should run the loader patterns and plugin processors on matching outputs', () => {
+      writeTemplate('entity', {});
+      writeTemplate('raw', { PostProcessors: [] });
+      const loader = new TemplateLoader(directory, '.hbs', true, {
+        postProcessors: { '*.cs': ['trimTrailingWhitespace', 'stamp', 'finalNewline'] },
+      });
+      loader.registerPlugin(
+        PluginManager.createPostProcessorPlugin('stamp', {
+          stamp: (content, options, context) => `// ${context.template}\n${content}`,
+        })
+      );
+      loader.load();
+
+      loader.generate(model);
+
+      expect(loader.errors).toEqual([]);
+      const output = (name) => fs.readFileSync(path.join(directory, 'out', `${name}.cs`), 'utf8');
+      expect(output('entity')).toBe(
+        '// entity\nusing System.Linq;\nusing System;\n\nId\n\nTotal\n'
+      );
+      expect(output('raw')).toBe('using System.Linq;   \nusing System;\n\nId\n\nTotal\n\n\n');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProtectedRegions } = require('../ProtectedRegions');
+const { TemplateResult } = require('../TemplateResult');
+const { TemplateLoader } = require('../TemplateLoader');
+
+const generated = [
+  'class Order {',
+  '  // <user-code id="fields">',
+  '  // </user-code>',
+  '  // <user-code id="methods">',
+  '  // add methods here',
+  '  // </user-code>',
+  '}',
+  '',
+].join('\n');
+
+const existing = [
+  'class Order {',
+  '  // <user-code id="fields">',
+  '  private int _count;',
+  '  // </user-code>',
+  '  // <user-code id="methods">',
+  '  public void Save() {}',
+  '  // </user-code>',
+  '  // <user-code id="legacy">',
+  '  public void Old() {}',
+  '  // </user-code>',
+  '}',
+  '',
+].join('\n');
+
+describe('ProtectedRegions', () => {
+  describe('extract', () => {
+    it('should extract region bodies by id', () => {
+      const regions = ProtectedRegions.extract(existing);
+
+      expect(Array.from(regions.keys())).toEqual(['fields', 'methods', 'legacy']);
+      expect(regions.get('methods')).toBe('  public void Save() {}\n');
+    });
+
+    it('should extract empty regions', () => {
+      expect(ProtectedRegions.extract(generated).get('fields')).toBe('');
+    });
+
+    it('should support other comment styles and single quotes', () => {
+      const content = "<!-- <user-code id='head'> -->\n<link />\n<!-- </user-code> -->";
+
+      expect(ProtectedRegions.extract(content).get('head')).toBe('<link />\n');
+    });
+
+    it('should ignore unclosed regions', () => {
+      expect(ProtectedRegions.hasRegions('// <user-code id="a">\ncode\n')).toBe(false);
+    });
+  });
+
+  describe('merge', () => {
+    it('should re-inject preserved regions into the generated content', () => {
+      const { content } = ProtectedRegions.merge(generated, existing);
+
+      expect(content).toContain('  // <user-code id="fields">\n  private int _count;\n');
+      expect(content).toContain('  public void Save() {}\n  // </user-code>');
+      expect(content).not.toContain('add methods here');
+    });
+
+    it('should report regions whose id disappeared', () => {
+      const { orphaned } = ProtectedRegions.merge(generated, existing);
+
+      expect(orphaned).toEqual([{ id: 'legacy', content: '  public void Old() {}\n' }]);
+    });
+
+    it('should keep generated defaults for new regions', () => {
+      const { content } = ProtectedRegions.merge(generated, 'no regions here');
+
+      expect(content).toBe(generated);
+    });
+
+    it('should preserve CRLF line endings', () => {
+      const crlfGenerated = generated.replace(/\n/g, '\r\n');
+      const crlfExisting = existing.replace(/\n/g, '\r\n');
+
+      const { content } = ProtectedRegions.merge(crlfGenerated, crlfExisting);
+
+      expect(content).toContain('  private int _count;\r\n  // </user-code>');
+    });
+  });
+
+  describe('writing', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'regions-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it('should preserve regions when overwriting a file', () => {
+      const filePath = path.join(directory, 'Order.cs');
+      fs.writeFileSync(filePath, existing);
+
+      const result = new TemplateResult(filePath, generated, false);
+      result.write();
+
+      expect(fs.readFileSync(filePath, 'utf8')).toContain('public void Save() {}');
+      expect(result.orphanedRegions.map((r) => r.id)).toEqual(['legacy']);
+      expect(result.orphanedRegionsPath).toBeNull();
+      expect(fs.existsSync(`${filePath}.orphaned`)).toBe(false);
+    });
+
+    it('should dump orphaned regions to a side file when enabled', async () => {
+      const filePath = path.join(directory, 'Order.cs');
+      fs.writeFileSync(filePath, existing);
+
+      const result = new TemplateResult(filePath, generated, false, {
+        dumpOrphanedRegions: true,
+      });
+      await result.writeAsync();
+
+      expect(fs.readFileSync(filePath, 'utf8')).toContain('private int _count;');
+      expect(result.orphanedRegionsPath).toBe(`${filePath}.orphaned`);
+      expect(fs.readFileSync(`${filePath}.orphaned`, 'utf8')).toBe(
+        '<user-code id="legacy">\n  public void Old() {}\n</user-code>\n'
+      );
+    });
+
+    it('should report orphaned regions through the loader', () => {
+      fs.writeFileSync(path.join(directory, 'order.hbs'), generated);
+      fs.writeFileSync(
+        path.join(directory, 'order.hbs.settings.json'),
+        JSON.stringify({ ExportPath: path.join(directory, 'out', 'Order.cs') })
+      );
+      fs.mkdirSync(path.join(directory, 'out'));
+      fs.writeFileSync(path.join(directory, 'out', 'Order.cs'), existing);
+
+      const loader = new TemplateLoader(directory);
+      loader.load();
+      loader.generate({});
+
+      expect(loader.errors).toHaveLength(1);
+      expect(loader.errors[0]).toMatchObject({
+        phase: 'write',
+        template: 'order',
+        region: 'legacy',
+      });
+      expect(loader.errors[0].message).toContain('Protected region "legacy" no longer exists');
+    });
+  });
+});
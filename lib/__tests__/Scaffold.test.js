@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateLoader } = require('../TemplateLoader');
+
+describe('Scaffold mode', () => {
+  let directory;
+  let templates;
+  let output;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-'));
+    templates = path.join(directory, 'templates');
+    output = path.join(directory, 'output');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const writeFiles = (files) => {
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(templates, name)), { recursive: true });
+      fs.writeFileSync(path.join(templates, name), content);
+    }
+  };
+
+  const preview = (model, options = { scaffold: { outputPath: output } }) => {
+    const loader = new TemplateLoader(templates, '.hbs', true, options);
+    loader.load();
+    return {
+      loader,
+      files: loader.preview(model).flatMap((p) => p.files.map((f) => [f.filePath, f.content])),
+    };
+  };
+
+  it('should export templates to their tokenized relative paths', () => {
+    writeFiles({
+      'src/{{pascalCase name}}/{{pascalCase name}}Controller.cs.hbs':
+        'class {{pascalCase name}}Controller {}',
+      'README.md.hbs': '# {{name}}',
+    });
+
+    const { loader, files } = preview({ name: 'order line' });
+
+    expect(loader.errors).toEqual([]);
+    expect(files.sort()).toEqual([
+      [`${output}/README.md`, '# order line'],
+      [`${output}/src/OrderLine/OrderLineController.cs`, 'class OrderLineController {}'],
+    ]);
+  });
+
+  it('should let settings files and front matter override the defaults', () => {
+    writeFiles({
+      'a.txt.hbs': 'a',
+      'a.txt.hbs.settings.json': JSON.stringify({ ExportPath: `${output}/custom/{{name}}.txt` }),
+      'b.txt.hbs': '---\nWriteMode: skipIfExists\n---\nb',
+    });
+
+    const { loader } = preview({ name: 'x' });
+    const [a, b] = loader.templates.map((t) => t.getPreview()[0]);
+
+    expect(a.filePath).toBe(`${output}/custom/x.txt`);
+    expect(b).toMatchObject({ filePath: `${output}/b.txt`, writeMode: 'skipIfExists' });
+  });
+
+  it('should still load partials as partials', () => {
+    writeFiles({ 'header.partial.hbs': '// {{name}}', 'index.js.hbs': '{{> header}}' });
+
+    const { files } = preview({ name: 'app' });
+
+    expect(files).toEqual([[`${output}/index.js`, '// app']]);
+  });
+
+  it('should require settings outside scaffold mode', () => {
+    writeFiles({ 'a.txt.hbs': 'a' });
+
+    const { loader } = preview({}, {});
+
+    expect(loader.templates).toHaveLength(0);
+    expect(loader.errors[0].message).toContain('Failed to load template "a.txt"');
+  });
+
+  it('should write the scaffold', () => {
+    writeFiles({ '{{name}}/index.js.hbs': 'module.exports = "{{name}}";' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const loader = new TemplateLoader(templates, '.hbs', true, {
+      scaffold: { outputPath: output },
+    });
+    loader.load();
+    loader.generate({ name: 'app' });
+    console.log.mockRestore();
+
+    expect(fs.readFileSync(path.join(output, 'app/index.js'), 'utf8')).toBe(
+      'module.exports = "app";'
+    );
+  });
+});
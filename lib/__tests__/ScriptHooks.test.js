@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Template = require('../Template');
+const { TemplateLoader } = require('../TemplateLoader');
+const { TemplateGenerateError } = require('../GeneratorError');
+
+describe('Script hooks', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'script-hooks-'));
+    fs.writeFileSync(path.join(directory, 'entity.hbs'), '{{item.Name}}:{{item.Table}}');
+    fs.writeFileSync(
+      path.join(directory, 'entity.hbs.settings.json'),
+      JSON.stringify({ Target: 'Entities', ExportPath: '{{item.Name}}.cs' })
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const writeScript = (source) => {
+    fs.writeFileSync(path.join(directory, 'entity.hbs.js'), source);
+  };
+
+  const asyncScript = `
+    const delay = (value) => new Promise((resolve) => setTimeout(() => resolve(value), 1));
+    module.exports = {
+      prepareModel: async (model) => delay({ Entities: [...model.Entities, { Name: 'Added' }] }),
+      prepareTarget: async (target) => delay(target.filter((e) => e.Name !== 'Skipped')),
+      prepareItem: async (item) => delay({ ...item, Table: item.Name.toLowerCase() }),
+      prepareItemModel: async (itemModel) => delay(itemModel),
+    };
+  `;
+
+  const model = { Entities: [{ Name: 'Order' }, { Name: 'Skipped' }] };
+
+  describe('generateAsync', () => {
+    it('should await hooks that return promises', async () => {
+      writeScript(asyncScript);
+      const template = new Template(directory, 'entity.hbs');
+
+      await template.generateAsync(model);
+
+      expect(template.result.map((r) => r.content)).toEqual(['Order:order', 'Added:added']);
+    });
+
+    it('should accept synchronous hooks', async () => {
+      writeScript('module.exports = { prepareItem: (item) => ({ ...item, Table: "t" }) };');
+      const template = new Template(directory, 'entity.hbs');
+
+      await template.generateAsync(model);
+
+      expect(template.result[0].content).toBe('Order:t');
+    });
+
+    it('should reject hooks that resolve to null', async () => {
+      writeScript('module.exports = { prepareModel: async () => null };');
+      const template = new Template(directory, 'entity.hbs');
+
+      await expect(template.generateAsync(model)).rejects.toThrow(
+        'Prepare Model script did not return a valid model.'
+      );
+    });
+  });
+
+  describe('generate', () => {
+    it('should throw a clear error when a hook returns a promise', () => {
+      writeScript(asyncScript);
+      const template = new Template(directory, 'entity.hbs');
+
+      expect(() => template.generate(model)).toThrow(TemplateGenerateError);
+      expect(() => template.generate(model)).toThrow(
+        'Script hook "prepareModel" returned a promise. Use generateAsync()'
+      );
+    });
+
+    it.each([['generate'], ['generateAsync']])('should render null items in %s', async (method) => {
+      const template = new Template(directory, 'entity.hbs');
+
+      await template[method]({ Entities: [null, { Name: 'Order' }] });
+
+      expect(template.result.map((r) => r.content)).toEqual([':', 'Order:']);
+    });
+  });
+
+  describe('filterItem, prepareExportPath and postProcess', () => {
+    const script = `
+      module.exports = {
+        filterItem: (item, ctx) => item.Name !== 'Skipped' && ctx.index >= 0,
+        prepareExportPath: (filePath, ctx) => 'src/' + ctx.model.item.Name.toLowerCase() + '/' + filePath,
+        postProcess: (content, ctx) => '// ' + ctx.filePath + '\\n' + content.toUpperCase(),
+      };
+    `;
+
+    it.each([['generate'], ['generateAsync']])('should run the hooks in %s', async (method) => {
+      writeScript(script);
+      const template = new Template(directory, 'entity.hbs');
+
+      await template[method](model);
+
+      expect(template.result.map((r) => r.filePath)).toEqual(['src/order/Order.cs']);
+      expect(template.result[0].content).toBe('// src/order/Order.cs\nORDER:');
+      expect(template.skippedItems).toEqual([
+        { item: { Name: 'Skipped' }, reason: 'Excluded by filterItem script hook' },
+      ]);
+    });
+
+    it('should pass the template name and settings in the context', () => {
+      writeScript(
+        'module.exports = { postProcess: (content, ctx) => ctx.template + ":" + ctx.settings.target };'
+      );
+      const template = new Template(directory, 'entity.hbs');
+
+      template.generate(model);
+
+      expect(template.result[0].content).toBe('entity:Entities');
+    });
+
+    it('should await asynchronous output hooks in generateAsync', async () => {
+      writeScript(
+        'module.exports = { filterItem: async (item) => item.Name === "Order", postProcess: async (c) => c + "!" };'
+      );
+      const template = new Template(directory, 'entity.hbs');
+
+      await template.generateAsync(model);
+
+      expect(template.result.map((r) => r.content)).toEqual(['Order:!']);
+    });
+
+    it('should reject a null export path', () => {
+      writeScript('module.exports = { prepareExportPath: () => null };');
+      const template = new Template(directory, 'entity.hbs');
+
+      expect(() => template.generate(model)).toThrow(
+        'Prepare Export Path script did not return a valid path.'
+      );
+    });
+
+    it('should accept the new hook names in validate', () => {
+      writeScript(script);
+      const template = new Template(directory, 'entity.hbs');
+
+      expect(template.validate().valid).toBe(true);
+    });
+  });
+
+  describe('TemplateLoader', () => {
+    it('should run asynchronous hooks in generateAsync', async () => {
+      writeScript(asyncScript);
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      await loader.generateAsync(model, { write: false });
+
+      expect(loader.errors).toHaveLength(0);
+      expect(loader.templates[0].result).toHaveLength(2);
+    });
+
+    it('should report asynchronous hooks as an error in generate', () => {
+      writeScript(asyncScript);
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      loader.generate(model, null, { write: false });
+
+      expect(loader.errors[0].message).toContain('returned a promise');
+    });
+  });
+});
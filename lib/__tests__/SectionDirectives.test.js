@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Template = require('../Template');
+const { SectionDirectives } = require('../SectionDirectives');
+const { SettingsError } = require('../GeneratorError');
+
+describe('SectionDirectives', () => {
+  describe('splitFileName', () => {
+    it('should split directives from the file name', () => {
+      expect(SectionDirectives.splitFileName('Foo.cs mode=skipIfExists if="Model.HasApi"')).toEqual(
+        { fileName: 'Foo.cs', directives: 'mode=skipIfExists if="Model.HasApi"' }
+      );
+    });
+
+    it('should keep file names with spaces but no directives', () => {
+      expect(SectionDirectives.splitFileName('My Docs/Foo.cs')).toEqual({
+        fileName: 'My Docs/Foo.cs',
+        directives: '',
+      });
+    });
+  });
+
+  describe('parse', () => {
+    it('should parse bare and quoted values', () => {
+      expect(
+        SectionDirectives.parse(`mode=skipIfExists if="Model.Kind eq api" unless='item.Ignored'`)
+      ).toEqual({
+        writeMode: 'skipIfExists',
+        generateIf: 'Model.Kind eq api',
+        skipIf: 'item.Ignored',
+      });
+      expect(SectionDirectives.parse('encoding=latin1')).toEqual({ encoding: 'latin1' });
+      expect(SectionDirectives.parse('')).toEqual({});
+    });
+
+    it('should reject unknown directives, stray text and invalid values', () => {
+      expect(() => SectionDirectives.parse('owner=me')).toThrow(
+        'unknown directive "owner". Valid directives: mode, if, unless, encoding'
+      );
+      expect(() => SectionDirectives.parse('mode=skipIfExists loud')).toThrow(
+        'expected name=value, got "loud"'
+      );
+      expect(() => SectionDirectives.parse('mode=sometimes')).toThrow(SettingsError);
+      expect(() => SectionDirectives.parse('encoding=ebcdic')).toThrow('encoding "ebcdic"');
+    });
+  });
+
+  describe('evaluate', () => {
+    const context = { Model: { HasApi: true, Tags: [], Kind: 'api' } };
+
+    it('should check bare paths for truthy values', () => {
+      expect(SectionDirectives.evaluate('Model.HasApi', context)).toBe(true);
+      expect(SectionDirectives.evaluate('!Model.HasApi', context)).toBe(false);
+      expect(SectionDirectives.evaluate('Model.Tags', context)).toBe(false);
+      expect(SectionDirectives.evaluate('Model.Missing', context)).toBe(false);
+    });
+
+    it('should evaluate GenerateIf expressions and environment variables', () => {
+      expect(SectionDirectives.evaluate('Model.Kind eq api', context)).toBe(true);
+      expect(SectionDirectives.evaluate('env:SECTION_DIRECTIVES_UNSET', context)).toBe(false);
+    });
+  });
+
+  describe('Template', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'section-directives-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const createTemplate = (settings, source) => {
+      fs.writeFileSync(path.join(directory, 'entity.hbs'), source);
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({
+          Target: 'Entities',
+          SplitOn: '//---',
+          FileNamePattern: '//\\[(?<FileName>[^\\]]+)\\]',
+          RemoveFileName: true,
+          ExportPath: `${directory}/out/{{item.Name}}/{{FileName}}`,
+          ...settings,
+        })
+      );
+      return new Template(directory, 'entity.hbs');
+    };
+
+    const source = [
+      '//[{{item.Name}}.Header.cs mode=skipIfExists encoding=latin1]',
+      'header',
+      '//---',
+      '//[{{item.Name}}.cs]',
+      'body',
+      '//---',
+      '//[{{item.Name}}Api.cs if="item.HasApi"]',
+      'api',
+    ].join('\n');
+
+    it('should apply section directives to the files they produce', () => {
+      const template = createTemplate({}, source);
+
+      template.generate({ Entities: [{ Name: 'Order', HasApi: true }] });
+
+      expect(template.result.map((r) => [path.basename(r.filePath), r.writeMode])).toEqual([
+        ['Order.Header.cs', 'skipIfExists'],
+        ['Order.cs', 'overwrite'],
+        ['OrderApi.cs', 'overwrite'],
+      ]);
+      expect(template.result.map((r) => r.encoding)).toEqual(['latin1', 'utf8', 'utf8']);
+      expect(template.result[0].content).toBe('header');
+    });
+
+    it('should skip sections whose conditions are not met', () => {
+      const template = createTemplate({}, source);
+
+      template.generate({ Entities: [{ Name: 'Order', HasApi: false }] });
+
+      expect(template.result.map((r) => path.basename(r.filePath))).toEqual([
+        'Order.Header.cs',
+        'Order.cs',
+      ]);
+      expect(template.skippedItems).toEqual([
+        {
+          item: { Name: 'Order', HasApi: false },
+          section: 'OrderApi.cs',
+          reason: 'Section if condition not met: item.HasApi',
+        },
+      ]);
+    });
+
+    it('should create the header once and overwrite the body', () => {
+      const template = createTemplate({}, source.replace('header', 'header {{item.Version}}'));
+
+      template.generate({ Entities: [{ Name: 'Order', Version: 1 }] });
+      template.write();
+      template.generate({ Entities: [{ Name: 'Order', Version: 2 }] });
+      template.write();
+
+      const out = path.join(directory, 'out', 'Order');
+      expect(fs.readFileSync(path.join(out, 'Order.Header.cs'), 'latin1')).toBe('header 1');
+      expect(template.result[0].status).toBe('skipped');
+      expect(template.result[1].status).toBe('updated');
+    });
+
+    it('should keep hand edits of sections written with overwriteIfUnchanged', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const template = createTemplate({}, '//[{{item.Name}}.cs mode=overwriteIfUnchanged]\nbody');
+      const file = path.join(directory, 'out', 'Order', 'Order.cs');
+
+      template.generate({ Entities: [{ Name: 'Order' }] });
+      template.write();
+      fs.writeFileSync(file, 'edited');
+      template.generate({ Entities: [{ Name: 'Order' }] });
+      template.write();
+      jest.restoreAllMocks();
+
+      expect(template.result[0].onManualEdit).toBe('skip');
+      expect(template.result[0].status).toBe('skipped');
+      expect(fs.readFileSync(file, 'utf8')).toBe('edited');
+    });
+
+    it('should read directives from a Directives group', () => {
+      const template = createTemplate(
+        { FileNamePattern: '//\\[(?<FileName>[\\w.{}]+)(?<Directives>[^\\]]*)\\]' },
+        '//[{{item.Name}}.cs mode=failIfExists]\nbody'
+      );
+
+      template.generate({ Entities: [{ Name: 'Order' }] });
+
+      expect(template.result[0].writeMode).toBe('failIfExists');
+    });
+
+    it('should throw for invalid directives', () => {
+      const template = createTemplate({}, '//[{{item.Name}}.cs mode=sometimes]\nbody');
+
+      expect(() => template.generate({ Entities: [{ Name: 'Order' }] })).toThrow(
+        'Invalid section directive in "mode=sometimes"'
+      );
+    });
+  });
+});
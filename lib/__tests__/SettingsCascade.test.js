@@ -0,0 +1,244 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Template = require('../Template');
+const { SettingsCascade } = require('../SettingsCascade');
+const { StaticAssets } = require('../StaticAssets');
+const { TemplateLoader } = require('../TemplateLoader');
+const { TemplateSettings } = require('../TemplateSettings');
+const { SettingsError } = require('../GeneratorError');
+
+describe('SettingsCascade', () => {
+  let root;
+
+  const write = (relativePath, content) => {
+    const file = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-cascade-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('directoryDefaults', () => {
+    it('should read defaults from the root down to the directory', () => {
+      const top = write('_defaults.settings.json', { Target: 'Entities', TargetItem: 'entity' });
+      const nested = write('models/_defaults.settings.json', { TargetItem: 'model' });
+
+      const layers = SettingsCascade.directoryDefaults(root, path.join(root, 'models'));
+
+      expect(layers.map((l) => l.file)).toEqual([top, nested]);
+      expect(SettingsCascade.merge(layers)).toEqual({ Target: 'Entities', TargetItem: 'model' });
+    });
+
+    it('should skip directories without defaults', () => {
+      expect(SettingsCascade.directoryDefaults(root, path.join(root, 'a', 'b'))).toEqual([]);
+    });
+
+    it('should only read the directory itself when it is outside the root', () => {
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-outside-'));
+      fs.writeFileSync(path.join(outside, SettingsCascade.DefaultsFileName), '{"Target":"X"}');
+      write('_defaults.settings.json', { Target: 'Entities' });
+
+      try {
+        const layers = SettingsCascade.directoryDefaults(root, outside);
+        expect(SettingsCascade.merge(layers)).toEqual({ Target: 'X' });
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+      }
+    });
+
+    it('should reject a defaults file that is not a JSON object', () => {
+      write('_defaults.settings.json', '[1]');
+
+      expect(() => SettingsCascade.directoryDefaults(root, root)).toThrow(
+        expect.objectContaining({
+          name: 'SettingsError',
+          code: 'SETTINGS_INVALID_FILE',
+          file: path.join(root, '_defaults.settings.json'),
+          message: expect.stringContaining('expected an object'),
+        })
+      );
+    });
+  });
+
+  describe('expand', () => {
+    it('should put shared settings found up the tree below the extending settings', () => {
+      const shared = write('entity.settings.json', { Target: 'Entities', WriteMode: 'append' });
+      const file = path.join(root, 'models', 'model.hbs.settings.json');
+
+      const layers = SettingsCascade.expand(
+        { Extends: 'entity', WriteMode: 'overwrite' },
+        file,
+        root
+      );
+
+      expect(layers).toEqual([
+        { file: shared, settings: { Target: 'Entities', WriteMode: 'append' } },
+        { file, settings: { WriteMode: 'overwrite' } },
+      ]);
+    });
+
+    it('should prefer shared settings nearer the declaring file', () => {
+      write('entity.settings.json', { Target: 'Root' });
+      write('models/entity.settings.json', { Target: 'Models' });
+
+      const layers = SettingsCascade.expand(
+        { Extends: 'entity' },
+        path.join(root, 'models', 'model.hbs.settings.json'),
+        root
+      );
+
+      expect(SettingsCascade.merge(layers)).toEqual({ Target: 'Models' });
+    });
+
+    it('should resolve paths relative to the declaring file and expand arrays in order', () => {
+      write('shared/csharp.settings.json', { Extends: 'base', LineEndings: 'crlf' });
+      write('shared/base.settings.json', { LineEndings: 'lf', Encoding: 'latin1' });
+      write('entity.settings.json', { Target: 'Entities' });
+
+      const layers = SettingsCascade.expand(
+        { Extends: ['../shared/csharp.settings.json', 'entity'] },
+        path.join(root, 'models', 'model.hbs'),
+        root
+      );
+
+      expect(layers.map((l) => path.relative(root, l.file))).toEqual([
+        path.join('shared', 'base.settings.json'),
+        path.join('shared', 'csharp.settings.json'),
+        'entity.settings.json',
+        path.join('models', 'model.hbs'),
+      ]);
+      expect(SettingsCascade.merge(layers)).toEqual({
+        LineEndings: 'crlf',
+        Encoding: 'latin1',
+        Target: 'Entities',
+      });
+    });
+
+    it('should throw for missing shared settings', () => {
+      expect(() => SettingsCascade.expand({ Extends: 'nope' }, null, root)).toThrow(
+        'Shared settings "nope" extended by settings not found'
+      );
+      expect(() => SettingsCascade.expand({ Extends: 'nope' }, null, root)).toThrow(SettingsError);
+    });
+
+    it('should throw for shared settings extending themselves', () => {
+      write('a.settings.json', { Extends: 'b' });
+      write('b.settings.json', { Extends: 'a' });
+
+      expect(() => SettingsCascade.expand({ Extends: 'a' }, null, root)).toThrow(
+        expect.objectContaining({
+          name: 'SettingsError',
+          code: 'SETTINGS_INVALID_VALUE',
+          message: expect.stringContaining('extend themselves'),
+        })
+      );
+    });
+  });
+
+  describe('isSettingsFile', () => {
+    it('should recognize defaults and shared settings files', () => {
+      expect(SettingsCascade.isSettingsFile('_defaults.settings.json')).toBe(true);
+      expect(SettingsCascade.isSettingsFile('entity.settings.json')).toBe(true);
+      expect(SettingsCascade.isSettingsFile('appsettings.json')).toBe(false);
+    });
+
+    it('should keep settings files out of static assets', () => {
+      expect(StaticAssets.isTemplateFile('entity.settings.json', '.hbs')).toBe(true);
+    });
+  });
+
+  describe('Template', () => {
+    it('should load without a settings file when directory defaults exist', () => {
+      write('_defaults.settings.json', { Target: 'Entities', ExportPath: 'out/{{item.Name}}' });
+      write('entity.hbs', '{{item.Name}}');
+
+      const template = new Template(root, 'entity.hbs');
+
+      expect(template.isLoaded).toBe(true);
+      expect(template.settings.target).toBe('Entities');
+      expect(template.settingsSources).toEqual([path.join(root, '_defaults.settings.json')]);
+    });
+
+    it('should still require a settings file without any other settings', () => {
+      write('entity.hbs', '{{item.Name}}');
+
+      const template = new Template(root, 'entity.hbs');
+
+      expect(template.isLoaded).toBe(false);
+      expect(template.errors[0].message).toContain('entity.hbs.settings.json');
+    });
+
+    it('should merge defaults, front matter and the settings file in order', () => {
+      write('_defaults.settings.json', { Target: 'A', TargetItem: 'a', WriteMode: 'append' });
+      write('entity.hbs', '---\nTargetItem: b\n---\n{{b.Name}}');
+      write('entity.hbs.settings.json', { WriteMode: 'skipIfExists' });
+
+      const template = new Template(root, 'entity.hbs');
+
+      expect(template.resolvedSettings).toEqual({
+        Target: 'A',
+        TargetItem: 'b',
+        WriteMode: 'skipIfExists',
+      });
+      expect(template.settingsSources).toEqual([
+        path.join(root, '_defaults.settings.json'),
+        path.join(root, 'entity.hbs'),
+        path.join(root, 'entity.hbs.settings.json'),
+      ]);
+    });
+
+    it('should report invalid shared settings as a load error', () => {
+      write('entity.hbs', '{{item.Name}}');
+      write('entity.hbs.settings.json', { Extends: 'missing' });
+
+      const template = new Template(root, 'entity.hbs');
+
+      expect(template.isLoaded).toBe(false);
+      expect(template.errors[0].message).toContain('Shared settings "missing"');
+    });
+  });
+
+  describe('TemplateLoader', () => {
+    it('should cascade defaults from the loader root into subdirectories', () => {
+      write('_defaults.settings.json', {
+        Target: 'Entities',
+        ExportPathPrefix: path.join(root, 'out'),
+      });
+      write('models/_defaults.settings.json', { TargetItem: 'entity' });
+      write('models/model.hbs', '---\nExportPath: "{{entity.Name}}.cs"\n---\n{{entity.Name}}');
+
+      const loader = new TemplateLoader(root);
+      loader.load();
+      loader.generate({ Entities: [{ Name: 'Order' }] });
+
+      expect(loader.errors).toEqual([]);
+      expect(fs.readFileSync(path.join(root, 'out', 'Order.cs'), 'utf8')).toBe('Order');
+    });
+  });
+
+  describe('ExportPathPrefix', () => {
+    it('should prefix relative export paths', () => {
+      const settings = new TemplateSettings({ ExportPath: 'a.cs', ExportPathPrefix: './src/' });
+
+      expect(settings.exportPath).toBe('./src/a.cs');
+      expect(settings.exportPathPrefix).toBe('./src/');
+    });
+
+    it('should leave absolute and missing export paths alone', () => {
+      const absolute = path.join(root, 'a.cs');
+
+      expect(
+        new TemplateSettings({ ExportPath: absolute, ExportPathPrefix: 'src' }).exportPath
+      ).toBe(absolute);
+      expect(new TemplateSettings({ ExportPathPrefix: 'src' }).exportPath).toBeNull();
+    });
+  });
+});
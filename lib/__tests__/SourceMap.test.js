@@ -0,0 +1,212 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HandlebarsHelpers = require('../HandlebarsHelpers');
+const Template = require('../Template');
+const { SourceMap } = require('../SourceMap');
+const { TemplateLoader } = require('../TemplateLoader');
+
+const source = [
+  'class {{Name}}',
+  '{',
+  '{{#each Fields}}',
+  '  {{> field}}',
+  '{{/each}}',
+  '}',
+  '',
+].join('\n');
+
+const model = { Name: 'Order', Fields: [{ Name: 'Id' }, { Name: 'Total' }] };
+
+describe('SourceMap', () => {
+  let handlebars;
+
+  beforeEach(() => {
+    handlebars = HandlebarsHelpers.createEnvironment();
+    handlebars.registerPartial('field', 'public int {{Name}};\n');
+  });
+
+  const render = (template, context, options) =>
+    SourceMap.extract(
+      SourceMap.compile(
+        SourceMap.createEnvironment(handlebars),
+        template,
+        'entity.hbs',
+        options
+      )(context)
+    );
+
+  describe('extract', () => {
+    it('should render the same content as the plain template', () => {
+      expect(render(source, model).content).toBe(handlebars.compile(source)(model));
+    });
+
+    it('should map each output line to its template line and partial chain', () => {
+      const { lines } = render(source, model);
+
+      expect(lines.slice(0, 5)).toEqual([
+        { line: 1, source: 'entity.hbs', sourceLine: 1, partials: [] },
+        { line: 2, source: 'entity.hbs', sourceLine: 2, partials: [] },
+        { line: 3, source: 'field', sourceLine: 1, partials: ['field'] },
+        { line: 4, source: 'field', sourceLine: 1, partials: ['field'] },
+        { line: 5, source: 'entity.hbs', sourceLine: 6, partials: [] },
+      ]);
+    });
+
+    it('should offset template lines', () => {
+      expect(render(source, model, { lineOffset: 3 }).lines[0].sourceLine).toBe(4);
+    });
+
+    it('should record nested partials and layouts', () => {
+      handlebars.registerPartial('row', '<{{> field}}>');
+      HandlebarsHelpers.registerLayout('base', 'header\n{{#block "body"}}{{/block}}', handlebars);
+
+      const { content, lines } = render(
+        '{{#extend "base"}}{{#content "body"}}{{> row}}{{/content}}{{/extend}}',
+        { Name: 'Id' }
+      );
+
+      expect(content).toBe('header\n<public int Id;\n>');
+      expect(lines[0]).toEqual({ line: 1, source: 'base', sourceLine: 1, partials: ['base'] });
+      expect(lines[1]).toEqual({
+        line: 2,
+        source: 'row',
+        sourceLine: 1,
+        partials: ['base', 'row'],
+      });
+    });
+  });
+
+  describe('slice', () => {
+    it('should renumber the lines', () => {
+      const { lines } = render(source, model);
+
+      expect(SourceMap.slice(lines, 2, 2).map((l) => [l.line, l.source])).toEqual([
+        [1, 'field'],
+        [2, 'field'],
+      ]);
+    });
+  });
+
+  describe('Template integration', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'source-map-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const createTemplate = (settings, content) => {
+      fs.writeFileSync(path.join(directory, 'entity.hbs'), content);
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({ ExportPath: path.join(directory, 'out/{{Name}}.cs'), ...settings })
+      );
+      return new Template(directory, 'entity.hbs', handlebars);
+    };
+
+    it('should not map sources unless asked', () => {
+      const template = createTemplate({}, source);
+
+      template.generate(model);
+
+      expect(template.result[0].sourceMap).toBeNull();
+      expect(template.getPreview()[0]).not.toHaveProperty('sourceMap');
+    });
+
+    it('should write a .map.json sidecar next to the output', () => {
+      const template = createTemplate({}, source);
+
+      template.generate(model, { sourceMap: true });
+      template.write();
+
+      const result = template.result[0];
+      const sidecar = JSON.parse(fs.readFileSync(result.sourceMapPath, 'utf8'));
+      expect(result.sourceMapPath).toBe(path.join(directory, 'out/Order.cs.map.json'));
+      expect(sidecar.file).toBe('Order.cs');
+      expect(sidecar.template).toBe(`${directory}/entity.hbs`);
+      expect(sidecar.lines[2]).toEqual({
+        line: 3,
+        source: 'field',
+        sourceLine: 1,
+        partials: ['field'],
+      });
+    });
+
+    it('should count front matter lines', () => {
+      const template = createTemplate({}, `---\nTarget: Entities\n---\n${source}`);
+
+      template.generate({ Entities: [model] }, { sourceMap: true });
+
+      expect(template.result[0].sourceMap.lines[0].sourceLine).toBe(4);
+    });
+
+    it('should map split sections from their own first line', () => {
+      const template = createTemplate(
+        {
+          SplitOn: '//---',
+          FileNamePattern: '\\[(?<FileName>[^\\]]+)\\]',
+          RemoveFileName: true,
+          ExportPath: '{{Name}}/',
+        },
+        '[A.cs]\nfirst\n//---\n[B.cs]\nsecond\nthird\n'
+      );
+
+      template.generate({ Name: 'Order' }, { sourceMap: true });
+
+      expect(template.result.map((r) => r.sourceMap.lines.map((l) => l.sourceLine))).toEqual([
+        [2],
+        [5, 6],
+      ]);
+    });
+
+    it('should drop the map with a warning when postProcess changes the line count', () => {
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.js'),
+        'module.exports = { postProcess: (content) => "// header\\n" + content };'
+      );
+      const template = createTemplate({}, source);
+
+      template.generate(model, { sourceMap: true });
+
+      expect(template.result[0].sourceMap).toBeNull();
+      expect(template.errors[0].message).toContain('postProcess changed the number of lines');
+    });
+
+    it('should drop the map with a warning when post-processors reorder lines', () => {
+      const template = createTemplate(
+        { PostProcessors: ['sortImports'] },
+        'using System;\nusing App.{{Name}};\nclass {{Name}} {}\n'
+      );
+
+      template.generate(model, { sourceMap: true });
+
+      expect(template.result[0].content).toBe('using App.Order;\nusing System;\nclass Order {}\n');
+      expect(template.result[0].sourceMap).toBeNull();
+      expect(template.errors[0].message).toBe(
+        `Post-processors (sortImports) changed ${path.join(directory, 'out/Order.cs')}; no source map was written`
+      );
+    });
+  });
+
+  describe('TemplateLoader', () => {
+    it('should include source maps in previews', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'source-map-'));
+      fs.writeFileSync(path.join(directory, 'entity.hbs'), 'a\n{{Name}}');
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({ ExportPath: 'out/{{Name}}.cs' })
+      );
+
+      const loader = new TemplateLoader(directory);
+      loader.load();
+      const [preview] = loader.preview({ Name: 'Order' }, { sourceMap: true });
+      fs.rmSync(directory, { recursive: true, force: true });
+
+      expect(preview.files[0].sourceMap.lines.map((l) => l.sourceLine)).toEqual([1, 2]);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StaticAssets } = require('../StaticAssets');
+const { TemplateLoader } = require('../TemplateLoader');
+const { SettingsError } = require('../GeneratorError');
+
+describe('StaticAssets', () => {
+  let directory;
+  let templates;
+  let output;
+  let logSpy;
+  const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff, 0xfe]);
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'static-assets-'));
+    templates = path.join(directory, 'templates');
+    output = path.join(directory, 'output');
+
+    const files = {
+      'entity.hbs': '{{Name}}',
+      'entity.hbs.settings.json': JSON.stringify({
+        ExportPath: path.join(output, '{{Name}}.cs'),
+      }),
+      'entity.hbs.js': 'module.exports = {};',
+      'header.partial.hbs': '// header',
+      'config/app.json': '{ "name": "app" }',
+      'notes.tmp': 'scratch',
+      '{{Name}}/README.md': '# {{Name}}',
+    };
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(templates, name)), { recursive: true });
+      fs.writeFileSync(path.join(templates, name), content);
+    }
+    fs.mkdirSync(path.join(templates, 'images'));
+    fs.writeFileSync(path.join(templates, 'images/logo.png'), binary);
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const find = (options, model = { Name: 'Shop' }) =>
+    new StaticAssets({ outputPath: output, ...options })
+      .find([templates], { extension: '.hbs', recurse: true, model })
+      .map((asset) => asset.relativePath)
+      .sort();
+
+  describe('find', () => {
+    it('should find every file that is not part of a template', () => {
+      expect(find({})).toEqual([
+        'config/app.json',
+        'images/logo.png',
+        'notes.tmp',
+        '{{Name}}/README.md',
+      ]);
+    });
+
+    it('should apply include and exclude patterns', () => {
+      expect(find({ include: ['images/**', 'config/*'], exclude: ['*.json'] })).toEqual([
+        'images/logo.png',
+      ]);
+    });
+
+    it('should keep relative paths under the output path', () => {
+      const [asset] = new StaticAssets({ outputPath: output, include: ['*.png'] }).find(
+        [templates],
+        { extension: '.hbs', recurse: true }
+      );
+
+      expect(asset.filePath).toBe(path.join(output, 'images/logo.png'));
+    });
+
+    it('should render tokenized paths with the model', () => {
+      const assets = new StaticAssets({
+        outputPath: output,
+        include: ['*.md'],
+        tokenize: true,
+      }).find([templates], { extension: '.hbs', recurse: true, model: { Name: 'Shop' } });
+
+      expect(assets[0].filePath).toBe(path.join(output, 'Shop/README.md'));
+    });
+
+    it('should require an output path', () => {
+      expect(() => new StaticAssets({ include: ['*'] })).toThrow(SettingsError);
+    });
+  });
+
+  describe('copy', () => {
+    it('should copy binary files byte for byte', () => {
+      const assets = new StaticAssets({ outputPath: output, include: ['*.png'] });
+      const [asset] = assets.find([templates], { extension: '.hbs', recurse: true });
+
+      expect(assets.copy(asset)).toMatchObject({ status: 'created', bytes: binary.length });
+      expect(fs.readFileSync(asset.filePath).equals(binary)).toBe(true);
+    });
+
+    it('should skip unchanged files and update changed ones', async () => {
+      const assets = new StaticAssets({ outputPath: output, include: ['*.png'] });
+      const [asset] = assets.find([templates], { extension: '.hbs', recurse: true });
+      assets.copy(asset);
+
+      expect(await assets.copyAsync(asset)).toMatchObject({
+        status: 'unchanged',
+        skipReason: null,
+      });
+
+      fs.writeFileSync(asset.filePath, 'edited');
+
+      expect((await assets.copyAsync(asset)).status).toBe('updated');
+      expect(fs.readFileSync(asset.filePath).equals(binary)).toBe(true);
+    });
+  });
+
+  describe('TemplateLoader', () => {
+    const createLoader = (assets) => {
+      const loader = new TemplateLoader(templates, '.hbs', true, { assets });
+      loader.load();
+      return loader;
+    };
+
+    it('should not copy assets without assets options', () => {
+      const loader = createLoader(undefined);
+
+      loader.generate({ Name: 'Shop' });
+
+      expect(loader.findAssets({})).toEqual([]);
+      expect(fs.existsSync(path.join(output, 'images'))).toBe(false);
+    });
+
+    it.each([['generate'], ['generateAsync']])('should copy assets in %s', async (method) => {
+      const loader = createLoader({ outputPath: output, exclude: ['*.tmp'], tokenize: true });
+
+      await (method === 'generate'
+        ? loader.generate({ Name: 'Shop' })
+        : loader.generateAsync({ Name: 'Shop' }));
+
+      expect(fs.readFileSync(path.join(output, 'Shop/README.md'), 'utf8')).toBe('# {{Name}}');
+      expect(fs.existsSync(path.join(output, 'notes.tmp'))).toBe(false);
+      expect(loader.stats.assetFiles).toBe(3);
+      expect(loader.stats.totalFiles).toBe(4);
+      expect(loader.stats.fileStats.filter((f) => f.writeMode === 'copy')).toHaveLength(3);
+    });
+
+    it('should not copy assets without writing', () => {
+      const loader = createLoader({ outputPath: output });
+
+      loader.generate({ Name: 'Shop' }, null, { write: false });
+
+      expect(loader.stats.assetFiles).toBe(0);
+    });
+
+    it('should report assets that fail to copy', () => {
+      const loader = createLoader({ outputPath: output, include: ['*.png'] });
+      fs.mkdirSync(path.join(output, 'images/logo.png'), { recursive: true });
+
+      loader.generate({ Name: 'Shop' });
+
+      expect(loader.errors).toHaveLength(1);
+      expect(loader.errors[0].phase).toBe('assets');
+      expect(loader.errors[0].message).toContain('Failed to copy');
+    });
+
+    it.each([['generate'], ['generateAsync']])(
+      'should refuse tokenized paths outside the output path in %s',
+      async (method) => {
+        fs.rmSync(path.join(templates, 'entity.hbs'));
+        const loader = createLoader({ outputPath: output, include: ['*.md'], tokenize: true });
+        const model = { Name: '../../escaped' };
+
+        await (method === 'generate'
+          ? loader.generate(model, null, { continueOnError: true })
+          : loader.generateAsync(model, { continueOnError: true }));
+
+        expect(fs.existsSync(path.join(directory, '../escaped'))).toBe(false);
+        expect(loader.errors).toHaveLength(1);
+        expect(loader.errors[0]).toMatchObject({ phase: 'assets' });
+        expect(loader.errors[0].error.code).toBe('FILE_OUTSIDE_OUTPUT_ROOT');
+      }
+    );
+  });
+});
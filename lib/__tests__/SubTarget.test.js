@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Template = require('../Template');
+const { TemplateSettings } = require('../TemplateSettings');
+
+const model = {
+  Services: [
+    { Name: 'Orders', Endpoints: [{ Name: 'Get' }, { Name: 'Create', Internal: true }] },
+    { Name: 'Billing', Endpoints: [{ Name: 'Pay' }] },
+    { Name: 'Empty', Endpoints: [] },
+  ],
+};
+
+describe('SubTarget', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sub-target-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const createTemplate = (settings, content) => {
+    fs.writeFileSync(path.join(directory, 'endpoint.hbs'), content);
+    fs.writeFileSync(
+      path.join(directory, 'endpoint.hbs.settings.json'),
+      JSON.stringify({
+        Target: 'Services',
+        TargetItem: 'service',
+        SubTarget: 'Endpoints',
+        SubTargetItem: 'endpoint',
+        ExportPath: '{{service.Name}}/{{endpoint.Name}}.cs',
+        ...settings,
+      })
+    );
+    return new Template(directory, 'endpoint.hbs');
+  };
+
+  it('should default the child name', () => {
+    expect(new TemplateSettings({}).subTarget).toBeNull();
+    expect(new TemplateSettings({}).subTargetItem).toBe('child');
+  });
+
+  it('should render one output per child with the parent item available', () => {
+    const template = createTemplate({}, '{{service.Name}}.{{endpoint.Name}}');
+
+    template.generate(model);
+
+    expect(template.result.map((r) => r.filePath)).toEqual([
+      'Orders/Get.cs',
+      'Orders/Create.cs',
+      'Billing/Pay.cs',
+    ]);
+    expect(template.result.map((r) => r.content)).toEqual([
+      'Orders.Get',
+      'Orders.Create',
+      'Billing.Pay',
+    ]);
+  });
+
+  it('should evaluate conditions per child', () => {
+    const template = createTemplate({ SkipIf: 'endpoint.Internal eq true' }, '{{endpoint.Name}}');
+
+    template.generate(model);
+
+    expect(template.result.map((r) => r.content)).toEqual(['Get', 'Pay']);
+    expect(template.skippedItems[0].item).toEqual({ Name: 'Create', Internal: true });
+  });
+
+  it('should accept paths and wildcards relative to the item', () => {
+    const template = createTemplate(
+      {
+        Target: 'Modules[*]',
+        TargetItem: 'module',
+        SubTarget: 'Services[*].Endpoints[*]',
+        ExportPath: '{{module.Name}}/{{endpoint.Name}}.cs',
+      },
+      ''
+    );
+
+    template.generate({ Modules: [{ Name: 'Api', Services: model.Services }] });
+
+    expect(template.result.map((r) => r.filePath)).toEqual([
+      'Api/Get.cs',
+      'Api/Create.cs',
+      'Api/Pay.cs',
+    ]);
+  });
+
+  it('should name split files by the name property, or the index of unnamed children', () => {
+    const template = createTemplate(
+      { TargetItemNameProperty: 'Title', SplitOn: '//---', ExportPath: '{{FileName}}.cs' },
+      'endpoint {{endpoint.Title}}'
+    );
+
+    template.generate({
+      Services: [{ Title: 'Orders', Endpoints: [{ Title: 'Get' }, {}, {}] }, { Endpoints: [{}] }],
+    });
+
+    expect(template.result.map((r) => r.filePath)).toEqual([
+      'endpoint-Orders-Get-0.cs',
+      'endpoint-Orders-item1-0.cs',
+      'endpoint-Orders-item2-0.cs',
+      'endpoint-item1-item0-0.cs',
+    ]);
+  });
+
+  it('should flag a child name that shadows the item name', () => {
+    const template = createTemplate({ SubTargetItem: 'service' }, 'x');
+
+    expect(template.validate().errors[0].message).toContain('must differ from TargetItem');
+  });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TargetPath } = require('../TargetPath');
+const Template = require('../Template');
+const { SettingsError } = require('../GeneratorError');
+
+const model = {
+  Name: 'Shop',
+  Modules: [
+    { Name: 'Core', Entities: [{ Name: 'Order' }, { Name: 'Customer' }] },
+    { Name: 'Billing', Entities: [{ Name: 'Invoice' }] },
+  ],
+  Areas: { Core: { Entities: [{ Name: 'Product' }] } },
+  'Legacy.Items': [{ Name: 'Old' }],
+};
+
+describe('TargetPath', () => {
+  describe('parse', () => {
+    it('should parse properties, indexes and wildcards', () => {
+      expect(TargetPath.parse('Modules[*].Entities[0]')).toEqual([
+        { property: 'Modules' },
+        { wildcard: true },
+        { property: 'Entities' },
+        { index: 0 },
+      ]);
+    });
+
+    it.each([['Modules..Entities'], ['Modules[x]'], ['Modules[*]x'], ['']])(
+      'should reject "%s"',
+      (expression) => {
+        expect(() => TargetPath.parse(expression)).toThrow(SettingsError);
+      }
+    );
+  });
+
+  describe('resolve', () => {
+    it('should resolve a top-level property', () => {
+      const { value, matches } = TargetPath.resolve(model, 'Modules');
+
+      expect(value).toBe(model.Modules);
+      expect(matches.map((m) => m.path)).toEqual(['Modules[0]', 'Modules[1]']);
+      expect(matches[0].parents).toEqual([]);
+    });
+
+    it('should resolve nested properties and expose the parent chain', () => {
+      const { value, matches } = TargetPath.resolve(model, 'Areas.Core.Entities');
+
+      expect(value).toBe(model.Areas.Core.Entities);
+      expect(matches[0].path).toBe('Areas.Core.Entities[0]');
+      expect(matches[0].parents).toEqual([model.Areas, model.Areas.Core]);
+    });
+
+    it('should resolve array indexes', () => {
+      expect(TargetPath.resolve(model, 'Modules[1].Entities').value).toBe(
+        model.Modules[1].Entities
+      );
+    });
+
+    it('should flatten wildcard matches', () => {
+      const { value, matches } = TargetPath.resolve(model, 'Modules[*].Entities[*]');
+
+      expect(value.map((e) => e.Name)).toEqual(['Order', 'Customer', 'Invoice']);
+      expect(matches[2].path).toBe('Modules[1].Entities[0]');
+      expect(matches[2].parents).toEqual([model.Modules[1]]);
+    });
+
+    it('should expand arrays at the end of a wildcard path', () => {
+      const { value } = TargetPath.resolve(model, 'Modules[*].Entities');
+
+      expect(value.map((e) => e.Name)).toEqual(['Order', 'Customer', 'Invoice']);
+    });
+
+    it('should skip missing values', () => {
+      expect(TargetPath.resolve(model, 'Missing.Entities').value).toBeUndefined();
+      expect(TargetPath.resolve(model, 'Modules[*].Missing[*]').value).toEqual([]);
+    });
+
+    it('should prefer a property named like the whole expression', () => {
+      expect(TargetPath.resolve(model, 'Legacy.Items').value).toBe(model['Legacy.Items']);
+    });
+  });
+
+  describe('Template integration', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'target-path-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const createTemplate = (settings, content) => {
+      fs.writeFileSync(path.join(directory, 'entity.hbs'), content);
+      fs.writeFileSync(path.join(directory, 'entity.hbs.settings.json'), JSON.stringify(settings));
+      return new Template(directory, 'entity.hbs');
+    };
+
+    it('should iterate wildcard targets with parent, root and path in the item model', () => {
+      const template = createTemplate(
+        { Target: 'Modules[*].Entities[*]', ExportPath: '{{parent.Name}}/{{item.Name}}.cs' },
+        '{{root.Name}}.{{parent.Name}}.{{item.Name}} @ {{path}}'
+      );
+
+      template.generate(model);
+
+      expect(template.result.map((r) => r.filePath)).toEqual([
+        'Core/Order.cs',
+        'Core/Customer.cs',
+        'Billing/Invoice.cs',
+      ]);
+      expect(template.result[2].content).toBe('Shop.Billing.Invoice @ Modules[1].Entities[0]');
+    });
+
+    it('should let a target item named like a navigation key take its place', () => {
+      const template = createTemplate(
+        { Target: 'Modules[*].Entities[*]', TargetItem: 'path', ExportPath: '{{path.Name}}.cs' },
+        '{{path.Name}} in {{parent.Name}}'
+      );
+
+      template.generate(model);
+
+      expect(template.result.map((r) => r.filePath)).toEqual([
+        'Order.cs',
+        'Customer.cs',
+        'Invoice.cs',
+      ]);
+      expect(template.result[0].content).toBe('Order in Core');
+    });
+
+    it('should use the parent chain in conditions', () => {
+      const template = createTemplate(
+        {
+          Target: 'Modules[*].Entities[*]',
+          ExportPath: '{{item.Name}}.cs',
+          SkipIf: 'parent.Name eq Billing',
+        },
+        '{{item.Name}}'
+      );
+
+      template.generate(model);
+
+      expect(template.result.map((r) => r.content)).toEqual(['Order', 'Customer']);
+    });
+
+    it('should report invalid targets in validate', () => {
+      const template = createTemplate({ Target: 'Modules[', ExportPath: 'x' }, 'x');
+
+      expect(template.validate().errors[0].message).toContain('Invalid Target path');
+    });
+  });
+});
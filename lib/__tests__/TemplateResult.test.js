@@ -0,0 +1,566 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateResult, WRITE_MODES, MANUAL_EDIT_POLICIES } = require('../TemplateResult');
+const { TemplateLoader } = require('../TemplateLoader');
+const { ChecksumStore } = require('../ChecksumStore');
+const { Manifest } = require('../Manifest');
+const { TextEncoding } = require('../TextEncoding');
+const { FileError, SettingsError } = require('../GeneratorError');
+
+describe('TemplateResult', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'result-'));
+    filePath = path.join(directory, 'out', 'Order.cs');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const existingFile = (content) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  const read = () => fs.readFileSync(filePath, 'utf8');
+
+  describe('write modes', () => {
+    it('should derive the write mode from appendToExisting', () => {
+      expect(new TemplateResult(filePath, 'x', false).writeMode).toBe('overwrite');
+      expect(new TemplateResult(filePath, 'x', true).writeMode).toBe('append');
+      expect(
+        new TemplateResult(filePath, 'x', true, { writeMode: 'append' }).appendToExisting
+      ).toBe(true);
+    });
+
+    it('should reject unknown write modes', () => {
+      expect(() => new TemplateResult(filePath, 'x', false, { writeMode: 'merge' })).toThrow(
+        SettingsError
+      );
+      expect(WRITE_MODES).toContain('overwriteIfUnchanged');
+    });
+
+    it('should report created and updated files when overwriting', () => {
+      const result = new TemplateResult(filePath, 'first', false);
+      result.write();
+      expect(result.status).toBe('created');
+
+      const second = new TemplateResult(filePath, 'second', false);
+      second.write();
+      expect(second.status).toBe('updated');
+      expect(read()).toBe('second');
+    });
+
+    it('should append to existing files', async () => {
+      existingFile('a');
+
+      const result = new TemplateResult(filePath, 'b', false, { writeMode: 'append' });
+      await result.writeAsync();
+
+      expect(read()).toBe('ab');
+      expect(result.status).toBe('appended');
+    });
+
+    it.each([['write'], ['writeAsync']])(
+      'should skip existing files in skipIfExists (%s)',
+      async (method) => {
+        existingFile('owned by developers');
+
+        const result = new TemplateResult(filePath, 'generated', false, {
+          writeMode: 'skipIfExists',
+        });
+        await result[method]();
+
+        expect(read()).toBe('owned by developers');
+        expect(result.status).toBe('skipped');
+        expect(result.skipReason).toBe('exists');
+      }
+    );
+
+    it('should create missing files in skipIfExists', () => {
+      const result = new TemplateResult(filePath, 'generated', false, {
+        writeMode: 'skipIfExists',
+      });
+      result.write();
+
+      expect(read()).toBe('generated');
+      expect(result.status).toBe('created');
+    });
+
+    it.each([['write'], ['writeAsync']])('should throw in failIfExists (%s)', async (method) => {
+      existingFile('existing');
+
+      const result = new TemplateResult(filePath, 'generated', false, {
+        writeMode: 'failIfExists',
+      });
+
+      await expect(async () => result[method]()).rejects.toThrow(FileError);
+      expect(read()).toBe('existing');
+    });
+
+    describe('incremental', () => {
+      it.each([['write'], ['writeAsync']])(
+        'should leave files with the same content untouched (%s)',
+        async (method) => {
+          existingFile('generated');
+          const modified = new Date('2020-01-01T00:00:00Z');
+          fs.utimesSync(filePath, modified, modified);
+
+          const result = new TemplateResult(filePath, 'generated', false);
+          await result[method]({ incremental: true });
+
+          expect(result.status).toBe('unchanged');
+          expect(result.skipReason).toBeNull();
+          expect(result.rendered).toBe(Manifest.hashContent('generated'));
+          expect(fs.statSync(filePath).mtime).toEqual(modified);
+        }
+      );
+
+      it('should write changed and missing files', () => {
+        existingFile('old');
+
+        const updated = new TemplateResult(filePath, 'new', false);
+        updated.write({ incremental: true });
+        const created = new TemplateResult(path.join(directory, 'out', 'a.cs'), 'a', false);
+        created.write({ incremental: true });
+
+        expect(read()).toBe('new');
+        expect([updated.status, created.status]).toEqual(['updated', 'created']);
+      });
+
+      it('should compare the encoded content with the checksum header', () => {
+        const options = { checksumHeader: '// checksum: {checksum}', lineEndings: 'crlf' };
+        new TemplateResult(filePath, 'a\nb', false, options).write();
+
+        const result = new TemplateResult(filePath, 'a\nb', false, options);
+        result.write({ incremental: true });
+
+        expect(result.status).toBe('unchanged');
+      });
+
+      it('should leave files the manifest recorded for the same rendered content untouched', () => {
+        existingFile('formatted');
+        const manifest = new Map([
+          [
+            filePath,
+            {
+              filePath,
+              hash: Manifest.hashContent('formatted'),
+              rendered: Manifest.hashContent('generated'),
+            },
+          ],
+        ]);
+
+        const result = new TemplateResult(filePath, 'generated', false);
+        result.write({ incremental: true, manifest });
+        expect(result.status).toBe('unchanged');
+        expect(read()).toBe('formatted');
+
+        fs.writeFileSync(filePath, 'formatted and edited');
+        result.write({ incremental: true, manifest });
+        expect(result.status).toBe('updated');
+        expect(read()).toBe('generated');
+      });
+
+      it('should always append', () => {
+        existingFile('a');
+
+        const result = new TemplateResult(filePath, '', false, { writeMode: 'append' });
+        result.write({ incremental: true });
+
+        expect(result.status).toBe('appended');
+      });
+    });
+
+    describe('overwriteIfUnchanged', () => {
+      it.each([['write'], ['writeAsync']])(
+        'should overwrite files that were not edited (%s)',
+        async (method) => {
+          const options = { writeMode: 'overwriteIfUnchanged' };
+          await new TemplateResult(filePath, 'v1', false, options)[method]();
+
+          const result = new TemplateResult(filePath, 'v2', false, options);
+          await result[method]();
+
+          expect(read()).toBe('v2');
+          expect(result.status).toBe('updated');
+          expect(fs.existsSync(ChecksumStore.getStorePath(filePath))).toBe(true);
+        }
+      );
+
+      it.each([['write'], ['writeAsync']])(
+        'should skip files edited since generation (%s)',
+        async (method) => {
+          const options = { writeMode: 'overwriteIfUnchanged' };
+          await new TemplateResult(filePath, 'v1', false, options)[method]();
+          fs.writeFileSync(filePath, 'v1 with manual edits');
+
+          const result = new TemplateResult(filePath, 'v2', false, options);
+          await result[method]();
+
+          expect(read()).toBe('v1 with manual edits');
+          expect(result.status).toBe('skipped');
+          expect(result.skipReason).toBe('modified');
+        }
+      );
+
+      it.each([['write'], ['writeAsync']])(
+        'should keep existing files it has no checksum for (%s)',
+        async (method) => {
+          existingFile('written by hand');
+
+          const result = new TemplateResult(filePath, 'v1', false, {
+            writeMode: 'overwriteIfUnchanged',
+          });
+          await result[method]();
+
+          expect(read()).toBe('written by hand');
+          expect(result.status).toBe('skipped');
+          expect(result.skipReason).toBe('untracked');
+          expect(result.untracked).toBe(true);
+          expect(result.manuallyEdited).toBe(false);
+        }
+      );
+
+      it.each([['write'], ['writeAsync']])(
+        'should back up and track existing files it has no checksum for (%s)',
+        async (method) => {
+          existingFile('written by hand');
+          const options = { writeMode: 'overwriteIfUnchanged', onManualEdit: 'backup' };
+
+          const result = new TemplateResult(filePath, 'v1', false, options);
+          await result[method]();
+
+          expect(result.status).toBe('updated');
+          expect(result.backupPath).toBe(`${filePath}.bak`);
+          expect(fs.readFileSync(result.backupPath, 'utf8')).toBe('written by hand');
+          expect(read()).toBe('v1');
+          expect(ChecksumStore.isUnchanged(filePath, 'v1')).toBe(true);
+
+          const next = new TemplateResult(filePath, 'v2', false, options);
+          await next[method]();
+
+          expect(next.untracked).toBe(false);
+          expect(read()).toBe('v2');
+        }
+      );
+
+      it('should ignore edits inside protected regions', () => {
+        const options = { writeMode: 'overwriteIfUnchanged' };
+        const template = (body) =>
+          `class Order {\n// <user-code id="m">\n${body}// </user-code>\n}\n`;
+        new TemplateResult(filePath, template(''), false, options).write();
+        fs.writeFileSync(filePath, template('void Save() {}\n'));
+
+        const result = new TemplateResult(filePath, `// v2\n${template('')}`, false, options);
+        result.write();
+
+        expect(result.status).toBe('updated');
+        expect(read()).toBe(`// v2\n${template('void Save() {}\n')}`);
+      });
+    });
+  });
+
+  describe('OnManualEdit', () => {
+    const header = '// generated {checksum}';
+
+    const generateThenEdit = (options) => {
+      new TemplateResult(filePath, 'v1\n', false, options).write();
+      fs.writeFileSync(filePath, `${read()}// edited\n`);
+    };
+
+    it('should default to skip for overwriteIfUnchanged and overwrite otherwise', () => {
+      expect(MANUAL_EDIT_POLICIES).toEqual(['overwrite', 'skip', 'report', 'backup']);
+      expect(new TemplateResult(filePath, 'x', false).onManualEdit).toBe('overwrite');
+      expect(
+        new TemplateResult(filePath, 'x', false, { writeMode: 'overwriteIfUnchanged' }).onManualEdit
+      ).toBe('skip');
+    });
+
+    it('should reject unknown policies and headers without a placeholder', () => {
+      expect(() => new TemplateResult(filePath, 'x', false, { onManualEdit: 'ask' })).toThrow(
+        SettingsError
+      );
+      expect(() => new TemplateResult(filePath, 'x', false, { checksumHeader: '// x' })).toThrow(
+        'must contain {checksum}'
+      );
+    });
+
+    it('should stamp the checksum of the content in the header', () => {
+      new TemplateResult(filePath, 'v1\n', false, { checksumHeader: header }).write();
+
+      expect(read()).toBe(`// generated ${ChecksumStore.compute('v1\n')}\nv1\n`);
+      expect(fs.existsSync(ChecksumStore.getStorePath(filePath))).toBe(false);
+    });
+
+    it.each([['write'], ['writeAsync']])(
+      'should overwrite files whose header matches (%s)',
+      async (method) => {
+        const options = { onManualEdit: 'skip', checksumHeader: header };
+        await new TemplateResult(filePath, 'v1\n', false, options)[method]();
+
+        const result = new TemplateResult(filePath, 'v2\n', false, options);
+        await result[method]();
+
+        expect(result.status).toBe('updated');
+        expect(ChecksumStore.checkHeader(read(), header)).toBe(true);
+      }
+    );
+
+    it.each([['write'], ['writeAsync']])(
+      'should skip files edited below the header (%s)',
+      async (method) => {
+        const options = { onManualEdit: 'skip', checksumHeader: header };
+        generateThenEdit(options);
+
+        const result = new TemplateResult(filePath, 'v2\n', false, options);
+        await result[method]();
+
+        expect(result.status).toBe('skipped');
+        expect(result.manuallyEdited).toBe(true);
+        expect(read()).toContain('// edited');
+      }
+    );
+
+    it.each([['write'], ['writeAsync']])(
+      'should back up edited files before overwriting them (%s)',
+      async (method) => {
+        const options = { onManualEdit: 'backup' };
+        generateThenEdit(options);
+
+        const result = new TemplateResult(filePath, 'v2\n', false, options);
+        await result[method]();
+
+        expect(result.status).toBe('updated');
+        expect(result.backupPath).toBe(`${filePath}.bak`);
+        expect(fs.readFileSync(result.backupPath, 'utf8')).toBe('v1\n// edited\n');
+        expect(read()).toBe('v2\n');
+      }
+    );
+
+    it('should not track edits by default', () => {
+      generateThenEdit({});
+
+      const result = new TemplateResult(filePath, 'v2\n', false);
+      result.write();
+
+      expect(result.manuallyEdited).toBe(false);
+      expect(read()).toBe('v2\n');
+    });
+
+    it('should report edited files through the loader', () => {
+      fs.writeFileSync(path.join(directory, 'entity.hbs'), 'class {{item.Name}} {}');
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({
+          Target: 'Entities',
+          ExportPath: path.join(directory, 'out', '{{item.Name}}.cs'),
+          OnManualEdit: 'report',
+          ChecksumHeader: header,
+        })
+      );
+      const model = { Entities: [{ Name: 'Order' }] };
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      loader.generate(model);
+      fs.appendFileSync(filePath, '// edited');
+      loader.generate(model);
+
+      expect(read()).toContain('// edited');
+      expect(loader.errors.map((e) => e.message)).toEqual([
+        `${filePath} was edited since it was last generated; it was not overwritten`,
+      ]);
+      expect(loader.templates[0].validate().valid).toBe(true);
+    });
+
+    it('should report existing files without a checksum through the loader', () => {
+      fs.writeFileSync(path.join(directory, 'entity.hbs'), 'class {{item.Name}} {}');
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({
+          Target: 'Entities',
+          ExportPath: path.join(directory, 'out', '{{item.Name}}.cs'),
+          OnManualEdit: 'report',
+        })
+      );
+      existingFile('written by hand');
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      loader.generate({ Entities: [{ Name: 'Order' }] });
+
+      expect(read()).toBe('written by hand');
+      expect(loader.errors.map((e) => e.message)).toEqual([
+        `${filePath} has no recorded checksum and may have been written by hand; it was not overwritten (delete it to generate it)`,
+      ]);
+    });
+  });
+
+  describe('line endings and encoding', () => {
+    it('should convert line endings of the content and preview', () => {
+      const result = new TemplateResult(filePath, 'a\nb\r\n', false, { lineEndings: 'crlf' });
+
+      expect(result.content).toBe('a\r\nb\r\n');
+      expect(result.toPreview().content).toBe('a\r\nb\r\n');
+    });
+
+    it.each([['write'], ['writeAsync']])(
+      'should write the encoding with a byte order mark (%s)',
+      async (method) => {
+        const result = new TemplateResult(filePath, 'Grüße\n', false, {
+          encoding: 'UTF-16LE',
+          bom: true,
+          lineEndings: 'crlf',
+        });
+
+        await result[method]();
+
+        const bytes = fs.readFileSync(filePath);
+        expect([...bytes.subarray(0, 2)]).toEqual([0xff, 0xfe]);
+        expect(bytes.subarray(2).toString('utf16le')).toBe('Grüße\r\n');
+      }
+    );
+
+    it.each([['write'], ['writeAsync']])(
+      'should append without a byte order mark (%s)',
+      async (method) => {
+        const options = { writeMode: 'append', encoding: 'utf8', bom: true };
+        await new TemplateResult(filePath, 'a\n', true, options)[method]();
+        await new TemplateResult(filePath, 'b\n', true, options)[method]();
+
+        expect(fs.readFileSync(filePath).toString('hex')).toBe(
+          Buffer.from('\ufeffa\nb\n').toString('hex')
+        );
+      }
+    );
+
+    it('should keep protected regions of files in other encodings', () => {
+      const options = { encoding: 'utf16be', bom: true };
+      const template = (body) => `// <user-code id="m">\n${body}// </user-code>\n`;
+      new TemplateResult(filePath, template('kept\n'), false, options).write();
+
+      new TemplateResult(filePath, template(''), false, options).write();
+
+      expect(TextEncoding.decode(fs.readFileSync(filePath), 'utf16be')).toBe(template('kept\n'));
+    });
+
+    it('should include non-default encodings in the preview', () => {
+      expect(new TemplateResult(filePath, 'x', false).toPreview()).not.toHaveProperty('encoding');
+      expect(
+        new TemplateResult(filePath, 'x', false, { encoding: 'latin1' }).toPreview()
+      ).toMatchObject({ encoding: 'latin1', bom: false });
+    });
+
+    it('should reject unknown encodings and byte order marks they do not have', () => {
+      expect(() => new TemplateResult(filePath, 'x', false, { encoding: 'ebcdic' })).toThrow(
+        SettingsError
+      );
+      expect(
+        () => new TemplateResult(filePath, 'x', false, { encoding: 'latin1', bom: true })
+      ).toThrow('has no byte order mark');
+      expect(() => new TemplateResult(filePath, 'x', false, { lineEndings: 'cr' })).toThrow(
+        'Invalid LineEndings'
+      );
+    });
+  });
+
+  describe('TemplateLoader integration', () => {
+    beforeEach(() => {
+      fs.writeFileSync(path.join(directory, 'entity.hbs'), 'class {{item.Name}} {}');
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({
+          Target: 'Entities',
+          ExportPath: path.join(directory, 'out', '{{item.Name}}.cs'),
+          WriteMode: 'skipIfExists',
+        })
+      );
+    });
+
+    it('should report each file write in the generation stats', async () => {
+      existingFile('custom');
+
+      const loader = new TemplateLoader(directory);
+      loader.load();
+      await loader.generateAsync({ Entities: [{ Name: 'Order' }, { Name: 'Customer' }] });
+
+      expect(loader.stats.fileStats.map((f) => [path.basename(f.filePath), f.status])).toEqual([
+        ['Order.cs', 'skipped'],
+        ['Customer.cs', 'created'],
+      ]);
+      expect(loader.stats.toSummary().writes.skipped).toBe(1);
+    });
+
+    it('should count unchanged files in incremental generation', async () => {
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({
+          Target: 'Entities',
+          ExportPath: path.join(directory, 'out', '{{item.Name}}.cs'),
+        })
+      );
+      const loader = new TemplateLoader(directory);
+      loader.load();
+      loader.generate({ Entities: [{ Name: 'Order' }, { Name: 'Customer' }] });
+
+      await loader.generateAsync(
+        { Entities: [{ Name: 'Order' }, { Name: 'Customer' }, { Name: 'Invoice' }] },
+        { incremental: true }
+      );
+
+      expect(loader.stats.writeCounts).toEqual({
+        created: 1,
+        updated: 0,
+        unchanged: 2,
+        appended: 0,
+        skipped: 0,
+      });
+    });
+
+    it('should include the write mode in previews', () => {
+      const loader = new TemplateLoader(directory);
+      loader.load();
+
+      const [preview] = loader.preview({ Entities: [{ Name: 'Order' }] });
+
+      expect(preview.files[0].writeMode).toBe('skipIfExists');
+    });
+
+    it('should flag conflicting AppendToExisting and WriteMode settings', () => {
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({ ExportPath: 'x.cs', AppendToExisting: true, WriteMode: 'overwrite' })
+      );
+
+      const loader = new TemplateLoader(directory);
+      loader.load();
+      const validation = loader.templates[0].validate();
+
+      expect(validation.valid).toBe(false);
+      expect(validation.errors[0].message).toContain('AppendToExisting conflicts with WriteMode');
+    });
+
+    it('should flag invalid encoding settings', () => {
+      fs.writeFileSync(
+        path.join(directory, 'entity.hbs.settings.json'),
+        JSON.stringify({ ExportPath: 'x.cs', Encoding: 'ascii', Bom: true, LineEndings: 'cr' })
+      );
+
+      const loader = new TemplateLoader(directory);
+      loader.load();
+      const messages = loader.templates[0].validate().errors.map((e) => e.message);
+
+      expect(messages).toEqual([
+        'Invalid LineEndings "cr". Valid values: lf, crlf, preserve',
+        'Bom is set but encoding "ascii" has no byte order mark',
+      ]);
+    });
+  });
+});
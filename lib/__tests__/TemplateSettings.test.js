@@ -47,6 +47,17 @@ describe('TemplateSettings', () => {
 
       expect(settings.description).toBe('Generates entity classes');
     });
+
+    test('should default WriteMode from AppendToExisting', () => {
+      expect(new TemplateSettings({}).writeMode).toBe('overwrite');
+      expect(new TemplateSettings({ AppendToExisting: true }).writeMode).toBe('append');
+    });
+
+    test('should accept WriteMode', () => {
+      const settings = new TemplateSettings({ WriteMode: 'skipIfExists' });
+
+      expect(settings.writeMode).toBe('skipIfExists');
+    });
   });
 
   describe('getValueByPath', () => {
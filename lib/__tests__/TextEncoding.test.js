@@ -0,0 +1,44 @@
+const { TextEncoding } = require('../TextEncoding');
+
+describe('TextEncoding', () => {
+  describe('resolveEncoding', () => {
+    it.each([
+      ['UTF-8', 'utf8'],
+      ['utf-16le', 'utf16le'],
+      ['UTF-16BE', 'utf16be'],
+      ['ucs2', 'utf16le'],
+      ['ISO-8859-1', 'latin1'],
+      ['ebcdic', null],
+    ])('should resolve "%s" to %s', (name, expected) => {
+      expect(TextEncoding.resolveEncoding(name)).toBe(expected);
+    });
+  });
+
+  describe('applyLineEndings', () => {
+    const mixed = 'a\r\nb\nc';
+
+    it('should convert line endings', () => {
+      expect(TextEncoding.applyLineEndings(mixed, 'lf')).toBe('a\nb\nc');
+      expect(TextEncoding.applyLineEndings(mixed, 'crlf')).toBe('a\r\nb\r\nc');
+      expect(TextEncoding.applyLineEndings(mixed, 'preserve')).toBe(mixed);
+    });
+  });
+
+  describe('encode and decode', () => {
+    it('should prepend a byte order mark when asked', () => {
+      expect([...TextEncoding.encode('a', 'utf8', true)]).toEqual([0xef, 0xbb, 0xbf, 0x61]);
+      expect([...TextEncoding.encode('a', 'utf16le', true)]).toEqual([0xff, 0xfe, 0x61, 0x00]);
+      expect([...TextEncoding.encode('a', 'utf16be', true)]).toEqual([0xfe, 0xff, 0x00, 0x61]);
+      expect([...TextEncoding.encode('a', 'latin1', true)]).toEqual([0x61]);
+    });
+
+    it.each([['utf8'], ['utf16le'], ['utf16be'], ['latin1']])(
+      'should round-trip %s and drop the byte order mark',
+      (encoding) => {
+        const buffer = TextEncoding.encode('Grüße\r\n', encoding, true);
+
+        expect(TextEncoding.decode(buffer, encoding)).toBe('Grüße\r\n');
+      }
+    );
+  });
+});
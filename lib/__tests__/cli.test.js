@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const cliPath = path.join(__dirname, '..', '..', 'cli.js');
+
+describe('CLI', () => {
+  let directory;
+  let templateDir;
+  let modelPath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    templateDir = path.join(directory, 'templates');
+    fs.mkdirSync(templateDir);
+    fs.writeFileSync(path.join(templateDir, 'entity.hbs'), '{{item.Name}} {{item.Table}}');
+    fs.writeFileSync(
+      path.join(templateDir, 'entity.hbs.settings.json'),
+      JSON.stringify({ Target: 'Entities', ExportPath: 'out/{{item.Name}}.cs' })
+    );
+    modelPath = path.join(directory, 'model.json');
+    fs.writeFileSync(modelPath, JSON.stringify({ Entities: [{ Name: 'Order' }] }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const run = (...args) =>
+    spawnSync(process.execPath, [cliPath, ...args, '-t', templateDir, '-m', modelPath], {
+      cwd: directory,
+      encoding: 'utf8',
+      timeout: 30000,
+    });
+
+  describe('manifest', () => {
+    it('should only keep a manifest by default with an output directory', () => {
+      expect(run('generate').status).toBe(0);
+      expect(fs.existsSync(path.join(directory, 'out', 'Order.cs'))).toBe(true);
+      expect(fs.readdirSync(directory)).not.toContain('.generator-manifest.json');
+
+      expect(run('generate', '-o', 'output').status).toBe(0);
+      expect(fs.existsSync(path.join(directory, 'output', '.generator-manifest.json'))).toBe(true);
+    });
+  });
+
+  describe('incremental', () => {
+    it('should read incremental from the configuration', () => {
+      fs.writeFileSync(
+        path.join(directory, '.generatorrc.json'),
+        JSON.stringify({ incremental: true })
+      );
+
+      expect(run('generate').stdout).toContain('1 created, 0 updated, 0 unchanged');
+      expect(run('generate').stdout).toContain('0 created, 0 updated, 1 unchanged');
+    });
+  });
+
+  describe('--warn-missing', () => {
+    it.each([[['generate', '--dry-run']], [['preview']]])(
+      'should print missing properties in %p',
+      (command) => {
+        const { stdout, status } = run(...command, '--warn-missing');
+
+        expect(status).toBe(0);
+        expect(stdout).toContain('Warnings/Errors:');
+        expect(stdout).toMatch(/- .*item\.Table/);
+        expect(fs.existsSync(path.join(directory, 'out'))).toBe(false);
+      }
+    );
+
+    it('should print nothing without the option', () => {
+      const { stdout } = run('generate', '--dry-run');
+
+      expect(stdout).not.toContain('Warnings/Errors:');
+    });
+  });
+});
@@ -175,6 +175,7 @@ describe('Integration Tests', () => {
         filePath: '/path/to/file.txt',
         content: 'content',
         appendToExisting: true,
+        writeMode: 'append',
       });
     });
   });
@@ -313,4 +314,94 @@ describe('Integration Tests', () => {
       expect(loader.partials).toContain('itemDetails');
     });
   });
+
+  describe('Handlebars Environments', () => {
+    const Handlebars = require('handlebars');
+    const HandlebarsHelpers = require('../HandlebarsHelpers');
+    const { pluginManager } = require('../PluginManager');
+
+    it('should not register built-in helpers on the global Handlebars instance', () => {
+      expect(Handlebars.helpers.camelCase).toBeUndefined();
+      expect(HandlebarsHelpers.getHandlebars()).not.toBe(Handlebars);
+    });
+
+    it('should install built-in helpers into each new environment', () => {
+      const environment = HandlebarsHelpers.createEnvironment();
+      const template = environment.compile('{{pascalCase name}}');
+
+      expect(template({ name: 'order item' })).toBe('OrderItem');
+    });
+
+    it('should give each TemplateLoader its own environment', () => {
+      const apiLoader = new TemplateLoader(SAMPLE_TEMPLATES_PATH);
+      const uiLoader = new TemplateLoader(SAMPLE_TEMPLATES_PATH);
+
+      apiLoader.registerHelper('apiOnly', () => 'api');
+      apiLoader.registerPartial('apiPartial', 'api partial');
+
+      expect(apiLoader.handlebars).not.toBe(uiLoader.handlebars);
+      expect(apiLoader.handlebars.helpers.apiOnly).toBeDefined();
+      expect(uiLoader.handlebars.helpers.apiOnly).toBeUndefined();
+      expect(uiLoader.handlebars.partials.apiPartial).toBeUndefined();
+      expect(HandlebarsHelpers.getHandlebars().helpers.apiOnly).toBeUndefined();
+    });
+
+    it('should load partials and templates into the loader environment', () => {
+      const loader = new TemplateLoader(SAMPLE_TEMPLATES_PATH);
+      loader.load();
+
+      expect(loader.handlebars.partials.header).toBeDefined();
+      for (const template of loader.templates) {
+        expect(template.handlebars).toBe(loader.handlebars);
+      }
+    });
+
+    it('should scope plugins registered on a loader to that loader', () => {
+      const loader = new TemplateLoader(SAMPLE_TEMPLATES_PATH);
+      const other = new TemplateLoader(SAMPLE_TEMPLATES_PATH);
+
+      loader.registerPlugin({ name: 'scoped', helpers: { shout: (value) => `${value}!` } });
+
+      expect(loader.pluginManager.has('scoped')).toBe(true);
+      expect(other.pluginManager.has('scoped')).toBe(false);
+      expect(loader.handlebars.compile('{{shout "hi"}}')({})).toBe('hi!');
+      expect(other.handlebars.helpers.shout).toBeUndefined();
+    });
+
+    it('should use helpers and partials registered through the shared API', () => {
+      const loader = new TemplateLoader(SAMPLE_TEMPLATES_PATH);
+      pluginManager.register({ name: 'shared', helpers: { whisper: (value) => `${value}...` } });
+      HandlebarsHelpers.registerPartial('sharedBanner', '// {{whisper "shared"}}');
+
+      try {
+        loader.load();
+
+        expect(loader.handlebars.compile('{{> sharedBanner}}')({})).toBe('// shared...');
+        expect(new Template(SAMPLE_TEMPLATES_PATH, 'sample.hbs').handlebars.helpers.whisper).toBe(
+          loader.handlebars.helpers.whisper
+        );
+      } finally {
+        pluginManager.unregister('shared');
+        HandlebarsHelpers.getHandlebars().unregisterHelper('whisper');
+        HandlebarsHelpers.unregisterPartial('sharedBanner');
+      }
+    });
+
+    it('should accept a shared environment through loader options', () => {
+      const environment = HandlebarsHelpers.createEnvironment();
+      const loader = new TemplateLoader(SAMPLE_TEMPLATES_PATH, '.hbs', true, {
+        handlebars: environment,
+      });
+
+      expect(loader.handlebars).toBe(environment);
+    });
+
+    it('should create an isolated environment for a standalone Template', () => {
+      const first = new Template(SAMPLE_TEMPLATES_PATH, 'sample.hbs');
+      const second = new Template(SAMPLE_TEMPLATES_PATH, 'sample.hbs');
+
+      expect(first.handlebars).not.toBe(second.handlebars);
+      expect(first.handlebars.helpers.camelCase).toBeDefined();
+    });
+  });
 });